@@ -61,6 +61,13 @@ const config = {
     kicad_viewer: [
       pathResolve(cjsDirname, 'src/js/main.mjs'),
     ],
+    'kicad_viewer-settings': [
+      pathResolve(cjsDirname, 'src/js/settings.mjs'),
+    ],
+    // loaded by the viewer as a web worker, see kicanvas/parsed-filesystem.mjs
+    'kicad_viewer-parser': [
+      pathResolve(cjsDirname, 'src/js/parser-worker.mjs'),
+    ],
   },
   output: {
     path: pathResolve(cjsDirname, './js'),
@@ -26,10 +26,104 @@ return [
             'url' => '/api/public-token',
             'verb' => 'POST'
         ],
+        [
+            'name' => 'file#listPublicTokens',
+            'url' => '/api/public-token',
+            'verb' => 'GET'
+        ],
+        [
+            'name' => 'file#revokePublicToken',
+            'url' => '/api/public-token/{token}',
+            'verb' => 'DELETE'
+        ],
+        [
+            'name' => 'review#index',
+            'url' => '/api/review/{fileId}',
+            'verb' => 'GET'
+        ],
+        [
+            'name' => 'review#create',
+            'url' => '/api/review/{fileId}',
+            'verb' => 'POST'
+        ],
+        [
+            'name' => 'review#reply',
+            'url' => '/api/review/{fileId}/{id}/comments',
+            'verb' => 'POST'
+        ],
+        [
+            'name' => 'review#update',
+            'url' => '/api/review/{fileId}/{id}',
+            'verb' => 'PUT'
+        ],
+        [
+            'name' => 'session#sync',
+            'url' => '/api/session/{fileId}',
+            'verb' => 'POST'
+        ],
+        [
+            'name' => 'session#publish',
+            'url' => '/api/session/{fileId}/state',
+            'verb' => 'PUT'
+        ],
+        [
+            'name' => 'session#takeControl',
+            'url' => '/api/session/{fileId}/control',
+            'verb' => 'POST'
+        ],
+        [
+            'name' => 'session#leave',
+            'url' => '/api/session/{fileId}',
+            'verb' => 'DELETE'
+        ],
+        [
+            'name' => 'theme#index',
+            'url' => '/api/themes',
+            'verb' => 'GET'
+        ],
+        [
+            'name' => 'theme#create',
+            'url' => '/api/themes',
+            'verb' => 'POST'
+        ],
+        [
+            'name' => 'theme#update',
+            'url' => '/api/themes/{id}',
+            'verb' => 'PUT'
+        ],
+        [
+            'name' => 'theme#destroy',
+            'url' => '/api/themes/{id}',
+            'verb' => 'DELETE'
+        ],
+        [
+            'name' => 'theme#select',
+            'url' => '/api/selected-theme',
+            'verb' => 'PUT'
+        ],
+        [
+            'name' => 'settings#updateAdmin',
+            'url' => '/api/settings/admin',
+            'verb' => 'PUT'
+        ],
+        [
+            'name' => 'settings#updatePersonal',
+            'url' => '/api/settings/personal',
+            'verb' => 'PUT'
+        ],
         [
             'name' => 'file#getPublicFile',
             'url' => '/public/{token}',
             'verb' => 'GET'
+        ],
+        [
+            'name' => 'file#getPublicFile',
+            'url' => '/public/{token}/{path}',
+            'verb' => 'GET',
+            'postfix' => 'project',
+            'requirements' => [
+                'path' => '.+'
+            ]
         ]
     ]
 ];
@@ -5,7 +5,11 @@ declare(strict_types=1);
 
 namespace OCA\kicad_viewer\AppInfo;
 
+use OCA\kicad_viewer\Listener\LoadPublicViewerListener;
 use OCA\kicad_viewer\Listener\LoadViewerListener;
+use OCA\kicad_viewer\Preview\PcbPreview;
+use OCA\kicad_viewer\Preview\SchematicPreview;
+use OCA\Files_Sharing\Event\BeforeTemplateRenderedEvent;
 use OCP\AppFramework\App;
 use OCP\AppFramework\Bootstrap\IBootContext;
 use OCP\AppFramework\Bootstrap\IBootstrap;
@@ -24,6 +28,10 @@ class Application extends App implements IBootstrap {
 		error_log('DEBUG: kicad_viewer register() method called');
 		$context->registerEventListener(LoadViewer::class, LoadViewerListener::class);
 		error_log('DEBUG: kicad_viewer LoadViewer listener registered via IBootstrap');
+		$context->registerEventListener(BeforeTemplateRenderedEvent::class, LoadPublicViewerListener::class);
+		error_log('DEBUG: kicad_viewer public share listener registered via IBootstrap');
+		$context->registerPreviewProvider(PcbPreview::class, '/application\/x-kicad-pcb/');
+		$context->registerPreviewProvider(SchematicPreview::class, '/application\/x-kicad-schematic/');
 	}
 
 	public function boot(IBootContext $context): void {
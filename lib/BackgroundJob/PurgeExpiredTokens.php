@@ -0,0 +1,24 @@
+<?php
+declare(strict_types=1);
+// SPDX-FileCopyrightText: WARP <development@warp.lv>
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+namespace OCA\kicad_viewer\BackgroundJob;
+
+use OCA\kicad_viewer\Service\PublicTokenService;
+use OCP\AppFramework\Utility\ITimeFactory;
+use OCP\BackgroundJob\TimedJob;
+
+class PurgeExpiredTokens extends TimedJob {
+	private $publicTokenService;
+
+	public function __construct(ITimeFactory $time, PublicTokenService $publicTokenService) {
+		parent::__construct($time);
+		$this->publicTokenService = $publicTokenService;
+		$this->setInterval(3600);
+	}
+
+	protected function run($argument): void {
+		$this->publicTokenService->purgeExpired();
+	}
+}
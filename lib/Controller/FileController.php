@@ -5,18 +5,29 @@ declare(strict_types=1);
 
 namespace OCA\kicad_viewer\Controller;
 
+use OCA\kicad_viewer\Exception\TokenExpiredException;
+use OCA\kicad_viewer\Service\PublicTokenService;
+use OCA\kicad_viewer\Service\SettingsService;
 use OCP\AppFramework\Controller;
+use OCP\AppFramework\Db\DoesNotExistException;
 use OCP\AppFramework\Http;
+use OCP\AppFramework\Http\DataDisplayResponse;
 use OCP\AppFramework\Http\StreamResponse;
 use OCP\AppFramework\Http\JSONResponse;
+use OCP\AppFramework\Http\Response;
+use OCP\Files\NotFoundException;
+use OCP\Files\NotPermittedException;
 use OCP\IRequest;
 
 class FileController extends Controller {
     
-    private static $publicTokens = [];
+    private $publicTokenService;
+    private $settingsService;
     
-    public function __construct(string $appName, IRequest $request) {
+    public function __construct(string $appName, IRequest $request, PublicTokenService $publicTokenService, SettingsService $settingsService) {
         parent::__construct($appName, $request);
+        $this->publicTokenService = $publicTokenService;
+        $this->settingsService = $settingsService;
     }
     
     /**
@@ -72,84 +83,111 @@ class FileController extends Controller {
     
     /**
      * @NoAdminRequired
-     * @NoCSRFRequired
      */
     public function createPublicToken() {
         try {
             $userSession = \OC::$server->getUserSession();
             $user = $userSession->getUser();
             if (!$user) {
-                return ['error' => 'User not found'];
+                return new JSONResponse(['error' => 'User not found'], Http::STATUS_UNAUTHORIZED);
+            }
+            if (!$this->settingsService->isEnabled('publicTokens')) {
+                return new JSONResponse(['error' => 'Public links are turned off by the administrator'], Http::STATUS_FORBIDDEN);
             }
             
             $filePath = $this->request->getParam('filePath');
             if (!$filePath) {
-                return ['error' => 'File path is required'];
+                return new JSONResponse(['error' => 'File path is required'], Http::STATUS_BAD_REQUEST);
             }
             
-            // Create a unique token
-            $token = bin2hex(random_bytes(32));
-            
-            // Store token with file path and user context (expires in 1 hour)
-            self::$publicTokens[$token] = [
-                'filePath' => $filePath,
-                'userId' => $user->getUID(),
-                'expires' => time() + 3600
-            ];
+            $publicToken = $this->publicTokenService->create(
+                $user->getUID(),
+                $filePath,
+                (string)$this->request->getParam('scope', PublicTokenService::SCOPE_FILE),
+                (int)$this->request->getParam('expiresIn', PublicTokenService::DEFAULT_TTL),
+                $this->request->getParam('label')
+            );
             
-            return ['token' => $token];
+            return new JSONResponse($publicToken);
             
+        } catch (NotFoundException $e) {
+            return new JSONResponse(['error' => 'File not found'], Http::STATUS_NOT_FOUND);
+        } catch (\InvalidArgumentException $e) {
+            return new JSONResponse(['error' => $e->getMessage()], Http::STATUS_BAD_REQUEST);
         } catch (\Exception $e) {
-            return ['error' => 'Server error: ' . $e->getMessage()];
+            return new JSONResponse(['error' => 'Server error: ' . $e->getMessage()], Http::STATUS_INTERNAL_SERVER_ERROR);
+        }
+    }
+    
+    /**
+     * @NoAdminRequired
+     */
+    public function listPublicTokens(): JSONResponse {
+        $user = \OC::$server->getUserSession()->getUser();
+        if (!$user) {
+            return new JSONResponse(['error' => 'User not found'], Http::STATUS_UNAUTHORIZED);
+        }
+        
+        return new JSONResponse($this->publicTokenService->findAllForUser($user->getUID()));
+    }
+    
+    /**
+     * @NoAdminRequired
+     */
+    public function revokePublicToken(string $token): JSONResponse {
+        $user = \OC::$server->getUserSession()->getUser();
+        if (!$user) {
+            return new JSONResponse(['error' => 'User not found'], Http::STATUS_UNAUTHORIZED);
+        }
+        
+        try {
+            return new JSONResponse($this->publicTokenService->revoke($user->getUID(), $token));
+        } catch (DoesNotExistException $e) {
+            return new JSONResponse(['error' => 'Token not found'], Http::STATUS_NOT_FOUND);
         }
     }
     
     /**
+     * Serves the shared file, or with a folder scoped token any file of its
+     * project folder addressed by the relative $path
+     *
      * @NoAdminRequired
      * @NoCSRFRequired
      * @PublicPage
      */
-    public function getPublicFile(string $token): StreamResponse {
+    public function getPublicFile(string $token, string $path = ''): Response {
         try {
-            // Check if token exists and is valid
-            if (!isset(self::$publicTokens[$token])) {
-                return new StreamResponse('Token not found', Http::STATUS_NOT_FOUND);
-            }
-            
-            $tokenData = self::$publicTokens[$token];
-            
-            // Check if token has expired
-            if (time() > $tokenData['expires']) {
-                unset(self::$publicTokens[$token]);
-                return new StreamResponse('Token expired', Http::STATUS_GONE);
-            }
-            
-            // Get file using stored user context
-            $rootFolder = \OC::$server->getRootFolder();
-            $userFolder = $rootFolder->getUserFolder($tokenData['userId']);
-            $file = $userFolder->get($tokenData['filePath']);
-            
-            if (!$file || $file->getType() !== \OCP\Files\FileInfo::TYPE_FILE) {
-                return new StreamResponse('File not found', Http::STATUS_NOT_FOUND);
-            }
-            
-            // Get the file content and MIME type
-            $content = $file->getContent();
-            $mimeType = $file->getMimeType();
+            $publicToken = $this->publicTokenService->getValidToken($token);
+            $file = $this->publicTokenService->getFile($publicToken, $path);
             
             // Create response with proper headers and CORS for KiCanvas
-            $response = new StreamResponse($content);
-            $response->addHeader('Content-Type', $mimeType);
-            $response->addHeader('Content-Disposition', 'inline; filename="' . $file->getName() . '"');
-            $response->addHeader('Content-Length', (string)strlen($content));
+            $response = new DataDisplayResponse($file->getContent(), Http::STATUS_OK, [
+                'Content-Type' => $file->getMimeType(),
+                'Content-Disposition' => $this->inlineDisposition($file->getName()),
+            ]);
             $response->addHeader('Access-Control-Allow-Origin', '*');
             $response->addHeader('Access-Control-Allow-Methods', 'GET');
             $response->addHeader('Access-Control-Allow-Headers', 'Content-Type');
             
             return $response;
             
+        } catch (DoesNotExistException $e) {
+            return new DataDisplayResponse('Token not found', Http::STATUS_NOT_FOUND);
+        } catch (TokenExpiredException $e) {
+            return new DataDisplayResponse('Token expired', Http::STATUS_GONE);
+        } catch (NotFoundException | NotPermittedException $e) {
+            return new DataDisplayResponse('File not found', Http::STATUS_NOT_FOUND);
         } catch (\Exception $e) {
-            return new StreamResponse('Server error: ' . $e->getMessage(), Http::STATUS_INTERNAL_SERVER_ERROR);
+            return new DataDisplayResponse('Server error: ' . $e->getMessage(), Http::STATUS_INTERNAL_SERVER_ERROR);
         }
     }
+    
+    /**
+     * Content-Disposition showing $name inline: an ASCII fallback for old
+     * clients and the name itself as RFC 5987 UTF-8
+     */
+    private function inlineDisposition(string $name): string {
+        $fallback = addcslashes(preg_replace('/[^\x20-\x7e]/', '_', $name), '"\\');
+        return 'inline; filename="' . $fallback . '"; filename*=UTF-8\'\'' . rawurlencode($name);
+    }
 }
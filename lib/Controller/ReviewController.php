@@ -0,0 +1,87 @@
+<?php
+declare(strict_types=1);
+// SPDX-FileCopyrightText: WARP <development@warp.lv>
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+namespace OCA\kicad_viewer\Controller;
+
+use OCA\kicad_viewer\Service\ReviewService;
+use OCA\kicad_viewer\Service\SettingsService;
+use OCP\AppFramework\Controller;
+use OCP\AppFramework\Db\DoesNotExistException;
+use OCP\AppFramework\Http;
+use OCP\AppFramework\Http\JSONResponse;
+use OCP\Files\NotFoundException;
+use OCP\IRequest;
+use OCP\IUserSession;
+
+/**
+ * Review threads pinned to places of a KiCad file, see ReviewService
+ */
+class ReviewController extends Controller {
+	private $reviewService;
+	private $settingsService;
+	private $userSession;
+
+	public function __construct(string $appName, IRequest $request, ReviewService $reviewService, SettingsService $settingsService, IUserSession $userSession) {
+		parent::__construct($appName, $request);
+		$this->reviewService = $reviewService;
+		$this->settingsService = $settingsService;
+		$this->userSession = $userSession;
+	}
+
+	/**
+	 * Runs $action for the logged in user and answers with its result
+	 */
+	private function respond(callable $action): JSONResponse {
+		$user = $this->userSession->getUser();
+		if (!$user) {
+			return new JSONResponse(['error' => 'User not found'], Http::STATUS_UNAUTHORIZED);
+		}
+		if (!$this->settingsService->isEnabled('review')) {
+			return new JSONResponse(['error' => 'Review comments are turned off by the administrator'], Http::STATUS_FORBIDDEN);
+		}
+
+		try {
+			return new JSONResponse($action($user->getUID()));
+		} catch (NotFoundException $e) {
+			return new JSONResponse(['error' => 'File not found'], Http::STATUS_NOT_FOUND);
+		} catch (DoesNotExistException $e) {
+			return new JSONResponse(['error' => 'Review thread not found'], Http::STATUS_NOT_FOUND);
+		} catch (\InvalidArgumentException | \OverflowException $e) {
+			return new JSONResponse(['error' => $e->getMessage()], Http::STATUS_BAD_REQUEST);
+		} catch (\Exception $e) {
+			return new JSONResponse(['error' => 'Server error: ' . $e->getMessage()], Http::STATUS_INTERNAL_SERVER_ERROR);
+		}
+	}
+
+	/**
+	 * @NoAdminRequired
+	 */
+	public function index(int $fileId): JSONResponse {
+		return $this->respond(fn (string $userId) => $this->reviewService->findAll($userId, $fileId));
+	}
+
+	/**
+	 * @NoAdminRequired
+	 */
+	public function create(int $fileId, array $anchor = [], string $message = ''): JSONResponse {
+		return $this->respond(fn (string $userId) => $this->reviewService->create($userId, $fileId, $anchor, $message));
+	}
+
+	/**
+	 * @NoAdminRequired
+	 */
+	public function reply(int $fileId, int $id, string $message = ''): JSONResponse {
+		return $this->respond(fn (string $userId) => $this->reviewService->reply($userId, $fileId, $id, $message));
+	}
+
+	/**
+	 * Resolves or reopens a thread
+	 *
+	 * @NoAdminRequired
+	 */
+	public function update(int $fileId, int $id, string $state = ''): JSONResponse {
+		return $this->respond(fn (string $userId) => $this->reviewService->setState($userId, $fileId, $id, $state));
+	}
+}
@@ -0,0 +1,90 @@
+<?php
+declare(strict_types=1);
+// SPDX-FileCopyrightText: WARP <development@warp.lv>
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+namespace OCA\kicad_viewer\Controller;
+
+use OCA\kicad_viewer\Exception\NotPresenterException;
+use OCA\kicad_viewer\Service\FollowSessionService;
+use OCA\kicad_viewer\Service\SettingsService;
+use OCP\AppFramework\Controller;
+use OCP\AppFramework\Http;
+use OCP\AppFramework\Http\JSONResponse;
+use OCP\Files\NotFoundException;
+use OCP\IRequest;
+use OCP\IUserSession;
+
+/**
+ * Follow-me session of a file, see FollowSessionService
+ */
+class SessionController extends Controller {
+	private $sessionService;
+	private $settingsService;
+	private $userSession;
+
+	public function __construct(string $appName, IRequest $request, FollowSessionService $sessionService, SettingsService $settingsService, IUserSession $userSession) {
+		parent::__construct($appName, $request);
+		$this->sessionService = $sessionService;
+		$this->settingsService = $settingsService;
+		$this->userSession = $userSession;
+	}
+
+	/**
+	 * Runs $action for the logged in user and answers with its result
+	 */
+	private function respond(callable $action): JSONResponse {
+		$user = $this->userSession->getUser();
+		if (!$user) {
+			return new JSONResponse(['error' => 'User not found'], Http::STATUS_UNAUTHORIZED);
+		}
+		if (!$this->settingsService->isEnabled('session')) {
+			return new JSONResponse(['error' => 'Follow-me sessions are turned off by the administrator'], Http::STATUS_FORBIDDEN);
+		}
+
+		try {
+			return new JSONResponse($action($user->getUID()));
+		} catch (NotFoundException $e) {
+			return new JSONResponse(['error' => 'File not found'], Http::STATUS_NOT_FOUND);
+		} catch (NotPresenterException $e) {
+			return new JSONResponse(['error' => $e->getMessage()], Http::STATUS_CONFLICT);
+		} catch (\InvalidArgumentException $e) {
+			return new JSONResponse(['error' => $e->getMessage()], Http::STATUS_BAD_REQUEST);
+		} catch (\Exception $e) {
+			return new JSONResponse(['error' => 'Server error: ' . $e->getMessage()], Http::STATUS_INTERNAL_SERVER_ERROR);
+		}
+	}
+
+	/**
+	 * Joins or stays in the session, polled by every participant
+	 *
+	 * @NoAdminRequired
+	 */
+	public function sync(int $fileId): JSONResponse {
+		return $this->respond(fn (string $userId) => $this->sessionService->sync($userId, $fileId));
+	}
+
+	/**
+	 * @NoAdminRequired
+	 */
+	public function publish(int $fileId, array $state = []): JSONResponse {
+		return $this->respond(fn (string $userId) => $this->sessionService->publish($userId, $fileId, $state));
+	}
+
+	/**
+	 * @NoAdminRequired
+	 */
+	public function takeControl(int $fileId): JSONResponse {
+		return $this->respond(fn (string $userId) => $this->sessionService->takeControl($userId, $fileId));
+	}
+
+	/**
+	 * @NoAdminRequired
+	 */
+	public function leave(int $fileId): JSONResponse {
+		return $this->respond(function (string $userId) use ($fileId) {
+			$this->sessionService->leave($userId, $fileId);
+			return [];
+		});
+	}
+}
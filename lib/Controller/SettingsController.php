@@ -0,0 +1,59 @@
+<?php
+declare(strict_types=1);
+// SPDX-FileCopyrightText: WARP <development@warp.lv>
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+namespace OCA\kicad_viewer\Controller;
+
+use OCA\kicad_viewer\Service\SettingsService;
+use OCP\AppFramework\Controller;
+use OCP\AppFramework\Http;
+use OCP\AppFramework\Http\JSONResponse;
+use OCP\IRequest;
+use OCP\IUserSession;
+
+/**
+ * Admin defaults and personal settings of the viewer, see SettingsService
+ */
+class SettingsController extends Controller {
+	private $settingsService;
+	private $userSession;
+
+	public function __construct(string $appName, IRequest $request, SettingsService $settingsService, IUserSession $userSession) {
+		parent::__construct($appName, $request);
+		$this->settingsService = $settingsService;
+		$this->userSession = $userSession;
+	}
+
+	/**
+	 * Runs $action for the logged in user and answers with its result
+	 */
+	private function respond(callable $action): JSONResponse {
+		$user = $this->userSession->getUser();
+		if (!$user) {
+			return new JSONResponse(['error' => 'User not found'], Http::STATUS_UNAUTHORIZED);
+		}
+
+		try {
+			return new JSONResponse($action($user->getUID()));
+		} catch (\InvalidArgumentException $e) {
+			return new JSONResponse(['error' => $e->getMessage()], Http::STATUS_BAD_REQUEST);
+		} catch (\Exception $e) {
+			return new JSONResponse(['error' => 'Server error: ' . $e->getMessage()], Http::STATUS_INTERNAL_SERVER_ERROR);
+		}
+	}
+
+	/**
+	 * Admins only
+	 */
+	public function updateAdmin(array $settings): JSONResponse {
+		return $this->respond(fn () => $this->settingsService->setAdmin($settings));
+	}
+
+	/**
+	 * @NoAdminRequired
+	 */
+	public function updatePersonal(array $settings): JSONResponse {
+		return $this->respond(fn (string $userId) => $this->settingsService->setPersonal($userId, $settings));
+	}
+}
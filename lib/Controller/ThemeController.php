@@ -0,0 +1,89 @@
+<?php
+declare(strict_types=1);
+// SPDX-FileCopyrightText: WARP <development@warp.lv>
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+namespace OCA\kicad_viewer\Controller;
+
+use OCA\kicad_viewer\Exception\NotOwnerException;
+use OCA\kicad_viewer\Service\ThemeService;
+use OCP\AppFramework\Controller;
+use OCP\AppFramework\Db\DoesNotExistException;
+use OCP\AppFramework\Http;
+use OCP\AppFramework\Http\JSONResponse;
+use OCP\IRequest;
+use OCP\IUserSession;
+
+/**
+ * Color themes of the viewer, see ThemeService
+ */
+class ThemeController extends Controller {
+	private $themeService;
+	private $userSession;
+
+	public function __construct(string $appName, IRequest $request, ThemeService $themeService, IUserSession $userSession) {
+		parent::__construct($appName, $request);
+		$this->themeService = $themeService;
+		$this->userSession = $userSession;
+	}
+
+	/**
+	 * Runs $action for the logged in user and answers with its result
+	 */
+	private function respond(callable $action): JSONResponse {
+		$user = $this->userSession->getUser();
+		if (!$user) {
+			return new JSONResponse(['error' => 'User not found'], Http::STATUS_UNAUTHORIZED);
+		}
+
+		try {
+			return new JSONResponse($action($user->getUID()));
+		} catch (DoesNotExistException $e) {
+			return new JSONResponse(['error' => 'Theme not found'], Http::STATUS_NOT_FOUND);
+		} catch (NotOwnerException $e) {
+			return new JSONResponse(['error' => $e->getMessage()], Http::STATUS_FORBIDDEN);
+		} catch (\InvalidArgumentException $e) {
+			return new JSONResponse(['error' => $e->getMessage()], Http::STATUS_BAD_REQUEST);
+		} catch (\Exception $e) {
+			return new JSONResponse(['error' => 'Server error: ' . $e->getMessage()], Http::STATUS_INTERNAL_SERVER_ERROR);
+		}
+	}
+
+	/**
+	 * @NoAdminRequired
+	 */
+	public function index(): JSONResponse {
+		return $this->respond(fn (string $userId) => $this->themeService->findAll($userId));
+	}
+
+	/**
+	 * @NoAdminRequired
+	 */
+	public function create(string $name, array $colors, bool $shared = false): JSONResponse {
+		return $this->respond(fn (string $userId) => $this->themeService->create($userId, $name, $colors, $shared));
+	}
+
+	/**
+	 * @NoAdminRequired
+	 */
+	public function update(int $id, string $name, array $colors, bool $shared = false): JSONResponse {
+		return $this->respond(fn (string $userId) => $this->themeService->update($userId, $id, $name, $colors, $shared));
+	}
+
+	/**
+	 * @NoAdminRequired
+	 */
+	public function destroy(int $id): JSONResponse {
+		return $this->respond(function (string $userId) use ($id) {
+			$this->themeService->delete($userId, $id);
+			return [];
+		});
+	}
+
+	/**
+	 * @NoAdminRequired
+	 */
+	public function select(?string $selected = null): JSONResponse {
+		return $this->respond(fn (string $userId) => ['selected' => $this->themeService->select($userId, $selected)]);
+	}
+}
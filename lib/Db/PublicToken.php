@@ -0,0 +1,60 @@
+<?php
+declare(strict_types=1);
+// SPDX-FileCopyrightText: WARP <development@warp.lv>
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+namespace OCA\kicad_viewer\Db;
+
+use JsonSerializable;
+use OCP\AppFramework\Db\Entity;
+
+/**
+ * @method string getToken()
+ * @method void setToken(string $token)
+ * @method string getUserId()
+ * @method void setUserId(string $userId)
+ * @method int getFileId()
+ * @method void setFileId(int $fileId)
+ * @method string getPath()
+ * @method void setPath(string $path)
+ * @method string getScope()
+ * @method void setScope(string $scope)
+ * @method string|null getLabel()
+ * @method void setLabel(?string $label)
+ * @method int getCreatedAt()
+ * @method void setCreatedAt(int $createdAt)
+ * @method int|null getExpiresAt()
+ * @method void setExpiresAt(?int $expiresAt)
+ */
+class PublicToken extends Entity implements JsonSerializable {
+	protected $token;
+	protected $userId;
+	protected $fileId;
+	protected $path;
+	protected $scope;
+	protected $label;
+	protected $createdAt;
+	protected $expiresAt;
+
+	public function __construct() {
+		$this->addType('fileId', 'integer');
+		$this->addType('createdAt', 'integer');
+		$this->addType('expiresAt', 'integer');
+	}
+
+	public function isExpired(int $now): bool {
+		return $this->expiresAt !== null && $this->expiresAt <= $now;
+	}
+
+	public function jsonSerialize(): array {
+		return [
+			'token' => $this->token,
+			'fileId' => $this->fileId,
+			'path' => $this->path,
+			'scope' => $this->scope,
+			'label' => $this->label,
+			'createdAt' => $this->createdAt,
+			'expiresAt' => $this->expiresAt,
+		];
+	}
+}
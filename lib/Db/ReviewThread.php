@@ -0,0 +1,58 @@
+<?php
+declare(strict_types=1);
+// SPDX-FileCopyrightText: WARP <development@warp.lv>
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+namespace OCA\kicad_viewer\Db;
+
+use JsonSerializable;
+use OCP\AppFramework\Db\Entity;
+
+/**
+ * Review thread pinned to a place of a KiCad file. Its messages are the
+ * Nextcloud comment `commentId` of the file and the replies to it, the
+ * thread only adds where it is anchored and whether it is resolved.
+ *
+ * @method int getFileId()
+ * @method void setFileId(int $fileId)
+ * @method int getCommentId()
+ * @method void setCommentId(int $commentId)
+ * @method string getAnchor()
+ * @method void setAnchor(string $anchor)
+ * @method string getState()
+ * @method void setState(string $state)
+ * @method string|null getResolvedBy()
+ * @method void setResolvedBy(?string $resolvedBy)
+ * @method int getCreatedAt()
+ * @method void setCreatedAt(int $createdAt)
+ * @method int getUpdatedAt()
+ * @method void setUpdatedAt(int $updatedAt)
+ */
+class ReviewThread extends Entity implements JsonSerializable {
+	protected $fileId;
+	protected $commentId;
+	protected $anchor;
+	protected $state;
+	protected $resolvedBy;
+	protected $createdAt;
+	protected $updatedAt;
+
+	public function __construct() {
+		$this->addType('fileId', 'integer');
+		$this->addType('commentId', 'integer');
+		$this->addType('createdAt', 'integer');
+		$this->addType('updatedAt', 'integer');
+	}
+
+	public function jsonSerialize(): array {
+		return [
+			'id' => $this->id,
+			'fileId' => $this->fileId,
+			'anchor' => json_decode($this->anchor, true),
+			'state' => $this->state,
+			'resolvedBy' => $this->resolvedBy,
+			'createdAt' => $this->createdAt,
+			'updatedAt' => $this->updatedAt,
+		];
+	}
+}
@@ -0,0 +1,41 @@
+<?php
+declare(strict_types=1);
+// SPDX-FileCopyrightText: WARP <development@warp.lv>
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+namespace OCA\kicad_viewer\Db;
+
+use OCP\AppFramework\Db\Entity;
+
+/**
+ * Viewer of a file taking part in its follow-me session. The presenter's
+ * row holds the view the others follow, `version` counts its changes.
+ *
+ * @method int getFileId()
+ * @method void setFileId(int $fileId)
+ * @method string getUserId()
+ * @method void setUserId(string $userId)
+ * @method bool getPresenter()
+ * @method void setPresenter(bool $presenter)
+ * @method string|null getState()
+ * @method void setState(?string $state)
+ * @method int getVersion()
+ * @method void setVersion(int $version)
+ * @method int getSeenAt()
+ * @method void setSeenAt(int $seenAt)
+ */
+class SessionParticipant extends Entity {
+	protected $fileId;
+	protected $userId;
+	protected $presenter;
+	protected $state;
+	protected $version;
+	protected $seenAt;
+
+	public function __construct() {
+		$this->addType('fileId', 'integer');
+		$this->addType('presenter', 'boolean');
+		$this->addType('version', 'integer');
+		$this->addType('seenAt', 'integer');
+	}
+}
@@ -0,0 +1,40 @@
+<?php
+declare(strict_types=1);
+// SPDX-FileCopyrightText: WARP <development@warp.lv>
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+namespace OCA\kicad_viewer\Db;
+
+use OCP\AppFramework\Db\Entity;
+
+/**
+ * Color theme of a user, stored in KiCad's own colors/*.json format so it
+ * goes back to desktop KiCad as it came. Shared ones are offered to everyone.
+ *
+ * @method string getUserId()
+ * @method void setUserId(string $userId)
+ * @method string getName()
+ * @method void setName(string $name)
+ * @method string getColors()
+ * @method void setColors(string $colors)
+ * @method bool getShared()
+ * @method void setShared(bool $shared)
+ * @method int getCreatedAt()
+ * @method void setCreatedAt(int $createdAt)
+ * @method int getUpdatedAt()
+ * @method void setUpdatedAt(int $updatedAt)
+ */
+class Theme extends Entity {
+	protected $userId;
+	protected $name;
+	protected $colors;
+	protected $shared;
+	protected $createdAt;
+	protected $updatedAt;
+
+	public function __construct() {
+		$this->addType('shared', 'boolean');
+		$this->addType('createdAt', 'integer');
+		$this->addType('updatedAt', 'integer');
+	}
+}
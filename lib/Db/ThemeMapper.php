@@ -0,0 +1,65 @@
+<?php
+declare(strict_types=1);
+// SPDX-FileCopyrightText: WARP <development@warp.lv>
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+namespace OCA\kicad_viewer\Db;
+
+use OCP\AppFramework\Db\QBMapper;
+use OCP\DB\QueryBuilder\IQueryBuilder;
+use OCP\IDBConnection;
+
+/**
+ * @template-extends QBMapper<Theme>
+ */
+class ThemeMapper extends QBMapper {
+	public const TABLE_NAME = 'kicad_viewer_themes';
+
+	public function __construct(IDBConnection $db) {
+		parent::__construct($db, self::TABLE_NAME, Theme::class);
+	}
+
+	/**
+	 * @throws \OCP\AppFramework\Db\DoesNotExistException
+	 */
+	public function findTheme(int $id): Theme {
+		$qb = $this->db->getQueryBuilder();
+		$qb->select('*')
+			->from($this->getTableName())
+			->where($qb->expr()->eq('id', $qb->createNamedParameter($id, IQueryBuilder::PARAM_INT)));
+		return $this->findEntity($qb);
+	}
+
+	/**
+	 * Themes of $userId and the ones others share
+	 *
+	 * @return Theme[]
+	 */
+	public function findAllVisible(string $userId): array {
+		$qb = $this->db->getQueryBuilder();
+		$qb->select('*')
+			->from($this->getTableName())
+			->where($qb->expr()->orX(
+				$qb->expr()->eq('user_id', $qb->createNamedParameter($userId)),
+				$qb->expr()->eq('shared', $qb->createNamedParameter(true, IQueryBuilder::PARAM_BOOL))
+			))
+			->orderBy('name', 'ASC')
+			->addOrderBy('id', 'ASC');
+		return $this->findEntities($qb);
+	}
+
+	/**
+	 * Themes shared with everyone
+	 *
+	 * @return Theme[]
+	 */
+	public function findAllShared(): array {
+		$qb = $this->db->getQueryBuilder();
+		$qb->select('*')
+			->from($this->getTableName())
+			->where($qb->expr()->eq('shared', $qb->createNamedParameter(true, IQueryBuilder::PARAM_BOOL)))
+			->orderBy('name', 'ASC')
+			->addOrderBy('id', 'ASC');
+		return $this->findEntities($qb);
+	}
+}
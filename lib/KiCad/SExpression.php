@@ -0,0 +1,133 @@
+<?php
+declare(strict_types=1);
+// SPDX-FileCopyrightText: WARP <development@warp.lv>
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+namespace OCA\kicad_viewer\KiCad;
+
+/**
+ * Minimal KiCad S-expression reader
+ *
+ * Lists become PHP arrays, atoms and quoted strings become strings,
+ * e.g. `(at 10 20 90)` is read as ['at', '10', '20', '90'].
+ */
+class SExpression {
+	private const DELIMITERS = " \t\r\n()\"";
+
+	/**
+	 * @throws \InvalidArgumentException on unbalanced input
+	 */
+	public static function parse(string $source): array {
+		$length = strlen($source);
+		$stack = [];
+		$current = [];
+		$pos = 0;
+
+		while ($pos < $length) {
+			$pos += strspn($source, " \t\r\n", $pos);
+			if ($pos >= $length) {
+				break;
+			}
+
+			$char = $source[$pos];
+			if ($char === '(') {
+				$stack[] = $current;
+				$current = [];
+				$pos++;
+			} elseif ($char === ')') {
+				if (empty($stack)) {
+					throw new \InvalidArgumentException('Unexpected ")" at offset ' . $pos);
+				}
+				$parent = array_pop($stack);
+				$parent[] = $current;
+				$current = $parent;
+				$pos++;
+			} elseif ($char === '"') {
+				$value = '';
+				$pos++;
+				while ($pos < $length && $source[$pos] !== '"') {
+					$chunk = strcspn($source, '"\\', $pos);
+					$value .= substr($source, $pos, $chunk);
+					$pos += $chunk;
+					if ($pos < $length && $source[$pos] === '\\') {
+						$value .= $source[$pos + 1] ?? '';
+						$pos += 2;
+					}
+				}
+				$current[] = $value;
+				$pos++;
+			} else {
+				$chunk = strcspn($source, self::DELIMITERS, $pos);
+				$current[] = substr($source, $pos, $chunk);
+				$pos += $chunk;
+			}
+		}
+
+		if (!empty($stack)) {
+			throw new \InvalidArgumentException('Unbalanced S-expression, missing ")"');
+		}
+		if (!isset($current[0]) || !is_array($current[0])) {
+			throw new \InvalidArgumentException('No S-expression found');
+		}
+		return $current[0];
+	}
+
+	public static function name($node): ?string {
+		return (is_array($node) && isset($node[0]) && is_string($node[0])) ? $node[0] : null;
+	}
+
+	/**
+	 * @return \Generator<array> direct child lists, optionally only those named $name
+	 */
+	public static function children(array $node, ?string $name = null): \Generator {
+		foreach ($node as $child) {
+			if (is_array($child) && ($name === null || self::name($child) === $name)) {
+				yield $child;
+			}
+		}
+	}
+
+	public static function child(array $node, string $name): ?array {
+		foreach (self::children($node, $name) as $child) {
+			return $child;
+		}
+		return null;
+	}
+
+	// value of `(name value)` children such as (layer "F.Cu") or (width 0.2)
+	public static function value(array $node, string $name, ?string $default = null): ?string {
+		$child = self::child($node, $name);
+		return ($child !== null && isset($child[1]) && is_string($child[1])) ? $child[1] : $default;
+	}
+
+	public static function number(array $node, string $name, float $default = 0.0): float {
+		$value = self::value($node, $name);
+		return $value !== null ? (float)$value : $default;
+	}
+
+	/**
+	 * @return float[]|null [x, y] of a `(start x y)` like child
+	 */
+	public static function point(array $node, string $name): ?array {
+		$child = self::child($node, $name);
+		if ($child === null || !isset($child[1], $child[2])) {
+			return null;
+		}
+		return [(float)$child[1], (float)$child[2]];
+	}
+
+	/**
+	 * @return float[][] points of a `(pts (xy x y) ...)` child
+	 */
+	public static function points(array $node): array {
+		$pts = self::child($node, 'pts');
+		if ($pts === null) {
+			return [];
+		}
+		$points = [];
+		foreach (self::children($pts, 'xy') as $xy) {
+			$points[] = [(float)$xy[1], (float)$xy[2]];
+		}
+		return $points;
+	}
+}
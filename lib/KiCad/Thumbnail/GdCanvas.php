@@ -0,0 +1,230 @@
+<?php
+declare(strict_types=1);
+// SPDX-FileCopyrightText: WARP <development@warp.lv>
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+namespace OCA\kicad_viewer\KiCad\Thumbnail;
+
+/**
+ * Collects primitives in KiCad world coordinates (mm, Y down) per layer and
+ * rasterizes them with GD, so thumbnails need neither a browser nor a GPU.
+ *
+ * Colors are [r, g, b] or [r, g, b, alpha] with GD alpha (0 opaque .. 127).
+ */
+class GdCanvas {
+	// drawn at this multiple of the target size, then resampled down
+	private const SUPERSAMPLE = 2;
+	private const ARC_SEGMENTS = 24;
+
+	/** @var array<string, array[]> */
+	private $layers = [];
+	private $bounds = null;
+
+	public function line(string $layer, array $points, float $width, array $color): void {
+		if (count($points) < 2) {
+			return;
+		}
+		$this->add($layer, ['line', $points, $width, $color], $points, $width / 2);
+	}
+
+	public function polygon(string $layer, array $points, array $color): void {
+		if (count($points) < 3) {
+			return;
+		}
+		$this->add($layer, ['polygon', $points, 0.0, $color], $points, 0.0);
+	}
+
+	// a $width of 0 draws a filled disc
+	public function circle(string $layer, array $center, float $radius, array $color, float $width = 0.0): void {
+		$this->add($layer, ['circle', [$center], $width, $color, $radius], [$center], $radius + $width / 2);
+	}
+
+	public function isEmpty(): bool {
+		return $this->bounds === null;
+	}
+
+	/**
+	 * @return float[]|null [minX, minY, maxX, maxY] of everything on $layer
+	 */
+	public function layerBounds(string $layer): ?array {
+		$bounds = null;
+		foreach ($this->layers[$layer] ?? [] as $item) {
+			$grow = $item[0] === 'circle' ? $item[4] : 0.0;
+			$bounds = self::growBounds($bounds, $item[1], $grow);
+		}
+		return $bounds;
+	}
+
+	/**
+	 * @param string[] $order layers to draw, bottom first
+	 * @param float[]|null $bounds area to show, defaults to everything drawn
+	 * @return \GdImage|resource
+	 */
+	public function render(int $maxX, int $maxY, array $background, array $order, ?array $bounds = null) {
+		$bounds = $bounds ?? $this->bounds ?? [0.0, 0.0, 1.0, 1.0];
+		[$minX, $minY, $boundsMaxX, $boundsMaxY] = $bounds;
+		$margin = max($boundsMaxX - $minX, $boundsMaxY - $minY) * 0.04;
+		$minX -= $margin;
+		$minY -= $margin;
+		$worldWidth = max($boundsMaxX - $minX + $margin, 0.001);
+		$worldHeight = max($boundsMaxY - $minY + $margin, 0.001);
+
+		$scale = min($maxX / $worldWidth, $maxY / $worldHeight);
+		$width = max(1, (int)round($worldWidth * $scale));
+		$height = max(1, (int)round($worldHeight * $scale));
+
+		$superScale = $scale * self::SUPERSAMPLE;
+		$image = imagecreatetruecolor($width * self::SUPERSAMPLE, $height * self::SUPERSAMPLE);
+		imagealphablending($image, true);
+		imagefill($image, 0, 0, $this->allocate($image, $background));
+
+		$toPixel = static function (array $point) use ($minX, $minY, $superScale): array {
+			return [($point[0] - $minX) * $superScale, ($point[1] - $minY) * $superScale];
+		};
+
+		foreach ($order as $layer) {
+			foreach ($this->layers[$layer] ?? [] as $item) {
+				$this->drawItem($image, $item, $toPixel, $superScale);
+			}
+		}
+
+		$output = imagecreatetruecolor($width, $height);
+		imagecopyresampled($output, $image, 0, 0, 0, 0, $width, $height, $width * self::SUPERSAMPLE, $height * self::SUPERSAMPLE);
+		imagedestroy($image);
+		return $output;
+	}
+
+	/**
+	 * Points along the arc through $start, $mid and $end
+	 */
+	public static function arcThrough(array $start, array $mid, array $end): array {
+		$ax = $start[0];
+		$ay = $start[1];
+		$bx = $mid[0];
+		$by = $mid[1];
+		$cx = $end[0];
+		$cy = $end[1];
+		$d = 2 * ($ax * ($by - $cy) + $bx * ($cy - $ay) + $cx * ($ay - $by));
+		if (abs($d) < 1e-9) {
+			return [$start, $end];
+		}
+		$ux = (($ax ** 2 + $ay ** 2) * ($by - $cy) + ($bx ** 2 + $by ** 2) * ($cy - $ay) + ($cx ** 2 + $cy ** 2) * ($ay - $by)) / $d;
+		$uy = (($ax ** 2 + $ay ** 2) * ($cx - $bx) + ($bx ** 2 + $by ** 2) * ($ax - $cx) + ($cx ** 2 + $cy ** 2) * ($bx - $ax)) / $d;
+
+		$startAngle = atan2($ay - $uy, $ax - $ux);
+		$midAngle = atan2($by - $uy, $bx - $ux);
+		$endAngle = atan2($cy - $uy, $cx - $ux);
+		$sweep = self::normalizeAngle($endAngle - $startAngle);
+		// sweep the other way round when the mid point is not on the positive sweep
+		if (self::normalizeAngle($midAngle - $startAngle) > $sweep) {
+			$sweep -= 2 * M_PI;
+		}
+		return self::arcAround([$ux, $uy], hypot($ax - $ux, $ay - $uy), $startAngle, $sweep);
+	}
+
+	/**
+	 * Points of an arc around $center starting at $start, sweeping $angle degrees
+	 */
+	public static function arcFrom(array $center, array $start, float $angle): array {
+		$radius = hypot($start[0] - $center[0], $start[1] - $center[1]);
+		$startAngle = atan2($start[1] - $center[1], $start[0] - $center[0]);
+		return self::arcAround($center, $radius, $startAngle, deg2rad($angle));
+	}
+
+	private static function arcAround(array $center, float $radius, float $startAngle, float $sweep): array {
+		$segments = max(2, (int)ceil(self::ARC_SEGMENTS * abs($sweep) / (2 * M_PI)));
+		$points = [];
+		for ($i = 0; $i <= $segments; $i++) {
+			$angle = $startAngle + $sweep * $i / $segments;
+			$points[] = [$center[0] + $radius * cos($angle), $center[1] + $radius * sin($angle)];
+		}
+		return $points;
+	}
+
+	private static function normalizeAngle(float $angle): float {
+		$angle = fmod($angle, 2 * M_PI);
+		return $angle < 0 ? $angle + 2 * M_PI : $angle;
+	}
+
+	private static function growBounds(?array $bounds, array $points, float $grow): ?array {
+		foreach ($points as [$x, $y]) {
+			$bounds = $bounds === null
+				? [$x - $grow, $y - $grow, $x + $grow, $y + $grow]
+				: [min($bounds[0], $x - $grow), min($bounds[1], $y - $grow), max($bounds[2], $x + $grow), max($bounds[3], $y + $grow)];
+		}
+		return $bounds;
+	}
+
+	private function add(string $layer, array $item, array $points, float $grow): void {
+		$this->layers[$layer][] = $item;
+		$this->bounds = self::growBounds($this->bounds, $points, $grow);
+	}
+
+	private function drawItem($image, array $item, callable $toPixel, float $scale): void {
+		[$type, $points, $width, $color] = $item;
+		$gdColor = $this->allocate($image, $color);
+		$pixels = array_map($toPixel, $points);
+		$pixelWidth = $width * $scale;
+
+		switch ($type) {
+			case 'polygon':
+				$this->filledPolygon($image, $pixels, $gdColor);
+				break;
+			case 'circle':
+				[$x, $y] = $pixels[0];
+				$diameter = max(1, (int)round($item[4] * 2 * $scale));
+				if ($width > 0) {
+					imagesetthickness($image, max(1, (int)round($pixelWidth)));
+					imageellipse($image, (int)round($x), (int)round($y), $diameter, $diameter, $gdColor);
+					imagesetthickness($image, 1);
+				} else {
+					imagefilledellipse($image, (int)round($x), (int)round($y), $diameter, $diameter, $gdColor);
+				}
+				break;
+			case 'line':
+				for ($i = 1, $count = count($pixels); $i < $count; $i++) {
+					$this->segment($image, $pixels[$i - 1], $pixels[$i], $pixelWidth, $gdColor);
+				}
+				break;
+		}
+	}
+
+	// thick segments as quads with round caps, GD's own thick lines have none
+	private function segment($image, array $from, array $to, float $width, int $color): void {
+		if ($width <= 1.5) {
+			imageline($image, (int)round($from[0]), (int)round($from[1]), (int)round($to[0]), (int)round($to[1]), $color);
+			return;
+		}
+		$length = hypot($to[0] - $from[0], $to[1] - $from[1]);
+		$diameter = (int)round($width);
+		if ($length > 0) {
+			$nx = -($to[1] - $from[1]) / $length * $width / 2;
+			$ny = ($to[0] - $from[0]) / $length * $width / 2;
+			$this->filledPolygon($image, [
+				[$from[0] + $nx, $from[1] + $ny],
+				[$to[0] + $nx, $to[1] + $ny],
+				[$to[0] - $nx, $to[1] - $ny],
+				[$from[0] - $nx, $from[1] - $ny],
+			], $color);
+			imagefilledellipse($image, (int)round($to[0]), (int)round($to[1]), $diameter, $diameter, $color);
+		}
+		imagefilledellipse($image, (int)round($from[0]), (int)round($from[1]), $diameter, $diameter, $color);
+	}
+
+	private function filledPolygon($image, array $pixels, int $color): void {
+		$flat = [];
+		foreach ($pixels as [$x, $y]) {
+			$flat[] = (int)round($x);
+			$flat[] = (int)round($y);
+		}
+		if (PHP_VERSION_ID >= 80000) {
+			imagefilledpolygon($image, $flat, $color);
+		} else {
+			imagefilledpolygon($image, $flat, count($pixels), $color);
+		}
+	}
+
+	private function allocate($image, array $color): int {
+		return imagecolorallocatealpha($image, $color[0], $color[1], $color[2], $color[3] ?? 0);
+	}
+}
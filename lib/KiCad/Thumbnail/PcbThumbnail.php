@@ -0,0 +1,253 @@
+<?php
+declare(strict_types=1);
+// SPDX-FileCopyrightText: WARP <development@warp.lv>
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+namespace OCA\kicad_viewer\KiCad\Thumbnail;
+
+use OCA\kicad_viewer\KiCad\SExpression as S;
+
+/**
+ * Board thumbnail: outline, outer copper (zones, tracks, vias, pads) and
+ * silkscreen, colored like the default KiCad theme
+ */
+class PcbThumbnail {
+	private const BACKGROUND = [0, 16, 35];
+	private const COLORS = [
+		'B.Cu' => [77, 127, 196, 40],
+		'B.SilkS' => [232, 178, 167, 20],
+		'F.Cu' => [200, 52, 52, 40],
+		'F.SilkS' => [242, 237, 161, 0],
+		'Edge.Cuts' => [208, 210, 205, 0],
+		'Pads.B' => [77, 127, 196, 0],
+		'Pads.F' => [200, 52, 52, 0],
+		'Vias' => [236, 236, 236, 0],
+		'Holes' => [0, 16, 35, 0],
+	];
+	private const ZONE_ALPHA = 80;
+	private const ORDER = ['B.Cu', 'Pads.B', 'B.SilkS', 'F.Cu', 'Pads.F', 'Vias', 'Holes', 'F.SilkS', 'Edge.Cuts'];
+	// KiCad 7 renamed the silkscreen layers
+	private const LAYER_ALIASES = [
+		'F.Silkscreen' => 'F.SilkS',
+		'B.Silkscreen' => 'B.SilkS',
+	];
+
+	private $canvas;
+
+	public function __construct(array $pcb) {
+		$this->canvas = new GdCanvas();
+		foreach ($pcb as $node) {
+			if (!is_array($node)) {
+				continue;
+			}
+			switch (S::name($node)) {
+				case 'segment':
+					$this->track($node, [S::point($node, 'start'), S::point($node, 'end')]);
+					break;
+				case 'arc':
+					$arc = [S::point($node, 'start'), S::point($node, 'mid'), S::point($node, 'end')];
+					if (!in_array(null, $arc, true)) {
+						$this->track($node, GdCanvas::arcThrough(...$arc));
+					}
+					break;
+				case 'via':
+					$this->via($node);
+					break;
+				case 'zone':
+					$this->zone($node);
+					break;
+				case 'footprint':
+				case 'module':
+					$this->footprint($node);
+					break;
+				default:
+					$this->graphic($node, null);
+			}
+		}
+	}
+
+	/**
+	 * @return \GdImage|resource|null
+	 */
+	public function render(int $maxX, int $maxY) {
+		if ($this->canvas->isEmpty()) {
+			return null;
+		}
+		// frame the board outline when there is one, footprints around it are noise
+		$bounds = $this->canvas->layerBounds('Edge.Cuts');
+		return $this->canvas->render($maxX, $maxY, self::BACKGROUND, self::ORDER, $bounds);
+	}
+
+	private static function layer(?string $name): ?string {
+		$name = self::LAYER_ALIASES[$name] ?? $name;
+		return isset(self::COLORS[$name]) ? $name : null;
+	}
+
+	private function track(array $node, array $points): void {
+		$layer = self::layer(S::value($node, 'layer'));
+		if ($layer === null || in_array(null, $points, true)) {
+			return;
+		}
+		$this->canvas->line($layer, $points, S::number($node, 'width', 0.2), self::COLORS[$layer]);
+	}
+
+	private function via(array $node): void {
+		$at = S::point($node, 'at');
+		if ($at === null) {
+			return;
+		}
+		$this->canvas->circle('Vias', $at, S::number($node, 'size', 0.8) / 2, self::COLORS['Vias']);
+		$this->canvas->circle('Holes', $at, S::number($node, 'drill', 0.4) / 2, self::COLORS['Holes']);
+	}
+
+	private function zone(array $node): void {
+		foreach (S::children($node, 'filled_polygon') as $polygon) {
+			$layer = self::layer(S::value($polygon, 'layer') ?? S::value($node, 'layer'));
+			if ($layer === null) {
+				continue;
+			}
+			$color = self::COLORS[$layer];
+			$color[3] = self::ZONE_ALPHA;
+			$this->canvas->polygon($layer, S::points($polygon), $color);
+		}
+	}
+
+	private function footprint(array $node): void {
+		$at = S::child($node, 'at');
+		$transform = self::transform(
+			(float)($at[1] ?? 0),
+			(float)($at[2] ?? 0),
+			(float)(isset($at[3]) && is_numeric($at[3]) ? $at[3] : 0)
+		);
+
+		foreach ($node as $child) {
+			if (!is_array($child)) {
+				continue;
+			}
+			if (S::name($child) === 'pad') {
+				$this->pad($child, $transform);
+			} else {
+				$this->graphic($child, $transform);
+			}
+		}
+	}
+
+	// lines, rects, circles, arcs and polygons of the board or a footprint
+	private function graphic(array $node, ?callable $transform): void {
+		$name = S::name($node);
+		if ($name === null || !preg_match('/^(gr|fp)_(line|rect|circle|arc|poly)$/', $name, $matches)) {
+			return;
+		}
+		$layer = self::layer(S::value($node, 'layer'));
+		if ($layer === null) {
+			return;
+		}
+
+		$stroke = S::child($node, 'stroke');
+		$width = S::number($stroke ?? $node, 'width', S::number($node, 'width', 0.15));
+		$transform = $transform ?? static function (array $point): array {
+			return $point;
+		};
+		$start = S::point($node, 'start');
+		$end = S::point($node, 'end');
+		$fill = S::value($node, 'fill');
+		$filled = $fill !== null && $fill !== 'none' && $fill !== 'no';
+		if ($matches[2] !== 'poly' && $end === null) {
+			return;
+		}
+
+		switch ($matches[2]) {
+			case 'line':
+				$points = [$start ?? $end, $end];
+				break;
+			case 'rect':
+				$start = $start ?? $end;
+				$points = [$start, [$end[0], $start[1]], $end, [$start[0], $end[1]], $start];
+				break;
+			case 'circle':
+				$center = S::point($node, 'center') ?? $start;
+				$points = GdCanvas::arcFrom($center, $end, 360);
+				break;
+			case 'arc':
+				$mid = S::point($node, 'mid');
+				$start = $start ?? $end;
+				$points = $mid !== null
+					// KiCad 5 stored the center as start and the arc start as end
+					? GdCanvas::arcThrough($start, $mid, $end)
+					: GdCanvas::arcFrom($start, $end, S::number($node, 'angle', 0.0));
+				break;
+			default:
+				$points = S::points($node);
+				$filled = $filled || $fill === null;
+				if ($points) {
+					$points[] = $points[0];
+				}
+		}
+
+		$points = array_map($transform, $points);
+		if ($filled) {
+			$this->canvas->polygon($layer, $points, self::COLORS[$layer]);
+		}
+		$this->canvas->line($layer, $points, $width, self::COLORS[$layer]);
+	}
+
+	private function pad(array $node, callable $transform): void {
+		$layers = array_slice(S::child($node, 'layers') ?? [], 1);
+		$targets = [];
+		if (in_array('F.Cu', $layers, true) || in_array('*.Cu', $layers, true)) {
+			$targets[] = 'Pads.F';
+		}
+		if (in_array('B.Cu', $layers, true) || in_array('*.Cu', $layers, true)) {
+			$targets[] = 'Pads.B';
+		}
+
+		$at = S::child($node, 'at');
+		$size = S::child($node, 'size');
+		if ($at === null || $size === null) {
+			return;
+		}
+		$center = $transform([(float)$at[1], (float)$at[2]]);
+		// pad orientation is stored absolute, not relative to the footprint
+		$padTransform = self::transform($center[0], $center[1], (float)(isset($at[3]) && is_numeric($at[3]) ? $at[3] : 0));
+		$halfX = (float)$size[1] / 2;
+		$halfY = (float)($size[2] ?? $size[1]) / 2;
+		$shape = $node[3] ?? 'rect';
+
+		foreach ($targets as $target) {
+			$color = self::COLORS[$target];
+			if ($shape === 'circle') {
+				$this->canvas->circle($target, $center, $halfX, $color);
+			} elseif ($shape === 'oval') {
+				$radius = min($halfX, $halfY);
+				$this->canvas->line($target, [
+					$padTransform([-($halfX - $radius), -($halfY - $radius)]),
+					$padTransform([$halfX - $radius, $halfY - $radius]),
+				], $radius * 2, $color);
+			} else {
+				$this->canvas->polygon($target, array_map($padTransform, [
+					[-$halfX, -$halfY], [$halfX, -$halfY], [$halfX, $halfY], [-$halfX, $halfY],
+				]), $color);
+			}
+		}
+
+		$drill = S::child($node, 'drill');
+		if ($drill !== null) {
+			$diameters = array_values(array_filter(array_slice($drill, 1), 'is_numeric'));
+			if ($diameters) {
+				$this->canvas->circle('Holes', $center, min(array_map('floatval', $diameters)) / 2, self::COLORS['Holes']);
+			}
+		}
+	}
+
+	// KiCad rotates counter clockwise on screen, with Y pointing down
+	private static function transform(float $x, float $y, float $degrees): callable {
+		$cos = cos(deg2rad($degrees));
+		$sin = sin(deg2rad($degrees));
+		return static function (array $point) use ($x, $y, $cos, $sin): array {
+			return [
+				$x + $point[0] * $cos + $point[1] * $sin,
+				$y - $point[0] * $sin + $point[1] * $cos,
+			];
+		};
+	}
+}
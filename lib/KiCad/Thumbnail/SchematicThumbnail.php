@@ -0,0 +1,251 @@
+<?php
+declare(strict_types=1);
+// SPDX-FileCopyrightText: WARP <development@warp.lv>
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+namespace OCA\kicad_viewer\KiCad\Thumbnail;
+
+use OCA\kicad_viewer\KiCad\SExpression as S;
+
+/**
+ * Schematic thumbnail of a single sheet: wires, buses, junctions, symbol
+ * bodies with their pins and sub-sheet boxes, without any text
+ */
+class SchematicThumbnail {
+	private const BACKGROUND = [245, 244, 239];
+	private const COLORS = [
+		'wire' => [0, 150, 0],
+		'bus' => [0, 0, 132],
+		'junction' => [0, 150, 0],
+		'no_connect' => [0, 0, 132],
+		'notes' => [0, 0, 194],
+		'sheet' => [132, 0, 0],
+		'sheet_background' => [255, 255, 255, 60],
+		'symbol' => [132, 0, 0],
+		'symbol_background' => [255, 255, 194],
+		'pin' => [132, 0, 0],
+	];
+	private const ORDER = ['background', 'notes', 'sheet', 'symbol', 'pin', 'wire', 'bus', 'junction'];
+
+	private const LINE_WIDTH = 0.1524;
+	private const WIRE_WIDTH = 0.1524;
+	private const BUS_WIDTH = 0.3048;
+	private const JUNCTION_DIAMETER = 0.9144;
+
+	private $canvas;
+	/** @var array<string, array> */
+	private $libSymbols = [];
+
+	public function __construct(array $schematic) {
+		$this->canvas = new GdCanvas();
+
+		$libSymbols = S::child($schematic, 'lib_symbols');
+		foreach (S::children($libSymbols ?? [], 'symbol') as $libSymbol) {
+			$this->libSymbols[$libSymbol[1]] = $libSymbol;
+		}
+
+		foreach ($schematic as $node) {
+			if (!is_array($node)) {
+				continue;
+			}
+			switch (S::name($node)) {
+				case 'wire':
+					$this->canvas->line('wire', S::points($node), self::WIRE_WIDTH, self::COLORS['wire']);
+					break;
+				case 'bus':
+					$this->canvas->line('bus', S::points($node), self::BUS_WIDTH, self::COLORS['bus']);
+					break;
+				case 'bus_entry':
+					$this->busEntry($node);
+					break;
+				case 'polyline':
+					$this->canvas->line('notes', S::points($node), self::LINE_WIDTH, self::COLORS['notes']);
+					break;
+				case 'junction':
+					$this->junction($node);
+					break;
+				case 'no_connect':
+					$this->noConnect($node);
+					break;
+				case 'sheet':
+					$this->sheet($node);
+					break;
+				case 'symbol':
+					$this->symbol($node);
+					break;
+			}
+		}
+	}
+
+	/**
+	 * @return \GdImage|resource|null
+	 */
+	public function render(int $maxX, int $maxY) {
+		if ($this->canvas->isEmpty()) {
+			return null;
+		}
+		return $this->canvas->render($maxX, $maxY, self::BACKGROUND, self::ORDER);
+	}
+
+	private function busEntry(array $node): void {
+		$at = S::point($node, 'at');
+		$size = S::point($node, 'size');
+		if ($at !== null && $size !== null) {
+			$this->canvas->line('bus', [$at, [$at[0] + $size[0], $at[1] + $size[1]]], self::WIRE_WIDTH, self::COLORS['bus']);
+		}
+	}
+
+	private function junction(array $node): void {
+		$at = S::point($node, 'at');
+		if ($at === null) {
+			return;
+		}
+		$diameter = S::number($node, 'diameter', 0.0);
+		$diameter = $diameter > 0 ? $diameter : self::JUNCTION_DIAMETER;
+		$this->canvas->circle('junction', $at, $diameter / 2, self::COLORS['junction']);
+	}
+
+	private function noConnect(array $node): void {
+		$at = S::point($node, 'at');
+		if ($at === null) {
+			return;
+		}
+		$size = 0.635;
+		[$x, $y] = $at;
+		$this->canvas->line('wire', [[$x - $size, $y - $size], [$x + $size, $y + $size]], self::LINE_WIDTH, self::COLORS['no_connect']);
+		$this->canvas->line('wire', [[$x - $size, $y + $size], [$x + $size, $y - $size]], self::LINE_WIDTH, self::COLORS['no_connect']);
+	}
+
+	private function sheet(array $node): void {
+		$at = S::point($node, 'at');
+		$size = S::point($node, 'size');
+		if ($at === null || $size === null) {
+			return;
+		}
+		[$x, $y] = $at;
+		[$width, $height] = $size;
+		$rect = [[$x, $y], [$x + $width, $y], [$x + $width, $y + $height], [$x, $y + $height], [$x, $y]];
+		$this->canvas->polygon('background', $rect, self::COLORS['sheet_background']);
+		$this->canvas->line('sheet', $rect, self::LINE_WIDTH * 2, self::COLORS['sheet']);
+	}
+
+	private function symbol(array $node): void {
+		$libId = S::value($node, 'lib_name') ?? S::value($node, 'lib_id');
+		$at = S::child($node, 'at');
+		if ($libId === null || $at === null || !isset($this->libSymbols[$libId])) {
+			return;
+		}
+		$transform = self::symbolTransform(
+			(float)$at[1],
+			(float)$at[2],
+			(int)($at[3] ?? 0),
+			S::value($node, 'mirror')
+		);
+		$unit = (int)S::value($node, 'unit', '1');
+		$bodyStyle = (int)(S::value($node, 'convert') ?? S::value($node, 'body_style', '1'));
+
+		// units are nested symbols named <name>_<unit>_<body style>, 0 is shared
+		foreach (S::children($this->libSymbols[$libId], 'symbol') as $part) {
+			if (!preg_match('/_(\d+)_(\d+)$/', $part[1], $matches)) {
+				continue;
+			}
+			$partUnit = (int)$matches[1];
+			$partStyle = (int)$matches[2];
+			if (($partUnit === 0 || $partUnit === $unit) && ($partStyle === 0 || $partStyle === $bodyStyle)) {
+				$this->libSymbolPart($part, $transform);
+			}
+		}
+	}
+
+	private function libSymbolPart(array $part, callable $transform): void {
+		foreach ($part as $item) {
+			if (!is_array($item)) {
+				continue;
+			}
+			$points = null;
+			switch (S::name($item)) {
+				case 'rectangle':
+					$start = S::point($item, 'start');
+					$end = S::point($item, 'end');
+					if ($start !== null && $end !== null) {
+						$points = [$start, [$end[0], $start[1]], $end, [$start[0], $end[1]], $start];
+					}
+					break;
+				case 'polyline':
+					$points = S::points($item);
+					break;
+				case 'circle':
+					$center = S::point($item, 'center');
+					if ($center !== null) {
+						$points = GdCanvas::arcFrom($center, [$center[0] + S::number($item, 'radius'), $center[1]], 360);
+					}
+					break;
+				case 'arc':
+					$start = S::point($item, 'start');
+					$mid = S::point($item, 'mid');
+					$end = S::point($item, 'end');
+					if ($start !== null && $end !== null) {
+						$points = $mid !== null ? GdCanvas::arcThrough($start, $mid, $end) : [$start, $end];
+					}
+					break;
+				case 'pin':
+					$this->pin($item, $transform);
+					break;
+			}
+			if (!$points) {
+				continue;
+			}
+
+			$points = array_map($transform, $points);
+			$fill = S::value(S::child($item, 'fill') ?? [], 'type', 'none');
+			if ($fill === 'background') {
+				$this->canvas->polygon('background', $points, self::COLORS['symbol_background']);
+			} elseif ($fill === 'outline') {
+				$this->canvas->polygon('symbol', $points, self::COLORS['symbol']);
+			}
+			$stroke = S::child($item, 'stroke');
+			$width = $stroke !== null ? S::number($stroke, 'width', 0.0) : 0.0;
+			$this->canvas->line('symbol', $points, $width > 0 ? $width : self::LINE_WIDTH, self::COLORS['symbol']);
+		}
+	}
+
+	private function pin(array $pin, callable $transform): void {
+		if (in_array('hide', $pin, true) || S::value($pin, 'hide') === 'yes') {
+			return;
+		}
+		$at = S::child($pin, 'at');
+		if ($at === null) {
+			return;
+		}
+		$length = S::number($pin, 'length', 2.54);
+		$angle = deg2rad((float)($at[3] ?? 0));
+		// library coordinates point Y up, the symbol transform flips them
+		$start = [(float)$at[1], (float)$at[2]];
+		$end = [$start[0] + $length * cos($angle), $start[1] + $length * sin($angle)];
+		$this->canvas->line('pin', [$transform($start), $transform($end)], self::LINE_WIDTH, self::COLORS['pin']);
+	}
+
+	// same orientation matrices as KiCad's symbol transforms, including the Y flip
+	private static function symbolTransform(float $x, float $y, int $rotation, ?string $mirror): callable {
+		$matrices = [
+			0 => [1, 0, 0, -1],
+			90 => [0, -1, -1, 0],
+			180 => [-1, 0, 0, 1],
+			270 => [0, 1, 1, 0],
+		];
+		[$xx, $xy, $yx, $yy] = $matrices[(($rotation % 360) + 360) % 360] ?? $matrices[0];
+		if ($mirror === 'y') {
+			$xx = -$xx;
+			$yx = -$yx;
+		} elseif ($mirror === 'x') {
+			$xy = -$xy;
+			$yy = -$yy;
+		}
+		return static function (array $point) use ($x, $y, $xx, $xy, $yx, $yy): array {
+			return [
+				$x + $point[0] * $xx + $point[1] * $yx,
+				$y + $point[0] * $xy + $point[1] * $yy,
+			];
+		};
+	}
+}
@@ -19,6 +19,7 @@ class AddCspEventListener implements IEventListener {
 		$csp = new EmptyContentSecurityPolicy();
 		$csp->addAllowedFrameDomain('\'self\'');
 		$csp->addAllowedConnectDomain('blob:');
+		$csp->addAllowedWorkerSrcDomain('\'self\''); // the parser worker
 		$csp->addAllowedStyleDomain('https://fonts.googleapis.com');
 		$csp->addAllowedFontDomain('https://fonts.gstatic.com');
 		$csp->allowEvalScript(true); // DEPR: see NC sources
@@ -5,21 +5,38 @@ declare(strict_types=1);
 
 namespace OCA\kicad_viewer\Listener;
 use OCA\kicad_viewer\AppInfo\Application;
+use OCA\kicad_viewer\Service\SettingsService;
 
-use OCP\AppFramework\Http\Events\BeforeTemplateRenderedEvent;
-use OCP\AppFramework\Http\TemplateResponse;
+use OCA\Files_Sharing\Event\BeforeTemplateRenderedEvent;
+use OCP\App\IAppManager;
+use OCP\AppFramework\Services\IInitialState;
 use OCP\EventDispatcher\Event;
 use OCP\EventDispatcher\IEventListener;
 use OCP\Util;
 
 class LoadPublicViewerListener implements IEventListener {
+	private $settingsService;
+	private $initialState;
+	private $appManager;
+
+	public function __construct(SettingsService $settingsService, IInitialState $initialState, IAppManager $appManager) {
+		$this->settingsService = $settingsService;
+		$this->initialState = $initialState;
+		$this->appManager = $appManager;
+	}
+
 	public function handle(Event $event): void {
 		if (!$event instanceof BeforeTemplateRenderedEvent) {
 			return;
 		}
-		if ($event->getResponse()->getRenderAs() !== TemplateResponse::RENDER_AS_PUBLIC) {
+		// password protected shares render the authentication form first
+		if ($event->getScope() !== null) {
 			return;
 		}
-		Util::addScript(Application::APP_ID, 'kicad_viewer');
+		// visitors get the admin's defaults
+		$this->initialState->provideInitialState('viewer-settings', $this->settingsService->getViewerSettings(null));
+		// for the diagnostics of failed loads
+		$this->initialState->provideInitialState('app-version', $this->appManager->getAppVersion(Application::APP_ID));
+		Util::addScript(Application::APP_ID, 'kicad_viewer', 'viewer');
 	}
 }
@@ -5,17 +5,37 @@ declare(strict_types=1);
 
 namespace OCA\kicad_viewer\Listener;
 use OCA\kicad_viewer\AppInfo\Application;
+use OCA\kicad_viewer\Service\SettingsService;
 
 use OCA\Viewer\Event\LoadViewer;
+use OCP\App\IAppManager;
+use OCP\AppFramework\Services\IInitialState;
 use OCP\EventDispatcher\Event;
 use OCP\EventDispatcher\IEventListener;
+use OCP\IUserSession;
 use OCP\Util;
 
 class LoadViewerListener implements IEventListener {
+	private $settingsService;
+	private $initialState;
+	private $userSession;
+	private $appManager;
+
+	public function __construct(SettingsService $settingsService, IInitialState $initialState, IUserSession $userSession, IAppManager $appManager) {
+		$this->settingsService = $settingsService;
+		$this->initialState = $initialState;
+		$this->userSession = $userSession;
+		$this->appManager = $appManager;
+	}
+
 	public function handle(Event $event): void {
 		if (!$event instanceof LoadViewer) {
 			return;
 		}
+		$user = $this->userSession->getUser();
+		$this->initialState->provideInitialState('viewer-settings', $this->settingsService->getViewerSettings($user ? $user->getUID() : null));
+		// for the diagnostics of failed loads
+		$this->initialState->provideInitialState('app-version', $this->appManager->getAppVersion(Application::APP_ID));
 		Util::addScript(Application::APP_ID, 'kicad_viewer', 'viewer');
 	}
 }
@@ -19,6 +19,33 @@ abstract class MimeTypeBase implements IRepairStep
 		'kicad_sch' => ['application/x-kicad-schematic'],
 		'kicad_pcb' => ['application/x-kicad-pcb'],
 		'kicad_pro' => ['application/x-kicad-project'],
+		'kicad_sym' => ['application/x-kicad-symbol'],
+		'kicad_mod' => ['application/x-kicad-footprint'],
+		'kicad_wks' => ['application/x-kicad-worksheet'],
+		// KiCad 5 schematics, opened to tell why the viewer cannot show them.
+		// Eagle and others use the extension too, the viewer reads the header
+		// and tells their files apart.
+		'sch' => ['application/x-kicad-legacy-schematic'],
+		// fabrication outputs, https://www.ucamco.com/en/gerber
+		'gbr' => ['application/vnd.gerber'],
+		'gtl' => ['application/vnd.gerber'],
+		'gbl' => ['application/vnd.gerber'],
+		'gto' => ['application/vnd.gerber'],
+		'gbo' => ['application/vnd.gerber'],
+		'gts' => ['application/vnd.gerber'],
+		'gbs' => ['application/vnd.gerber'],
+		'gtp' => ['application/vnd.gerber'],
+		'gbp' => ['application/vnd.gerber'],
+		'gko' => ['application/vnd.gerber'],
+		'gm1' => ['application/vnd.gerber'],
+		'gml' => ['application/vnd.gerber'],
+		'g1' => ['application/vnd.gerber'],
+		'g2' => ['application/vnd.gerber'],
+		'g3' => ['application/vnd.gerber'],
+		'g4' => ['application/vnd.gerber'],
+		'gbrjob' => ['application/x-gerber-job'],
+		'drl' => ['application/x-excellon'],
+		'xln' => ['application/x-excellon'],
 	);
 
 	// files that will not be previewed by this, but icons might be handy
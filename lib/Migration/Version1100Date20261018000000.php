@@ -0,0 +1,70 @@
+<?php
+declare(strict_types=1);
+// SPDX-FileCopyrightText: WARP <development@warp.lv>
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+namespace OCA\kicad_viewer\Migration;
+
+use Closure;
+use OCA\kicad_viewer\Db\PublicTokenMapper;
+use OCP\DB\ISchemaWrapper;
+use OCP\DB\Types;
+use OCP\Migration\IOutput;
+use OCP\Migration\SimpleMigrationStep;
+
+class Version1100Date20261018000000 extends SimpleMigrationStep {
+	public function changeSchema(IOutput $output, Closure $schemaClosure, array $options): ?ISchemaWrapper {
+		/** @var ISchemaWrapper $schema */
+		$schema = $schemaClosure();
+
+		if ($schema->hasTable(PublicTokenMapper::TABLE_NAME)) {
+			return null;
+		}
+
+		$table = $schema->createTable(PublicTokenMapper::TABLE_NAME);
+		$table->addColumn('id', Types::BIGINT, [
+			'autoincrement' => true,
+			'notnull' => true,
+			'unsigned' => true,
+		]);
+		$table->addColumn('token', Types::STRING, [
+			'notnull' => true,
+			'length' => 64,
+		]);
+		$table->addColumn('user_id', Types::STRING, [
+			'notnull' => true,
+			'length' => 64,
+		]);
+		$table->addColumn('file_id', Types::BIGINT, [
+			'notnull' => true,
+			'unsigned' => true,
+		]);
+		$table->addColumn('path', Types::STRING, [
+			'notnull' => true,
+			'length' => 4000,
+		]);
+		$table->addColumn('scope', Types::STRING, [
+			'notnull' => true,
+			'length' => 16,
+			'default' => 'file',
+		]);
+		$table->addColumn('label', Types::STRING, [
+			'notnull' => false,
+			'length' => 255,
+		]);
+		$table->addColumn('created_at', Types::BIGINT, [
+			'notnull' => true,
+			'unsigned' => true,
+		]);
+		$table->addColumn('expires_at', Types::BIGINT, [
+			'notnull' => false,
+			'unsigned' => true,
+		]);
+		$table->setPrimaryKey(['id']);
+		$table->addUniqueIndex(['token'], 'kicad_viewer_tokens_token');
+		$table->addIndex(['user_id'], 'kicad_viewer_tokens_user');
+		$table->addIndex(['expires_at'], 'kicad_viewer_tokens_expiry');
+
+		return $schema;
+	}
+}
@@ -0,0 +1,64 @@
+<?php
+declare(strict_types=1);
+// SPDX-FileCopyrightText: WARP <development@warp.lv>
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+namespace OCA\kicad_viewer\Migration;
+
+use Closure;
+use OCA\kicad_viewer\Db\ReviewThreadMapper;
+use OCP\DB\ISchemaWrapper;
+use OCP\DB\Types;
+use OCP\Migration\IOutput;
+use OCP\Migration\SimpleMigrationStep;
+
+class Version1400Date20261018000000 extends SimpleMigrationStep {
+	public function changeSchema(IOutput $output, Closure $schemaClosure, array $options): ?ISchemaWrapper {
+		/** @var ISchemaWrapper $schema */
+		$schema = $schemaClosure();
+
+		if ($schema->hasTable(ReviewThreadMapper::TABLE_NAME)) {
+			return null;
+		}
+
+		$table = $schema->createTable(ReviewThreadMapper::TABLE_NAME);
+		$table->addColumn('id', Types::BIGINT, [
+			'autoincrement' => true,
+			'notnull' => true,
+			'unsigned' => true,
+		]);
+		$table->addColumn('file_id', Types::BIGINT, [
+			'notnull' => true,
+			'unsigned' => true,
+		]);
+		$table->addColumn('comment_id', Types::BIGINT, [
+			'notnull' => true,
+			'unsigned' => true,
+		]);
+		$table->addColumn('anchor', Types::TEXT, [
+			'notnull' => true,
+		]);
+		$table->addColumn('state', Types::STRING, [
+			'notnull' => true,
+			'length' => 16,
+			'default' => 'open',
+		]);
+		$table->addColumn('resolved_by', Types::STRING, [
+			'notnull' => false,
+			'length' => 64,
+		]);
+		$table->addColumn('created_at', Types::BIGINT, [
+			'notnull' => true,
+			'unsigned' => true,
+		]);
+		$table->addColumn('updated_at', Types::BIGINT, [
+			'notnull' => true,
+			'unsigned' => true,
+		]);
+		$table->setPrimaryKey(['id']);
+		$table->addIndex(['file_id'], 'kicad_viewer_reviews_file');
+		$table->addUniqueIndex(['comment_id'], 'kicad_viewer_reviews_comment');
+
+		return $schema;
+	}
+}
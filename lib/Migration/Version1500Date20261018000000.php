@@ -0,0 +1,61 @@
+<?php
+declare(strict_types=1);
+// SPDX-FileCopyrightText: WARP <development@warp.lv>
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+namespace OCA\kicad_viewer\Migration;
+
+use Closure;
+use OCA\kicad_viewer\Db\SessionParticipantMapper;
+use OCP\DB\ISchemaWrapper;
+use OCP\DB\Types;
+use OCP\Migration\IOutput;
+use OCP\Migration\SimpleMigrationStep;
+
+class Version1500Date20261018000000 extends SimpleMigrationStep {
+	public function changeSchema(IOutput $output, Closure $schemaClosure, array $options): ?ISchemaWrapper {
+		/** @var ISchemaWrapper $schema */
+		$schema = $schemaClosure();
+
+		if ($schema->hasTable(SessionParticipantMapper::TABLE_NAME)) {
+			return null;
+		}
+
+		$table = $schema->createTable(SessionParticipantMapper::TABLE_NAME);
+		$table->addColumn('id', Types::BIGINT, [
+			'autoincrement' => true,
+			'notnull' => true,
+			'unsigned' => true,
+		]);
+		$table->addColumn('file_id', Types::BIGINT, [
+			'notnull' => true,
+			'unsigned' => true,
+		]);
+		$table->addColumn('user_id', Types::STRING, [
+			'notnull' => true,
+			'length' => 64,
+		]);
+		// Nextcloud wants boolean columns nullable
+		$table->addColumn('presenter', Types::BOOLEAN, [
+			'notnull' => false,
+			'default' => false,
+		]);
+		$table->addColumn('state', Types::TEXT, [
+			'notnull' => false,
+		]);
+		$table->addColumn('version', Types::BIGINT, [
+			'notnull' => true,
+			'unsigned' => true,
+			'default' => 0,
+		]);
+		$table->addColumn('seen_at', Types::BIGINT, [
+			'notnull' => true,
+			'unsigned' => true,
+		]);
+		$table->setPrimaryKey(['id']);
+		$table->addUniqueIndex(['file_id', 'user_id'], 'kicad_viewer_part_file_user');
+		$table->addIndex(['seen_at'], 'kicad_viewer_part_seen');
+
+		return $schema;
+	}
+}
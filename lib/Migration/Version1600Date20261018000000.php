@@ -0,0 +1,60 @@
+<?php
+declare(strict_types=1);
+// SPDX-FileCopyrightText: WARP <development@warp.lv>
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+namespace OCA\kicad_viewer\Migration;
+
+use Closure;
+use OCA\kicad_viewer\Db\ThemeMapper;
+use OCP\DB\ISchemaWrapper;
+use OCP\DB\Types;
+use OCP\Migration\IOutput;
+use OCP\Migration\SimpleMigrationStep;
+
+class Version1600Date20261018000000 extends SimpleMigrationStep {
+	public function changeSchema(IOutput $output, Closure $schemaClosure, array $options): ?ISchemaWrapper {
+		/** @var ISchemaWrapper $schema */
+		$schema = $schemaClosure();
+
+		if ($schema->hasTable(ThemeMapper::TABLE_NAME)) {
+			return null;
+		}
+
+		$table = $schema->createTable(ThemeMapper::TABLE_NAME);
+		$table->addColumn('id', Types::BIGINT, [
+			'autoincrement' => true,
+			'notnull' => true,
+			'unsigned' => true,
+		]);
+		$table->addColumn('user_id', Types::STRING, [
+			'notnull' => true,
+			'length' => 64,
+		]);
+		$table->addColumn('name', Types::STRING, [
+			'notnull' => true,
+			'length' => 64,
+		]);
+		$table->addColumn('colors', Types::TEXT, [
+			'notnull' => true,
+		]);
+		// Nextcloud wants boolean columns nullable
+		$table->addColumn('shared', Types::BOOLEAN, [
+			'notnull' => false,
+			'default' => false,
+		]);
+		$table->addColumn('created_at', Types::BIGINT, [
+			'notnull' => true,
+			'unsigned' => true,
+		]);
+		$table->addColumn('updated_at', Types::BIGINT, [
+			'notnull' => true,
+			'unsigned' => true,
+		]);
+		$table->setPrimaryKey(['id']);
+		$table->addIndex(['user_id'], 'kicad_viewer_theme_user');
+		$table->addIndex(['shared'], 'kicad_viewer_theme_shared');
+
+		return $schema;
+	}
+}
@@ -0,0 +1,18 @@
+<?php
+declare(strict_types=1);
+// SPDX-FileCopyrightText: WARP <development@warp.lv>
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+namespace OCA\kicad_viewer\Preview;
+
+use OCA\kicad_viewer\KiCad\Thumbnail\PcbThumbnail;
+
+class PcbPreview extends PreviewBase {
+	public function getMimeType(): string {
+		return '/application\/x-kicad-pcb/';
+	}
+
+	protected function render(array $document, int $maxX, int $maxY) {
+		return (new PcbThumbnail($document))->render($maxX, $maxY);
+	}
+}
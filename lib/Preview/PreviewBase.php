@@ -0,0 +1,60 @@
+<?php
+declare(strict_types=1);
+// SPDX-FileCopyrightText: WARP <development@warp.lv>
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+namespace OCA\kicad_viewer\Preview;
+
+use OCA\kicad_viewer\KiCad\SExpression;
+use OCP\Files\File;
+use OCP\Files\FileInfo;
+use OCP\IImage;
+use OCP\Image;
+use OCP\Preview\IProviderV2;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Renders KiCad documents to thumbnails with GD, Nextcloud's preview system
+ * takes care of caching the results
+ */
+abstract class PreviewBase implements IProviderV2 {
+	// parsing happens in memory, keep huge boards out of the preview workers
+	const MAX_FILE_SIZE = 16 * 1024 * 1024;
+
+	protected $logger;
+
+	public function __construct(LoggerInterface $logger) {
+		$this->logger = $logger;
+	}
+
+	/**
+	 * @return \GdImage|resource|null
+	 */
+	abstract protected function render(array $document, int $maxX, int $maxY);
+
+	public function isAvailable(FileInfo $file): bool {
+		return extension_loaded('gd') && $file->getSize() <= self::MAX_FILE_SIZE;
+	}
+
+	public function getThumbnail(File $file, int $maxX, int $maxY): ?IImage {
+		try {
+			$gdImage = $this->render(SExpression::parse($file->getContent()), $maxX, $maxY);
+		} catch (\Throwable $e) {
+			$this->logger->info('Unable to render KiCad preview for ' . $file->getPath() . ': ' . $e->getMessage(), [
+				'app' => 'kicad_viewer',
+				'exception' => $e,
+			]);
+			return null;
+		}
+		if ($gdImage === null) {
+			return null;
+		}
+
+		ob_start();
+		imagepng($gdImage);
+		imagedestroy($gdImage);
+		$image = new Image();
+		$image->loadFromData(ob_get_clean());
+		return $image->valid() ? $image : null;
+	}
+}
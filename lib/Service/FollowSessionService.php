@@ -0,0 +1,149 @@
+<?php
+declare(strict_types=1);
+// SPDX-FileCopyrightText: WARP <development@warp.lv>
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+namespace OCA\kicad_viewer\Service;
+
+use OCA\kicad_viewer\Db\SessionParticipant;
+use OCA\kicad_viewer\Db\SessionParticipantMapper;
+use OCA\kicad_viewer\Exception\NotPresenterException;
+use OCP\AppFramework\Db\DoesNotExistException;
+use OCP\AppFramework\Utility\ITimeFactory;
+use OCP\Files\File;
+use OCP\Files\IRootFolder;
+use OCP\Files\NotFoundException;
+use OCP\IUserManager;
+
+/**
+ * Follow-me sessions: the viewers of a file poll sync() to stay in its
+ * session, the presenter publishes its view (page, camera, selection,
+ * highlighted net) and the others follow it. Anyone can take control.
+ */
+class FollowSessionService {
+	// seconds without a sync after which a participant has left
+	public const TIMEOUT = 30;
+	private const MAX_STATE_LENGTH = 16000;
+
+	private $mapper;
+	private $rootFolder;
+	private $userManager;
+	private $timeFactory;
+
+	public function __construct(SessionParticipantMapper $mapper, IRootFolder $rootFolder, IUserManager $userManager, ITimeFactory $timeFactory) {
+		$this->mapper = $mapper;
+		$this->rootFolder = $rootFolder;
+		$this->userManager = $userManager;
+		$this->timeFactory = $timeFactory;
+	}
+
+	/**
+	 * @throws NotFoundException
+	 */
+	private function checkAccess(string $userId, int $fileId): File {
+		$nodes = $this->rootFolder->getUserFolder($userId)->getById($fileId);
+		if (empty($nodes) || !($nodes[0] instanceof File)) {
+			throw new NotFoundException('File not found: ' . $fileId);
+		}
+		return $nodes[0];
+	}
+
+	// The participant row of $userId, joining the session when there is none
+	private function participant(string $userId, int $fileId): SessionParticipant {
+		$now = $this->timeFactory->getTime();
+		try {
+			$participant = $this->mapper->findParticipant($fileId, $userId);
+		} catch (DoesNotExistException $e) {
+			$participant = new SessionParticipant();
+			$participant->setFileId($fileId);
+			$participant->setUserId($userId);
+			$participant->setPresenter(false);
+			$participant->setVersion(0);
+			$participant->setSeenAt($now);
+			return $this->mapper->insert($participant);
+		}
+		$participant->setSeenAt($now);
+		return $participant;
+	}
+
+	/**
+	 * Keeps $userId in the session and returns it
+	 *
+	 * @throws NotFoundException
+	 */
+	public function sync(string $userId, int $fileId): array {
+		$this->checkAccess($userId, $fileId);
+		$this->mapper->deleteStale($this->timeFactory->getTime() - self::TIMEOUT);
+		$this->mapper->update($this->participant($userId, $fileId));
+		return $this->snapshot($userId, $fileId);
+	}
+
+	/**
+	 * @throws NotFoundException
+	 * @throws NotPresenterException when someone else took control
+	 */
+	public function publish(string $userId, int $fileId, array $state): array {
+		$this->checkAccess($userId, $fileId);
+		$participant = $this->participant($userId, $fileId);
+		if (!$participant->getPresenter()) {
+			throw new NotPresenterException('Another participant presents');
+		}
+		$encoded = json_encode($state);
+		if ($encoded === false || strlen($encoded) > self::MAX_STATE_LENGTH) {
+			throw new \InvalidArgumentException('View state is too large');
+		}
+		$participant->setState($encoded);
+		$participant->setVersion($participant->getVersion() + 1);
+		$this->mapper->update($participant);
+		return $this->snapshot($userId, $fileId);
+	}
+
+	/**
+	 * Makes $userId the presenter, the former one follows from now on
+	 *
+	 * @throws NotFoundException
+	 */
+	public function takeControl(string $userId, int $fileId): array {
+		$this->checkAccess($userId, $fileId);
+		$this->mapper->clearPresenter($fileId);
+		$participant = $this->participant($userId, $fileId);
+		$participant->setPresenter(true);
+		$this->mapper->update($participant);
+		return $this->snapshot($userId, $fileId);
+	}
+
+	public function leave(string $userId, int $fileId): void {
+		try {
+			$this->mapper->delete($this->mapper->findParticipant($fileId, $userId));
+		} catch (DoesNotExistException $e) {
+			// left already
+		}
+	}
+
+	/**
+	 * Participants, the presenter and its view as seen by $userId
+	 */
+	private function snapshot(string $userId, int $fileId): array {
+		$participants = [];
+		$presenter = null;
+		foreach ($this->mapper->findAllForFile($fileId) as $participant) {
+			$user = $this->userManager->get($participant->getUserId());
+			$participants[] = [
+				'userId' => $participant->getUserId(),
+				'displayName' => $user !== null ? $user->getDisplayName() : $participant->getUserId(),
+				'presenter' => (bool)$participant->getPresenter(),
+				'self' => $participant->getUserId() === $userId,
+			];
+			if ($participant->getPresenter()) {
+				$presenter = $participant;
+			}
+		}
+		return [
+			'participants' => $participants,
+			'presenter' => $presenter !== null ? $presenter->getUserId() : null,
+			'state' => $presenter !== null && $presenter->getState() !== null ? json_decode($presenter->getState(), true) : null,
+			'version' => $presenter !== null ? $presenter->getVersion() : 0,
+			'timeout' => self::TIMEOUT,
+		];
+	}
+}
@@ -0,0 +1,127 @@
+<?php
+declare(strict_types=1);
+// SPDX-FileCopyrightText: WARP <development@warp.lv>
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+namespace OCA\kicad_viewer\Service;
+
+use OCA\kicad_viewer\Db\PublicToken;
+use OCA\kicad_viewer\Db\PublicTokenMapper;
+use OCA\kicad_viewer\Exception\TokenExpiredException;
+use OCP\AppFramework\Db\DoesNotExistException;
+use OCP\AppFramework\Utility\ITimeFactory;
+use OCP\Files\File;
+use OCP\Files\IRootFolder;
+use OCP\Files\NotFoundException;
+
+class PublicTokenService {
+	public const SCOPE_FILE = 'file';
+	// grants the folder of the file, so hierarchical projects resolve
+	public const SCOPE_FOLDER = 'folder';
+	public const SCOPES = [self::SCOPE_FILE, self::SCOPE_FOLDER];
+
+	public const DEFAULT_TTL = 3600;
+
+	private $mapper;
+	private $rootFolder;
+	private $timeFactory;
+
+	public function __construct(PublicTokenMapper $mapper, IRootFolder $rootFolder, ITimeFactory $timeFactory) {
+		$this->mapper = $mapper;
+		$this->rootFolder = $rootFolder;
+		$this->timeFactory = $timeFactory;
+	}
+
+	/**
+	 * @param int $ttl seconds until expiry, 0 for a token that never expires
+	 * @throws NotFoundException
+	 */
+	public function create(string $userId, string $filePath, string $scope = self::SCOPE_FILE, int $ttl = self::DEFAULT_TTL, ?string $label = null): PublicToken {
+		if (!in_array($scope, self::SCOPES, true)) {
+			throw new \InvalidArgumentException('Unknown token scope: ' . $scope);
+		}
+		if ($ttl < 0) {
+			throw new \InvalidArgumentException('Token lifetime must not be negative');
+		}
+
+		$file = $this->rootFolder->getUserFolder($userId)->get($filePath);
+		if (!($file instanceof File)) {
+			throw new NotFoundException('Not a file: ' . $filePath);
+		}
+
+		$now = $this->timeFactory->getTime();
+		$token = new PublicToken();
+		$token->setToken(bin2hex(random_bytes(32)));
+		$token->setUserId($userId);
+		$token->setFileId($file->getId());
+		$token->setPath($filePath);
+		$token->setScope($scope);
+		$token->setLabel($label);
+		$token->setCreatedAt($now);
+		$token->setExpiresAt($ttl === 0 ? null : $now + $ttl);
+		return $this->mapper->insert($token);
+	}
+
+	/**
+	 * @return PublicToken[]
+	 */
+	public function findAllForUser(string $userId): array {
+		return $this->mapper->findAllForUser($userId);
+	}
+
+	/**
+	 * @throws DoesNotExistException
+	 */
+	public function revoke(string $userId, string $token): PublicToken {
+		$publicToken = $this->mapper->findByToken($token);
+		if ($publicToken->getUserId() !== $userId) {
+			// do not disclose tokens of other users
+			throw new DoesNotExistException('Token not found');
+		}
+		return $this->mapper->delete($publicToken);
+	}
+
+	/**
+	 * @throws DoesNotExistException
+	 * @throws TokenExpiredException
+	 */
+	public function getValidToken(string $token): PublicToken {
+		$publicToken = $this->mapper->findByToken($token);
+		if ($publicToken->isExpired($this->timeFactory->getTime())) {
+			$this->mapper->delete($publicToken);
+			throw new TokenExpiredException('Token expired');
+		}
+		return $publicToken;
+	}
+
+	/**
+	 * Resolve the shared file, or for folder scope a file next to it
+	 *
+	 * @throws NotFoundException
+	 */
+	public function getFile(PublicToken $publicToken, string $path = ''): File {
+		$userFolder = $this->rootFolder->getUserFolder($publicToken->getUserId());
+		$nodes = $userFolder->getById($publicToken->getFileId());
+		if (empty($nodes) || !($nodes[0] instanceof File)) {
+			throw new NotFoundException('Shared file no longer exists');
+		}
+		$file = $nodes[0];
+
+		if ($path === '' || $path === $file->getName()) {
+			return $file;
+		}
+		if ($publicToken->getScope() !== self::SCOPE_FOLDER) {
+			throw new NotFoundException('Token does not grant access to ' . $path);
+		}
+
+		$sibling = $file->getParent()->get($path);
+		if (!($sibling instanceof File)) {
+			throw new NotFoundException('Not a file: ' . $path);
+		}
+		return $sibling;
+	}
+
+	public function purgeExpired(): int {
+		return $this->mapper->deleteExpired($this->timeFactory->getTime());
+	}
+}
@@ -0,0 +1,197 @@
+<?php
+declare(strict_types=1);
+// SPDX-FileCopyrightText: WARP <development@warp.lv>
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+namespace OCA\kicad_viewer\Service;
+
+use OCA\kicad_viewer\Db\ReviewThread;
+use OCA\kicad_viewer\Db\ReviewThreadMapper;
+use OCP\AppFramework\Db\DoesNotExistException;
+use OCP\AppFramework\Utility\ITimeFactory;
+use OCP\Comments\IComment;
+use OCP\Comments\ICommentsManager;
+use OCP\Comments\NotFoundException as CommentNotFoundException;
+use OCP\Files\File;
+use OCP\Files\IRootFolder;
+use OCP\Files\NotFoundException;
+use OCP\IUserManager;
+
+/**
+ * Review threads of a file. Their messages are regular comments of the file,
+ * the first one and its replies, so they show in the Files sidebar and the
+ * Comments app reports them to Activity.
+ */
+class ReviewService {
+	public const STATE_OPEN = 'open';
+	public const STATE_RESOLVED = 'resolved';
+	public const STATES = [self::STATE_OPEN, self::STATE_RESOLVED];
+
+	// where a thread is pinned, the uuid is looked up first so the pin
+	// follows its item through revisions, the coordinates are the fallback
+	public const ANCHOR_KINDS = ['point', 'footprint', 'symbol', 'net'];
+	private const ANCHOR_STRINGS = ['page', 'uuid', 'reference', 'net'];
+	private const ANCHOR_NUMBERS = ['x', 'y'];
+	private const MAX_ANCHOR_STRING = 1000;
+
+	// object type of the comments the Files app shows
+	private const OBJECT_TYPE = 'files';
+
+	private $mapper;
+	private $commentsManager;
+	private $rootFolder;
+	private $userManager;
+	private $timeFactory;
+
+	public function __construct(ReviewThreadMapper $mapper, ICommentsManager $commentsManager, IRootFolder $rootFolder, IUserManager $userManager, ITimeFactory $timeFactory) {
+		$this->mapper = $mapper;
+		$this->commentsManager = $commentsManager;
+		$this->rootFolder = $rootFolder;
+		$this->userManager = $userManager;
+		$this->timeFactory = $timeFactory;
+	}
+
+	/**
+	 * @throws NotFoundException
+	 */
+	private function checkAccess(string $userId, int $fileId): File {
+		$nodes = $this->rootFolder->getUserFolder($userId)->getById($fileId);
+		if (empty($nodes) || !($nodes[0] instanceof File)) {
+			throw new NotFoundException('File not found: ' . $fileId);
+		}
+		return $nodes[0];
+	}
+
+	/**
+	 * @throws NotFoundException
+	 */
+	public function findAll(string $userId, int $fileId): array {
+		$this->checkAccess($userId, $fileId);
+		$threads = [];
+		foreach ($this->mapper->findAllForFile($fileId) as $thread) {
+			try {
+				$threads[] = $this->serialize($thread);
+			} catch (CommentNotFoundException $e) {
+				// its first comment was deleted in the Files sidebar
+				$this->mapper->delete($thread);
+			}
+		}
+		return $threads;
+	}
+
+	/**
+	 * @throws NotFoundException
+	 */
+	public function create(string $userId, int $fileId, array $anchor, string $message): array {
+		$this->checkAccess($userId, $fileId);
+		$anchor = $this->validateAnchor($anchor);
+		$comment = $this->postComment($userId, $fileId, $message);
+
+		$now = $this->timeFactory->getTime();
+		$thread = new ReviewThread();
+		$thread->setFileId($fileId);
+		$thread->setCommentId((int)$comment->getId());
+		$thread->setAnchor(json_encode($anchor));
+		$thread->setState(self::STATE_OPEN);
+		$thread->setCreatedAt($now);
+		$thread->setUpdatedAt($now);
+		return $this->serialize($this->mapper->insert($thread));
+	}
+
+	/**
+	 * @throws NotFoundException
+	 * @throws DoesNotExistException
+	 */
+	public function reply(string $userId, int $fileId, int $id, string $message): array {
+		$this->checkAccess($userId, $fileId);
+		$thread = $this->mapper->findForFile($fileId, $id);
+		$this->postComment($userId, $fileId, $message, (string)$thread->getCommentId());
+		$thread->setUpdatedAt($this->timeFactory->getTime());
+		return $this->serialize($this->mapper->update($thread));
+	}
+
+	/**
+	 * @throws NotFoundException
+	 * @throws DoesNotExistException
+	 */
+	public function setState(string $userId, int $fileId, int $id, string $state): array {
+		if (!in_array($state, self::STATES, true)) {
+			throw new \InvalidArgumentException('Unknown review state: ' . $state);
+		}
+		$this->checkAccess($userId, $fileId);
+		$thread = $this->mapper->findForFile($fileId, $id);
+		$thread->setState($state);
+		$thread->setResolvedBy($state === self::STATE_RESOLVED ? $userId : null);
+		$thread->setUpdatedAt($this->timeFactory->getTime());
+		return $this->serialize($this->mapper->update($thread));
+	}
+
+	private function validateAnchor(array $anchor): array {
+		$kind = $anchor['kind'] ?? null;
+		if (!in_array($kind, self::ANCHOR_KINDS, true)) {
+			throw new \InvalidArgumentException('Unknown anchor kind: ' . json_encode($kind));
+		}
+		$valid = ['kind' => $kind];
+		foreach (self::ANCHOR_STRINGS as $key) {
+			if (isset($anchor[$key])) {
+				if (!is_string($anchor[$key]) || strlen($anchor[$key]) > self::MAX_ANCHOR_STRING) {
+					throw new \InvalidArgumentException('Invalid anchor ' . $key);
+				}
+				$valid[$key] = $anchor[$key];
+			}
+		}
+		foreach (self::ANCHOR_NUMBERS as $key) {
+			if (!isset($anchor[$key]) || !is_numeric($anchor[$key])) {
+				throw new \InvalidArgumentException('Anchor ' . $key . ' is required');
+			}
+			$valid[$key] = (float)$anchor[$key];
+		}
+		if (!isset($valid['page'])) {
+			throw new \InvalidArgumentException('Anchor page is required');
+		}
+		return $valid;
+	}
+
+	/**
+	 * @throws \OCP\Comments\MessageTooLongException
+	 */
+	private function postComment(string $userId, int $fileId, string $message, string $parentId = ''): IComment {
+		$message = trim($message);
+		if ($message === '') {
+			throw new \InvalidArgumentException('Comment must not be empty');
+		}
+		$comment = $this->commentsManager->create('users', $userId, self::OBJECT_TYPE, (string)$fileId);
+		$comment->setMessage($message, IComment::MAX_MESSAGE_LENGTH);
+		$comment->setVerb('comment');
+		if ($parentId !== '') {
+			$comment->setParentId($parentId);
+		}
+		$this->commentsManager->save($comment);
+		return $comment;
+	}
+
+	private function serializeComment(IComment $comment): array {
+		$user = $this->userManager->get($comment->getActorId());
+		return [
+			'id' => $comment->getId(),
+			'author' => $comment->getActorId(),
+			'authorName' => $user !== null ? $user->getDisplayName() : $comment->getActorId(),
+			'message' => $comment->getMessage(),
+			'createdAt' => $comment->getCreationDateTime()->getTimestamp(),
+		];
+	}
+
+	/**
+	 * The thread with its comments, oldest first
+	 *
+	 * @throws CommentNotFoundException
+	 */
+	private function serialize(ReviewThread $thread): array {
+		$tree = $this->commentsManager->getTree((string)$thread->getCommentId());
+		$replies = array_map(fn (array $reply) => $this->serializeComment($reply['comment']), $tree['replies']);
+		usort($replies, fn (array $a, array $b) => $a['createdAt'] <=> $b['createdAt'] ?: (int)$a['id'] <=> (int)$b['id']);
+		return array_merge($thread->jsonSerialize(), [
+			'comments' => array_merge([$this->serializeComment($tree['comment'])], $replies),
+		]);
+	}
+}
@@ -0,0 +1,210 @@
+<?php
+declare(strict_types=1);
+// SPDX-FileCopyrightText: WARP <development@warp.lv>
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+namespace OCA\kicad_viewer\Service;
+
+use OCA\kicad_viewer\AppInfo\Application;
+use OCP\IConfig;
+
+/**
+ * Settings of the viewer. Admins set the defaults as app values, users
+ * override some of them as user values, an empty user value keeps the
+ * default. The viewer gets the merged result as initial state.
+ */
+class SettingsService {
+	// KiCanvas' `controls` and the words of its `controlslist`
+	public const CONTROLS = ['full', 'basic', 'none'];
+	public const CONTROLS_LIST = ['nofullscreen', 'nodownload', 'nooverlay'];
+	public const UNITS = ['mm', 'mil', 'in'];
+	// features admins can turn off
+	public const FEATURES = ['publicTokens', 'review', 'session'];
+	public const DEFAULT_THEME_KEY = 'default_theme';
+
+	private const MAX_PRESETS = 32;
+	private const MAX_PRESET_LAYERS = 128;
+	private const MAX_NAME_LENGTH = 64;
+
+	private $config;
+	private $themeService;
+
+	public function __construct(IConfig $config, ThemeService $themeService) {
+		$this->config = $config;
+		$this->themeService = $themeService;
+	}
+
+	/**
+	 * Defaults for everyone and the features turned on
+	 */
+	public function getAdmin(): array {
+		return [
+			'theme' => $this->getAppValue(self::DEFAULT_THEME_KEY),
+			'controls' => $this->getAppValue('controls', 'full'),
+			'controlslist' => $this->getAppValue('controlslist'),
+			'units' => $this->getAppValue('units', 'mm'),
+			'layerPresets' => json_decode($this->getAppValue('layer_presets', '[]'), true) ?: [],
+			'layerPreset' => $this->getAppValue('layer_preset'),
+			'features' => array_combine(self::FEATURES, array_map(fn (string $feature) => $this->isEnabled($feature), self::FEATURES)),
+		];
+	}
+
+	/**
+	 * @throws \InvalidArgumentException
+	 */
+	public function setAdmin(array $settings): array {
+		$presets = $this->validatePresets($settings['layerPresets'] ?? []);
+		$values = [
+			self::DEFAULT_THEME_KEY => $this->validateTheme($settings['theme'] ?? ''),
+			'controls' => $this->validateChoice($settings['controls'] ?? 'full', self::CONTROLS, 'controls'),
+			'controlslist' => $this->validateControlsList($settings['controlslist'] ?? ''),
+			'units' => $this->validateChoice($settings['units'] ?? 'mm', self::UNITS, 'units'),
+			'layer_presets' => json_encode($presets),
+			'layer_preset' => $this->validatePreset($settings['layerPreset'] ?? '', $presets),
+		];
+		foreach (self::FEATURES as $feature) {
+			$values['feature_' . $feature] = ($settings['features'][$feature] ?? true) ? 'yes' : 'no';
+		}
+		foreach ($values as $key => $value) {
+			$this->config->setAppValue(Application::APP_ID, $key, $value);
+		}
+		return $this->getAdmin();
+	}
+
+	/**
+	 * Overrides of $userId, '' where the default applies
+	 */
+	public function getPersonal(string $userId): array {
+		return [
+			'theme' => $this->config->getUserValue($userId, Application::APP_ID, ThemeService::SELECTED_KEY, ''),
+			'controls' => $this->getUserValue($userId, 'controls'),
+			'units' => $this->getUserValue($userId, 'units'),
+			'layerPreset' => $this->getUserValue($userId, 'layer_preset'),
+			'debug' => $this->getUserValue($userId, 'debug') === 'yes',
+		];
+	}
+
+	/**
+	 * @throws \InvalidArgumentException
+	 */
+	public function setPersonal(string $userId, array $settings): array {
+		$this->themeService->select($userId, $settings['theme'] ?? null);
+		$values = [
+			'controls' => $this->validateChoice($settings['controls'] ?? '', ['', ...self::CONTROLS], 'controls'),
+			'units' => $this->validateChoice($settings['units'] ?? '', ['', ...self::UNITS], 'units'),
+			'layer_preset' => $this->validatePreset($settings['layerPreset'] ?? '', $this->getAdmin()['layerPresets']),
+			'debug' => ($settings['debug'] ?? false) ? 'yes' : '',
+		];
+		foreach ($values as $key => $value) {
+			if ($value === '') {
+				$this->config->deleteUserValue($userId, Application::APP_ID, $key);
+			} else {
+				$this->config->setUserValue($userId, Application::APP_ID, $key, $value);
+			}
+		}
+		return $this->getPersonal($userId);
+	}
+
+	/**
+	 * What the viewer starts with, the defaults alone for public shares
+	 */
+	public function getViewerSettings(?string $userId): array {
+		$settings = $this->getAdmin();
+		$settings['debug'] = false;
+		if ($userId !== null) {
+			$personal = $this->getPersonal($userId);
+			foreach (['controls', 'units', 'layerPreset'] as $key) {
+				if ($personal[$key] !== '') {
+					$settings[$key] = $personal[$key];
+				}
+			}
+			$settings['theme'] = $this->themeService->getSelected($userId) ?? '';
+			$settings['debug'] = $personal['debug'];
+		}
+		return $settings;
+	}
+
+	public function isEnabled(string $feature): bool {
+		return $this->getAppValue('feature_' . $feature, 'yes') === 'yes';
+	}
+
+	/**
+	 * Themes to pick from in the settings, $userId's own and shared ones or
+	 * only the shared ones for the admin's default
+	 */
+	public function getThemeChoices(?string $userId): array {
+		$themes = $userId !== null ? $this->themeService->findAll($userId)['themes'] : $this->themeService->findShared();
+		return array_map(fn (array $theme) => [
+			'id' => $theme['id'],
+			'name' => $theme['name'],
+			'ownerName' => $theme['ownerName'],
+			'mine' => $theme['mine'],
+		], $themes);
+	}
+
+	private function getAppValue(string $key, string $default = ''): string {
+		return $this->config->getAppValue(Application::APP_ID, $key, $default);
+	}
+
+	private function getUserValue(string $userId, string $key): string {
+		return $this->config->getUserValue($userId, Application::APP_ID, $key, '');
+	}
+
+	private function validateChoice(string $value, array $choices, string $name): string {
+		if (!in_array($value, $choices, true)) {
+			throw new \InvalidArgumentException('Unknown ' . $name . ': ' . $value);
+		}
+		return $value;
+	}
+
+	private function validateControlsList(string $value): string {
+		$words = array_values(array_unique(preg_split('/\s+/', trim($value), -1, PREG_SPLIT_NO_EMPTY)));
+		foreach ($words as $word) {
+			$this->validateChoice($word, self::CONTROLS_LIST, 'controls list entry');
+		}
+		return implode(' ', $words);
+	}
+
+	// a stored theme's id or a KiCanvas theme name, see ThemeService::select()
+	private function validateTheme(string $value): string {
+		if (mb_strlen($value) > self::MAX_NAME_LENGTH) {
+			throw new \InvalidArgumentException('Invalid theme');
+		}
+		return $value;
+	}
+
+	/**
+	 * Presets as [{name, layers}], the layers by their KiCad names
+	 */
+	private function validatePresets(array $presets): array {
+		if (count($presets) > self::MAX_PRESETS) {
+			throw new \InvalidArgumentException('At most ' . self::MAX_PRESETS . ' layer presets');
+		}
+		$valid = [];
+		foreach ($presets as $preset) {
+			$name = trim((string)($preset['name'] ?? ''));
+			$layers = array_values(array_unique(array_filter(array_map(
+				fn ($layer) => trim((string)$layer),
+				is_array($preset['layers'] ?? null) ? $preset['layers'] : []
+			), fn (string $layer) => $layer !== '')));
+			if ($name === '' || mb_strlen($name) > self::MAX_NAME_LENGTH) {
+				throw new \InvalidArgumentException('A layer preset name needs 1 to ' . self::MAX_NAME_LENGTH . ' characters');
+			}
+			if (empty($layers) || count($layers) > self::MAX_PRESET_LAYERS) {
+				throw new \InvalidArgumentException('Layer preset "' . $name . '" needs 1 to ' . self::MAX_PRESET_LAYERS . ' layers');
+			}
+			if (in_array($name, array_column($valid, 'name'), true)) {
+				throw new \InvalidArgumentException('Layer preset "' . $name . '" exists twice');
+			}
+			$valid[] = ['name' => $name, 'layers' => $layers];
+		}
+		return $valid;
+	}
+
+	private function validatePreset(string $name, array $presets): string {
+		if ($name !== '' && !in_array($name, array_column($presets, 'name'), true)) {
+			throw new \InvalidArgumentException('Unknown layer preset: ' . $name);
+		}
+		return $name;
+	}
+}
@@ -0,0 +1,166 @@
+<?php
+declare(strict_types=1);
+// SPDX-FileCopyrightText: WARP <development@warp.lv>
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+namespace OCA\kicad_viewer\Service;
+
+use OCA\kicad_viewer\AppInfo\Application;
+use OCA\kicad_viewer\Db\Theme;
+use OCA\kicad_viewer\Db\ThemeMapper;
+use OCA\kicad_viewer\Exception\NotOwnerException;
+use OCP\AppFramework\Db\DoesNotExistException;
+use OCP\AppFramework\Utility\ITimeFactory;
+use OCP\IConfig;
+use OCP\IUserManager;
+
+/**
+ * Color themes of the viewer, kept on the server so they follow their owner
+ * from browser to browser and shared ones reach the whole team. The theme a
+ * user picked is a user value: a stored theme's id or a KiCanvas theme name.
+ */
+class ThemeService {
+	public const SELECTED_KEY = 'theme';
+	private const MAX_NAME_LENGTH = 64;
+	private const MAX_COLORS_LENGTH = 200000;
+	// sections of a KiCad theme the viewer paints with
+	private const SECTIONS = ['board', 'schematic'];
+
+	private $mapper;
+	private $config;
+	private $userManager;
+	private $timeFactory;
+
+	public function __construct(ThemeMapper $mapper, IConfig $config, IUserManager $userManager, ITimeFactory $timeFactory) {
+		$this->mapper = $mapper;
+		$this->config = $config;
+		$this->userManager = $userManager;
+		$this->timeFactory = $timeFactory;
+	}
+
+	/**
+	 * Themes $userId may use and the one picked
+	 */
+	public function findAll(string $userId): array {
+		return [
+			'themes' => array_map(fn (Theme $theme) => $this->serialize($theme, $userId), $this->mapper->findAllVisible($userId)),
+			'selected' => $this->getSelected($userId),
+		];
+	}
+
+	public function create(string $userId, string $name, array $colors, bool $shared): array {
+		$now = $this->timeFactory->getTime();
+		$theme = new Theme();
+		$theme->setUserId($userId);
+		$theme->setName($this->validateName($name));
+		$theme->setColors($this->validateColors($colors));
+		$theme->setShared($shared);
+		$theme->setCreatedAt($now);
+		$theme->setUpdatedAt($now);
+		return $this->serialize($this->mapper->insert($theme), $userId);
+	}
+
+	/**
+	 * @throws DoesNotExistException
+	 * @throws NotOwnerException
+	 */
+	public function update(string $userId, int $id, string $name, array $colors, bool $shared): array {
+		$theme = $this->findOwn($userId, $id);
+		$theme->setName($this->validateName($name));
+		$theme->setColors($this->validateColors($colors));
+		$theme->setShared($shared);
+		$theme->setUpdatedAt($this->timeFactory->getTime());
+		return $this->serialize($this->mapper->update($theme), $userId);
+	}
+
+	/**
+	 * @throws DoesNotExistException
+	 * @throws NotOwnerException
+	 */
+	public function delete(string $userId, int $id): void {
+		$this->mapper->delete($this->findOwn($userId, $id));
+	}
+
+	/**
+	 * Themes shared with everyone, those an admin can make the default
+	 */
+	public function findShared(): array {
+		return array_map(fn (Theme $theme) => $this->serialize($theme, ''), $this->mapper->findAllShared());
+	}
+
+	/**
+	 * Theme $userId picked, else the admin's default
+	 */
+	public function getSelected(string $userId): ?string {
+		$selected = $this->config->getUserValue($userId, Application::APP_ID, self::SELECTED_KEY, '');
+		if ($selected === '') {
+			$selected = $this->config->getAppValue(Application::APP_ID, SettingsService::DEFAULT_THEME_KEY, '');
+		}
+		return $selected !== '' ? $selected : null;
+	}
+
+	/**
+	 * Picks a stored theme by id or a KiCanvas one by name, null for the
+	 * viewer's default
+	 */
+	public function select(string $userId, ?string $selected): ?string {
+		if ($selected === null || $selected === '') {
+			$this->config->deleteUserValue($userId, Application::APP_ID, self::SELECTED_KEY);
+			return null;
+		}
+		if (strlen($selected) > self::MAX_NAME_LENGTH) {
+			throw new \InvalidArgumentException('Invalid theme');
+		}
+		$this->config->setUserValue($userId, Application::APP_ID, self::SELECTED_KEY, $selected);
+		return $selected;
+	}
+
+	/**
+	 * @throws DoesNotExistException
+	 * @throws NotOwnerException
+	 */
+	private function findOwn(string $userId, int $id): Theme {
+		$theme = $this->mapper->findTheme($id);
+		if ($theme->getUserId() !== $userId) {
+			if (!$theme->getShared()) {
+				throw new DoesNotExistException('Theme not found: ' . $id);
+			}
+			throw new NotOwnerException('Only the owner can change a theme');
+		}
+		return $theme;
+	}
+
+	private function validateName(string $name): string {
+		$name = trim($name);
+		if ($name === '' || mb_strlen($name) > self::MAX_NAME_LENGTH) {
+			throw new \InvalidArgumentException('A theme name needs 1 to ' . self::MAX_NAME_LENGTH . ' characters');
+		}
+		return $name;
+	}
+
+	private function validateColors(array $colors): string {
+		$sections = array_filter(self::SECTIONS, fn (string $section) => is_array($colors[$section] ?? null));
+		if (empty($sections)) {
+			throw new \InvalidArgumentException('A theme needs board or schematic colors');
+		}
+		$encoded = json_encode($colors);
+		if ($encoded === false || strlen($encoded) > self::MAX_COLORS_LENGTH) {
+			throw new \InvalidArgumentException('Theme is too large');
+		}
+		return $encoded;
+	}
+
+	private function serialize(Theme $theme, string $userId): array {
+		$owner = $this->userManager->get($theme->getUserId());
+		return [
+			'id' => $theme->getId(),
+			'name' => $theme->getName(),
+			'colors' => json_decode($theme->getColors(), true),
+			'shared' => (bool)$theme->getShared(),
+			'owner' => $theme->getUserId(),
+			'ownerName' => $owner !== null ? $owner->getDisplayName() : $theme->getUserId(),
+			'mine' => $theme->getUserId() === $userId,
+			'updatedAt' => $theme->getUpdatedAt(),
+		];
+	}
+}
@@ -0,0 +1,43 @@
+<?php
+declare(strict_types=1);
+// SPDX-FileCopyrightText: WARP <development@warp.lv>
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+namespace OCA\kicad_viewer\Settings;
+
+use OCA\kicad_viewer\AppInfo\Application;
+use OCA\kicad_viewer\Service\SettingsService;
+use OCP\AppFramework\Http\TemplateResponse;
+use OCP\AppFramework\Services\IInitialState;
+use OCP\Settings\ISettings;
+use OCP\Util;
+
+/**
+ * Viewer defaults and features in the admin's "Additional settings"
+ */
+class AdminSettings implements ISettings {
+	private $settingsService;
+	private $initialState;
+
+	public function __construct(SettingsService $settingsService, IInitialState $initialState) {
+		$this->settingsService = $settingsService;
+		$this->initialState = $initialState;
+	}
+
+	public function getForm(): TemplateResponse {
+		$this->initialState->provideInitialState('admin-settings', [
+			'settings' => $this->settingsService->getAdmin(),
+			'themes' => $this->settingsService->getThemeChoices(null),
+		]);
+		Util::addScript(Application::APP_ID, 'kicad_viewer-settings');
+		return new TemplateResponse(Application::APP_ID, 'settings', ['mode' => 'admin'], '');
+	}
+
+	public function getSection(): string {
+		return 'additional';
+	}
+
+	public function getPriority(): int {
+		return 50;
+	}
+}
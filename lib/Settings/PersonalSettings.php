@@ -0,0 +1,49 @@
+<?php
+declare(strict_types=1);
+// SPDX-FileCopyrightText: WARP <development@warp.lv>
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+namespace OCA\kicad_viewer\Settings;
+
+use OCA\kicad_viewer\AppInfo\Application;
+use OCA\kicad_viewer\Service\SettingsService;
+use OCP\AppFramework\Http\TemplateResponse;
+use OCP\AppFramework\Services\IInitialState;
+use OCP\IUserSession;
+use OCP\Settings\ISettings;
+use OCP\Util;
+
+/**
+ * The user's own viewer settings in "Additional settings", next to the
+ * admin's defaults they override
+ */
+class PersonalSettings implements ISettings {
+	private $settingsService;
+	private $initialState;
+	private $userSession;
+
+	public function __construct(SettingsService $settingsService, IInitialState $initialState, IUserSession $userSession) {
+		$this->settingsService = $settingsService;
+		$this->initialState = $initialState;
+		$this->userSession = $userSession;
+	}
+
+	public function getForm(): TemplateResponse {
+		$userId = $this->userSession->getUser()->getUID();
+		$this->initialState->provideInitialState('personal-settings', [
+			'settings' => $this->settingsService->getPersonal($userId),
+			'defaults' => $this->settingsService->getAdmin(),
+			'themes' => $this->settingsService->getThemeChoices($userId),
+		]);
+		Util::addScript(Application::APP_ID, 'kicad_viewer-settings');
+		return new TemplateResponse(Application::APP_ID, 'settings', ['mode' => 'personal'], '');
+	}
+
+	public function getSection(): string {
+		return 'additional';
+	}
+
+	public function getPriority(): int {
+		return 50;
+	}
+}
@@ -5,34 +5,83 @@
 
 import {v4 as uuidv4} from 'uuid';
 import {generateFilePath, generateUrl} from '@nextcloud/router';
+import AssemblyPanel from 'AssemblyPanel/AssemblyPanel.vue';
+import {assemblyFeature} from 'assembly/assembly-feature.mjs';
+import BoardStats from 'BoardStats/BoardStats.vue';
+import BomPanel from 'BomPanel/BomPanel.vue';
+import {bomFeature} from 'bom/bom-feature.mjs';
+import ChangeReport from 'ChangeReport/ChangeReport.vue';
+import CompareBar from 'CompareBar/CompareBar.vue';
+import {compareFeature} from 'compare/compare-feature.mjs';
+import CrossProbeButton from 'CrossProbeButton/CrossProbeButton.vue';
+import {crossProbeFeature} from 'crossprobe/cross-probe-feature.mjs';
 import {APP_ID} from 'configuration/config.mjs';
-import {fetchFileFromUrl} from 'helpers/warp-helpers.mjs';
+import {loadViewerSettings, presetLayers} from 'configuration/viewer-settings.mjs';
+import {diagnosticsReport, recordLog} from 'diagnostics/diagnostics-report.mjs';
+import {describeLoadError, legacyDocumentError} from 'diagnostics/load-errors.mjs';
+import ErrorView from 'ErrorView/ErrorView.vue';
+import ExportMenu from 'ExportMenu/ExportMenu.vue';
+import {viewExportFeature} from 'export/view-export-feature.mjs';
+import FabricationLayers from 'FabricationLayers/FabricationLayers.vue';
+import {fabricationFeature} from 'fabrication/fabrication-feature.mjs';
+import {isFabricationFile} from 'fabrication/fabrication-set.mjs';
+import {FabricationFileSystem} from 'fabrication/gerber-view.mjs';
+import FormatNotice from 'FormatNotice/FormatNotice.vue';
+import {formatBytes} from 'helpers/units.mjs';
+import {fetchFileFromUrl, initiateDownload} from 'helpers/warp-helpers.mjs';
+import {findEntryPage, loadProjectIntoEmbed, requestContext} from 'kicanvas/embed-project.mjs';
+import {isLegacyDocument, projectFormats, readFileFormat, readFileHeader} from 'kicanvas/file-format.mjs';
+import {watchLayerPreset} from 'kicanvas/layer-presets.mjs';
+import {isLibraryDocument, LibraryFileSystem} from 'kicanvas/library-documents.mjs';
+import {getPublicShareFileUrl, isPublicShare} from 'kicanvas/public-share.mjs';
+import {collectSkippedTokens} from 'kicanvas/skipped-tokens.mjs';
+import {viewLinkFeature} from 'kicanvas/view-link-feature.mjs';
+import {splitExtension, WebDavFileSystem} from 'kicanvas/webdav-filesystem.mjs';
 import logger from 'logger/logger.mjs';
+import {measureFeature} from 'measure/measure-feature.mjs';
+import MeasureMenu from 'MeasureMenu/MeasureMenu.vue';
+import NetInspector from 'NetInspector/NetInspector.vue';
+import {netInspectorFeature} from 'nets/net-inspector-feature.mjs';
+import {reviewFeature} from 'review/review-feature.mjs';
+import ReviewPanel from 'ReviewPanel/ReviewPanel.vue';
+import {searchFeature} from 'search/search-feature.mjs';
+import SearchPanel from 'SearchPanel/SearchPanel.vue';
+import {sessionFeature} from 'session/session-feature.mjs';
+import SessionMenu from 'SessionMenu/SessionMenu.vue';
+import {boardStatsFeature} from 'stats/board-stats-feature.mjs';
+import {themeFeature} from 'theme/theme-feature.mjs';
+import ThemeEditor from 'ThemeEditor/ThemeEditor.vue';
+import ViewLink from 'ViewLink/ViewLink.vue';
 
-// Create enhanced logger that ensures console output
+// Create enhanced logger that ensures console output, the recent lines are
+// kept for the diagnostics of a failed load
 const enhancedLogger = {
   debug: (...args) => {
     console.debug('[KiCAD Viewer]', ...args);
+    recordLog('debug', args);
     logger.debug?.(...args);
   },
   info: (...args) => {
     console.info('[KiCAD Viewer]', ...args);
+    recordLog('info', args);
     logger.info?.(...args);
   },
   warn: (...args) => {
     console.warn('[KiCAD Viewer]', ...args);
+    recordLog('warn', args);
     logger.warn?.(...args);
   },
   error: (...args) => {
     console.error('[KiCAD Viewer]', ...args);
+    recordLog('error', args);
     logger.error?.(...args);
   }
 };
 
-// Check if debug mode is enabled via URL parameter
+// Check if debug mode is enabled via URL parameter or the personal settings
 const isDebugMode = () => {
   return window.location.href.includes('kicad_debug=true') ||
-         localStorage.getItem('kicad_viewer_debug') === 'true';
+         loadViewerSettings().debug;
 };
 
 // Enable debug mode if requested
@@ -44,15 +93,99 @@ if (isDebugMode()) {
 
 export default {
   name: 'App',
+  components: {
+    AssemblyPanel,
+    BoardStats,
+    BomPanel,
+    ChangeReport,
+    CompareBar,
+    CrossProbeButton,
+    ErrorView,
+    ExportMenu,
+    FabricationLayers,
+    FormatNotice,
+    MeasureMenu,
+    NetInspector,
+    ReviewPanel,
+    SearchPanel,
+    SessionMenu,
+    ThemeEditor,
+    ViewLink,
+  },
+  // Tools on the loaded project, each with its state, load and close
+  mixins: [
+    assemblyFeature,
+    boardStatsFeature,
+    bomFeature,
+    compareFeature,
+    crossProbeFeature,
+    fabricationFeature,
+    netInspectorFeature,
+    measureFeature,
+    reviewFeature,
+    searchFeature,
+    sessionFeature,
+    themeFeature,
+    viewExportFeature,
+    viewLinkFeature,
+  ],
   data () {
+    // Viewer-side objects, KiCanvas' and the tools drawing on it like
+    // this.assemblyView, are plain properties set on the component, never
+    // declared here: Vue would walk KiCanvas' whole documents to make them
+    // reactive. What the panels show is kept here, frozen when it is large.
     return {
       uuid: `uuid-${uuidv4()}`,
       isLoading: true,
+      // Why the file could not be loaded as described by describeLoadError(),
+      // frozen, shown in place of the viewer
+      loadFailure: {
+        error: null,
+        diagnostics: '',
+        copied: false,
+        canDownload: false,
+      },
+      // KiCad version of the shown file and of its project's documents, with
+      // the tokens KiCanvas' parser skipped, frozen
+      fileFormat: {
+        format: null,
+        fileName: '',
+        files: [],
+        skipped: [],
+      },
+      // How far loading got, shown under the spinner: the bytes downloaded,
+      // then the characters of a document the parser worker read with the
+      // items found so far
+      loadProgress: {
+        phase: 'download',
+        fileName: '',
+        loaded: 0,
+        total: 0,
+        items: 0,
+      },
+      // bumped to retry in a fresh embed, KiCanvas keeps what it failed on
+      embedKey: 0,
       appIconUrl: generateFilePath(APP_ID, '', 'img/app.svg'),
+      // Admin defaults with the user's own settings on top, frozen
+      settings: loadViewerSettings(),
       // Remove all KiCanvas reactive properties to avoid DOMPurify conflicts
       kicanvasFilename: null,
     };
   },
+  computed: {
+    loadProgressText () {
+      const {phase, fileName, loaded, total, items} = this.loadProgress;
+      if (phase === 'download') {
+        return loaded ? `Downloading ${fileName}… ${formatBytes(loaded)}${total ? ` of ${formatBytes(total)}` : ''}` : '';
+      }
+      const count = `${items.toLocaleString()} items`;
+      // KiCanvas builds the document from the tokens on the page
+      if (loaded >= total) {
+        return `Building ${fileName}, ${count}…`;
+      }
+      return `Reading ${fileName}… ${Math.floor(loaded / total * 100)}%, ${count}`;
+    },
+  },
   mounted () {
     this.$nextTick(() => {
       enhancedLogger.info('KiCAD Viewer mounted');
@@ -93,12 +226,30 @@ export default {
       }
     },
     destruct () {
+      this.disposeViewer();
+      this.cleanupKiCanvas();
+    },
+    // Tools set up on the loaded file, also before retrying a failed load
+    disposeViewer () {
       // Clean up observer
       if (this.loadingObserver) {
         this.loadingObserver.disconnect();
         this.loadingObserver = null;
       }
-      this.cleanupKiCanvas();
+      this.closeAssembly();
+      this.closeBoardStats();
+      this.closeBom();
+      this.closeCompare();
+      this.closeCrossProbe();
+      this.closeFabrication();
+      this.closeNetInspector();
+      this.closeMeasure();
+      this.closeReview();
+      this.closeSearch();
+      this.closeSession();
+      this.closeTheme();
+      this.closeViewExport();
+      this.closeViewLink();
     },
     hideKiCanvasLoadingElements(embedElement) {
       try {
@@ -191,6 +342,10 @@ export default {
     },
     async construct () {
       this.isLoading = true;
+      this.loadFailure = {error: null, diagnostics: '', copied: false, canDownload: false};
+      this.loadProgress = {phase: 'download', fileName: this.basename, loaded: 0, total: 0, items: 0};
+      // kept for locating parser errors
+      this.loadedFile = null;
       enhancedLogger.info('Constructing KiCAD Viewer');
 
       try {
@@ -202,33 +357,42 @@ export default {
         enhancedLogger.debug('Loading file:', fileFetchUrl);
         enhancedLogger.debug('File type detected:', fileExtension);
 
-        // Fetch the file content
-        const fileContent = await this.fetchKiCadFile(
+        // Fetch the file, it is handed on as is and only read as a whole by
+        // the parser worker
+        const file = await this.fetchKiCadFile(
           fileFetchUrl,
           fileBasename,
         );
 
-        enhancedLogger.debug('File content loaded, length:', fileContent.length);
+        enhancedLogger.debug('File loaded, size:', file.size);
+        this.loadedFile = file;
 
         // Initialize KiCanvas with improved error handling
-        await this.initKiCanvas(fileContent, fileExtension);
+        await this.initKiCanvas(file, fileExtension);
       }
       catch (error) {
         enhancedLogger.error('Error loading KiCad file:', error);
-        this.showErrorAndStopLoading('Failed to load KiCad file: ' + error.message);
+        this.showErrorAndStopLoading('Failed to load KiCad file: ' + error.message, error, 'fetch');
       }
     },
-    async initKiCanvas(fileContent, fileExtension) {
+    async initKiCanvas(file, fileExtension) {
       enhancedLogger.info('=== Starting KiCanvas initialization ===');
       
       try {
+        const header = await readFileHeader(file);
+        // KiCad 5 schematics are opened only to tell why they are not shown,
+        // before the viewer is set up for them
+        if (isLegacyDocument(this.basename)) {
+          throw legacyDocumentError(header);
+        }
+
         const mimeType = this.getKiCadMimeType(fileExtension);
         
         // Set filename for Vue binding
         this.kicanvasFilename = this.basename;
         
         enhancedLogger.debug('File info for KiCanvas:', {
-          contentLength: fileContent.length,
+          size: file.size,
           type: mimeType,
           filename: this.basename,
           format: fileExtension
@@ -245,74 +409,50 @@ export default {
           throw new Error('KiCanvas embed element not found in DOM');
         }
 
-        // Use existing route with public access parameter
-        let filename = this.filename || this.basename;
-        
-        // Remove leading slash if present (like /smart_cancrusher.kicad_sch -> smart_cancrusher.kicad_sch)
-        if (filename.startsWith('/')) {
-          filename = filename.substring(1);
-        }
-        enhancedLogger.debug('Setting KiCanvas src to public API endpoint:', filename);
-        
-        // Use the existing /api/file/ route which should work
-        const publicUrl = `/apps/kicad_viewer/api/file/public/${encodeURIComponent(filename)}`;
-        enhancedLogger.debug('Setting KiCanvas src to:', publicUrl);
-        
-        // Use proper KiCanvas API for direct content
-        embedElement.textContent = fileContent;
-        embedElement.setAttribute('data-content', fileContent);
-        
-        // Configure KiCanvas for standalone mode - prevent loading dependent files
-        embedElement.setAttribute('standalone', 'true');
-        embedElement.setAttribute('base-url', '');
-        embedElement.setAttribute('disable-hierarchical-loading', 'true');
-        
         // Disable KiCanvas's own loading UI and spinners
         embedElement.setAttribute('disable-loading-ui', 'true');
         embedElement.setAttribute('hide-loading-spinner', 'true');
         embedElement.setAttribute('loading', 'false');
         embedElement.setAttribute('show-loading', 'false');
         
-        // Try KiCanvas API methods to trigger content parsing
-        try {
-          // Method 1: Use initialContentCallback if available
-          if (typeof embedElement.initialContentCallback === 'function') {
-            enhancedLogger.debug('Calling initialContentCallback');
-            embedElement.initialContentCallback();
-          }
-          
-          // Method 2: Use WebDAV URL directly - KiCanvas can fetch it and recognize file extension
-          if ('src' in embedElement) {
-            enhancedLogger.debug('Setting src property to WebDAV URL for standalone mode');
-            embedElement.src = this.davPath;
-            
-            // Configure standalone mode properties
-            if ('baseUrl' in embedElement) {
-              embedElement.baseUrl = '';
-              enhancedLogger.debug('Set baseUrl to empty for standalone mode');
-            }
-            if ('allowHierarchicalLoading' in embedElement) {
-              embedElement.allowHierarchicalLoading = false;
-              enhancedLogger.debug('Disabled hierarchical loading');
-            }
-            
-            enhancedLogger.debug('Set src to WebDAV URL for standalone mode:', this.davPath);
-          }
-          
-          // Method 3: Call render method if available
-          if (typeof embedElement.render === 'function') {
-            enhancedLogger.debug('Calling render method');
-            embedElement.render();
-          }
-          
-          enhancedLogger.debug('Used KiCanvas API methods with standalone configuration');
-          
-        } catch (error) {
-          enhancedLogger.error('KiCanvas API methods failed:', error.message);
+        // Load the whole project from the parent Nextcloud folder, so sub-sheets,
+        // the matching board and the project file are resolved by KiCanvas
+        const projectFileSystem = await this.createProjectFileSystem(file);
+        this.projectFileSystem = projectFileSystem;
+        enhancedLogger.debug('Loading KiCanvas project files:', Array.from(projectFileSystem.list()));
+        const {result: project, skipped} = await collectSkippedTokens(() => loadProjectIntoEmbed(embedElement, projectFileSystem, this.basename, {
+          onProgress: ({fileName, parsed, total, items}) => {
+            this.loadProgress = {phase: 'parse', fileName, loaded: parsed, total, items};
+          },
+        }));
+        enhancedLogger.debug('KiCanvas project loaded, pages:', Array.from(project.pages(), (page) => page.project_path));
+        this.showFileFormat(project, projectFileSystem, header, skipped);
+        if (projectFileSystem instanceof LibraryFileSystem) {
+          await projectFileSystem.present(embedElement);
         }
-        
-        enhancedLogger.debug('Set KiCanvas embed src to API URL:', {
-          src: embedElement.getAttribute('src'),
+        await this.loadViewLink({embedElement, project, projectFileSystem});
+        // ahead of a linked view, its layers win
+        const layers = presetLayers(this.settings);
+        if (layers && project.has_boards && !(projectFileSystem instanceof FabricationFileSystem)) {
+          await watchLayerPreset(embedElement, project, layers);
+        }
+        // the features of the mixins tell themselves whether they apply
+        const loaded = {embedElement, project, projectFileSystem, linkable: this.viewLink.available};
+        this.loadAssembly(loaded);
+        this.loadBoardStats(loaded);
+        this.loadBom(loaded);
+        this.loadCompare(loaded);
+        this.loadCrossProbe(loaded);
+        await this.loadFabrication(loaded);
+        this.loadNetInspector(loaded);
+        this.loadMeasure(loaded);
+        this.loadReview(loaded);
+        this.loadSearch(loaded);
+        this.loadSession(loaded);
+        await this.loadTheme(loaded);
+        this.loadViewExport(loaded);
+        
+        enhancedLogger.debug('KiCanvas embed configured:', {
           controls: embedElement.getAttribute('controls'),
           tagName: embedElement.tagName
         });
@@ -348,6 +488,8 @@ export default {
         // Force Vue reactivity update
         enhancedLogger.debug('Forcing Vue update to ensure reactivity works');
         this.$forceUpdate();
+
+        await this.openLinkedView(embedElement);
         
         // Manual DOM manipulation as fallback - target the correct Vue elements
         setTimeout(() => {
@@ -442,253 +584,134 @@ export default {
         
       } catch (error) {
         enhancedLogger.error('=== KiCanvas initialization failed ===', error);
-        this.showErrorAndStopLoading('Failed to initialize KiCanvas: ' + error.message);
+        this.showErrorAndStopLoading('Failed to initialize KiCanvas: ' + error.message, error);
       }
     },
     
+    getProjectFileLocation() {
+      // Public link shares are not reachable through the user's davPath,
+      // their files are served by the share token's public WebDAV endpoint
+      if (isPublicShare()) {
+        return getPublicShareFileUrl(this.filename || this.basename);
+      }
+      return {fileUrl: this.davPath, headers: {}};
+    },
+    async createProjectFileSystem(file) {
+      // Symbol libraries, footprints and worksheets are no project members,
+      // they are shown through a document generated from the file alone
+      if (isLibraryDocument(this.basename)) {
+        return new LibraryFileSystem(this.basename, await file.text());
+      }
+      const files = [file];
+      const {fileUrl, headers} = this.getProjectFileLocation();
+      let folderFileSystem;
+      try {
+        folderFileSystem = await WebDavFileSystem.fromFileUrl(fileUrl, this.basename, {headers, files});
+      } catch (error) {
+        // Listing the folder failed, still show the opened file on its own
+        enhancedLogger.warn('Unable to list project folder, loading single file:', error.message);
+        const folderUrl = fileUrl.substring(0, fileUrl.lastIndexOf('/') + 1);
+        folderFileSystem = new WebDavFileSystem(folderUrl, {headers, entries: [this.basename], files});
+      }
+      // Gerber and drill files are drawn on the board of their folder, or an
+      // empty one, together with the rest of their fab package
+      if (isFabricationFile(this.basename)) {
+        return new FabricationFileSystem(folderFileSystem, files[0]);
+      }
+      return folderFileSystem;
+    },
     getKiCadMimeType(extension) {
       // Map KiCad file extensions to appropriate mime types
       const mimeMap = {
         'kicad_pcb': 'application/x-kicad-pcb',
         'kicad_sch': 'application/x-kicad-schematic',
         'kicad_pro': 'application/x-kicad-project',
-        'kicad_wks': 'application/x-kicad-workspace',
+        'kicad_wks': 'application/x-kicad-worksheet',
         'kicad_mod': 'application/x-kicad-footprint',
-        'kicad_sym': 'application/x-kicad-symbol'
+        'kicad_sym': 'application/x-kicad-symbol',
+        'sch': 'application/x-kicad-legacy-schematic',
+        'gbr': 'application/vnd.gerber',
+        'gbrjob': 'application/x-gerber-job',
+        'drl': 'application/x-excellon',
+        'xln': 'application/x-excellon'
       };
 
       return mimeMap[extension] || 'text/plain';
     },
-    async loadContentIntoKiCanvasEmbed(embedElement, fileContent, fileExtension, mimeType) {
-      enhancedLogger.debug('Starting loadContentIntoKiCanvasEmbed with file extension:', fileExtension);
-      enhancedLogger.debug('File content length:', fileContent.length);
-
-      // Try direct content methods first (CSP-safe)
-      enhancedLogger.debug('Checking KiCanvas direct content methods');
-      const directMethods = Object.getOwnPropertyNames(embedElement.__proto__).filter(p => typeof embedElement[p] === 'function');
-      enhancedLogger.debug('Available KiCanvas methods:', directMethods);
-
-      // Approach 1: Try direct content setting methods
-      const contentMethods = ['setContent', 'loadFromString', 'loadContent', 'setSource', 'setData'];
-      for (const methodName of contentMethods) {
-        if (typeof embedElement[methodName] === 'function') {
-          try {
-            enhancedLogger.debug(`Trying direct method: ${methodName}`);
-            await embedElement[methodName](fileContent);
-            enhancedLogger.debug(`Direct method ${methodName} successful`);
-            return true;
-          } catch (error) {
-            enhancedLogger.debug(`Direct method ${methodName} failed:`, error.message);
-          }
-        }
-      }
-
-      // Approach 2: Try setting src with data URL (might work in some contexts)
-      try {
-        enhancedLogger.debug('Trying data URL approach as fallback');
-        const base64Content = this.encodeUtf8ToBase64(fileContent);
-        const dataUrl = `data:${mimeType};base64,${base64Content}`;
-        
-        embedElement.setAttribute('src', dataUrl);
-        
-        enhancedLogger.debug('Set embed src attribute with data URL');
-        return true;
-      } catch (error) {
-        enhancedLogger.debug('Data URL approach failed:', error.message);
+    showFileFormat(project, projectFileSystem, header, skipped) {
+      // generated documents and Gerber layers only have the opened file's
+      // version, a project file has its root sheet's
+      const generated = projectFileSystem instanceof LibraryFileSystem || projectFileSystem instanceof FabricationFileSystem;
+      const files = generated ? [] : projectFormats(project);
+      const opened = readFileFormat(header);
+      const fileName = opened ? this.basename : findEntryPage(project, this.basename)?.filename ?? '';
+      const format = opened ?? files.find((file) => file.fileName === fileName) ?? null;
+      const outdated = files.filter((file) => file.newer || file.older).map((file) => file.fileName);
+      if (format?.newer || format?.older || outdated.length || skipped.length) {
+        enhancedLogger.warn('File format out of the supported versions:', {format, outdated, skipped});
       }
-
-      // Approach 3: Try creating a temporary blob and setting it directly
-      try {
-        enhancedLogger.debug('Trying direct blob assignment');
-        const blob = new Blob([fileContent], { type: mimeType });
-        
-        // Try setting various blob properties
-        if ('src' in embedElement) {
-          embedElement.src = blob;
-        }
-        if ('content' in embedElement) {
-          embedElement.content = fileContent;
-        }
-        if ('data' in embedElement) {
-          embedElement.data = fileContent;
-        }
-        
-        enhancedLogger.debug('Direct blob assignment attempted');
-        return true;
-      } catch (error) {
-        enhancedLogger.debug('Direct blob assignment failed:', error.message);
-      }
-
-      enhancedLogger.error('All content loading approaches failed - CSP restrictions prevent URL-based loading');
-      return false;
+      this.fileFormat = {format, fileName, files: Object.freeze(files), skipped: Object.freeze(skipped.map(Object.freeze))};
     },
-
-    tryBlobUrl(sourceElement, fileContent, fileExtension, mimeType) {
-      enhancedLogger.debug('Trying blob URL approach');
-      
-      try {
-        const blob = new Blob([fileContent], { type: mimeType });
-        const fileUrl = URL.createObjectURL(blob);
-        
-        enhancedLogger.debug('Created blob URL:', fileUrl, 'Blob size:', blob.size, 'Mime type:', mimeType);
-        
-        sourceElement.setAttribute('src', fileUrl);
-        sourceElement.setAttribute('type', mimeType);
-        sourceElement.setAttribute('name', this.basename);
-        sourceElement.setAttribute('data-format', fileExtension);
-        
-        enhancedLogger.debug('Set attributes on source element:', {
-          src: sourceElement.getAttribute('src'),
-          type: sourceElement.getAttribute('type'),
-          name: sourceElement.getAttribute('name'),
-          format: sourceElement.getAttribute('data-format')
-        });
-        
-        // Clean up the URL after a reasonable time
-        setTimeout(() => {
-          try {
-            URL.revokeObjectURL(fileUrl);
-            enhancedLogger.debug('Blob URL cleaned up');
-          } catch (e) {
-            // Ignore cleanup errors
-          }
-        }, 60000);
-        
-        return true;
-      } catch (error) {
-        enhancedLogger.error('Blob URL approach failed:', error);
-        throw error;
-      }
-    },
-
-    tryScriptTag(sourceElement, fileContent, fileExtension, mimeType) {
-      enhancedLogger.debug('Trying script tag approach');
-      
-      // Clear any existing content
-      sourceElement.innerHTML = '';
-      
-      // Create script tag with content
-      const script = document.createElement('script');
-      script.type = mimeType;
-      script.textContent = fileContent;
-      
-      // Set attributes on source element
-      sourceElement.setAttribute('type', mimeType);
-      sourceElement.setAttribute('data-format', fileExtension);
-      sourceElement.setAttribute('name', this.basename);
-      
-      // Append script to source
-      sourceElement.appendChild(script);
-      
-      enhancedLogger.debug('Set script tag with attributes:', {
-        sourceType: sourceElement.getAttribute('type'),
-        sourceName: sourceElement.getAttribute('name'),
-        sourceFormat: sourceElement.getAttribute('data-format'),
-        scriptType: script.type,
-        scriptContentLength: script.textContent?.length || 0,
-        totalChildren: sourceElement.children.length
-      });
-      
-      return true;
-    },
-
-    tryTextContent(sourceElement, fileContent, fileExtension, mimeType) {
-      enhancedLogger.debug('Trying text content approach');
-      
-      sourceElement.textContent = fileContent;
-      sourceElement.setAttribute('type', mimeType);
-      sourceElement.setAttribute('data-format', fileExtension);
-      sourceElement.setAttribute('name', this.basename);
-      
-      enhancedLogger.debug('Set text content with attributes:', {
-        type: sourceElement.getAttribute('type'),
-        name: sourceElement.getAttribute('name'),
-        format: sourceElement.getAttribute('data-format'),
-        contentLength: sourceElement.textContent?.length || 0
-      });
-      
-      return true;
-    },
-
-    tryDataUrl(sourceElement, fileContent, fileExtension, mimeType) {
-      if (fileContent.length > 1000000) {
-        throw new Error('File too large for data URL approach');
-      }
-      
-      enhancedLogger.debug('Trying data URL approach');
-      
-      const base64Content = this.encodeUtf8ToBase64(fileContent);
-      const dataUrl = `data:${mimeType};base64,${base64Content}`;
-      
-      sourceElement.setAttribute('src', dataUrl);
-      sourceElement.setAttribute('type', mimeType);
-      sourceElement.setAttribute('name', this.basename);
-      sourceElement.setAttribute('data-format', fileExtension);
-      
-      return true;
-    },
-
-    tryDirectContent(sourceElement, fileContent) {
-      enhancedLogger.debug('Trying direct content setting');
-      
-      if (typeof sourceElement.setContent !== 'function') {
-        throw new Error('setContent method not available');
-      }
-      
-      sourceElement.setContent(fileContent);
-      return true;
-    },
-
-    showErrorAndStopLoading(message) {
+    // `phase` is "fetch" for errors downloading the file, "load" for those
+    // of KiCanvas reading it
+    async showErrorAndStopLoading(message, error = new Error(message), phase = 'load') {
       enhancedLogger.error('Showing error and stopping loading:', message);
       this.isLoading = false;
-      
-      // Show error message to user - could enhance this with a proper error UI
-      console.error('[KiCAD Viewer Error]', message);
-      
-      // Optionally show an alert for now (could be replaced with better UI)
-      if (isDebugMode()) {
-        alert('KiCAD Viewer Error: ' + message);
-      }
+      // the text is only read again to locate the error in it
+      const content = this.loadedFile ? await this.loadedFile.text() : null;
+      const description = describeLoadError(error, {phase, content});
+      this.loadFailure = {
+        error: description,
+        diagnostics: diagnosticsReport({
+          error,
+          description,
+          fileName: this.basename,
+          fileSize: this.loadedFile?.size ?? null,
+        }),
+        copied: false,
+        // a file the server refuses or lost cannot be downloaded either
+        canDownload: !!this.loadedFile || !error.status,
+      };
     },
-    encodeUtf8ToBase64(str) {
-      // Convert string to UTF-8 bytes
-      const utf8Bytes = new TextEncoder().encode(str);
-      
-      // Convert bytes to base64 using built-in methods
-      // Create a binary string from the bytes, ensuring each byte stays in Latin1 range
-      let binaryString = '';
-      for (let i = 0; i < utf8Bytes.length; i++) {
-        binaryString += String.fromCharCode(utf8Bytes[i]);
+    async retryLoad() {
+      enhancedLogger.info('Retrying to load', this.basename);
+      this.disposeViewer();
+      this.isLoading = true;
+      this.embedKey++;
+      await this.$nextTick();
+      await this.construct();
+    },
+    downloadFailedFile() {
+      if (this.loadedFile) {
+        initiateDownload(this.loadedFile);
+        return;
       }
-      
-      // Now encode to base64
-      return btoa(binaryString);
+      const anchor = document.createElement('a');
+      anchor.href = this.source || this.davPath;
+      anchor.download = this.basename;
+      anchor.click();
     },
-    async fetchKiCadFile (url, filename) {
+    async copyDiagnostics() {
       try {
-        enhancedLogger.debug('Fetching KiCad file from URL:', url);
-
-        // Try a direct fetch first for maximum compatibility
-        try {
-          const response = await fetch(url);
-          if (response.ok) {
-            const text = await response.text();
-            enhancedLogger.debug('File fetched successfully via fetch API');
-            return text;
-          }
-        } catch (err) {
-          enhancedLogger.debug('Direct fetch failed, falling back to fetchFileFromUrl:', err);
-        }
-
-        // Fall back to helper method
-        const file = await fetchFileFromUrl(url, filename);
-        enhancedLogger.debug('File fetched successfully via helper');
-        return await file.text();
+        await navigator.clipboard.writeText(this.loadFailure.diagnostics);
       } catch (error) {
-        enhancedLogger.error('Error fetching KiCad file:', error);
-        throw error;
+        enhancedLogger.warn('Unable to copy the diagnostics:', error.message);
+        return;
       }
+      this.loadFailure.copied = true;
+      window.setTimeout(() => {
+        this.loadFailure.copied = false;
+      }, 2000);
+    },
+    async fetchKiCadFile (url, filename) {
+      enhancedLogger.debug('Fetching KiCad file from URL:', url);
+      const file = await fetchFileFromUrl(url, filename, this.getKiCadMimeType(splitExtension(filename)[1]), {
+        onProgress: ({loaded, total}) => {
+          this.loadProgress = {...this.loadProgress, loaded, total};
+        },
+      });
+      enhancedLogger.debug('File fetched successfully');
+      return file;
     }
   }
 };
@@ -0,0 +1,73 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+// BOM lines of the opened board for hand assembly, hovering, selecting and
+// placing are handed to the parent driving the board viewer
+export default {
+  name: 'AssemblyPanel',
+  props: {
+    active: {
+      type: Boolean,
+      default: false,
+    },
+    // lines of groupParts() over the board's footprints
+    lines: {
+      type: Array,
+      required: true,
+    },
+    // reference -> 'front' | 'back'
+    sides: {
+      type: Object,
+      required: true,
+    },
+    // 'both' | 'front' | 'back'
+    side: {
+      type: String,
+      default: 'both',
+    },
+    placed: {
+      type: Array,
+      default: () => [],
+    },
+    persisted: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  data () {
+    return {
+      sideOptions: [
+        {side: 'both', label: 'Both'},
+        {side: 'front', label: 'Front'},
+        {side: 'back', label: 'Back'},
+      ],
+    };
+  },
+  computed: {
+    placedSet () {
+      return new Set(this.placed);
+    },
+    // lines with the references on the shown side only
+    shownLines () {
+      return this.lines
+        .map((line) => {
+          const references = line.references.filter((reference) => this.side === 'both' || this.sides[reference] === this.side);
+          return {
+            ...line,
+            references,
+            placed: references.every((reference) => this.placedSet.has(reference)),
+          };
+        })
+        .filter((line) => line.references.length);
+    },
+    partCount () {
+      return this.shownLines.reduce((count, line) => count + line.references.length, 0);
+    },
+    placedCount () {
+      return this.shownLines.reduce((count, line) =>
+        count + line.references.filter((reference) => this.placedSet.has(reference)).length, 0);
+    },
+  },
+};
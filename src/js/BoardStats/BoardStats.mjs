@@ -0,0 +1,61 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {convertLength, formatLength} from 'helpers/units.mjs';
+
+// Board figures for quoting fabrication with the project's design rules and
+// the tracks, vias and holes below them. Jumping to an item is left to the
+// parent.
+export default {
+  name: 'BoardStats',
+  props: {
+    active: {
+      type: Boolean,
+      default: false,
+    },
+    // boardStatistics() of the board
+    stats: {
+      type: Object,
+      default: null,
+    },
+    // unit lengths are shown in, see UNITS
+    unit: {
+      type: String,
+      default: 'mm',
+    },
+  },
+  computed: {
+    features () {
+      const stackup = this.stats.stackup;
+      if (!stackup) {
+        return '';
+      }
+      return [
+        stackup.castellated && 'castellated pads',
+        stackup.edgePlating && 'plated edge',
+        stackup.edgeConnector && stackup.edgeConnector !== 'no' && `edge connector (${stackup.edgeConnector})`,
+      ].filter((feature) => feature).join(', ');
+    },
+    trackWidths () {
+      return this.stats.tracks.widths.map(({width, count}) => `${this.length(width)} (${count})`).join(', ');
+    },
+  },
+  methods: {
+    value (millimeters) {
+      return convertLength(millimeters, this.unit);
+    },
+    length (millimeters) {
+      return formatLength(millimeters, this.unit);
+    },
+    area (squareMillimeters) {
+      return squareMillimeters === null
+        ? 'outline not closed'
+        : `${Number(squareMillimeters.toFixed(1))} mm² (${Number((squareMillimeters / 100).toFixed(2))} cm²)`;
+    },
+    optional (millimeters) {
+      return millimeters === null ? '–' : this.value(millimeters);
+    },
+  },
+};
@@ -0,0 +1,41 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+// Grouped BOM of the project's schematics, exporting is left to the parent
+// which gets the lines as shown, DNP ones included or not
+export default {
+  name: 'BomPanel',
+  props: {
+    // lines of groupParts()
+    lines: {
+      type: Array,
+      required: true,
+    },
+  },
+  data () {
+    return {
+      collapsed: true,
+      includeDnp: true,
+      query: '',
+    };
+  },
+  computed: {
+    shownLines () {
+      const lines = this.includeDnp ? this.lines : this.lines.filter((line) => !line.dnp);
+      return lines.map((line, index) => ({...line, item: index + 1}));
+    },
+    partCount () {
+      return this.shownLines.reduce((count, line) => count + line.quantity, 0);
+    },
+    filteredLines () {
+      const query = this.query.trim().toLowerCase();
+      if (!query) {
+        return this.shownLines;
+      }
+      return this.shownLines.filter((line) => [...line.references, line.value, line.footprint, line.mpn]
+        .some((text) => text?.toLowerCase().includes(query)));
+    },
+  },
+};
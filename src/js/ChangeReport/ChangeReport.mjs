@@ -0,0 +1,40 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {CHANGE_CATEGORIES} from 'compare/semantic-diff.mjs';
+
+// Filterable list of semantic changes, selecting and exporting them is left
+// to the parent
+export default {
+  name: 'ChangeReport',
+  props: {
+    // entries of diffRevisions()
+    entries: {
+      type: Array,
+      default: () => [],
+    },
+    selectedId: {
+      type: String,
+      default: '',
+    },
+  },
+  data () {
+    return {
+      collapsed: false,
+      query: '',
+      category: '',
+    };
+  },
+  computed: {
+    presentCategories () {
+      return CHANGE_CATEGORIES.filter((category) => this.entries.some((entry) => entry.category === category));
+    },
+    filteredEntries () {
+      const query = this.query.trim().toLowerCase();
+      return this.entries.filter((entry) => (!this.category || entry.category === this.category) &&
+        (!query || entry.description.toLowerCase().includes(query)));
+    },
+  },
+};
@@ -0,0 +1,54 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {COMPARE_MODES, DIFF_COLORS, DIFF_KINDS} from 'compare/visual-diff.mjs';
+
+// Revision picker and mode switch of the compare mode, loading the revisions
+// is left to the parent
+export default {
+  name: 'CompareBar',
+  props: {
+    active: {
+      type: Boolean,
+      default: false,
+    },
+    // [{id, label}] of file versions and other files of the folder
+    candidates: {
+      type: Array,
+      default: () => [],
+    },
+    selectedId: {
+      type: String,
+      default: '',
+    },
+    mode: {
+      type: String,
+      default: COMPARE_MODES.sideBySide,
+    },
+    // {added, removed, moved, changed} counts of the overlay
+    summary: {
+      type: Object,
+      default: null,
+    },
+    loading: {
+      type: Boolean,
+      default: false,
+    },
+    error: {
+      type: String,
+      default: '',
+    },
+  },
+  data () {
+    return {
+      modes: [
+        {value: COMPARE_MODES.sideBySide, label: 'Side by side'},
+        {value: COMPARE_MODES.overlay, label: 'Overlay'},
+      ],
+      kinds: DIFF_KINDS,
+      colors: DIFF_COLORS,
+    };
+  },
+};
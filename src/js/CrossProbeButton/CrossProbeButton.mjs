@@ -0,0 +1,20 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+// Button showing the schematic and the board side by side, picking in either
+// one finds the part or net in the other
+export default {
+  name: 'CrossProbeButton',
+  props: {
+    active: {
+      type: Boolean,
+      default: false,
+    },
+    busy: {
+      type: Boolean,
+      default: false,
+    },
+  },
+};
@@ -0,0 +1,41 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {LOAD_ERROR_KINDS} from 'diagnostics/load-errors.mjs';
+
+// Shown in place of the viewer when a file cannot be loaded, retrying,
+// downloading and copying the diagnostics are left to the parent
+export default {
+  name: 'ErrorView',
+  props: {
+    // {kind, title, message, hint, location, format} of describeLoadError()
+    error: {
+      type: Object,
+      required: true,
+    },
+    diagnostics: {
+      type: String,
+      default: '',
+    },
+    copied: {
+      type: Boolean,
+      default: false,
+    },
+    canDownload: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  computed: {
+    // another program's file, nothing went wrong to retry or report
+    plain () {
+      return this.error.kind === LOAD_ERROR_KINDS.foreign;
+    },
+    // caret under the offending column of the excerpt
+    marker () {
+      return `${' '.repeat(Math.max(0, this.error.location.excerptColumn - 1))}^`;
+    },
+  },
+};
@@ -0,0 +1,62 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {DEFAULT_DPI} from 'export/view-export.mjs';
+
+// Format choice of the view export, rendering and storing the result is
+// left to the parent
+export default {
+  name: 'ExportMenu',
+  props: {
+    // the shown document is a schematic, PDF then has a page per sheet
+    schematic: {
+      type: Boolean,
+      default: false,
+    },
+    canSave: {
+      type: Boolean,
+      default: false,
+    },
+    busy: {
+      type: Boolean,
+      default: false,
+    },
+    error: {
+      type: String,
+      default: '',
+    },
+    // name the last export was saved under
+    saved: {
+      type: String,
+      default: '',
+    },
+  },
+  data () {
+    return {
+      open: false,
+      format: 'svg',
+      dpi: DEFAULT_DPI,
+      save: false,
+      formats: [
+        {value: 'svg', label: 'SVG'},
+        {value: 'png', label: 'PNG'},
+        {value: 'pdf', label: 'PDF'},
+      ],
+    };
+  },
+  computed: {
+    hint () {
+      if (this.format === 'pdf') {
+        return this.schematic ? 'Every sheet on a page of its own.' : 'The board with its drawing sheet.';
+      }
+      return this.schematic ? 'The shown sheet.' : 'The board with the shown layers.';
+    },
+  },
+  methods: {
+    submit () {
+      this.$emit('export', {format: this.format, dpi: this.dpi, save: this.canSave && this.save});
+    },
+  },
+};
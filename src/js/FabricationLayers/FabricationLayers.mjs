@@ -0,0 +1,30 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+// Layer stack of a Gerber / drill package, the viewer itself is driven by
+// the parent through the emitted toggles
+export default {
+  name: 'FabricationLayers',
+  props: {
+    // [{id, fileName, layer, color, visible}], top of the stack first
+    layers: {
+      type: Array,
+      required: true,
+    },
+    hasBoard: {
+      type: Boolean,
+      default: false,
+    },
+    overlay: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  data () {
+    return {
+      collapsed: false,
+    };
+  },
+};
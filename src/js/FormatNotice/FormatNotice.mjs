@@ -0,0 +1,70 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {formatRelease, formatVersionDate, NEWEST_SUPPORTED, versionHint} from 'kicanvas/file-format.mjs';
+
+// KiCad version and generator of the shown file, a warning when it or a file
+// of its project is out of the versions KiCanvas reads and the tokens its
+// parser skipped
+export default {
+  name: 'FormatNotice',
+  props: {
+    // format of the opened file or the project's root sheet, see
+    // readFileFormat()
+    format: {
+      type: Object,
+      required: true,
+    },
+    fileName: {
+      type: String,
+      default: '',
+    },
+    // [{fileName, ...format}] of the project's documents
+    files: {
+      type: Array,
+      default: () => [],
+    },
+    // [{token, count}] the parser went past
+    skipped: {
+      type: Array,
+      default: () => [],
+    },
+  },
+  data () {
+    return {
+      open: false,
+      dismissed: false,
+    };
+  },
+  computed: {
+    summary () {
+      const generator = this.format.generator ? ` (${this.format.generator})` : '';
+      return `${formatRelease(this.format)}${generator} ${this.format.label}, file format ${formatVersionDate(this.format.version) || 'unknown'}`;
+    },
+    warnings () {
+      const warnings = this.format.newer || this.format.older ? [versionHint(this.format)] : [];
+      const others = this.files.filter((file) => (file.newer || file.older) && file.fileName !== this.fileName);
+      if (others.length) {
+        warnings.push(`${others.length === 1 ? 'One more file' : `${others.length} more files`} of the project ${others.length === 1 ? 'is' : 'are'} out of the KiCad versions the viewer reads, up to KiCad ${NEWEST_SUPPORTED}.`);
+      }
+      if (this.skipped.length) {
+        const count = this.skipped.reduce((sum, entry) => sum + entry.count, 0);
+        warnings.push(`${count} ${count === 1 ? 'item was' : 'items were'} skipped while reading.`);
+      }
+      return warnings;
+    },
+    hasDetails () {
+      return this.files.length > 1 || this.skipped.length > 0;
+    },
+  },
+  methods: {
+    releaseOf (file) {
+      return formatRelease(file);
+    },
+    dateOf (file) {
+      return formatVersionDate(file.version);
+    },
+  },
+};
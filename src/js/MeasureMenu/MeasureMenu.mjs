@@ -0,0 +1,66 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {UNITS} from 'helpers/units.mjs';
+
+// Measure mode toggle with the readout of the ruler or the clearance between
+// two copper items, measuring itself is left to the parent
+export default {
+  name: 'MeasureMenu',
+  props: {
+    active: {
+      type: Boolean,
+      default: false,
+    },
+    // 'distance' | 'clearance'
+    mode: {
+      type: String,
+      default: 'distance',
+    },
+    // 'board' | 'schematic', clearance is measured on boards only
+    side: {
+      type: String,
+      default: 'board',
+    },
+    // MeasureTool readout of the mode
+    readout: {
+      type: Object,
+      default: null,
+    },
+    // unit shown first, see UNITS
+    unit: {
+      type: String,
+      default: 'mm',
+    },
+  },
+  computed: {
+    units () {
+      const {[this.unit]: first, ...others} = UNITS;
+      return first ? {[this.unit]: first, ...others} : UNITS;
+    },
+    rows () {
+      const {dx, dy, distance} = this.readout;
+      return [['dX', dx], ['dY', dy], ['Distance', distance]].map(([name, value]) => ({name, value}));
+    },
+    hint () {
+      if (this.mode === 'clearance') {
+        return this.readout?.items.length === 1 ? 'Click a second copper item.' : 'Click two copper items.';
+      }
+      if (!this.readout) {
+        return 'Click where the ruler starts, it snaps to items and grid dots near the pointer.';
+      }
+      return this.readout.fixed ? 'Click to start another ruler, Escape to clear.' : 'Click where the ruler ends.';
+    },
+  },
+  methods: {
+    length (millimeters, unit) {
+      const {size, digits} = this.units[unit];
+      return (millimeters / size).toFixed(digits);
+    },
+    lengths (millimeters) {
+      return Object.keys(this.units).map((unit) => `${this.length(millimeters, unit)} ${unit}`).join(' · ');
+    },
+  },
+};
@@ -0,0 +1,68 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {formatLength} from 'helpers/units.mjs';
+
+// Details of one net of the shown page: pads, routed length, vias, zones and
+// routing completeness on a board, pins and labels over all sheets on a
+// schematic. Picking a net or jumping to a member is left to the parent.
+export default {
+  name: 'NetInspector',
+  props: {
+    active: {
+      type: Boolean,
+      default: false,
+    },
+    // 'board' | 'schematic'
+    side: {
+      type: String,
+      default: 'board',
+    },
+    names: {
+      type: Array,
+      default: () => [],
+    },
+    // boardNetDetails() or a net of buildSchematicNets()
+    details: {
+      type: Object,
+      default: null,
+    },
+    // unit lengths are shown in, see UNITS
+    unit: {
+      type: String,
+      default: 'mm',
+    },
+  },
+  data () {
+    return {
+      query: '',
+    };
+  },
+  computed: {
+    listId () {
+      return `net-inspector-names-${this._uid}`;
+    },
+    hint () {
+      return this.side === 'board'
+        ? 'Pick a net here or in the Nets panel of the board.'
+        : 'Pick a net here or click a pin, wire or label.';
+    },
+  },
+  watch: {
+    details (details) {
+      this.query = details?.name ?? this.query;
+    },
+  },
+  methods: {
+    pick () {
+      if (this.names.includes(this.query)) {
+        this.$emit('show', this.query);
+      }
+    },
+    length (millimeters) {
+      return formatLength(millimeters, this.unit);
+    },
+  },
+};
@@ -0,0 +1,85 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+// Review threads of the file with their pins, replies and open or resolved
+// state. Dropping pins and storing comments is left to the parent.
+export default {
+  name: 'ReviewPanel',
+  props: {
+    active: {
+      type: Boolean,
+      default: false,
+    },
+    // threads of listReviews() with `place` from describeAnchor()
+    threads: {
+      type: Array,
+      default: () => [],
+    },
+    // waiting for the click dropping the pin of a new thread
+    placing: {
+      type: Boolean,
+      default: false,
+    },
+    // {anchor, place} of the pin dropped for a new thread
+    draft: {
+      type: Object,
+      default: null,
+    },
+    selectedId: {
+      type: Number,
+      default: null,
+    },
+    busy: {
+      type: Boolean,
+      default: false,
+    },
+    error: {
+      type: String,
+      default: '',
+    },
+  },
+  data () {
+    return {
+      filters: [
+        {value: 'open', label: 'Open'},
+        {value: 'resolved', label: 'Resolved'},
+        {value: 'all', label: 'All'},
+      ],
+      filter: 'open',
+      message: '',
+      reply: '',
+    };
+  },
+  computed: {
+    openCount () {
+      return this.threads.filter((thread) => thread.state === 'open').length;
+    },
+    shownThreads () {
+      return this.filter === 'all' ? this.threads : this.threads.filter((thread) => thread.state === this.filter);
+    },
+  },
+  watch: {
+    selectedId () {
+      this.reply = '';
+    },
+  },
+  methods: {
+    create () {
+      if (this.message.trim()) {
+        this.$emit('create', this.message);
+        this.message = '';
+      }
+    },
+    sendReply (id) {
+      if (this.reply.trim()) {
+        this.$emit('reply', id, this.reply);
+        this.reply = '';
+      }
+    },
+    time (seconds) {
+      return new Date(seconds * 1000).toLocaleString();
+    },
+  },
+};
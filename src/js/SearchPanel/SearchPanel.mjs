@@ -0,0 +1,64 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+// Search box over the project index, results grouped by type. Enter walks
+// through the hits, each one is handed to the parent to be shown.
+import {searchProject} from 'search/project-search.mjs';
+
+export default {
+  name: 'SearchPanel',
+  props: {
+    index: {
+      type: Array,
+      default: () => [],
+    },
+  },
+  data () {
+    return {
+      query: '',
+      current: null,
+    };
+  },
+  computed: {
+    groups () {
+      return searchProject(this.index, this.query);
+    },
+    hits () {
+      return this.groups.flatMap((group) => group.hits);
+    },
+    total () {
+      return this.groups.reduce((count, group) => count + group.count, 0);
+    },
+  },
+  watch: {
+    query () {
+      this.current = null;
+    },
+  },
+  mounted () {
+    this.focus();
+  },
+  methods: {
+    focus () {
+      this.$refs.query.focus();
+      this.$refs.query.select();
+    },
+    jump (hit) {
+      this.current = hit.id;
+      this.$emit('jump', hit);
+    },
+    step (direction) {
+      if (!this.hits.length) {
+        return;
+      }
+      const index = this.hits.findIndex((hit) => hit.id === this.current);
+      const next = index < 0
+        ? (direction > 0 ? 0 : this.hits.length - 1)
+        : (index + direction + this.hits.length) % this.hits.length;
+      this.jump(this.hits[next]);
+      this.$nextTick(() => this.$refs.hits?.querySelector('[aria-selected="true"]')?.scrollIntoView({block: 'nearest'}));
+    },
+  },
+};
@@ -0,0 +1,45 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+// Follow-me session toggle with its participants, syncing is left to the
+// parent
+export default {
+  name: 'SessionMenu',
+  props: {
+    active: {
+      type: Boolean,
+      default: false,
+    },
+    // {userId, displayName, presenter, self}
+    participants: {
+      type: Array,
+      default: () => [],
+    },
+    presenter: {
+      type: Object,
+      default: null,
+    },
+    presenting: {
+      type: Boolean,
+      default: false,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  computed: {
+    hint () {
+      if (this.presenting) {
+        return this.participants.length > 1
+          ? 'The others follow your sheet, view, selection and highlighted net.'
+          : 'Nobody else has joined yet, they follow you once they open this file and join.';
+      }
+      return this.presenter
+        ? `You follow ${this.presenter.displayName}.`
+        : 'Nobody presents, take control to lead the others.';
+    },
+  },
+};
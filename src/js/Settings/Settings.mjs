@@ -0,0 +1,117 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {CONTROLS, CONTROLS_LIST, FEATURES} from 'configuration/viewer-settings.mjs';
+import {appApiRequest, appApiUrl} from 'helpers/app-api.mjs';
+import {UNITS} from 'helpers/units.mjs';
+import {BUILT_IN_THEMES} from 'theme/theme-view.mjs';
+
+// One layer preset a line, "Name: layer, layer, …"
+const presetsToText = (presets) => presets.map(({name, layers}) => `${name}: ${layers.join(', ')}`).join('\n');
+
+function textToPresets (text) {
+  return text.split('\n').map((line) => line.trim()).filter((line) => line).map((line) => {
+    const separator = line.indexOf(':');
+    if (separator < 1) {
+      throw new Error(`"${line}" is not a preset, write "Name: F.Cu, B.Cu, Edge.Cuts"`);
+    }
+    const layers = line.slice(separator + 1).split(',').map((layer) => layer.trim()).filter((layer) => layer);
+    return {name: line.slice(0, separator).trim(), layers};
+  });
+}
+
+// Admin defaults or personal settings of the viewer, stored through the
+// settings API
+export default {
+  name: 'Settings',
+  props: {
+    // 'admin' | 'personal'
+    mode: {
+      type: String,
+      required: true,
+    },
+    // SettingsService::getAdmin() or getPersonal()
+    settings: {
+      type: Object,
+      required: true,
+    },
+    // the admin's defaults the personal settings fall back to
+    defaults: {
+      type: Object,
+      default: null,
+    },
+    // themes to pick from as {id, name, ownerName, mine}
+    themes: {
+      type: Array,
+      default: () => [],
+    },
+  },
+  data () {
+    return {
+      form: {
+        ...this.settings,
+        features: {...this.settings.features},
+        controlslist: (this.settings.controlslist ?? '').split(' ').filter((word) => word),
+      },
+      presetsText: presetsToText(this.settings.layerPresets ?? []),
+      busy: false,
+      saved: false,
+      error: '',
+      builtInThemes: BUILT_IN_THEMES,
+      controls: CONTROLS,
+      controlsList: CONTROLS_LIST,
+      features: FEATURES,
+      units: Object.keys(UNITS),
+    };
+  },
+  computed: {
+    admin () {
+      return this.mode === 'admin';
+    },
+    // presets as typed so far, the default is picked among them
+    presetNames () {
+      if (!this.admin) {
+        return (this.defaults?.layerPresets ?? []).map(({name}) => name);
+      }
+      try {
+        return textToPresets(this.presetsText).map(({name}) => name);
+      }
+      catch (error) {
+        return [];
+      }
+    },
+  },
+  methods: {
+    // "Default (…)" entry of a personal setting
+    defaultLabel (key, labels = []) {
+      const value = this.defaults?.[key];
+      const label = labels.find((candidate) => candidate.value === value)?.label ?? value;
+      return label ? `Default (${label})` : 'Default';
+    },
+    themeLabel (theme) {
+      return theme.mine ? theme.name : `${theme.name} (${theme.ownerName})`;
+    },
+    async save () {
+      this.busy = true;
+      this.saved = false;
+      this.error = '';
+      try {
+        const settings = this.admin
+          ? {...this.form, controlslist: this.form.controlslist.join(' '), layerPresets: textToPresets(this.presetsText)}
+          : this.form;
+        const stored = await appApiRequest(appApiUrl('settings', this.mode), 'PUT', {settings});
+        this.form = {...this.form, ...stored, controlslist: this.form.controlslist, features: {...this.form.features, ...stored.features}};
+        if (this.admin) {
+          this.presetsText = presetsToText(stored.layerPresets);
+        }
+        this.saved = true;
+      } catch (error) {
+        this.error = error.message;
+      } finally {
+        this.busy = false;
+      }
+    },
+  },
+};
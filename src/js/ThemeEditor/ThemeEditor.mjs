@@ -0,0 +1,119 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {joinCss, splitCss} from 'theme/kicad-theme.mjs';
+
+// Theme picker and color editor of the viewers, painting, storing and
+// reading theme files is left to the parent
+export default {
+  name: 'ThemeEditor',
+  props: {
+    active: {
+      type: Boolean,
+      default: false,
+    },
+    // KiCanvas themes as {name, label}
+    builtIns: {
+      type: Array,
+      default: () => [],
+    },
+    // own and shared themes as listThemes() gives them
+    themes: {
+      type: Array,
+      default: () => [],
+    },
+    // theme id, KiCanvas theme name or '' for KiCanvas' preference
+    selected: {
+      type: String,
+      default: '',
+    },
+    // theme being edited as {id, name, shared, mine, modified}
+    draft: {
+      type: Object,
+      default: null,
+    },
+    // themeEntries() of the draft's colors
+    entries: {
+      type: Array,
+      default: () => [],
+    },
+    // signed in, themes can be stored
+    canStore: {
+      type: Boolean,
+      default: false,
+    },
+    busy: {
+      type: Boolean,
+      default: false,
+    },
+    error: {
+      type: String,
+      default: '',
+    },
+  },
+  data () {
+    return {
+      name: '',
+      shared: false,
+      filter: '',
+      sections: [
+        {section: 'board', label: 'Board'},
+        {section: 'schematic', label: 'Schematic'},
+      ],
+    };
+  },
+  computed: {
+    shownEntries () {
+      const filter = this.filter.trim().toLowerCase();
+      return filter ? this.entries.filter((entry) => entry.label.toLowerCase().includes(filter)) : this.entries;
+    },
+    // saving changes the theme itself only for its owner, otherwise stores a copy
+    saveLabel () {
+      return this.draft?.id && this.draft.mine ? 'Save' : 'Save as new';
+    },
+  },
+  watch: {
+    draft: {
+      immediate: true,
+      handler (draft, previous) {
+        if (draft && (!previous || draft.id !== previous.id || draft.name !== previous.name)) {
+          this.name = draft.name;
+          this.shared = draft.shared;
+        }
+      },
+    },
+  },
+  methods: {
+    sectionEntries (section) {
+      return this.shownEntries.filter((entry) => entry.section === section);
+    },
+    hex (entry) {
+      return splitCss(entry.css).hex;
+    },
+    alpha (entry) {
+      return splitCss(entry.css).alpha;
+    },
+    setHex (entry, hex) {
+      this.$emit('color', entry.section, entry.key, joinCss(hex, this.alpha(entry)));
+    },
+    setAlpha (entry, alpha) {
+      this.$emit('color', entry.section, entry.key, joinCss(this.hex(entry), Number(alpha)));
+    },
+    themeLabel (theme) {
+      const owner = theme.mine ? '' : ` (${theme.ownerName})`;
+      return `${theme.name}${owner}${theme.shared ? ' · shared' : ''}`;
+    },
+    importFile (event) {
+      const [file] = event.target.files;
+      event.target.value = '';
+      if (file) {
+        this.$emit('import', file);
+      }
+    },
+    save () {
+      this.$emit('save', {name: this.name, shared: this.shared});
+    },
+  },
+};
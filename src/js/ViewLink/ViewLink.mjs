@@ -0,0 +1,28 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+// Button asking the parent for a link to the shown view, the link is shown
+// when it could not be put on the clipboard
+export default {
+  name: 'ViewLink',
+  props: {
+    link: {
+      type: String,
+      default: '',
+    },
+    copied: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  watch: {
+    async link (link) {
+      if (link && !this.copied) {
+        await this.$nextTick();
+        this.$refs.link?.focus();
+      }
+    },
+  },
+};
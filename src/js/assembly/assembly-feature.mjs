@@ -0,0 +1,108 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {AssemblyView} from 'assembly/assembly-view.mjs';
+import {canPersistPlaced, loadPlaced, savePlaced} from 'assembly/placed-state.mjs';
+import {getActiveViewer} from 'kicanvas/embed-project.mjs';
+import {isPublicShare} from 'kicanvas/public-share.mjs';
+import {splitExtension} from 'kicanvas/webdav-filesystem.mjs';
+import logger from 'logger/logger.mjs';
+
+/**
+ * The viewer's part of hand assembly, mixed into the App: the AssemblyPanel's
+ * state and its AssemblyView, loadAssembly() once a project is shown and
+ * closeAssembly() before it goes
+ */
+export const assemblyFeature = {
+  data () {
+    return {
+      // Hand assembly of the opened board
+      assembly: {
+        available: false,
+        active: false,
+        lines: [],
+        sides: {},
+        side: 'both',
+        placed: [],
+        persisted: false,
+      },
+    };
+  },
+  methods: {
+    // a board opened as such, not one of a schematic's project
+    loadAssembly ({linkable}) {
+      this.assembly.available = linkable && splitExtension(this.basename)[1] === 'kicad_pcb';
+    },
+    async toggleAssembly (active) {
+      if (!active) {
+        this.closeAssembly();
+        return;
+      }
+      const viewer = await getActiveViewer(this.$refs.embed);
+      if (!viewer.board) {
+        logger.warn('Assembly mode needs a board');
+        return;
+      }
+      this.assemblyView = new AssemblyView(viewer);
+      const fileUrl = isPublicShare() ? null : this.davPath;
+      let placed = [];
+      try {
+        placed = await loadPlaced(fileUrl);
+      }
+      catch (error) {
+        logger.warn('Unable to load placed parts:', error.message);
+      }
+      this.assemblyView.setPlaced(placed);
+      this.assembly = {
+        ...this.assembly,
+        active: true,
+        lines: Object.freeze(this.assemblyView.lines),
+        sides: Object.freeze(this.assemblyView.sides),
+        side: this.assemblyView.side,
+        placed,
+        persisted: canPersistPlaced(fileUrl),
+      };
+    },
+    highlightAssemblyParts (references) {
+      this.assemblyView?.highlight(references);
+    },
+    selectAssemblyPart (reference) {
+      this.assemblyView?.select(reference);
+    },
+    setAssemblySide (side) {
+      this.assemblyView?.setSide(side);
+      this.assembly.side = side;
+    },
+    async toggleAssemblyPlaced (references, placed) {
+      const current = new Set(this.assembly.placed);
+      for (const reference of references) {
+        if (placed) {
+          current.add(reference);
+        }
+        else {
+          current.delete(reference);
+        }
+      }
+      this.assembly.placed = Array.from(current);
+      this.assemblyView?.setPlaced(this.assembly.placed);
+      if (this.assembly.persisted) {
+        try {
+          await savePlaced(this.davPath, this.assembly.placed);
+        }
+        catch (error) {
+          logger.warn(error.message);
+        }
+      }
+    },
+    closeAssembly () {
+      if (this.assemblyView) {
+        this.assemblyView.dispose();
+        this.assemblyView = null;
+      }
+      this.assembly.active = false;
+      this.assembly.side = 'both';
+    },
+  },
+};
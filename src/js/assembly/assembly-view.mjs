@@ -0,0 +1,161 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {collectFootprints, footprintReference, groupParts} from 'bom/bom.mjs';
+import {ExtraViewLayers} from 'kicanvas/extra-layers.mjs';
+import logger from 'logger/logger.mjs';
+import {boxCorners} from 'nets/geometry.mjs';
+
+export const ASSEMBLY_SIDES = ['both', 'front', 'back'];
+
+const HIGHLIGHT_COLOR = 'rgb(255, 0, 160)';
+const PLACED_COLOR = 'rgb(46, 184, 92)';
+const FILL_OPACITY = 0.35;
+const OUTLINE_WIDTH = 0.1;
+
+// Board layers belonging to one side, inner copper is shown on both
+const SIDE_LAYERS = {
+  front: (name) => name.startsWith('F.') || name === ':Pads:Front',
+  back: (name) => name.startsWith('B.') || name === ':Pads:Back',
+};
+
+/**
+ * Assembly mode of a loaded KiCanvas board viewer, like InteractiveHtmlBom:
+ * the board's footprints grouped into BOM lines, the footprints of a line
+ * marked on the board, placed ones shaded, and the board shown from the
+ * front, the back or both sides. The back is mirrored as the board lies on
+ * the bench turned over.
+ */
+export class AssemblyView {
+  constructor (viewer) {
+    this.viewer = viewer;
+    this.side = 'both';
+    this.highlighted = [];
+    this.placed = new Set();
+    this.footprints = new Map();
+    for (const footprint of viewer.board.footprints) {
+      this.footprints.set(footprintReference(footprint), footprint);
+    }
+    this.parts = collectFootprints(viewer.board);
+    this.lines = groupParts(this.parts);
+    // reference -> 'front' | 'back'
+    this.sides = Object.fromEntries(this.parts.map(({reference, side}) => [reference, side]));
+    this.extraLayers = new ExtraViewLayers(viewer);
+    // what the layers panel had, restored when leaving a single side
+    this.layerVisibility = new Map();
+    this.mirrored = false;
+  }
+
+  onSide (reference) {
+    return this.side === 'both' || this.sides[reference] === this.side;
+  }
+
+  setSide (side) {
+    if (!ASSEMBLY_SIDES.includes(side)) {
+      return;
+    }
+    for (const [viewLayer, visible] of this.layerVisibility) {
+      viewLayer.visible = visible;
+    }
+    this.layerVisibility.clear();
+    this.side = side;
+    if (side !== 'both') {
+      const hidden = SIDE_LAYERS[side === 'front' ? 'back' : 'front'];
+      for (const viewLayer of this.viewer.layers.in_order()) {
+        if (hidden(viewLayer.name)) {
+          this.layerVisibility.set(viewLayer, viewLayer.visible);
+          viewLayer.visible = false;
+        }
+      }
+    }
+    this.setMirrored(side === 'back');
+    this.paint();
+  }
+
+  // Flips the camera's X axis. Its center is kept in the flipped coordinates,
+  // so dragging still moves the board along with the mouse and clicks pick
+  // what is under them.
+  setMirrored (mirrored) {
+    if (mirrored === this.mirrored) {
+      return;
+    }
+    const camera = this.viewer.viewport.camera;
+    this.mirrored = mirrored;
+    camera.center.x = -camera.center.x;
+    if (!mirrored) {
+      delete camera.matrix;
+      delete camera.bbox;
+      return;
+    }
+    const prototype = Object.getPrototypeOf(camera);
+    const matrix = Object.getOwnPropertyDescriptor(prototype, 'matrix').get;
+    const bbox = Object.getOwnPropertyDescriptor(prototype, 'bbox');
+    Object.defineProperty(camera, 'matrix', {
+      configurable: true,
+      get: () => matrix.call(camera).scale_self(-1, 1),
+    });
+    // the box in board coordinates, as zooming to fit and the grid use it
+    Object.defineProperty(camera, 'bbox', {
+      configurable: true,
+      get: () => {
+        const box = bbox.get.call(camera);
+        return new box.constructor(box.x2, box.y, -box.w, box.h);
+      },
+      set: (box) => bbox.set.call(camera, new box.constructor(-box.x2, box.y, box.w, box.h)),
+    });
+  }
+
+  setPlaced (references) {
+    this.placed = new Set(references);
+    this.paint();
+  }
+
+  highlight (references) {
+    this.highlighted = references ?? [];
+    this.paint();
+  }
+
+  // Selects a footprint the way a click on the board does
+  select (reference) {
+    const footprint = this.footprints.get(reference);
+    if (footprint) {
+      this.viewer.select(footprint);
+    }
+  }
+
+  paint () {
+    const {Color} = this.extraLayers;
+    this.extraLayers.clear();
+    const mark = (name, css, references) => {
+      const color = Color.from_css(css);
+      const fill = new Color(color.r, color.g, color.b, FILL_OPACITY);
+      this.extraLayers.add(name, color, (renderer) => {
+        for (const reference of references) {
+          const footprint = this.footprints.get(reference);
+          if (!footprint || !this.onSide(reference)) {
+            continue;
+          }
+          const outline = boxCorners(footprint.bbox);
+          renderer.polygon(outline, fill);
+          renderer.line([...outline, outline[0]], OUTLINE_WIDTH, color);
+        }
+      });
+    };
+    mark(':Assembly:Highlight', HIGHLIGHT_COLOR, this.highlighted);
+    mark(':Assembly:Placed', PLACED_COLOR, Array.from(this.placed).filter((reference) => !this.highlighted.includes(reference)));
+    this.viewer.draw();
+    logger.debug('Assembly painted, highlighted:', this.highlighted.length, 'placed:', this.placed.size);
+  }
+
+  dispose () {
+    for (const [viewLayer, visible] of this.layerVisibility) {
+      viewLayer.visible = visible;
+    }
+    this.layerVisibility.clear();
+    this.setMirrored(false);
+    this.viewer.draw();
+    this.extraLayers.dispose();
+  }
+}
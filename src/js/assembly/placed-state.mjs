@@ -0,0 +1,68 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {getCurrentUser, getRequestToken} from '@nextcloud/auth';
+import logger from 'logger/logger.mjs';
+
+// Dead WebDAV property Nextcloud keeps with the board file, it holds the
+// references placed so far as a JSON array
+const PLACED_NAMESPACE = 'http://warp.lv/ns/kicad_viewer';
+const PLACED_PROPERTY = 'assembly-placed';
+
+const escapeXml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const davRequest = (fileUrl, method, body) => fetch(fileUrl, {
+  method,
+  headers: {
+    Depth: '0',
+    'Content-Type': 'application/xml; charset=utf-8',
+    requesttoken: getRequestToken() ?? '',
+  },
+  body,
+});
+
+// Placing is only remembered for files of a logged in user, public shares
+// keep it for the session
+export const canPersistPlaced = (fileUrl) => Boolean(getCurrentUser() && fileUrl);
+
+export async function loadPlaced (fileUrl) {
+  if (!canPersistPlaced(fileUrl)) {
+    return [];
+  }
+  const response = await davRequest(fileUrl, 'PROPFIND', `<?xml version="1.0"?>
+<d:propfind xmlns:d="DAV:" xmlns:k="${PLACED_NAMESPACE}">
+  <d:prop><k:${PLACED_PROPERTY}/></d:prop>
+</d:propfind>`);
+  if (!response.ok) {
+    logger.warn('Unable to read placed parts:', response.status, response.statusText);
+    return [];
+  }
+  const xml = new DOMParser().parseFromString(await response.text(), 'application/xml');
+  const value = xml.getElementsByTagNameNS(PLACED_NAMESPACE, PLACED_PROPERTY)[0]?.textContent;
+  try {
+    const references = value ? JSON.parse(value) : [];
+    return Array.isArray(references) ? references.filter((reference) => typeof reference === 'string') : [];
+  }
+  catch (error) {
+    logger.warn('Ignoring unreadable placed parts:', error);
+    return [];
+  }
+}
+
+export async function savePlaced (fileUrl, references) {
+  if (!canPersistPlaced(fileUrl)) {
+    return;
+  }
+  const response = await davRequest(fileUrl, 'PROPPATCH', `<?xml version="1.0"?>
+<d:propertyupdate xmlns:d="DAV:" xmlns:k="${PLACED_NAMESPACE}">
+  <d:set><d:prop><k:${PLACED_PROPERTY}>${escapeXml(JSON.stringify(references))}</k:${PLACED_PROPERTY}></d:prop></d:set>
+</d:propertyupdate>`);
+  if (!response.ok) {
+    throw new Error(`Unable to save placed parts: ${response.status} ${response.statusText}`);
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {collectParts, groupParts} from 'bom/bom.mjs';
+import {bomToCSV, bomToXLSX} from 'bom/bom-export.mjs';
+import {FabricationFileSystem} from 'fabrication/gerber-view.mjs';
+import {initiateDownload} from 'helpers/warp-helpers.mjs';
+import {LibraryFileSystem} from 'kicanvas/library-documents.mjs';
+
+/**
+ * The viewer's part of the bill of materials, mixed into the App: the BOM
+ * panel's grouped parts and their download, loadBom() once a project is shown
+ * and closeBom() before it goes
+ */
+export const bomFeature = {
+  data () {
+    return {
+      // Grouped parts of the project's schematics, frozen
+      bom: {
+        lines: [],
+      },
+    };
+  },
+  methods: {
+    loadBom ({project, projectFileSystem}) {
+      if (projectFileSystem instanceof LibraryFileSystem || projectFileSystem instanceof FabricationFileSystem ||
+          !project.has_schematics) {
+        return;
+      }
+      this.bom.lines = Object.freeze(groupParts(collectParts(project)));
+    },
+    exportBom (format, lines) {
+      const stem = this.basename.substring(0, this.basename.lastIndexOf('.'));
+      const file = format === 'xlsx'
+        ? new File([bomToXLSX(lines)], `${stem}-bom.xlsx`, {type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'})
+        : new File([bomToCSV(lines)], `${stem}-bom.csv`, {type: 'text/csv'});
+      initiateDownload(file);
+    },
+    closeBom () {
+      this.bom = {lines: []};
+    },
+  },
+};
@@ -0,0 +1,165 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import logger from 'logger/logger.mjs';
+
+// Symbol fields commonly used for the manufacturer part number, compared
+// case insensitive
+const MPN_FIELDS = ['mpn', 'manufacturer part number', 'manufacturer_part_number', 'mfr pn', 'mfr. no.', 'mfr_pn', 'part number', 'partnumber'];
+const MANUFACTURER_FIELDS = ['manufacturer', 'mfr', 'mfr.', 'manufacturer_name'];
+const DESCRIPTION_FIELDS = ['description', 'ki_description'];
+
+export const BOM_COLUMNS = [
+  {key: 'item', label: 'Item'},
+  {key: 'quantity', label: 'Qty'},
+  {key: 'references', label: 'References'},
+  {key: 'value', label: 'Value'},
+  {key: 'footprint', label: 'Footprint'},
+  {key: 'manufacturer', label: 'Manufacturer'},
+  {key: 'mpn', label: 'MPN'},
+  {key: 'description', label: 'Description'},
+  {key: 'dnp', label: 'DNP'},
+];
+
+// Symbols keep their fields as a Map of properties, footprints as an object
+// of strings
+const field = (properties, names) => {
+  const entries = properties instanceof Map
+    ? Array.from(properties, ([name, property]) => [name, property.text])
+    : Object.entries(properties ?? {});
+  for (const [name, text] of entries) {
+    if (names.includes(name.toLowerCase()) && text && text !== '~') {
+      return text;
+    }
+  }
+  return '';
+};
+
+// KiCad 8 keeps reference and value of footprints as properties only
+export const footprintReference = (footprint) => footprint.reference ?? footprint.properties?.Reference ?? footprint.uuid;
+export const footprintValue = (footprint) => footprint.value ?? footprint.properties?.Value ?? '';
+
+export const footprintSide = (footprint) => (footprint.layer === 'B.Cu' ? 'back' : 'front');
+
+// R2 before R10
+const compareReferences = (a, b) => a.localeCompare(b, undefined, {numeric: true, sensitivity: 'base'});
+
+/**
+ * Instance data of a symbol on one sheet instance, like KiCanvas'
+ * KicadSch.update_hierarchical_data(): KiCad 6 keeps it in the root
+ * schematic's symbol_instances, KiCad 7 and later in the symbol itself
+ */
+export function symbolInstance (symbol, schematic, sheetPath, rootSchematic) {
+  const path = `${sheetPath}/${symbol.uuid}`;
+  // KiCad 6 paths leave out the root sheet
+  const legacyPath = `${sheetPath.replace(/^\/[^/]+/, '')}/${symbol.uuid}`;
+  return rootSchematic?.symbol_instances?.get(path) ??
+    rootSchematic?.symbol_instances?.get(legacyPath) ??
+    schematic.symbol_instances?.get(path) ??
+    symbol.instances.get(sheetPath) ??
+    null;
+}
+
+/**
+ * Every placed part of the project, one per reference: sheets used more
+ * than once contribute a part per instance, units of one part collapse.
+ * Symbols excluded from the BOM and power symbols are left out.
+ */
+export function collectParts (project) {
+  const parts = new Map();
+  const root = project.root_schematic_page?.document ?? null;
+  for (const page of project.pages()) {
+    if (page.type !== 'schematic' || !page.document) {
+      continue;
+    }
+    const schematic = page.document;
+    for (const symbol of schematic.symbols.values()) {
+      const instance = symbolInstance(symbol, schematic, page.sheet_path, root);
+      const reference = instance?.reference ?? symbol.reference;
+      if (!symbol.in_bom || reference.startsWith('#') || parts.has(reference)) {
+        continue;
+      }
+      parts.set(reference, {
+        reference,
+        value: instance?.value ?? symbol.value,
+        footprint: instance?.footprint ?? symbol.footprint,
+        mpn: field(symbol.properties, MPN_FIELDS),
+        manufacturer: field(symbol.properties, MANUFACTURER_FIELDS),
+        description: field(symbol.properties, DESCRIPTION_FIELDS) || symbol.lib_symbol?.description || '',
+        dnp: Boolean(symbol.dnp),
+      });
+    }
+  }
+  logger.debug('BOM parts collected:', parts.size);
+  return Array.from(parts.values());
+}
+
+/**
+ * Every footprint of a board meant to be assembled, as the parts of
+ * collectParts() with the side it is placed on. Board only items, like
+ * logos and fiducials, and footprints excluded from the BOM are left out.
+ */
+export function collectFootprints (board) {
+  const parts = new Map();
+  for (const footprint of board.footprints) {
+    const reference = footprintReference(footprint);
+    if (footprint.attr?.board_only || footprint.attr?.exclude_from_bom || !reference ||
+      reference.startsWith('#') || reference.includes('*') || parts.has(reference)) {
+      continue;
+    }
+    parts.set(reference, {
+      reference,
+      value: footprintValue(footprint),
+      footprint: footprint.library_link ?? '',
+      mpn: field(footprint.properties, MPN_FIELDS),
+      manufacturer: field(footprint.properties, MANUFACTURER_FIELDS),
+      description: field(footprint.properties, DESCRIPTION_FIELDS) || footprint.descr || '',
+      // not read by KiCanvas from the footprint attributes
+      dnp: false,
+      side: footprintSide(footprint),
+    });
+  }
+  logger.debug('Board parts collected:', parts.size);
+  return Array.from(parts.values());
+}
+
+/**
+ * Parts grouped into BOM lines by value, footprint and MPN; parts not to be
+ * placed get lines of their own
+ */
+export function groupParts (parts) {
+  const groups = new Map();
+  for (const part of parts) {
+    const key = JSON.stringify([part.value, part.footprint, part.mpn, part.dnp]);
+    const group = groups.get(key);
+    if (group) {
+      group.references.push(part.reference);
+      group.manufacturer ||= part.manufacturer;
+      group.description ||= part.description;
+    }
+    else {
+      groups.set(key, {...part, references: [part.reference]});
+    }
+  }
+  // a line may span both sides of the board
+  const lines = Array.from(groups.values(), ({reference, side, ...line}) => ({
+    ...line,
+    references: line.references.sort(compareReferences),
+    quantity: line.references.length,
+  }));
+  lines.sort((a, b) => Number(a.dnp) - Number(b.dnp) || compareReferences(a.references[0], b.references[0]));
+  return lines.map((line, index) => ({...line, item: index + 1}));
+}
+
+// Line as the strings and numbers of BOM_COLUMNS
+export const lineCells = (line) => BOM_COLUMNS.map(({key}) => {
+  if (key === 'references') {
+    return line.references.join(', ');
+  }
+  if (key === 'dnp') {
+    return line.dnp ? 'DNP' : '';
+  }
+  return line[key];
+});
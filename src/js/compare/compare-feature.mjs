@@ -0,0 +1,200 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {diffRevisions, reportToJSON, reportToMarkdown, selectTarget} from 'compare/semantic-diff.mjs';
+import {fetchFileVersion, isComparable, listComparableFiles, listFileVersions} from 'compare/versions.mjs';
+import {COMPARE_MODES, DiffOverlay, diffViewers, summarizeDiff, syncCameras} from 'compare/visual-diff.mjs';
+import {initiateDownload} from 'helpers/warp-helpers.mjs';
+import {getActiveViewer, loadProjectIntoEmbed, requestContext, showProjectFile} from 'kicanvas/embed-project.mjs';
+import {isPublicShare} from 'kicanvas/public-share.mjs';
+import {WebDavFileSystem} from 'kicanvas/webdav-filesystem.mjs';
+import logger from 'logger/logger.mjs';
+
+/**
+ * The viewer's part of comparing revisions, mixed into the App: the compare
+ * bar's and change report's state and the viewers shown side by side,
+ * loadCompare() once a project is shown and closeCompare() before it goes
+ */
+export const compareFeature = {
+  data () {
+    return {
+      // Another revision of the opened document shown next to or over it
+      compare: {
+        available: false,
+        active: false,
+        candidates: [],
+        selectedId: '',
+        mode: COMPARE_MODES.sideBySide,
+        summary: null,
+        loading: false,
+        report: null,
+        selectedChangeId: '',
+        error: '',
+      },
+    };
+  },
+  computed: {
+    compareShown () {
+      const {active, selectedId, mode, loading} = this.compare;
+      return active && !!selectedId && (mode === COMPARE_MODES.sideBySide || loading);
+    },
+  },
+  methods: {
+    loadCompare () {
+      this.compare.available = isComparable(this.basename);
+    },
+    async openCompare () {
+      this.closeAssembly();
+      this.closeCrossProbe();
+      this.closeNetInspector();
+      this.closeMeasure();
+      this.closeReview();
+      this.closeSession();
+      this.compare.active = true;
+      let versions = [];
+      if (!isPublicShare()) {
+        try {
+          versions = await listFileVersions(this.fileid);
+        }
+        catch (error) {
+          logger.warn('Unable to list file versions:', error.message);
+        }
+      }
+      const files = listComparableFiles(this.projectFileSystem?.folderNames ?? [], this.basename);
+      this.compare.candidates = [...versions, ...files];
+      logger.debug('Compare candidates:', this.compare.candidates.map((candidate) => candidate.label));
+    },
+    async loadCompareRevision (candidate) {
+      const {fileUrl, headers} = this.getProjectFileLocation();
+      // versions are loaded in place of the opened file, so sub-sheets and the
+      // rest of the project still resolve from its folder
+      if (candidate.url) {
+        const content = await fetchFileVersion(candidate);
+        const files = [new File([content], this.basename)];
+        return {
+          entryName: this.basename,
+          fileSystem: await WebDavFileSystem.fromFileUrl(fileUrl, this.basename, {headers, files}),
+        };
+      }
+      const folderUrl = fileUrl.substring(0, fileUrl.lastIndexOf('/') + 1);
+      return {
+        entryName: candidate.fileName,
+        fileSystem: await WebDavFileSystem.fromFileUrl(folderUrl + encodeURIComponent(candidate.fileName), candidate.fileName, {headers}),
+      };
+    },
+    async selectCompareRevision (id) {
+      const candidate = this.compare.candidates.find((entry) => entry.id === id);
+      if (!candidate) {
+        return;
+      }
+      this.disposeCompareViews();
+      this.compare.selectedId = id;
+      this.compare.summary = null;
+      this.compare.report = null;
+      this.compare.selectedChangeId = '';
+      this.compare.error = '';
+      this.compare.loading = true;
+      try {
+        // the compare embed is shown while it loads, KiCanvas only sets up
+        // viewers it can measure
+        await this.$nextTick();
+        const {entryName, fileSystem} = await this.loadCompareRevision(candidate);
+        await loadProjectIntoEmbed(this.$refs.compareEmbed, fileSystem, entryName);
+        const [head, base] = await Promise.all([
+          getActiveViewer(this.$refs.embed),
+          getActiveViewer(this.$refs.compareEmbed),
+        ]);
+        this.compareViews = {head, base, overlay: null, unsync: syncCameras(head, base)};
+        logger.debug('Compare revision loaded:', candidate.label);
+        const [headProject, baseProject] = await Promise.all([
+          requestContext(this.$refs.embed, 'project'),
+          requestContext(this.$refs.compareEmbed, 'project'),
+        ]);
+        this.compare.report = diffRevisions({baseViewer: base, headViewer: head, baseProject, headProject});
+      }
+      catch (error) {
+        logger.error('Error loading compare revision:', error);
+        // the opened file is still shown, the bar tells what went wrong
+        this.compare.error = `Failed to load revision: ${error.message}`;
+      }
+      finally {
+        this.compare.loading = false;
+      }
+      await this.$nextTick();
+      this.applyCompareMode();
+    },
+    async setCompareMode (mode) {
+      this.compare.mode = mode;
+      await this.$nextTick();
+      this.applyCompareMode();
+    },
+    applyCompareMode () {
+      const views = this.compareViews;
+      if (!views) {
+        return;
+      }
+      if (this.compare.mode === COMPARE_MODES.overlay) {
+        views.overlay = views.overlay ?? new DiffOverlay(views.head);
+        const changes = diffViewers(views.base, views.head);
+        views.overlay.paint(changes);
+        this.compare.summary = summarizeDiff(changes);
+      }
+      else {
+        views.overlay?.dispose();
+        views.overlay = null;
+        this.compare.summary = null;
+      }
+    },
+    async selectChange (change) {
+      const {target} = change;
+      this.compare.selectedChangeId = change.id;
+      // removed items only exist in the revision, it has to be on screen
+      if (target.side === 'base' && this.compare.mode !== COMPARE_MODES.sideBySide) {
+        await this.setCompareMode(COMPARE_MODES.sideBySide);
+      }
+      const embed = target.side === 'base' ? this.$refs.compareEmbed : this.$refs.embed;
+      try {
+        const viewer = target.filename
+          ? await showProjectFile(embed, target.filename)
+          : await getActiveViewer(embed);
+        selectTarget(viewer, target);
+      }
+      catch (error) {
+        logger.warn('Unable to select change:', error.message);
+      }
+    },
+    exportChangeReport (format) {
+      const candidate = this.compare.candidates.find((entry) => entry.id === this.compare.selectedId);
+      const labels = {base: candidate?.label ?? '', head: this.basename};
+      const stem = this.basename.substring(0, this.basename.lastIndexOf('.'));
+      const file = format === 'json'
+        ? new File([reportToJSON(this.compare.report, labels)], `${stem}-changes.json`, {type: 'application/json'})
+        : new File([reportToMarkdown(this.compare.report, {...labels, title: `Changes of ${this.basename}`})], `${stem}-changes.md`, {type: 'text/markdown'});
+      initiateDownload(file);
+    },
+    disposeCompareViews () {
+      if (this.compareViews) {
+        this.compareViews.overlay?.dispose();
+        this.compareViews.unsync();
+        this.compareViews = null;
+      }
+    },
+    closeCompare () {
+      this.disposeCompareViews();
+      this.compare = {
+        available: false,
+        active: false,
+        candidates: [],
+        selectedId: '',
+        mode: COMPARE_MODES.sideBySide,
+        summary: null,
+        loading: false,
+        report: null,
+        selectedChangeId: '',
+        error: '',
+      };
+    },
+  },
+};
@@ -0,0 +1,396 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {footprintReference, footprintValue} from 'bom/bom.mjs';
+import logger from 'logger/logger.mjs';
+
+export const CHANGE_CATEGORIES = ['footprint', 'symbol', 'net', 'track', 'via', 'zone', 'label'];
+
+// Placement differences below this are rounding noise, in millimeters
+const POSITION_TOLERANCE = 1e-3;
+const LENGTH_TOLERANCE = 1e-2;
+// Share of connected pads two nets of different names need to be a rename
+const RENAME_OVERLAP = 0.5;
+
+const mm = (value) => `${Number(value.toFixed(3))}`;
+const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+/**
+ * One line of the report. `target` tells the viewer what to select for it:
+ * {side: 'head' | 'base', kind: 'footprint' | 'symbol' | 'net' | 'layer' | 'sheet', key, filename}
+ */
+const entry = (category, change, subject, description, target = null) => ({
+  id: `${category}:${change}:${subject}`,
+  category,
+  change,
+  subject,
+  description,
+  target,
+});
+
+const byKey = (items, key) => {
+  const map = new Map();
+  for (const item of items) {
+    const itemKey = key(item);
+    if (itemKey !== undefined && itemKey !== null && !map.has(itemKey)) {
+      map.set(itemKey, item);
+    }
+  }
+  return map;
+};
+
+function diffFootprints (base, head) {
+  const entries = [];
+  const before = byKey(base.footprints, footprintReference);
+  const after = byKey(head.footprints, footprintReference);
+  const target = (side, reference) => ({side, kind: 'footprint', key: reference, filename: head.filename});
+
+  for (const [reference, footprint] of after) {
+    const old = before.get(reference);
+    if (!old) {
+      entries.push(entry('footprint', 'added', reference, `${reference} (${footprintValue(footprint)}, ${footprint.library_link}) added`, target('head', reference)));
+      continue;
+    }
+    const from = old.at.position;
+    const to = footprint.at.position;
+    if (distance(from, to) > POSITION_TOLERANCE) {
+      entries.push(entry('footprint', 'moved', reference,
+        `${reference} moved from (${mm(from.x)}, ${mm(from.y)}) to (${mm(to.x)}, ${mm(to.y)})`, target('head', reference)));
+    }
+    if (Math.abs((old.at.rotation ?? 0) - (footprint.at.rotation ?? 0)) > POSITION_TOLERANCE) {
+      entries.push(entry('footprint', 'rotated', reference,
+        `${reference} rotated from ${mm(old.at.rotation ?? 0)}° to ${mm(footprint.at.rotation ?? 0)}°`, target('head', reference)));
+    }
+    if (old.layer !== footprint.layer) {
+      entries.push(entry('footprint', 'flipped', reference, `${reference} moved from ${old.layer} to ${footprint.layer}`, target('head', reference)));
+    }
+    if (footprintValue(old) !== footprintValue(footprint)) {
+      entries.push(entry('footprint', 'value', reference,
+        `${reference} value changed from ${footprintValue(old)} to ${footprintValue(footprint)}`, target('head', reference)));
+    }
+    if (old.library_link !== footprint.library_link) {
+      entries.push(entry('footprint', 'footprint', reference,
+        `${reference} footprint changed from ${old.library_link} to ${footprint.library_link}`, target('head', reference)));
+    }
+  }
+  for (const [reference, footprint] of before) {
+    if (!after.has(reference)) {
+      entries.push(entry('footprint', 'removed', reference, `${reference} (${footprintValue(footprint)}, ${footprint.library_link}) removed`, target('base', reference)));
+    }
+  }
+  return entries;
+}
+
+// Net names with the pads they connect, as "R1.2"
+function netPads (board) {
+  const nets = new Map();
+  for (const net of board.nets) {
+    if (net.name) {
+      nets.set(net.name, new Set());
+    }
+  }
+  for (const footprint of board.footprints) {
+    for (const pad of footprint.pads) {
+      if (pad.net?.name) {
+        if (!nets.has(pad.net.name)) {
+          nets.set(pad.net.name, new Set());
+        }
+        nets.get(pad.net.name).add(`${footprintReference(footprint)}.${pad.number}`);
+      }
+    }
+  }
+  return nets;
+}
+
+const overlap = (a, b) => {
+  const shared = [...a].filter((pad) => b.has(pad)).length;
+  const union = new Set([...a, ...b]).size;
+  return union ? shared / union : 0;
+};
+
+function diffNets (base, head) {
+  const entries = [];
+  const before = netPads(base);
+  const after = netPads(head);
+  const netNumber = (name) => head.nets.find((net) => net.name === name)?.number;
+  const target = (side, name) => ({side, kind: 'net', key: side === 'head' ? netNumber(name) : base.nets.find((net) => net.name === name)?.number, filename: head.filename});
+
+  const removed = [...before.keys()].filter((name) => !after.has(name));
+  const added = new Set([...after.keys()].filter((name) => !before.has(name)));
+
+  // a net that vanished while one connecting the same pads appeared was renamed
+  for (const name of removed) {
+    let rename = null;
+    let best = RENAME_OVERLAP;
+    for (const candidate of added) {
+      const share = overlap(before.get(name), after.get(candidate));
+      if (share >= best) {
+        [rename, best] = [candidate, share];
+      }
+    }
+    if (rename) {
+      added.delete(rename);
+      entries.push(entry('net', 'renamed', name, `Net ${name} renamed to ${rename}`, target('head', rename)));
+    }
+    else {
+      entries.push(entry('net', 'removed', name, `Net ${name} removed`, target('base', name)));
+    }
+  }
+  for (const name of added) {
+    entries.push(entry('net', 'added', name, `Net ${name} added (${after.get(name).size} pads)`, target('head', name)));
+  }
+
+  for (const [name, pads] of after) {
+    const old = before.get(name);
+    if (!old) {
+      continue;
+    }
+    const connected = [...pads].filter((pad) => !old.has(pad));
+    const disconnected = [...old].filter((pad) => !pads.has(pad));
+    if (connected.length || disconnected.length) {
+      const parts = [
+        connected.length ? `connects ${connected.join(', ')}` : null,
+        disconnected.length ? `no longer connects ${disconnected.join(', ')}` : null,
+      ].filter((part) => part);
+      entries.push(entry('net', 'connections', name, `Net ${name} ${parts.join(', ')}`, target('head', name)));
+    }
+  }
+  return entries;
+}
+
+const trackLength = (segment) => segment.mid
+  ? distance(segment.start, segment.mid) + distance(segment.mid, segment.end)
+  : distance(segment.start, segment.end);
+
+// Track count and length per copper layer
+function trackStatistics (board) {
+  const layers = new Map();
+  for (const segment of board.segments) {
+    const layer = layers.get(segment.layer) ?? {count: 0, length: 0};
+    layer.count += 1;
+    layer.length += trackLength(segment);
+    layers.set(segment.layer, layer);
+  }
+  return layers;
+}
+
+function diffTracks (base, head) {
+  const entries = [];
+  const before = trackStatistics(base);
+  const after = trackStatistics(head);
+  for (const layer of new Set([...before.keys(), ...after.keys()])) {
+    const old = before.get(layer) ?? {count: 0, length: 0};
+    const current = after.get(layer) ?? {count: 0, length: 0};
+    if (old.count !== current.count || Math.abs(old.length - current.length) > LENGTH_TOLERANCE) {
+      entries.push(entry('track', 'changed', layer,
+        `${layer}: ${old.count} → ${current.count} tracks, ${mm(old.length)} → ${mm(current.length)} mm`,
+        {side: 'head', kind: 'layer', key: layer}));
+    }
+  }
+
+  const viaKey = (via) => `${mm(via.at.position.x)},${mm(via.at.position.y)}`;
+  const viasBefore = new Set(base.vias.map(viaKey));
+  const viasAfter = new Set(head.vias.map(viaKey));
+  const viasAdded = [...viasAfter].filter((key) => !viasBefore.has(key)).length;
+  const viasRemoved = [...viasBefore].filter((key) => !viasAfter.has(key)).length;
+  if (viasAdded || viasRemoved) {
+    entries.push(entry('via', 'changed', 'vias',
+      `Vias: ${base.vias.length} → ${head.vias.length} (${viasAdded} added, ${viasRemoved} removed)`));
+  }
+  return entries;
+}
+
+const zoneLayers = (zone) => zone.layer ?? zone.layers?.join(', ') ?? '';
+const zoneOutline = (zone) => JSON.stringify((zone.polygons ?? []).map((polygon) =>
+  polygon.pts.map((point) => [mm(point.x), mm(point.y)])));
+
+function diffZones (base, head) {
+  const entries = [];
+  const group = (board) => {
+    const zones = new Map();
+    for (const zone of board.zones) {
+      const key = `${zoneLayers(zone)}|${zone.net_name ?? ''}|${zone.name ?? ''}`;
+      zones.set(key, [...(zones.get(key) ?? []), zoneOutline(zone)].sort());
+    }
+    return zones;
+  };
+  const before = group(base);
+  const after = group(head);
+  const describe = (key) => {
+    const [layers, net, name] = key.split('|');
+    return `${name || 'Zone'}${net ? ` of ${net}` : ''} on ${layers}`;
+  };
+  for (const [key, outlines] of after) {
+    const old = before.get(key);
+    const layer = key.split('|')[0];
+    if (!old) {
+      entries.push(entry('zone', 'added', key, `${describe(key)} added`, {side: 'head', kind: 'layer', key: layer}));
+    }
+    else if (JSON.stringify(old) !== JSON.stringify(outlines)) {
+      entries.push(entry('zone', 'changed', key, `${describe(key)} outline changed`, {side: 'head', kind: 'layer', key: layer}));
+    }
+  }
+  for (const key of before.keys()) {
+    if (!after.has(key)) {
+      entries.push(entry('zone', 'removed', key, `${describe(key)} removed`, {side: 'base', kind: 'layer', key: key.split('|')[0]}));
+    }
+  }
+  return entries;
+}
+
+export function diffBoards (base, head) {
+  return [
+    ...diffFootprints(base, head),
+    ...diffNets(base, head),
+    ...diffTracks(base, head),
+    ...diffZones(base, head),
+  ];
+}
+
+// Symbols of all sheets by reference, units of one part collapse into one
+function schematicSymbols (schematics) {
+  const symbols = new Map();
+  for (const schematic of schematics) {
+    for (const symbol of schematic.symbols.values()) {
+      // power symbols and flags are annotated with a leading #
+      if (!symbol.reference.startsWith('#') && !symbols.has(symbol.reference)) {
+        symbols.set(symbol.reference, {symbol, filename: schematic.filename});
+      }
+    }
+  }
+  return symbols;
+}
+
+const schematicLabels = (schematics) => {
+  const labels = new Map();
+  for (const schematic of schematics) {
+    for (const label of [...schematic.net_labels, ...schematic.global_labels, ...schematic.hierarchical_labels]) {
+      if (!labels.has(label.text)) {
+        labels.set(label.text, schematic.filename);
+      }
+    }
+  }
+  return labels;
+};
+
+export function diffSchematics (baseSchematics, headSchematics) {
+  const entries = [];
+  const before = schematicSymbols(baseSchematics);
+  const after = schematicSymbols(headSchematics);
+  const target = (side, reference, filename) => ({side, kind: 'symbol', key: reference, filename});
+
+  for (const [reference, {symbol, filename}] of after) {
+    const old = before.get(reference)?.symbol;
+    if (!old) {
+      entries.push(entry('symbol', 'added', reference, `${reference} (${symbol.value}, ${symbol.lib_id}) added`, target('head', reference, filename)));
+      continue;
+    }
+    if (old.value !== symbol.value) {
+      entries.push(entry('symbol', 'value', reference, `${reference} value changed from ${old.value} to ${symbol.value}`, target('head', reference, filename)));
+    }
+    if (old.footprint !== symbol.footprint) {
+      entries.push(entry('symbol', 'footprint', reference,
+        `${reference} footprint changed from ${old.footprint || 'none'} to ${symbol.footprint || 'none'}`, target('head', reference, filename)));
+    }
+    if (old.lib_id !== symbol.lib_id) {
+      entries.push(entry('symbol', 'symbol', reference, `${reference} symbol changed from ${old.lib_id} to ${symbol.lib_id}`, target('head', reference, filename)));
+    }
+  }
+  for (const [reference, {symbol, filename}] of before) {
+    if (!after.has(reference)) {
+      entries.push(entry('symbol', 'removed', reference, `${reference} (${symbol.value}, ${symbol.lib_id}) removed`, target('base', reference, filename)));
+    }
+  }
+
+  const labelsBefore = schematicLabels(baseSchematics);
+  const labelsAfter = schematicLabels(headSchematics);
+  for (const [text, filename] of labelsAfter) {
+    if (!labelsBefore.has(text)) {
+      entries.push(entry('label', 'added', text, `Net label ${text} added`, {side: 'head', kind: 'sheet', key: null, filename}));
+    }
+  }
+  for (const [text, filename] of labelsBefore) {
+    if (!labelsAfter.has(text)) {
+      entries.push(entry('label', 'removed', text, `Net label ${text} removed`, {side: 'base', kind: 'sheet', key: null, filename}));
+    }
+  }
+  return entries;
+}
+
+/**
+ * Semantic changes between two revisions loaded in KiCanvas, boards are
+ * compared as shown, schematics over all sheets of their projects
+ */
+export function diffRevisions ({baseViewer, headViewer, baseProject, headProject}) {
+  const isBoard = headViewer.document.constructor.name === 'KicadPCB';
+  const entries = isBoard
+    ? diffBoards(baseViewer.document, headViewer.document)
+    : diffSchematics(Array.from(baseProject.schematics()), Array.from(headProject.schematics()));
+  logger.debug('Semantic diff entries:', entries.length);
+  return entries;
+}
+
+export function reportToMarkdown (entries, {title = 'Change report', base = '', head = ''} = {}) {
+  const lines = [`## ${title}`, ''];
+  if (base || head) {
+    lines.push(`Comparing \`${base}\` → \`${head}\``, '');
+  }
+  if (!entries.length) {
+    lines.push('No changes.');
+    return `${lines.join('\n')}\n`;
+  }
+  for (const category of CHANGE_CATEGORIES) {
+    const categoryEntries = entries.filter((candidate) => candidate.category === category);
+    if (!categoryEntries.length) {
+      continue;
+    }
+    lines.push(`### ${category[0].toUpperCase()}${category.slice(1)}s (${categoryEntries.length})`, '');
+    for (const {change, description} of categoryEntries) {
+      lines.push(`- **${change}** ${description}`);
+    }
+    lines.push('');
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+export const reportToJSON = (entries, {base = '', head = ''} = {}) => JSON.stringify({
+  base,
+  head,
+  changes: entries.map(({category, change, subject, description}) => ({category, change, subject, description})),
+}, null, 2);
+
+const SELECTION_MARGIN = 3;
+
+/**
+ * Selects and frames what a report entry is about in the viewer showing its
+ * side, the viewer has to show the entry's file already
+ */
+export function selectTarget (viewer, target) {
+  viewer.layers.highlight(null);
+  switch (target.kind) {
+    case 'footprint':
+      viewer.select(viewer.board.footprints.find((footprint) => footprintReference(footprint) === target.key) ?? null);
+      break;
+    case 'symbol':
+      viewer.select(target.key);
+      break;
+    case 'net':
+      viewer.select(null);
+      if (target.key !== undefined) {
+        viewer.highlight_net(target.key);
+      }
+      break;
+    case 'layer':
+      viewer.select(null);
+      viewer.layers.highlight(target.key.split(', '));
+      break;
+    default:
+      viewer.select(null);
+  }
+  if (viewer.selected) {
+    viewer.viewport.camera.bbox = viewer.selected.grow(Math.max(viewer.selected.w, viewer.selected.h, SELECTION_MARGIN));
+  }
+  viewer.draw();
+}
@@ -0,0 +1,85 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {getCurrentUser, getRequestToken} from '@nextcloud/auth';
+import {generateRemoteUrl} from '@nextcloud/router';
+import {splitExtension} from 'kicanvas/webdav-filesystem.mjs';
+import logger from 'logger/logger.mjs';
+
+// Documents a revision can be compared for, the viewer shows one page of them
+export const COMPARABLE_EXTENSIONS = ['kicad_sch', 'kicad_pcb'];
+
+export const isComparable = (fileName) => COMPARABLE_EXTENSIONS.includes(splitExtension(fileName)[1]);
+
+const VERSIONS_PROPFIND_BODY = `<?xml version="1.0"?>
+<d:propfind xmlns:d="DAV:" xmlns:nc="http://nextcloud.org/ns">
+  <d:prop>
+    <d:getlastmodified/>
+    <d:getcontentlength/>
+    <nc:version-label/>
+  </d:prop>
+</d:propfind>`;
+
+/**
+ * Older revisions Nextcloud keeps of a file, newest first. Each is
+ * {id, label, url, modified}, empty when versions are not available, e.g.
+ * on public shares or with the versions app disabled.
+ */
+export async function listFileVersions (fileId) {
+  const user = getCurrentUser();
+  if (!user || !fileId) {
+    return [];
+  }
+  const collectionUrl = generateRemoteUrl(`dav/versions/${encodeURIComponent(user.uid)}/versions/${fileId}`);
+  const response = await fetch(collectionUrl, {
+    method: 'PROPFIND',
+    headers: {
+      Depth: '1',
+      'Content-Type': 'application/xml; charset=utf-8',
+      requesttoken: getRequestToken() ?? '',
+    },
+    body: VERSIONS_PROPFIND_BODY,
+  });
+  if (!response.ok) {
+    logger.warn('Unable to list file versions:', response.status, response.statusText);
+    return [];
+  }
+
+  const xml = new DOMParser().parseFromString(await response.text(), 'application/xml');
+  const versions = [];
+  for (const node of xml.getElementsByTagNameNS('DAV:', 'response')) {
+    const href = node.getElementsByTagNameNS('DAV:', 'href')[0]?.textContent;
+    const name = href?.split('/').filter((part) => part).pop();
+    // the collection itself is listed as well, its name is the file id
+    if (!name || name === String(fileId)) {
+      continue;
+    }
+    const modified = new Date(node.getElementsByTagNameNS('DAV:', 'getlastmodified')[0]?.textContent ?? Number(name) * 1000);
+    const label = node.getElementsByTagNameNS('http://nextcloud.org/ns', 'version-label')[0]?.textContent;
+    versions.push({
+      id: `version:${name}`,
+      label: label || modified.toLocaleString(),
+      url: new URL(href, window.location.href).href,
+      modified,
+    });
+  }
+  return versions.sort((a, b) => b.modified - a.modified);
+}
+
+export async function fetchFileVersion (version) {
+  const response = await fetch(version.url, {headers: {requesttoken: getRequestToken() ?? ''}});
+  if (!response.ok) {
+    throw new Error(`Unable to load version ${version.label}: ${response.status} ${response.statusText}`);
+  }
+  return response.text();
+}
+
+// Other documents of the folder the opened one can be compared with
+export const listComparableFiles = (folderNames, fileName) => {
+  const [, ext] = splitExtension(fileName);
+  return folderNames
+    .filter((name) => name !== fileName && splitExtension(name)[1] === ext)
+    .map((name) => ({id: `file:${name}`, label: name, fileName: name}));
+};
@@ -0,0 +1,172 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {ExtraViewLayers} from 'kicanvas/extra-layers.mjs';
+import logger from 'logger/logger.mjs';
+import {boxCorners} from 'nets/geometry.mjs';
+
+export const COMPARE_MODES = {
+  sideBySide: 'side-by-side',
+  overlay: 'overlay',
+};
+
+export const DIFF_KINDS = ['added', 'removed', 'moved', 'changed'];
+
+export const DIFF_COLORS = {
+  added: 'rgb(46, 184, 92)',
+  removed: 'rgb(224, 62, 62)',
+  moved: 'rgb(240, 160, 32)',
+  changed: 'rgb(66, 135, 245)',
+};
+
+const FILL_OPACITY = 0.25;
+const OUTLINE_WIDTH = 0.15;
+const EPSILON = 1e-4;
+
+// Fields that place an item without identity of its own, or tell where it
+// went when it has one
+const GEOMETRY_FIELDS = ['layer', 'start', 'mid', 'end', 'center', 'pts', 'at', 'size'];
+
+const geometry = (item) => JSON.stringify(GEOMETRY_FIELDS.map((field) => item[field] ?? null));
+
+/**
+ * Identity of a document item across revisions: references for footprints
+ * and symbols, uuids for the rest, and for items without one, like tracks
+ * of older boards, their geometry
+ */
+export function itemKey (item) {
+  const kind = item.constructor.name;
+  if (kind === 'Footprint') {
+    return `${kind}:${item.reference ?? item.properties?.Reference ?? item.uuid}`;
+  }
+  if (kind === 'SchematicSymbol' && item.reference !== '?') {
+    return `${kind}:${item.reference}:${item.unit ?? ''}`;
+  }
+  if (item.uuid) {
+    return `${kind}:${item.uuid}`;
+  }
+  return `${kind}:${geometry(item)}`;
+}
+
+// Items painted by a viewer with the bbox they cover over all their layers
+function paintedItems (viewer) {
+  const items = new Map();
+  for (const layer of viewer.layers.in_order()) {
+    if (layer.name === ':DrawingSheet') {
+      continue;
+    }
+    for (const [item, bbox] of layer.bboxes) {
+      const key = itemKey(item);
+      const painted = items.get(key);
+      if (painted) {
+        painted.bbox = bbox.constructor.combine([painted.bbox, bbox]);
+      }
+      else {
+        items.set(key, {item, bbox});
+      }
+    }
+  }
+  return items;
+}
+
+const sameBBox = (a, b) => Math.abs(a.x - b.x) < EPSILON && Math.abs(a.y - b.y) < EPSILON &&
+  Math.abs(a.w - b.w) < EPSILON && Math.abs(a.h - b.h) < EPSILON;
+
+/**
+ * Items added, removed, moved or otherwise changed from the document of the
+ * `base` viewer to the one of the `head` viewer, as
+ * {kind, key, item, bbox, baseBBox}
+ */
+export function diffViewers (base, head) {
+  const baseItems = paintedItems(base);
+  const headItems = paintedItems(head);
+  const changes = [];
+  for (const [key, {item, bbox}] of headItems) {
+    const before = baseItems.get(key);
+    if (!before) {
+      changes.push({kind: 'added', key, item, bbox});
+    }
+    else if (geometry(before.item) !== geometry(item)) {
+      changes.push({kind: 'moved', key, item, bbox, baseBBox: before.bbox});
+    }
+    else if (!sameBBox(before.bbox, bbox)) {
+      changes.push({kind: 'changed', key, item, bbox, baseBBox: before.bbox});
+    }
+  }
+  for (const [key, {item, bbox}] of baseItems) {
+    if (!headItems.has(key)) {
+      changes.push({kind: 'removed', key, item, bbox});
+    }
+  }
+  logger.debug('Visual diff:', DIFF_KINDS.map((kind) => `${kind}: ${changes.filter((change) => change.kind === kind).length}`).join(', '));
+  return changes;
+}
+
+export const summarizeDiff = (changes) => Object.fromEntries(
+  DIFF_KINDS.map((kind) => [kind, changes.filter((change) => change.kind === kind).length]));
+
+const center = (bbox) => ({x: bbox.x + bbox.w / 2, y: bbox.y + bbox.h / 2});
+
+/**
+ * Colors the changes of diffViewers() over the head viewer, moved items are
+ * joined to where they were
+ */
+export class DiffOverlay {
+  constructor (viewer) {
+    this.viewer = viewer;
+    this.extraLayers = new ExtraViewLayers(viewer);
+  }
+
+  paint (changes) {
+    const {Color} = this.extraLayers;
+    this.extraLayers.clear();
+    for (const kind of DIFF_KINDS) {
+      const color = Color.from_css(DIFF_COLORS[kind]);
+      const fill = new Color(color.r, color.g, color.b, FILL_OPACITY);
+      this.extraLayers.add(`:Diff:${kind}`, color, (renderer) => {
+        for (const change of changes.filter((candidate) => candidate.kind === kind)) {
+          const outline = boxCorners(change.bbox);
+          renderer.polygon(outline, fill);
+          renderer.line([...outline, outline[0]], OUTLINE_WIDTH, color);
+          if (kind === 'moved') {
+            renderer.line([center(change.baseBBox), center(change.bbox)], OUTLINE_WIDTH, color);
+          }
+        }
+      });
+    }
+    this.viewer.draw();
+  }
+
+  dispose () {
+    this.extraLayers.dispose();
+  }
+}
+
+/**
+ * Keeps the cameras of two viewers on the same spot, panning or zooming
+ * either moves the other one. Returns the function undoing it.
+ */
+export function syncCameras (first, second) {
+  let syncing = false;
+  const follow = (source, target) => () => {
+    Object.getPrototypeOf(source).on_viewport_change.call(source);
+    if (syncing) {
+      return;
+    }
+    syncing = true;
+    target.viewport.camera.center.set(source.viewport.camera.center);
+    target.viewport.camera.zoom = source.viewport.camera.zoom;
+    target.draw();
+    syncing = false;
+  };
+  first.on_viewport_change = follow(first, second);
+  second.on_viewport_change = follow(second, first);
+  // start out from the first viewer's view
+  first.on_viewport_change();
+  return () => {
+    delete first.on_viewport_change;
+    delete second.on_viewport_change;
+  };
+}
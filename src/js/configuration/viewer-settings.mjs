@@ -0,0 +1,56 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {loadState} from '@nextcloud/initial-state';
+import {APP_ID} from 'configuration/config.mjs';
+
+// KiCanvas' `controls` levels and the words of its `controlslist`
+export const CONTROLS = [
+  {value: 'full', label: 'Full, with the side panels'},
+  {value: 'basic', label: 'Basic, toolbar only'},
+  {value: 'none', label: 'None, view only'},
+];
+export const CONTROLS_LIST = [
+  {value: 'nofullscreen', label: 'Hide the full screen button'},
+  {value: 'nodownload', label: 'Hide the download button'},
+  {value: 'nooverlay', label: 'No click-to-focus overlay'},
+];
+export const FEATURES = [
+  {value: 'publicTokens', label: 'Public links to files'},
+  {value: 'review', label: 'Review comments'},
+  {value: 'session', label: 'Follow-me sessions'},
+];
+
+// What the viewer does without the server saying otherwise, the server
+// fills in the same defaults
+const DEFAULTS = {
+  theme: '',
+  controls: 'full',
+  controlslist: '',
+  units: 'mm',
+  layerPresets: [],
+  layerPreset: '',
+  features: {publicTokens: true, review: true, session: true},
+  debug: false,
+};
+
+/**
+ * Settings the viewer starts with, the admin's defaults with the user's
+ * own on top, see SettingsService::getViewerSettings()
+ */
+export function loadViewerSettings () {
+  // pages rendered without the viewer listeners, e.g. the test server, have none
+  const settings = loadState(APP_ID, 'viewer-settings', {});
+  return Object.freeze({
+    ...DEFAULTS,
+    ...settings,
+    features: Object.freeze({...DEFAULTS.features, ...settings.features}),
+  });
+}
+
+// The layers of the preset `name`, null for all layers
+export function presetLayers (settings, name = settings.layerPreset) {
+  return settings.layerPresets.find((preset) => preset.name === name)?.layers ?? null;
+}
@@ -0,0 +1,54 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {canCrossProbe, CrossProbe} from 'crossprobe/cross-probe.mjs';
+import logger from 'logger/logger.mjs';
+
+/**
+ * The viewer's part of cross-probing, mixed into the App: the button's state
+ * and its CrossProbe, loadCrossProbe() once a project is shown and
+ * closeCrossProbe() before it goes
+ */
+export const crossProbeFeature = {
+  data () {
+    return {
+      // Schematic and board side by side with cross-probing
+      crossProbe: {
+        available: false,
+        active: false,
+        busy: false,
+      },
+    };
+  },
+  methods: {
+    loadCrossProbe ({project, linkable}) {
+      this.crossProbe.available = linkable && canCrossProbe(project);
+    },
+    async toggleCrossProbe () {
+      if (this.crossProbe.active) {
+        this.closeCrossProbe();
+        return;
+      }
+      this.crossProbe.busy = true;
+      try {
+        this.crossProbeView = await CrossProbe.attach(this.$refs.embed);
+        this.crossProbe.active = true;
+      }
+      catch (error) {
+        logger.warn('Unable to show schematic and board together:', error.message);
+      }
+      finally {
+        this.crossProbe.busy = false;
+      }
+    },
+    closeCrossProbe () {
+      if (this.crossProbeView) {
+        this.crossProbeView.dispose();
+        this.crossProbeView = null;
+      }
+      this.crossProbe.active = false;
+    },
+  },
+};
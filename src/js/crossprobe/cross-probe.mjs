@@ -0,0 +1,265 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {footprintReference, symbolInstance} from 'bom/bom.mjs';
+import {requestContext, showProjectPage} from 'kicanvas/embed-project.mjs';
+import logger from 'logger/logger.mjs';
+import {connectedWires, EPSILON, onWire, PICK_DISTANCE, wireEnds} from 'nets/geometry.mjs';
+
+const nextTask = () => new Promise((resolve) => window.setTimeout(resolve, 0));
+
+const kindOf = (item) => item?.constructor.name;
+
+// KiCad footprint paths leave out the root sheet: "/<sheet uuids>/<symbol uuid>"
+const symbolPath = (page, symbol) => `${page.sheet_path.replace(/^\/[^/]+/, '')}/${symbol.uuid}`;
+
+const schematicLabels = (schematic) => [
+  ...schematic.net_labels,
+  ...schematic.global_labels,
+  ...schematic.hierarchical_labels,
+];
+
+// Moves the camera onto the selection of `viewer` when it is out of sight
+function reveal (viewer) {
+  const selected = viewer.selected;
+  if (selected && !viewer.viewport.camera.bbox.contains(selected)) {
+    viewer.viewport.camera.center.set(selected.center);
+    viewer.draw();
+  }
+}
+
+/**
+ * Shows the schematic and the board of a project side by side in one embed
+ * and ties them together the way KiCad's cross-probing does: picking a symbol
+ * selects its footprint and the other way around, picking a pin, wire or
+ * label highlights its net on the board.
+ *
+ * The embed lays out its apps in a row, like a vertical KCUISplitView, it
+ * only ever shows one of them. While attached both are kept shown, whatever
+ * page the project switches to.
+ */
+export class CrossProbe {
+  constructor (embedElement, project) {
+    this.embedElement = embedElement;
+    this.project = project;
+    const pages = Array.from(project.pages());
+    this.boardPage = pages.find((page) => page.type === 'pcb');
+    this.schematicPage = project.active_page?.type === 'schematic' ? project.active_page : project.root_schematic_page;
+    this.board = this.boardPage.document;
+    this.disposers = [];
+
+    const root = project.root_schematic_page?.document ?? null;
+    this.symbols = new Map();
+    this.symbolsByReference = new Map();
+    for (const page of pages.filter((candidate) => candidate.type === 'schematic')) {
+      for (const symbol of page.document.symbols.values()) {
+        const reference = this.symbolReference(page, symbol, root);
+        this.symbols.set(symbolPath(page, symbol), {page, symbol});
+        if (!this.symbolsByReference.has(reference)) {
+          this.symbolsByReference.set(reference, []);
+        }
+        this.symbolsByReference.get(reference).push({page, symbol});
+      }
+    }
+    this.footprints = new Map();
+    this.footprintsByReference = new Map();
+    for (const footprint of this.board.footprints) {
+      if (footprint.path) {
+        this.footprints.set(footprint.path, footprint);
+      }
+      this.footprintsByReference.set(footprintReference(footprint), footprint);
+    }
+  }
+
+  static async attach (embedElement) {
+    const project = await requestContext(embedElement, 'project');
+    const crossProbe = new CrossProbe(embedElement, project);
+    await crossProbe.showBoth();
+    crossProbe.listen();
+    return crossProbe;
+  }
+
+  symbolReference (page, symbol, root = this.project.root_schematic_page?.document) {
+    return symbolInstance(symbol, page.document, page.sheet_path, root)?.reference ?? symbol.reference;
+  }
+
+  apps () {
+    const shadowRoot = this.embedElement.shadowRoot;
+    return {
+      schematicApp: shadowRoot.querySelector('kc-schematic-app'),
+      boardApp: shadowRoot.querySelector('kc-board-app'),
+    };
+  }
+
+  // An app handed a page it cannot show hides itself. The one still holding
+  // its page is shown again as it was, loading would reset its camera.
+  async showBoth () {
+    const {schematicApp, boardApp} = this.apps();
+    if (this.project.active_page?.type === 'schematic') {
+      this.schematicPage = this.project.active_page;
+    }
+    for (const [app, page] of [[boardApp, this.boardPage], [schematicApp, this.schematicPage]]) {
+      if (!app.hidden) {
+        continue;
+      }
+      if (app.viewer?.document === page.document) {
+        app.hidden = false;
+      }
+      else {
+        await app.load(page);
+      }
+    }
+  }
+
+  listen () {
+    const {schematicApp, boardApp} = this.apps();
+    const listen = (target, type, listener) => {
+      target.addEventListener(type, listener);
+      this.disposers.push(() => target.removeEventListener(type, listener));
+    };
+    // the apps handle the change first, asynchronously
+    listen(this.project, 'change', async () => {
+      await nextTask();
+      await this.showBoth();
+    });
+    // the viewers pick on click as well, their listeners ran before these
+    listen(schematicApp.viewer.canvas, 'click', () => this.probeFromSchematic(schematicApp.viewer));
+    listen(boardApp.viewer.canvas, 'click', () => this.probeFromBoard(boardApp.viewer));
+  }
+
+  footprintFor (page, symbol) {
+    return this.footprints.get(symbolPath(page, symbol)) ??
+      this.footprintsByReference.get(this.symbolReference(page, symbol)) ??
+      null;
+  }
+
+  // Units of a part are separate symbols, the one on the shown sheet wins
+  symbolFor (footprint) {
+    const candidates = this.symbolsByReference.get(footprintReference(footprint)) ?? [];
+    return candidates.find(({page}) => page === this.schematicPage) ??
+      this.symbols.get(footprint.path) ??
+      candidates[0] ??
+      null;
+  }
+
+  pinNet (page, pin) {
+    return this.footprintFor(page, pin.parent)?.pad_by_number(pin.number)?.net ?? null;
+  }
+
+  /**
+   * Board net of a label: the exact name for global labels, the one with the
+   * sheet's path for local and hierarchical ones, e.g. "/Power/VBUS"
+   */
+  labelNet (page, label) {
+    const text = label.text;
+    const nets = this.board.nets.filter((net) => net.name === text || net.name.endsWith(`/${text}`));
+    if (nets.length <= 1) {
+      return nets[0] ?? null;
+    }
+    const isRoot = page.sheet_path.split('/').length <= 2;
+    const preferred = kindOf(label) === 'GlobalLabel'
+      ? text
+      : (isRoot ? `/${text}` : `/${page.name}/${text}`);
+    return nets.find((net) => net.name === preferred) ??
+      nets.find((net) => net.name.endsWith(preferred)) ??
+      nets[0];
+  }
+
+  /**
+   * Net of the wires connected to the picked wire or label. Pins on them give
+   * it exactly through their footprint's pads, labels by name.
+   */
+  sheetNet (viewer, page, {wire = null, label = null}) {
+    const schematic = page.document;
+    const start = wire ? [wire] : schematic.wires.filter((candidate) => onWire(label.at.position, candidate));
+    const wires = connectedWires(schematic, start);
+    const ends = Array.from(wires, wireEnds).flat();
+    const pins = viewer.layers.by_name(':Symbol:Pin')?.bboxes ?? new Map();
+    for (const [pin, bbox] of pins) {
+      if (kindOf(pin) === 'PinInstance' && ends.some((point) => bbox.grow(EPSILON).contains_point(point))) {
+        const net = this.pinNet(page, pin);
+        if (net) {
+          return net;
+        }
+      }
+    }
+    const labels = schematicLabels(schematic)
+      .filter((candidate) => Array.from(wires).some((connected) => onWire(candidate.at.position, connected)));
+    for (const candidate of label ? [label, ...labels] : labels) {
+      const net = this.labelNet(page, candidate);
+      if (net) {
+        return net;
+      }
+    }
+    return null;
+  }
+
+  async probeFromSchematic (viewer) {
+    const page = this.schematicPage;
+    const item = viewer.selected?.context;
+    const boardViewer = this.apps().boardApp.viewer;
+    let net = null;
+    if (kindOf(item) === 'PinInstance') {
+      net = this.pinNet(page, item);
+    }
+    else if (kindOf(item) === 'SchematicSymbol' || kindOf(item?.parent) === 'SchematicSymbol') {
+      const footprint = this.footprintFor(page, kindOf(item) === 'SchematicSymbol' ? item : item.parent);
+      logger.debug('Cross-probing symbol to footprint:', footprint && footprintReference(footprint));
+      if (footprint) {
+        boardViewer.select(footprint);
+        reveal(boardViewer);
+      }
+      return;
+    }
+    else if (!item) {
+      // wires and labels are not pickable in KiCanvas, they are looked up here
+      const point = viewer.mouse_position;
+      const label = viewer.layers.by_name(':Label')?.query_point(point).next().value?.context;
+      const wire = page.document.wires.find((candidate) => onWire(point, candidate, PICK_DISTANCE));
+      if (schematicLabels(page.document).includes(label) || wire) {
+        net = this.sheetNet(viewer, page, {wire, label: wire ? null : label});
+      }
+    }
+    logger.debug('Cross-probing net:', net?.name);
+    if (net) {
+      boardViewer.select(null);
+      // the selection repaints the overlay a moment later, the net goes on top of it
+      await nextTask();
+      boardViewer.highlight_net(net.number);
+    }
+  }
+
+  async probeFromBoard (viewer) {
+    const item = viewer.selected?.context;
+    if (kindOf(item) !== 'Footprint') {
+      return;
+    }
+    const target = this.symbolFor(item);
+    logger.debug('Cross-probing footprint to symbol:', footprintReference(item), target?.page.project_path);
+    if (!target) {
+      return;
+    }
+    let schematicViewer = this.apps().schematicApp.viewer;
+    if (target.page !== this.schematicPage) {
+      schematicViewer = await showProjectPage(this.embedElement, target.page);
+    }
+    schematicViewer.select(target.symbol);
+    reveal(schematicViewer);
+  }
+
+  // Leaves the embed with the app of the active page only
+  dispose () {
+    for (const dispose of this.disposers.splice(0)) {
+      dispose();
+    }
+    for (const app of Object.values(this.apps())) {
+      if (app && app.viewer?.document !== this.project.active_page?.document) {
+        app.hidden = true;
+      }
+    }
+  }
+}
+
+export const canCrossProbe = (project) => project.has_schematics && project.has_boards;
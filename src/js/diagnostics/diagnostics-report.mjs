@@ -0,0 +1,80 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {loadState} from '@nextcloud/initial-state';
+import {APP_ID} from 'configuration/config.mjs';
+import {formatRelease, formatVersionDate} from 'kicanvas/file-format.mjs';
+
+// Log lines kept for the report, the oldest are dropped
+const LOG_LENGTH = 200;
+const ARGUMENT_LENGTH = 500;
+
+const recentLog = [];
+
+function logText (argument) {
+  if (argument instanceof Error) {
+    return `${argument.name}: ${argument.message}`;
+  }
+  if (typeof argument === 'string') {
+    return argument;
+  }
+  try {
+    return JSON.stringify(argument) ?? String(argument);
+  }
+  catch (error) {
+    return String(argument);
+  }
+}
+
+/**
+ * Keeps a log line for the diagnostics of a failed load
+ */
+export function recordLog (level, args) {
+  const text = args.map((argument) => {
+    const part = logText(argument);
+    return part.length > ARGUMENT_LENGTH ? `${part.slice(0, ARGUMENT_LENGTH)}…` : part;
+  }).join(' ');
+  recentLog.push(`${new Date().toISOString()} ${level} ${text}`);
+  if (recentLog.length > LOG_LENGTH) {
+    recentLog.splice(0, recentLog.length - LOG_LENGTH);
+  }
+}
+
+function formatText (format) {
+  if (!format) {
+    return 'not a KiCad document';
+  }
+  if (format.legacy) {
+    return `legacy ${format.label}, version ${format.version}`;
+  }
+  return `${format.token} ${formatVersionDate(format.version) || 'without version'}, ${formatRelease(format)}${format.generator ? ` ${format.generator}` : ''}`;
+}
+
+/**
+ * Plain text report of a failed load for bug reports: versions, the file,
+ * the error as described by describeLoadError() and the recent log
+ */
+export function diagnosticsReport ({error, description, fileName, fileSize}) {
+  const location = description.location;
+  return [
+    'KiCad Viewer diagnostics',
+    `Time: ${new Date().toISOString()}`,
+    `App version: ${loadState(APP_ID, 'app-version', 'unknown')}`,
+    `Nextcloud: ${window.OC?.config?.version ?? 'unknown'}`,
+    `Browser: ${navigator.userAgent}`,
+    `File: ${fileName}${fileSize !== null ? ` (${fileSize} bytes)` : ''}`,
+    `Format: ${formatText(description.format)}`,
+    `Error: ${description.kind}, ${description.title}`,
+    `Message: ${description.message}`,
+    ...(error?.status ? [`Status: ${error.status}`] : []),
+    ...(location ? [`Location: line ${location.line}, column ${location.column}`] : []),
+    '',
+    'Stack:',
+    error?.stack ?? 'none',
+    '',
+    'Recent log:',
+    ...recentLog,
+  ].join('\n');
+}
@@ -0,0 +1,168 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {readFileFormat, versionHint} from 'kicanvas/file-format.mjs';
+
+export const LOAD_ERROR_KINDS = {
+  network: 'network',
+  permission: 'permission',
+  version: 'version',
+  parser: 'parser',
+  // another program's file sharing an extension, shown plainly
+  foreign: 'foreign',
+  unknown: 'unknown',
+};
+
+// Characters of the offending line shown around the column
+const EXCERPT_LENGTH = 120;
+// KiCanvas puts whole expressions into some messages
+const MESSAGE_LENGTH = 300;
+
+// KiCanvas' tokenizer, "Unexpected character at index 1234: x\nContext: …"
+const TOKENIZER_ERROR = /Unexpected character (?:while tokenizing atom )?at index (\d+): (.)/s;
+// KiCanvas' parser, a document not starting with the expected token
+const EXPRESSION_ERROR = /^Expression must start with/;
+// what browsers throw when a request gets no response at all
+const FETCH_ERROR = /Failed to fetch|NetworkError|Load failed/;
+
+/**
+ * Line and column (1-based) of `offset` in `content` with an excerpt of the
+ * line and the column within it
+ */
+export function locateOffset (content, offset) {
+  let line = 1;
+  let lineStart = 0;
+  for (let next = content.indexOf('\n'); next !== -1 && next < offset; next = content.indexOf('\n', next + 1)) {
+    line++;
+    lineStart = next + 1;
+  }
+  const lineEnd = content.indexOf('\n', lineStart);
+  const text = content.slice(lineStart, lineEnd === -1 ? content.length : lineEnd).replace(/\r$/, '');
+  const column = offset - lineStart + 1;
+  const start = Math.max(0, Math.min(column - 1 - EXCERPT_LENGTH / 2, text.length - EXCERPT_LENGTH));
+  return {
+    line,
+    column,
+    excerpt: text.slice(start, start + EXCERPT_LENGTH).replace(/\t/g, ' '),
+    excerptColumn: column - start,
+  };
+}
+
+/**
+ * First place `content` is no well formed S-expression as {offset, message},
+ * null when it is one. Finds what KiCanvas' tokenizer lets through: a stray
+ * ")", an unterminated string and a "(" never closed.
+ */
+export function findSyntaxError (content) {
+  const open = [];
+  for (let offset = 0; offset < content.length; offset++) {
+    const char = content[offset];
+    if (char === '"') {
+      const start = offset;
+      for (offset++; offset < content.length && content[offset] !== '"'; offset++) {
+        if (content[offset] === '\\') {
+          offset++;
+        }
+      }
+      if (offset >= content.length) {
+        return {offset: start, message: 'String never ends'};
+      }
+    }
+    else if (char === '(') {
+      open.push(offset);
+    }
+    else if (char === ')') {
+      if (!open.length) {
+        return {offset, message: 'Unexpected ")"'};
+      }
+      open.pop();
+    }
+  }
+  return open.length ? {offset: open[open.length - 1], message: '"(" is never closed'} : null;
+}
+
+// Location of a KiCanvas tokenizer error in the opened file, null when the
+// error is in another file of the project
+function tokenizerLocation (error, content) {
+  const match = String(error?.message ?? '').match(TOKENIZER_ERROR);
+  if (!match || !content) {
+    return null;
+  }
+  const offset = Number(match[1]);
+  return content[offset] === match[2] ? locateOffset(content, offset) : null;
+}
+
+/**
+ * What went wrong loading a file for the error view, as {kind, title,
+ * message, hint, location, format}. `phase` is "fetch" while the file is
+ * downloaded and "load" while KiCanvas reads it, `content` the text of the
+ * opened file once fetched. Errors may tell their `kind`, `title` and `hint`
+ * themselves.
+ */
+export function describeLoadError (error, {phase = 'load', content = null} = {}) {
+  const raw = String(error?.message ?? error ?? 'Unknown error');
+  // the tokenizer's context lines are left to the excerpt and the stack
+  const [firstLine] = raw.split('\n');
+  const message = firstLine.length > MESSAGE_LENGTH ? `${firstLine.slice(0, MESSAGE_LENGTH)}…` : firstLine;
+  const format = content ? readFileFormat(content) : null;
+  const described = (kind, title, hint, location = null) => Object.freeze({
+    kind, title, message, hint, location: location && Object.freeze(location), format,
+  });
+  // errors raised knowing what they are about
+  if (error?.kind) {
+    return described(error.kind, error.title, error.hint);
+  }
+  const status = error?.status;
+  if (status === 401 || status === 403) {
+    return described(LOAD_ERROR_KINDS.permission, 'No permission to open this file',
+      'The file or the folder it is in is not shared with you, or the share has ended. Sign in again or ask its owner to share it.');
+  }
+  if (status === 404) {
+    return described(LOAD_ERROR_KINDS.network, 'File not found',
+      'The file or a file of its project was moved or deleted. Reload the folder and open it again.');
+  }
+  if (status) {
+    return described(LOAD_ERROR_KINDS.network, 'The server could not deliver the file',
+      `The server answered with status ${status}. Try again in a moment.`);
+  }
+  if (error instanceof TypeError && (phase === 'fetch' || FETCH_ERROR.test(raw))) {
+    return described(LOAD_ERROR_KINDS.network, 'Network error',
+      'The file could not be downloaded. Check the connection and try again.');
+  }
+  if (format && (format.legacy || format.older || format.newer)) {
+    return described(LOAD_ERROR_KINDS.version, 'Unsupported KiCad file version', versionHint(format));
+  }
+  const parserHint = 'The file may be damaged or only partly saved. Open it in KiCad to check it.';
+  if (TOKENIZER_ERROR.test(raw) || EXPRESSION_ERROR.test(raw)) {
+    return described(LOAD_ERROR_KINDS.parser, 'The file could not be read', parserHint, tokenizerLocation(error, content));
+  }
+  const syntaxError = phase === 'load' && content ? findSyntaxError(content) : null;
+  if (syntaxError) {
+    return described(LOAD_ERROR_KINDS.parser, 'The file could not be read', `${syntaxError.message}. ${parserHint}`,
+      locateOffset(content, syntaxError.offset));
+  }
+  return described(LOAD_ERROR_KINDS.unknown, 'The file could not be shown',
+    'Try again, and if it keeps failing copy the diagnostics for a bug report.');
+}
+
+/**
+ * Error telling why a legacy file, see isLegacyDocument(), is not shown. Its
+ * header tells KiCad's files from other programs' with the same extension.
+ */
+export function legacyDocumentError (content) {
+  const format = readFileFormat(content);
+  if (!format?.legacy) {
+    const error = new Error('Not a KiCad file');
+    error.kind = LOAD_ERROR_KINDS.foreign;
+    error.title = 'Not a KiCad file';
+    error.hint = 'Other programs, Eagle among them, write files with this extension too. The viewer only shows KiCad files.';
+    return error;
+  }
+  const error = new Error(`KiCad 5 ${format.label} files are not supported`);
+  error.kind = LOAD_ERROR_KINDS.version;
+  error.title = 'Unsupported KiCad file version';
+  error.hint = versionHint(format);
+  return error;
+}
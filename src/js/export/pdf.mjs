@@ -0,0 +1,140 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+// Scenes are in millimeters, PDF pages in points
+const POINTS_PER_MM = 72 / 25.4;
+// Control point distance of a quarter circle drawn as a Bezier curve
+const KAPPA = 0.5522847498;
+
+const number = (value) => String(Math.round(value * 1e4) / 1e4);
+
+const rgb = (color) => `${number(color.r)} ${number(color.g)} ${number(color.b)}`;
+
+const escapeText = (text) => String(text).replace(/[\\()]/g, (character) => `\\${character}`).replace(/[^\x20-\x7E]/g, '?');
+
+const alphaKey = (alpha) => Math.round(alpha * 100);
+
+/**
+ * Content stream drawing a scene, `states` collects the ExtGState names of
+ * the opacities it uses, keyed by percent
+ */
+function sceneContent (scene, states) {
+  const {bbox, background, layers} = scene;
+  const alpha = (value) => {
+    const key = alphaKey(value);
+    if (!states.has(key)) {
+      states.set(key, `GS${key}`);
+    }
+    return `/${states.get(key)} gs`;
+  };
+  const path = (points) => points.map((point, index) => `${number(point.x)} ${number(point.y)} ${index ? 'l' : 'm'}`).join('\n');
+  const circle = ({x, y}, r) => {
+    const k = r * KAPPA;
+    return [
+      `${number(x + r)} ${number(y)} m`,
+      `${number(x + r)} ${number(y + k)} ${number(x + k)} ${number(y + r)} ${number(x)} ${number(y + r)} c`,
+      `${number(x - k)} ${number(y + r)} ${number(x - r)} ${number(y + k)} ${number(x - r)} ${number(y)} c`,
+      `${number(x - r)} ${number(y - k)} ${number(x - k)} ${number(y - r)} ${number(x)} ${number(y - r)} c`,
+      `${number(x + k)} ${number(y - r)} ${number(x + r)} ${number(y - k)} ${number(x + r)} ${number(y)} c`,
+    ].join('\n');
+  };
+
+  // millimeters with y down onto points with y up
+  const lines = [
+    `${number(POINTS_PER_MM)} 0 0 ${number(-POINTS_PER_MM)} ${number(-bbox.x * POINTS_PER_MM)} ${number((bbox.y + bbox.h) * POINTS_PER_MM)} cm`,
+    '1 J 1 j',
+  ];
+  if (background) {
+    lines.push(`${rgb(background)} rg`, `${number(bbox.x)} ${number(bbox.y)} ${number(bbox.w)} ${number(bbox.h)} re f`);
+  }
+  for (const layer of layers) {
+    for (const primitive of layer.primitives) {
+      const {color} = primitive;
+      const opacity = color.a * layer.opacity;
+      lines.push('q');
+      if (opacity < 1) {
+        lines.push(alpha(opacity));
+      }
+      if (primitive.type === 'circle') {
+        lines.push(`${rgb(color)} rg`, circle(primitive.center, primitive.radius), 'f');
+      }
+      else if (primitive.type === 'line') {
+        lines.push(`${rgb(color)} RG`, `${number(primitive.width)} w`, path(primitive.points), 'S');
+      }
+      else {
+        lines.push(`${rgb(color)} rg`, path(primitive.points), 'h f');
+      }
+      lines.push('Q');
+    }
+  }
+  return lines.join('\n');
+}
+
+async function deflate (text) {
+  const bytes = new TextEncoder().encode(text);
+  if (typeof CompressionStream === 'undefined') {
+    return {bytes, filter: ''};
+  }
+  // "deflate" is the zlib format FlateDecode expects
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return {bytes: new Uint8Array(await new Response(stream).arrayBuffer()), filter: ' /Filter /FlateDecode'};
+}
+
+/**
+ * PDF document with a page per scene of paintScene(), each page the size of
+ * its scene. Everything is drawn as vector paths, text included, as KiCanvas
+ * paints text with the KiCad stroke font.
+ */
+export async function scenesToPdf (scenes, {title = ''} = {}) {
+  const encoder = new TextEncoder();
+  const states = new Map();
+  const contents = [];
+  for (const scene of scenes) {
+    contents.push(await deflate(sceneContent(scene, states)));
+  }
+
+  // 1 catalog, 2 page tree, 3 info, 4 graphics states, then page and content per scene
+  const pageIds = scenes.map((_, index) => 5 + index * 2);
+  const resources = `<< /ExtGState 4 0 R >>`;
+  const objects = [
+    encoder.encode('<< /Type /Catalog /Pages 2 0 R >>'),
+    encoder.encode(`<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${scenes.length} >>`),
+    encoder.encode(`<< /Title (${escapeText(title)}) /Producer (KiCad Viewer for Nextcloud) >>`),
+    encoder.encode(`<< ${Array.from(states, ([key, name]) => `/${name} << /Type /ExtGState /ca ${number(key / 100)} /CA ${number(key / 100)} >>`).join(' ')} >>`),
+  ];
+  scenes.forEach((scene, index) => {
+    const width = number(scene.bbox.w * POINTS_PER_MM);
+    const height = number(scene.bbox.h * POINTS_PER_MM);
+    objects.push(encoder.encode(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources ${resources} /Contents ${pageIds[index] + 1} 0 R >>`));
+    const {bytes, filter} = contents[index];
+    objects.push([encoder.encode(`<< /Length ${bytes.length}${filter} >>\nstream\n`), bytes, encoder.encode('\nendstream')]);
+  });
+
+  // the comment of high bytes marks the file as binary
+  const chunks = [encoder.encode('%PDF-1.4\n%'), new Uint8Array([0xE2, 0xE3, 0xCF, 0xD3, 0x0A])];
+  let offset = chunks[0].length + chunks[1].length;
+  const offsets = [];
+  objects.forEach((object, index) => {
+    offsets.push(offset);
+    const parts = [encoder.encode(`${index + 1} 0 obj\n`), ...[object].flat(), encoder.encode('\nendobj\n')];
+    for (const part of parts) {
+      chunks.push(part);
+      offset += part.length;
+    }
+  });
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map((position) => `${String(position).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root 1 0 R /Info 3 0 R >>`,
+    'startxref',
+    String(offset),
+    '%%EOF',
+  ];
+  chunks.push(encoder.encode(`${xref.join('\n')}\n`));
+  return new Blob(chunks, {type: 'application/pdf'});
+}
@@ -0,0 +1,240 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+const PRECISION = 1e4;
+
+const round = (value) => Math.round(value * PRECISION) / PRECISION;
+
+/**
+ * Render layer of SvgRenderer: the primitives painted into it in world
+ * coordinates, {type: 'circle', center, radius, color},
+ * {type: 'line', points, width, color} or {type: 'polygon', points, color}
+ */
+class SvgRenderLayer {
+  constructor (renderer, name) {
+    this.renderer = renderer;
+    this.name = name;
+    this.composite_operation = 'source-over';
+    this.primitives = [];
+  }
+
+  clear () {
+    this.primitives = [];
+  }
+
+  dispose () {
+    this.clear();
+    this.renderer.remove_layer(this);
+  }
+}
+
+const rendererClasses = new WeakMap();
+
+/**
+ * Renderer recording what KiCanvas painters draw instead of rasterizing it.
+ *
+ * KiCanvas keeps its Renderer base class to itself, it is taken from the
+ * renderer of a viewer: `Renderer` is that base, which brings the render
+ * state stack and the bbox bookkeeping the painters rely on.
+ */
+export function createSvgRenderer (Renderer) {
+  if (!rendererClasses.has(Renderer)) {
+    rendererClasses.set(Renderer, class SvgRenderer extends Renderer {
+      constructor () {
+        // the base class styles its canvas, there is none to draw on
+        super({style: {}});
+        this.renderLayers = [];
+        this.activeLayer = null;
+      }
+
+      async setup () {}
+
+      dispose () {
+        this.renderLayers = [];
+      }
+
+      update_canvas_size () {}
+
+      clear_canvas () {}
+
+      start_layer (name) {
+        this.activeLayer = new SvgRenderLayer(this, name);
+      }
+
+      end_layer () {
+        if (!this.activeLayer) {
+          throw new Error('No active layer');
+        }
+        this.renderLayers.push(this.activeLayer);
+        this.activeLayer = null;
+        return this.renderLayers.at(-1);
+      }
+
+      arc (...args) {
+        super.prep_arc(...args);
+      }
+
+      circle (...args) {
+        const circle = super.prep_circle(...args);
+        if (circle.color && !circle.color.is_transparent_black) {
+          this.activeLayer.primitives.push({type: 'circle', center: circle.center, radius: circle.radius, color: circle.color});
+        }
+      }
+
+      line (...args) {
+        const line = super.prep_line(...args);
+        if (line.color && !line.color.is_transparent_black) {
+          this.activeLayer.primitives.push({type: 'line', points: line.points, width: line.width, color: line.color});
+        }
+      }
+
+      polygon (...args) {
+        const polygon = super.prep_polygon(...args);
+        if (polygon.color && !polygon.color.is_transparent_black) {
+          this.activeLayer.primitives.push({type: 'polygon', points: polygon.points, color: polygon.color});
+        }
+      }
+
+      get layers () {
+        return this.renderLayers;
+      }
+
+      remove_layer (layer) {
+        const index = this.renderLayers.indexOf(layer);
+        if (index !== -1) {
+          this.renderLayers.splice(index, 1);
+        }
+      }
+    });
+  }
+  const SvgRenderer = rendererClasses.get(Renderer);
+  return new SvgRenderer();
+}
+
+// Layers only meaningful on screen
+const SCREEN_LAYERS = [':Grid', ':Overlay', ':Interactive'];
+// What KiCanvas dims layers to while others are highlighted
+const DIMMED_OPACITY = 0.25;
+
+/**
+ * Scene of a ViewLayerSet painted through an SvgRenderer:
+ * {bbox, background, title, layers: [{name, opacity, primitives}]}, bottom
+ * layer first. Visibility, opacity and highlighting are read from
+ * `shownLayers` by layer name, the layer set of a viewer showing the same
+ * document, and from the painted layers themselves without one.
+ */
+export function sceneFromLayers (layerSet, {bbox, background = null, title = '', shownLayers = layerSet} = {}) {
+  const anyHighlighted = shownLayers.is_any_layer_highlighted();
+  const layers = [];
+  for (const layer of layerSet.in_display_order()) {
+    const shown = shownLayers.by_name(layer.name) ?? layer;
+    if (SCREEN_LAYERS.includes(layer.name) || !shown.visible || !layer.graphics) {
+      continue;
+    }
+    layers.push({
+      name: layer.name,
+      opacity: anyHighlighted && !shown.highlighted ? DIMMED_OPACITY : shown.opacity ?? 1,
+      primitives: layer.graphics.primitives,
+    });
+  }
+  return {
+    bbox: {x: bbox.x, y: bbox.y, w: bbox.w, h: bbox.h},
+    background,
+    title,
+    layers,
+  };
+}
+
+// Viewer elements KiCanvas defines, by the class of the document they show
+const VIEWER_ELEMENTS = {KicadPCB: 'kc-board-viewer', KicadSch: 'kc-schematic-viewer'};
+
+/**
+ * Scene of a board or schematic KiCanvas parsed, painted on its drawing sheet
+ * the way a viewer shows it, without viewer, canvas or GPU. The bundled
+ * `kicanvas.js` only has to be loaded, e.g. into a JSDOM page in Node: it
+ * exports none of its modules, its painters are reached through the viewer
+ * element it defines for the document. `theme` is a KiCanvas theme, as
+ * ThemeView.builtInTheme() reads them, KiCanvas' KiCad theme by default.
+ */
+export function paintDocument (document, {theme = null} = {}) {
+  const tagName = VIEWER_ELEMENTS[document.constructor.name];
+  const ViewerElement = tagName && window.customElements.get(tagName);
+  if (!ViewerElement) {
+    throw new Error(`KiCanvas has no viewer for ${document.filename}, is it loaded?`);
+  }
+  const themeObject = theme ?? Reflect.get(ViewerElement.prototype, 'themeObject', {theme: 'kicad'});
+  // all make_viewer() reads of the element, the viewer is never set up
+  const viewer = ViewerElement.prototype.make_viewer.call({canvas: null, disableinteraction: true, themeObject});
+  const native = viewer.create_renderer({style: {}});
+  const renderer = createSvgRenderer(Object.getPrototypeOf(native.constructor));
+  // e.g. the schematic viewer paints notes with the renderer's defaults
+  renderer.state.fill = native.state.fill;
+  renderer.state.stroke = native.state.stroke;
+  renderer.state.stroke_width = native.state.stroke_width;
+  viewer.renderer = renderer;
+  // the grid keeps the camera for later, it is left out of scenes
+  viewer.viewport = {camera: null};
+  viewer.document = document;
+  viewer.paint();
+  return sceneFromLayers(viewer.layers, {
+    bbox: viewer.drawing_sheet.page_bbox,
+    background: viewer.theme.background,
+    title: document.title_block?.title || document.filename,
+  });
+}
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// SVG 1.1 readers, e.g. Inkscape, know no rgba()
+const rgb = (color) => `rgb(${color.r_255}, ${color.g_255}, ${color.b_255})`;
+
+const opacity = (name, color) => (color.a < 1 ? ` ${name}="${round(color.a)}"` : '');
+
+const pointList = (points) => points.map((point) => `${round(point.x)},${round(point.y)}`).join(' ');
+
+function primitiveToSvg (primitive) {
+  const {color} = primitive;
+  if (primitive.type === 'circle') {
+    return `<circle cx="${round(primitive.center.x)}" cy="${round(primitive.center.y)}" r="${round(primitive.radius)}" fill="${rgb(color)}"${opacity('fill-opacity', color)}/>`;
+  }
+  if (primitive.type === 'line') {
+    return `<polyline points="${pointList(primitive.points)}" fill="none" stroke="${rgb(color)}"${opacity('stroke-opacity', color)} stroke-width="${round(primitive.width)}"/>`;
+  }
+  return `<polygon points="${pointList(primitive.points)}" fill="${rgb(color)}"${opacity('fill-opacity', color)}/>`;
+}
+
+/**
+ * SVG document of a scene, as painted by paintScene(): its layers bottom
+ * first, in millimeters
+ */
+export function sceneToSvg (scene) {
+  const {bbox, background, layers, title} = scene;
+  const parts = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" version="1.1" width="${round(bbox.w)}mm" height="${round(bbox.h)}mm" viewBox="${round(bbox.x)} ${round(bbox.y)} ${round(bbox.w)} ${round(bbox.h)}">`,
+  ];
+  if (title) {
+    parts.push(`<title>${escapeXml(title)}</title>`);
+  }
+  if (background) {
+    parts.push(`<rect x="${round(bbox.x)}" y="${round(bbox.y)}" width="${round(bbox.w)}" height="${round(bbox.h)}" fill="${rgb(background)}"/>`);
+  }
+  for (const layer of layers) {
+    if (!layer.primitives.length) {
+      continue;
+    }
+    const layerOpacity = layer.opacity < 1 ? ` opacity="${round(layer.opacity)}"` : '';
+    // layer names like ":Pads:Front" are no valid ids, Inkscape labels keep them
+    parts.push(`<g inkscape:groupmode="layer" inkscape:label="${escapeXml(layer.name)}"${layerOpacity} stroke-linecap="round" stroke-linejoin="round">`);
+    parts.push(...layer.primitives.map(primitiveToSvg));
+    parts.push('</g>');
+  }
+  parts.push('</svg>');
+  return parts.join('\n');
+}
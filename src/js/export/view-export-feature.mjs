@@ -0,0 +1,79 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {exportPdf, exportPng, exportSvg} from 'export/view-export.mjs';
+import {FabricationFileSystem} from 'fabrication/gerber-view.mjs';
+import {initiateDownload} from 'helpers/warp-helpers.mjs';
+import {getActiveViewer, requestContext} from 'kicanvas/embed-project.mjs';
+import {isPublicShare} from 'kicanvas/public-share.mjs';
+import {splitExtension, WebDavFileSystem} from 'kicanvas/webdav-filesystem.mjs';
+import logger from 'logger/logger.mjs';
+
+/**
+ * The viewer's part of exporting the shown document as SVG, PNG or PDF, mixed
+ * into the App: the export menu's state and the download or saved copy,
+ * loadViewExport() once a project is shown and closeViewExport() before it goes
+ */
+export const viewExportFeature = {
+  data () {
+    return {
+      // Exporting the shown document as SVG, PNG or PDF
+      viewExport: {
+        available: false,
+        schematic: false,
+        canSave: false,
+        busy: false,
+        error: '',
+        saved: '',
+      },
+    };
+  },
+  methods: {
+    loadViewExport ({project, projectFileSystem}) {
+      // Gerber layers are painted over the viewer, its own painting has none
+      this.viewExport.available = !(projectFileSystem instanceof FabricationFileSystem);
+      this.viewExport.schematic = project.active_page?.type === 'schematic';
+      this.viewExport.canSave = projectFileSystem instanceof WebDavFileSystem && !isPublicShare();
+    },
+    async exportView ({format, dpi, save}) {
+      this.viewExport = {...this.viewExport, busy: true, error: '', saved: ''};
+      try {
+        const embedElement = this.$refs.embed;
+        const viewer = await getActiveViewer(embedElement);
+        const project = await requestContext(embedElement, 'project');
+        this.viewExport.schematic = project.active_page?.type === 'schematic';
+        let blob;
+        let name;
+        if (format === 'pdf') {
+          // all sheets of a schematic go into one document named after the opened file
+          blob = await exportPdf(viewer, project, {title: viewer.document.title_block?.title || this.basename});
+          name = `${splitExtension(this.basename)[0]}.pdf`;
+        }
+        else {
+          const [stem] = splitExtension(viewer.document.filename ?? this.basename);
+          blob = format === 'png' ? await exportPng(viewer, dpi) : exportSvg(viewer);
+          name = `${stem}.${format}`;
+        }
+        if (save) {
+          this.viewExport.saved = await this.projectFileSystem.put(name, blob);
+          logger.debug('View export saved as', this.viewExport.saved);
+        }
+        else {
+          initiateDownload(new File([blob], name, {type: blob.type}));
+        }
+      }
+      catch (error) {
+        logger.error('View export failed:', error);
+        this.viewExport.error = error.message;
+      }
+      finally {
+        this.viewExport.busy = false;
+      }
+    },
+    closeViewExport () {
+      this.viewExport = {available: false, schematic: false, canSave: false, busy: false, error: '', saved: ''};
+    },
+  },
+};
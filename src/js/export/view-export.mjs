@@ -0,0 +1,121 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {scenesToPdf} from 'export/pdf.mjs';
+import {createSvgRenderer, sceneFromLayers, sceneToSvg} from 'export/svg-renderer.mjs';
+import logger from 'logger/logger.mjs';
+
+export const EXPORT_FORMATS = ['svg', 'png', 'pdf'];
+
+export const DEFAULT_DPI = 300;
+// Larger canvases fail to allocate in some browsers
+const MAX_CANVAS_SIDE = 16384;
+const MAX_CANVAS_AREA = 16384 * 16384;
+
+const MM_PER_INCH = 25.4;
+
+/**
+ * Scene of sceneFromLayers() painting `document` the way `viewer` shows its
+ * own, with the layer visibility and opacity of the viewer.
+ *
+ * The bundled KiCanvas keeps its painters to itself, the viewer's own
+ * painting code is run on a stand-in inheriting from it instead, so the
+ * viewer's layers and graphics stay untouched. paintDocument() paints
+ * without a shown viewer, every layer visible.
+ */
+export function paintScene (viewer, document = viewer.document) {
+  const Renderer = Object.getPrototypeOf(viewer.renderer.constructor);
+  const renderer = createSvgRenderer(Renderer);
+  // e.g. the schematic viewer paints notes with the renderer's defaults
+  renderer.state.fill = viewer.renderer.state.fill;
+  renderer.state.stroke = viewer.renderer.state.stroke;
+  renderer.state.stroke_width = viewer.renderer.state.stroke_width;
+
+  const stand = Object.create(viewer);
+  stand.renderer = renderer;
+  stand.document = document;
+  stand.disposables = {
+    add: (disposable) => disposable,
+    disposeAndRemove: () => {},
+  };
+  // painting points the shared drawing sheet at the painted document, its
+  // paper size included
+  const sheetDocument = viewer.drawing_sheet.document;
+  let bbox;
+  try {
+    Object.getPrototypeOf(viewer).paint.call(stand);
+    bbox = stand.drawing_sheet.page_bbox;
+  }
+  finally {
+    viewer.drawing_sheet.document = sheetDocument;
+  }
+
+  logger.debug('Scene painted:', document.filename);
+  return sceneFromLayers(stand.layers, {
+    bbox,
+    background: viewer.theme.background,
+    title: document.title_block?.title || document.filename,
+    shownLayers: viewer.layers,
+  });
+}
+
+// Sheets a schematic export has a page for, the shown one alone for boards
+function exportedPages (viewer, project) {
+  const active = project?.active_page;
+  if (!active || active.type !== 'schematic') {
+    return [{document: viewer.document}];
+  }
+  return Array.from(project.pages()).filter((page) => page.type === 'schematic' && page.document);
+}
+
+export const exportSvg = (viewer) => new Blob([sceneToSvg(paintScene(viewer))], {type: 'image/svg+xml'});
+
+export async function exportPng (viewer, dpi = DEFAULT_DPI) {
+  const scene = paintScene(viewer);
+  const width = Math.ceil(scene.bbox.w / MM_PER_INCH * dpi);
+  const height = Math.ceil(scene.bbox.h / MM_PER_INCH * dpi);
+  if (width > MAX_CANVAS_SIDE || height > MAX_CANVAS_SIDE || width * height > MAX_CANVAS_AREA) {
+    throw new Error(`${width} × ${height} pixels is too large an image, choose a lower resolution`);
+  }
+  const url = URL.createObjectURL(new Blob([sceneToSvg(scene)], {type: 'image/svg+xml'}));
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+    const canvas = window.document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+    return await new Promise((resolve, reject) => canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error('Unable to encode the PNG image'))), 'image/png'));
+  }
+  finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * PDF of the shown board, or of every sheet of the shown schematic, a
+ * page each with its drawing sheet
+ */
+export async function exportPdf (viewer, project, {title = ''} = {}) {
+  const active = project?.active_page;
+  const scenes = [];
+  try {
+    for (const page of exportedPages(viewer, project)) {
+      // symbols of sheets used more than once are annotated per instance
+      if (page.sheet_path) {
+        page.document.update_hierarchical_data(page.sheet_path);
+      }
+      scenes.push(paintScene(viewer, page.document));
+    }
+  }
+  finally {
+    if (active?.sheet_path && active.type === 'schematic') {
+      active.document.update_hierarchical_data(active.sheet_path);
+    }
+  }
+  return scenesToPdf(scenes, {title});
+}
@@ -0,0 +1,134 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {flipShape} from 'fabrication/geometry.mjs';
+
+const INCH = 25.4;
+
+/**
+ * Reads an Excellon drill file into hole circles and slot lines. KiCad
+ * writes its X2 like attributes as `; #@! TF.FileFunction,...` comments.
+ */
+export function parseExcellon (source) {
+  const attributes = {};
+  const tools = new Map();
+  const shapes = [];
+  let scale = INCH;
+  // digits of coordinates without decimal point, and which zeros are kept
+  let format = {integer: 2, decimal: 4, leadingZeros: true};
+  let tool = null;
+  let position = [0, 0];
+  let routing = null;
+
+  const coordinate = (value) => {
+    if (value.includes('.')) {
+      return parseFloat(value) * scale;
+    }
+    const negative = value.startsWith('-');
+    let digits = value.replace(/^[-+]/, '');
+    if (format.leadingZeros) {
+      digits = digits.padEnd(format.integer + format.decimal, '0');
+    }
+    const number = parseInt(digits, 10) / 10 ** format.decimal;
+    return (negative ? -number : number) * scale;
+  };
+
+  const point = (text, from) => {
+    const x = /X([-+]?[\d.]+)/.exec(text);
+    const y = /Y([-+]?[\d.]+)/.exec(text);
+    return [x ? coordinate(x[1]) : from[0], y ? coordinate(y[1]) : from[1]];
+  };
+
+  const slot = (start, end) => {
+    if (tool) {
+      shapes.push({type: 'line', points: [start, end], width: tool});
+    }
+  };
+
+  for (const rawLine of source.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) {
+      continue;
+    }
+    if (line.startsWith(';')) {
+      const attribute = /#@!\s*TF\.(\w+),?(.*)$/.exec(line);
+      if (attribute) {
+        attributes[`.${attribute[1]}`] = attribute[2].split(',');
+      }
+      const formatComment = /FORMAT=\{(\d+):(\d+)/.exec(line);
+      if (formatComment) {
+        format = {...format, integer: parseInt(formatComment[1], 10), decimal: parseInt(formatComment[2], 10)};
+      }
+      continue;
+    }
+    if (/^(METRIC|INCH)/.test(line)) {
+      scale = line.startsWith('METRIC') ? 1 : INCH;
+      format = line.startsWith('METRIC') ? {integer: 3, decimal: 3, leadingZeros: true} : {integer: 2, decimal: 4, leadingZeros: true};
+      if (line.includes('TZ')) {
+        // trailing zeros kept means leading ones are suppressed
+        format.leadingZeros = false;
+      }
+      const digits = /,0*(0+)\.(0+)/.exec(line);
+      if (digits) {
+        format = {...format, integer: digits[1].length, decimal: digits[2].length};
+      }
+      continue;
+    }
+    if (line === 'M71') {
+      scale = 1;
+      continue;
+    }
+    if (line === 'M72') {
+      scale = INCH;
+      continue;
+    }
+
+    const toolMatch = /^T(\d+)(?:.*C([\d.]+))?/.exec(line);
+    if (toolMatch) {
+      const number = parseInt(toolMatch[1], 10);
+      if (toolMatch[2] !== undefined) {
+        tools.set(number, parseFloat(toolMatch[2]) * scale);
+      }
+      tool = tools.get(number) ?? null;
+      if (!/[XY]/.test(line)) {
+        continue;
+      }
+    }
+
+    if (line.startsWith('G00')) {
+      position = point(line, position);
+      routing = {start: position, down: false};
+    }
+    else if (line === 'M15' && routing) {
+      routing.down = true;
+    }
+    else if ((line === 'M16' || line === 'M17') && routing) {
+      routing = null;
+    }
+    else if (line.startsWith('G01') && routing?.down) {
+      const end = point(line, position);
+      slot(position, end);
+      position = end;
+    }
+    else if (line.includes('G85')) {
+      const [startText, endText] = line.split('G85');
+      const start = point(startText, position);
+      const end = point(endText, start);
+      slot(start, end);
+      position = end;
+    }
+    else if (/^[XY]/.test(line)) {
+      position = point(line, position);
+      if (tool) {
+        shapes.push({type: 'circle', center: position, radius: tool / 2});
+      }
+    }
+  }
+
+  return {attributes, shapes: shapes.map(flipShape)};
+}
+
+// Excellon files start with their M48 header or at least a tool table
+export const isExcellon = (source) => /^\s*(M48|;|%)/.test(source) && /(^|\n)\s*T\d+C[\d.]+/.test(source) && !/%FS/.test(source);
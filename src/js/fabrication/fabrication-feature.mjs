@@ -0,0 +1,70 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {FabricationFileSystem, GerberView} from 'fabrication/gerber-view.mjs';
+import logger from 'logger/logger.mjs';
+
+/**
+ * The viewer's part of fab packages, mixed into the App: the layer list's
+ * state and its GerberView, loadFabrication() once a project is shown and
+ * closeFabrication() before it goes
+ */
+export const fabricationFeature = {
+  data () {
+    return {
+      // Plain descriptions of the Gerber / drill layers, drawn over the board
+      // of their folder when `overlay` is on
+      fabrication: {
+        layers: [],
+        hasBoard: false,
+        overlay: false,
+      },
+    };
+  },
+  methods: {
+    // a Gerber or drill file opened, its package is drawn on the board of
+    // the folder or an empty one
+    async loadFabrication ({embedElement, projectFileSystem}) {
+      if (!(projectFileSystem instanceof FabricationFileSystem)) {
+        return;
+      }
+      const fabricationSet = await projectFileSystem.loadSet();
+      if (!fabricationSet.layers.length) {
+        throw new Error('No Gerber or drill layers found');
+      }
+      this.gerberView = await GerberView.attach(embedElement, fabricationSet, {overlay: false});
+      this.fabrication = {
+        layers: fabricationSet.layers.map((layer) => ({
+          id: layer.id,
+          fileName: layer.fileName,
+          layer: layer.layer,
+          color: this.gerberView.viewLayers.get(layer.id).color.to_css(),
+          visible: layer.visible,
+        })),
+        hasBoard: projectFileSystem.hasBoard,
+        overlay: false,
+      };
+      logger.debug('Fabrication layers loaded:', this.fabrication.layers.map((layer) => `${layer.fileName}: ${layer.layer}`));
+    },
+    onFabricationLayerToggle (id, visible) {
+      const layer = this.fabrication.layers.find((candidate) => candidate.id === id);
+      if (layer) {
+        layer.visible = visible;
+      }
+      this.gerberView?.setLayerVisible(id, visible);
+    },
+    onFabricationOverlayToggle (overlay) {
+      this.fabrication.overlay = overlay;
+      this.gerberView?.setOverlay(overlay);
+    },
+    closeFabrication () {
+      if (this.gerberView) {
+        this.gerberView.dispose();
+        this.gerberView = null;
+      }
+      this.fabrication = {layers: [], hasBoard: false, overlay: false};
+    },
+  },
+};
@@ -0,0 +1,179 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {parseExcellon} from 'fabrication/excellon.mjs';
+import {shapesBounds} from 'fabrication/geometry.mjs';
+import {parseGerber} from 'fabrication/gerber.mjs';
+import {applyClearPolarity} from 'fabrication/polarity.mjs';
+import {splitExtension} from 'kicanvas/webdav-filesystem.mjs';
+import logger from 'logger/logger.mjs';
+
+export const GERBER_EXTENSIONS = ['gbr', 'gtl', 'gbl', 'gto', 'gbo', 'gts', 'gbs', 'gtp', 'gbp', 'gko', 'gm1', 'gml', 'g1', 'g2', 'g3', 'g4'];
+export const DRILL_EXTENSIONS = ['drl', 'xln'];
+export const GERBER_JOB_EXTENSION = 'gbrjob';
+
+export const isFabricationFile = (fileName) => {
+  const [, ext] = splitExtension(fileName);
+  return GERBER_EXTENSIONS.includes(ext) || DRILL_EXTENSIONS.includes(ext) || ext === GERBER_JOB_EXTENSION;
+};
+
+// Board layer a fab file images, from top to bottom of the stack the way
+// they are listed and drawn
+const STACK = [
+  'Edge.Cuts', 'Drill', 'F.SilkS', 'F.Paste', 'F.Mask', 'F.Cu',
+  ...Array.from({length: 30}, (_, i) => `In${i + 1}.Cu`),
+  'B.Cu', 'B.Mask', 'B.Paste', 'B.SilkS', 'Other',
+];
+
+const EXTENSION_LAYERS = {
+  gtl: 'F.Cu',
+  gbl: 'B.Cu',
+  gto: 'F.SilkS',
+  gbo: 'B.SilkS',
+  gts: 'F.Mask',
+  gbs: 'B.Mask',
+  gtp: 'F.Paste',
+  gbp: 'B.Paste',
+  gko: 'Edge.Cuts',
+  gm1: 'Edge.Cuts',
+  gml: 'Edge.Cuts',
+  drl: 'Drill',
+  xln: 'Drill',
+};
+
+// KiCad names plots <board>-<layer>.gbr, e.g. "board-F_Cu.gbr"
+const KICAD_SUFFIXES = {
+  F_Cu: 'F.Cu',
+  B_Cu: 'B.Cu',
+  F_Silkscreen: 'F.SilkS',
+  F_SilkS: 'F.SilkS',
+  B_Silkscreen: 'B.SilkS',
+  B_SilkS: 'B.SilkS',
+  F_Mask: 'F.Mask',
+  B_Mask: 'B.Mask',
+  F_Paste: 'F.Paste',
+  B_Paste: 'B.Paste',
+  Edge_Cuts: 'Edge.Cuts',
+  PTH: 'Drill',
+  NPTH: 'Drill',
+};
+
+// From the X2 .FileFunction attribute, e.g. ["Copper", "L2", "Inr"]
+function layerFromFileFunction (fileFunction, layerCount) {
+  const [kind, ...fields] = fileFunction ?? [];
+  const side = fields.includes('Top') ? 'F' : fields.includes('Bot') ? 'B' : null;
+  switch (kind) {
+    case 'Copper': {
+      if (side) {
+        return `${side}.Cu`;
+      }
+      const index = parseInt(fields[0]?.substring(1), 10);
+      return index > 1 && index < layerCount ? `In${index - 1}.Cu` : 'Other';
+    }
+    case 'Legend':
+      return side ? `${side}.SilkS` : null;
+    case 'Soldermask':
+      return side ? `${side}.Mask` : null;
+    case 'Paste':
+      return side ? `${side}.Paste` : null;
+    case 'Profile':
+      return 'Edge.Cuts';
+    case 'Plated':
+    case 'NonPlated':
+      return 'Drill';
+    default:
+      return null;
+  }
+}
+
+export function identifyLayer (fileName, attributes = {}, layerCount = 2) {
+  const fromAttributes = layerFromFileFunction(attributes['.FileFunction'], layerCount);
+  if (fromAttributes) {
+    return fromAttributes;
+  }
+  const [stem, ext] = splitExtension(fileName);
+  const suffix = Object.keys(KICAD_SUFFIXES).find((key) => stem.endsWith(`-${key}`));
+  if (suffix) {
+    return KICAD_SUFFIXES[suffix];
+  }
+  const inner = /-In(\d+)_Cu$/.exec(stem) ?? /^g(\d+)$/.exec(ext);
+  if (inner) {
+    return `In${inner[1]}.Cu`;
+  }
+  return EXTENSION_LAYERS[ext] ?? 'Other';
+}
+
+const stackIndex = (layer) => {
+  const index = STACK.indexOf(layer);
+  return index < 0 ? STACK.length : index;
+};
+
+/**
+ * Parsed Gerber and drill files of one fab package, ordered like the board
+ * stack. A Gerber job file names its members, otherwise every fab file of
+ * the folder is taken.
+ */
+export class FabricationSet {
+  constructor (layers = []) {
+    this.layers = layers.sort((a, b) => stackIndex(a.layer) - stackIndex(b.layer) || a.fileName.localeCompare(b.fileName));
+  }
+
+  static async fromFileSystem (vfs, fileNames, openedName) {
+    let names = fileNames.filter((name) => isFabricationFile(name) && splitExtension(name)[1] !== GERBER_JOB_EXTENSION);
+    let layerCount = 2;
+    const jobName = splitExtension(openedName)[1] === GERBER_JOB_EXTENSION
+      ? openedName
+      : fileNames.find((name) => splitExtension(name)[1] === GERBER_JOB_EXTENSION);
+    const jobFunctions = new Map();
+    if (jobName) {
+      try {
+        const job = JSON.parse(await (await vfs.get(jobName)).text());
+        layerCount = job.GeneralSpecs?.LayerNumber ?? layerCount;
+        for (const file of job.FilesAttributes ?? []) {
+          jobFunctions.set(file.Path, file.FileFunction?.split(','));
+        }
+        const listed = names.filter((name) => jobFunctions.has(name));
+        // drill files are not part of the job, keep them next to its Gerbers
+        names = [...listed, ...names.filter((name) => DRILL_EXTENSIONS.includes(splitExtension(name)[1]))];
+      }
+      catch (error) {
+        logger.warn('Unable to read Gerber job file, using the whole folder:', error.message);
+      }
+    }
+
+    const layers = await Promise.all(names.map(async (fileName) => {
+      const source = await (await vfs.get(fileName)).text();
+      const isDrill = DRILL_EXTENSIONS.includes(splitExtension(fileName)[1]);
+      const {attributes, shapes: parsed} = isDrill ? parseExcellon(source) : parseGerber(source);
+      // the renderer draws everything dark, clear polarity is cut out beforehand
+      const shapes = applyClearPolarity(parsed);
+      if (jobFunctions.has(fileName) && !attributes['.FileFunction']) {
+        attributes['.FileFunction'] = jobFunctions.get(fileName);
+      }
+      const layer = isDrill ? 'Drill' : identifyLayer(fileName, attributes, layerCount);
+      logger.debug('Fab file parsed:', fileName, layer, shapes.length);
+      return {id: fileName, fileName, layer, shapes, bounds: shapesBounds(shapes), visible: true};
+    }));
+    return new FabricationSet(layers);
+  }
+
+  // Outline of the package, the profile layer when there is one
+  get bounds () {
+    const outline = this.layers.find((layer) => layer.layer === 'Edge.Cuts' && layer.bounds);
+    if (outline) {
+      return outline.bounds;
+    }
+    const bounds = this.layers.map((layer) => layer.bounds).filter((layerBounds) => layerBounds);
+    if (!bounds.length) {
+      return null;
+    }
+    return [
+      Math.min(...bounds.map((b) => b[0])),
+      Math.min(...bounds.map((b) => b[1])),
+      Math.max(...bounds.map((b) => b[2])),
+      Math.max(...bounds.map((b) => b[3])),
+    ];
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+// Shapes shared by the Gerber and Excellon readers, in millimeters with
+// Y pointing down like KiCad boards:
+//   {type: 'circle', center: [x, y], radius}
+//   {type: 'polygon', points: [[x, y], ...]}
+//   {type: 'line', points: [[x, y], ...], width}
+// `clear: true` marks clear polarity shapes, which erase what is below them,
+// see applyClearPolarity()
+
+const ARC_SEGMENTS = 48;
+
+export function rotatePoint ([x, y], degrees) {
+  if (!degrees) {
+    return [x, y];
+  }
+  const radians = degrees * Math.PI / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  return [x * cos - y * sin, x * sin + y * cos];
+}
+
+// Points of an arc around `center` from `start` to `end`, counter clockwise
+// unless `clockwise`, a full circle when both ends meet
+export function arcPoints (start, end, center, clockwise) {
+  const radius = Math.hypot(start[0] - center[0], start[1] - center[1]);
+  const startAngle = Math.atan2(start[1] - center[1], start[0] - center[0]);
+  const endAngle = Math.atan2(end[1] - center[1], end[0] - center[0]);
+  let sweep = endAngle - startAngle;
+  if (clockwise) {
+    sweep = sweep >= 0 ? sweep - 2 * Math.PI : sweep;
+  }
+  else {
+    sweep = sweep <= 0 ? sweep + 2 * Math.PI : sweep;
+  }
+  const segments = Math.max(2, Math.ceil(ARC_SEGMENTS * Math.abs(sweep) / (2 * Math.PI)));
+  const points = [];
+  for (let i = 0; i <= segments; i++) {
+    const angle = startAngle + sweep * i / segments;
+    points.push([center[0] + radius * Math.cos(angle), center[1] + radius * Math.sin(angle)]);
+  }
+  return points;
+}
+
+export function regularPolygon (center, diameter, vertices, rotation = 0) {
+  const points = [];
+  for (let i = 0; i < vertices; i++) {
+    const [x, y] = rotatePoint([diameter / 2, 0], rotation + 360 * i / vertices);
+    points.push([center[0] + x, center[1] + y]);
+  }
+  return points;
+}
+
+// Rectangle covering a straight stroke of `width` between two points
+export function lineOutline (start, end, width) {
+  const length = Math.hypot(end[0] - start[0], end[1] - start[1]) || 1;
+  const nx = -(end[1] - start[1]) / length * width / 2;
+  const ny = (end[0] - start[0]) / length * width / 2;
+  return [
+    [start[0] + nx, start[1] + ny],
+    [end[0] + nx, end[1] + ny],
+    [end[0] - nx, end[1] - ny],
+    [start[0] - nx, start[1] - ny],
+  ];
+}
+
+// [minX, minY, maxX, maxY] of shapes, null when there are none
+export function shapesBounds (shapes) {
+  let bounds = null;
+  const grow = ([x, y], margin) => {
+    bounds = bounds
+      ? [Math.min(bounds[0], x - margin), Math.min(bounds[1], y - margin), Math.max(bounds[2], x + margin), Math.max(bounds[3], y + margin)]
+      : [x - margin, y - margin, x + margin, y + margin];
+  };
+  for (const shape of shapes) {
+    if (shape.type === 'circle') {
+      grow(shape.center, shape.radius);
+    }
+    else {
+      shape.points.forEach((point) => grow(point, (shape.width ?? 0) / 2));
+    }
+  }
+  return bounds;
+}
+
+// Gerber and Excellon point Y up, KiCad boards Y down
+export const flipShape = (shape) => shape.type === 'circle'
+  ? {...shape, center: [shape.center[0], -shape.center[1]]}
+  : {...shape, points: shape.points.map(([x, y]) => [x, -y])};
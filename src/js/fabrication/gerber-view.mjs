@@ -0,0 +1,187 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {FabricationSet} from 'fabrication/fabrication-set.mjs';
+import {initiateDownload} from 'helpers/warp-helpers.mjs';
+import {getActiveViewer} from 'kicanvas/embed-project.mjs';
+import {ExtraViewLayers} from 'kicanvas/extra-layers.mjs';
+import {boardDocument} from 'kicanvas/library-documents.mjs';
+import {splitExtension} from 'kicanvas/webdav-filesystem.mjs';
+import logger from 'logger/logger.mjs';
+
+// Used for layers the host board has no color for, e.g. inner copper of a
+// package plotted from another board
+const FALLBACK_COLORS = ['#c83434', '#4d7fc4', '#c2c200', '#7fc87f', '#c87fc8', '#7fc8c8', '#c8a07f'];
+const DRILL_COLOR = '#e3b72e';
+// Mask and paste cover copper, they are drawn see through
+const TRANSLUCENT_LAYERS = ['F.Mask', 'B.Mask', 'F.Paste', 'B.Paste'];
+const TRANSLUCENT_OPACITY = 0.5;
+const ZOOM_MARGIN = 0.1;
+
+/**
+ * File system handing KiCanvas the board a fab package is shown on: the
+ * board of the folder when there is one, so the package can be overlaid on
+ * its source, an empty board otherwise. Downloads hand out the opened file.
+ */
+export class FabricationFileSystem {
+  constructor (folderFileSystem, openedFile) {
+    this.folder = folderFileSystem;
+    this.original = openedFile;
+    // the folder listing is empty when it could not be read
+    this.fileNames = folderFileSystem.folderNames.includes(openedFile.name)
+      ? folderFileSystem.folderNames
+      : [...folderFileSystem.folderNames, openedFile.name];
+    const boards = this.fileNames.filter((name) => splitExtension(name)[1] === 'kicad_pcb');
+    const [stem] = splitExtension(openedFile.name);
+    // KiCad names plots after their board, "board-F_Cu.gbr" for "board.kicad_pcb"
+    this.boardName = boards.find((name) => stem.startsWith(splitExtension(name)[0])) ?? boards[0] ?? null;
+    this.name = this.boardName ?? `${openedFile.name}.kicad_pcb`;
+  }
+
+  get hasBoard () {
+    return this.boardName !== null;
+  }
+
+  async loadSet () {
+    return FabricationSet.fromFileSystem(this, this.fileNames, this.original.name);
+  }
+
+  * list () {
+    yield this.name;
+  }
+
+  * list_matches (pattern) {
+    if (this.name.match(pattern)) {
+      yield this.name;
+    }
+  }
+
+  * list_ext (ext) {
+    if (this.name.endsWith(ext.startsWith('.') ? ext : `.${ext}`)) {
+      yield this.name;
+    }
+  }
+
+  async has (name) {
+    return name === this.name || this.folder.has(name);
+  }
+
+  async get (name) {
+    if (name === this.original.name) {
+      return this.original;
+    }
+    if (name === this.name && !this.hasBoard) {
+      return new File([boardDocument(this.original.name)], this.name);
+    }
+    return this.folder.get(name);
+  }
+
+  async download () {
+    initiateDownload(this.original);
+  }
+}
+
+/**
+ * Paints the layers of a FabricationSet into a loaded KiCanvas board viewer.
+ * With `overlay` off only the fab layers are drawn, the board's own layers
+ * are left out.
+ */
+export class GerberView {
+  constructor (viewer, fabricationSet, {overlay = false} = {}) {
+    this.viewer = viewer;
+    this.set = fabricationSet;
+    this.overlay = overlay;
+    this.offset = [0, 0];
+    this.viewLayers = new Map();
+    this.extraLayers = new ExtraViewLayers(viewer, {showDocument: () => this.overlay});
+  }
+
+  static async attach (embedElement, fabricationSet, options) {
+    const viewer = await getActiveViewer(embedElement);
+    const view = new GerberView(viewer, fabricationSet, options);
+    view.paint();
+    view.zoomToSet();
+    return view;
+  }
+
+  color (layer, index) {
+    const Color = this.extraLayers.Color;
+    if (layer.layer === 'Drill') {
+      return Color.from_css(DRILL_COLOR);
+    }
+    const boardColor = this.viewer.layers.by_name(layer.layer)?.color;
+    return boardColor ?? Color.from_css(FALLBACK_COLORS[index % FALLBACK_COLORS.length]);
+  }
+
+  // Translation putting the package outline onto the board outline, plots
+  // made relative to the auxiliary origin are shifted back this way
+  alignment () {
+    const bounds = this.set.bounds;
+    const edges = this.viewer.layers.by_name('Edge.Cuts')?.bbox;
+    if (!bounds || !edges || edges.w <= 0 || edges.h <= 0) {
+      return [0, 0];
+    }
+    return [edges.x - bounds[0], edges.y - bounds[1]];
+  }
+
+  paint () {
+    this.extraLayers.clear();
+    this.viewLayers.clear();
+    this.offset = this.alignment();
+    const point = ([x, y]) => ({x: x + this.offset[0], y: y + this.offset[1]});
+
+    this.set.layers.forEach((layer, index) => {
+      const viewLayer = this.extraLayers.add(`:Fabrication:${layer.id}`, this.color(layer, index), (renderer, color) => {
+        for (const shape of layer.shapes) {
+          if (shape.type === 'circle') {
+            renderer.circle(point(shape.center), shape.radius, color);
+          }
+          else if (shape.type === 'line') {
+            renderer.line(shape.points.map(point), shape.width, color);
+          }
+          else {
+            renderer.polygon(shape.points.map(point), color);
+          }
+        }
+      }, {
+        opacity: TRANSLUCENT_LAYERS.includes(layer.layer) ? TRANSLUCENT_OPACITY : 1,
+        visible: () => layer.visible,
+      });
+      this.viewLayers.set(layer.id, viewLayer);
+    });
+    this.viewer.draw();
+    logger.debug('Fabrication layers painted:', this.set.layers.length, 'offset:', this.offset);
+  }
+
+  setLayerVisible (id, visible) {
+    const layer = this.set.layers.find((candidate) => candidate.id === id);
+    if (layer) {
+      layer.visible = visible;
+      this.viewer.draw();
+    }
+  }
+
+  setOverlay (overlay) {
+    this.overlay = overlay;
+    this.viewer.draw();
+  }
+
+  zoomToSet () {
+    const bounds = this.set.bounds;
+    if (!bounds) {
+      return;
+    }
+    const BBox = this.viewer.drawing_sheet.page_bbox.constructor;
+    const [minX, minY, maxX, maxY] = bounds;
+    const bbox = new BBox(minX + this.offset[0], minY + this.offset[1], maxX - minX, maxY - minY);
+    this.viewer.viewport.camera.bbox = bbox.grow(Math.max(bbox.w, bbox.h) * ZOOM_MARGIN);
+    this.viewer.draw();
+  }
+
+  dispose () {
+    this.viewLayers.clear();
+    this.extraLayers.dispose();
+  }
+}
@@ -0,0 +1,382 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {arcPoints, flipShape, lineOutline, regularPolygon, rotatePoint} from 'fabrication/geometry.mjs';
+
+const INCH = 25.4;
+
+// Splits a Gerber file into its commands: `%...%` extended commands keep
+// their `*` separated blocks together, word commands end at `*`
+function * commands (source) {
+  let pos = 0;
+  while (pos < source.length) {
+    const char = source[pos];
+    if (char === '%') {
+      const end = source.indexOf('%', pos + 1);
+      const body = source.substring(pos + 1, end < 0 ? source.length : end);
+      yield {extended: true, blocks: body.split('*').map((block) => block.replace(/\s+/g, '')).filter((block) => block)};
+      pos = end < 0 ? source.length : end + 1;
+    }
+    else if (/\s/.test(char)) {
+      pos++;
+    }
+    else {
+      const end = source.indexOf('*', pos);
+      yield {extended: false, word: source.substring(pos, end < 0 ? source.length : end).replace(/\s+/g, '')};
+      pos = end < 0 ? source.length : end + 1;
+    }
+  }
+}
+
+// Arithmetic of aperture macro parameters, `x` multiplies
+function evaluate (expression, variables) {
+  const tokens = expression.replace(/\$(\d+)/g, (match, index) => `(${variables[index] ?? 0})`)
+    .replace(/[xX]/g, '*')
+    .match(/\d*\.?\d+(?:[eE][-+]?\d+)?|[-+*/()]/g) ?? [];
+  let pos = 0;
+  const primary = () => {
+    const token = tokens[pos++];
+    if (token === '(') {
+      const result = sum();
+      pos++;
+      return result;
+    }
+    if (token === '-') {
+      return -primary();
+    }
+    if (token === '+') {
+      return primary();
+    }
+    return parseFloat(token) || 0;
+  };
+  const product = () => {
+    let result = primary();
+    while (tokens[pos] === '*' || tokens[pos] === '/') {
+      result = tokens[pos++] === '*' ? result * primary() : result / primary();
+    }
+    return result;
+  };
+  const sum = () => {
+    let result = product();
+    while (tokens[pos] === '+' || tokens[pos] === '-') {
+      result = tokens[pos++] === '+' ? result + product() : result - product();
+    }
+    return result;
+  };
+  return sum();
+}
+
+// Shapes of a macro aperture around the origin, clear primitives are skipped
+function macroShapes (blocks, parameters, scale) {
+  const variables = {};
+  parameters.forEach((value, index) => {
+    variables[index + 1] = value;
+  });
+  const shapes = [];
+  for (const block of blocks) {
+    if (block.startsWith('0')) {
+      continue;
+    }
+    const assignment = /^\$(\d+)=(.+)$/.exec(block);
+    if (assignment) {
+      variables[assignment[1]] = evaluate(assignment[2], variables);
+      continue;
+    }
+    const values = block.split(',').map((value) => evaluate(value, variables));
+    const [code, exposure] = values;
+    // moiré and thermal have no exposure parameter
+    if (exposure === 0 && code !== 6 && code !== 7) {
+      continue;
+    }
+    const at = (x, y, rotation) => rotatePoint([x * scale, y * scale], rotation);
+    switch (code) {
+      case 1: {
+        const [, , diameter, x, y, rotation = 0] = values;
+        shapes.push({type: 'circle', center: at(x, y, rotation), radius: diameter * scale / 2});
+        break;
+      }
+      case 2:
+      case 20: {
+        const [, , width, x1, y1, x2, y2, rotation = 0] = values;
+        shapes.push({type: 'polygon', points: lineOutline(at(x1, y1, rotation), at(x2, y2, rotation), width * scale)});
+        break;
+      }
+      case 21: {
+        const [, , width, height, x, y, rotation = 0] = values;
+        shapes.push({
+          type: 'polygon',
+          points: [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([dx, dy]) => at(x + dx * width / 2, y + dy * height / 2, rotation)),
+        });
+        break;
+      }
+      case 4: {
+        const count = values[2];
+        const rotation = values[5 + count * 2] ?? 0;
+        const points = [];
+        for (let i = 0; i <= count; i++) {
+          points.push(at(values[3 + i * 2], values[4 + i * 2], rotation));
+        }
+        shapes.push({type: 'polygon', points});
+        break;
+      }
+      case 5: {
+        const [, , vertices, x, y, diameter, rotation = 0] = values;
+        const center = at(x, y, rotation);
+        shapes.push({type: 'polygon', points: regularPolygon(center, diameter * scale, vertices, rotation)});
+        break;
+      }
+      case 6:
+      case 7: {
+        // only the outer ring of moirés and thermals, without their gaps
+        const [, x, y, outer, inner = 0] = values;
+        const center = at(x, y, 0);
+        const diameter = code === 7 ? (outer + inner) / 2 : outer - values[4];
+        const ring = regularPolygon(center, diameter * scale, 48);
+        const width = code === 7 ? (outer - inner) * scale / 2 : values[4] * scale;
+        shapes.push({type: 'line', points: [...ring, ring[0]], width});
+        break;
+      }
+    }
+  }
+  return shapes;
+}
+
+const translate = (shape, [dx, dy]) => shape.type === 'circle'
+  ? {...shape, center: [shape.center[0] + dx, shape.center[1] + dy]}
+  : {...shape, points: shape.points.map(([x, y]) => [x + dx, y + dy])};
+
+function apertureShapes (aperture, center) {
+  const [x, y] = center;
+  const [a = 0, b = a] = aperture.parameters.map((value) => value * aperture.scale);
+  switch (aperture.template) {
+    case 'C':
+      return [{type: 'circle', center, radius: a / 2}];
+    case 'R':
+      return [{type: 'polygon', points: [[x - a / 2, y - b / 2], [x + a / 2, y - b / 2], [x + a / 2, y + b / 2], [x - a / 2, y + b / 2]]}];
+    case 'O': {
+      const radius = Math.min(a, b) / 2;
+      const dx = a > b ? a / 2 - radius : 0;
+      const dy = a > b ? 0 : b / 2 - radius;
+      return [{type: 'line', points: [[x - dx, y - dy], [x + dx, y + dy]], width: radius * 2}];
+    }
+    case 'P':
+      // vertex count and rotation are no lengths
+      return [{type: 'polygon', points: regularPolygon(center, a, Math.round(aperture.parameters[1] ?? 3), aperture.parameters[2] ?? 0)}];
+    default:
+      return (aperture.shapes ?? []).map((shape) => translate(shape, center));
+  }
+}
+
+// Stroke width drawn by an aperture, rectangles are approximated by their
+// narrow side
+function apertureWidth (aperture) {
+  const sizes = aperture.parameters.slice(0, aperture.template === 'C' || aperture.template === 'P' ? 1 : 2).filter((value) => value > 0);
+  return sizes.length ? Math.min(...sizes) * aperture.scale : 0.1;
+}
+
+/**
+ * Reads a Gerber RS-274X file into shapes, plus its X2 attributes such as
+ * `.FileFunction` split into their fields
+ */
+export function parseGerber (source) {
+  const attributes = {};
+  const apertures = new Map();
+  const macros = new Map();
+  let format = {integer: 3, decimal: 6, trailing: false};
+  let scale = 1;
+  const shapes = [];
+  let aperture = null;
+  let position = [0, 0];
+  let interpolation = 'G01';
+  let quadrant = 'G75';
+  let operation = 'D02';
+  let region = null;
+  let clear = false;
+  let stepRepeat = null;
+
+  const coordinate = (value) => {
+    if (value.includes('.')) {
+      return parseFloat(value) * scale;
+    }
+    const negative = value.startsWith('-');
+    let digits = value.replace(/^[-+]/, '');
+    if (format.trailing) {
+      digits = digits.padEnd(format.integer + format.decimal, '0');
+    }
+    const number = parseInt(digits, 10) / 10 ** format.decimal;
+    return (negative ? -number : number) * scale;
+  };
+
+  const add = (shape) => shapes.push(clear ? {...shape, clear} : shape);
+
+  const closeRegion = () => {
+    if (region && region.length > 2) {
+      add({type: 'polygon', points: region});
+    }
+    region = null;
+  };
+
+  const finishStepRepeat = () => {
+    if (!stepRepeat) {
+      return;
+    }
+    const block = shapes.splice(stepRepeat.start);
+    for (let i = 0; i < stepRepeat.x; i++) {
+      for (let j = 0; j < stepRepeat.y; j++) {
+        block.forEach((shape) => shapes.push(translate(shape, [i * stepRepeat.i, j * stepRepeat.j])));
+      }
+    }
+    stepRepeat = null;
+  };
+
+  const extended = (blocks) => {
+    const [first] = blocks;
+    const command = first.substring(0, 2);
+    if (command === 'FS') {
+      const match = /X(\d)(\d)/.exec(first);
+      format = {integer: parseInt(match?.[1] ?? 3, 10), decimal: parseInt(match?.[2] ?? 6, 10), trailing: first[2] === 'T'};
+    }
+    else if (command === 'MO') {
+      scale = first.startsWith('MOIN') ? INCH : 1;
+    }
+    else if (command === 'AM') {
+      macros.set(first.substring(2), blocks.slice(1));
+    }
+    else if (command === 'AD') {
+      const match = /^ADD(\d+)([^,]+),?(.*)$/.exec(first);
+      if (match) {
+        const parameters = match[3] ? match[3].split('X').map(parseFloat) : [];
+        const definition = {template: match[2], parameters, scale};
+        if (macros.has(match[2])) {
+          definition.shapes = macroShapes(macros.get(match[2]), parameters, scale);
+        }
+        apertures.set(parseInt(match[1], 10), definition);
+      }
+    }
+    else if (command === 'LP') {
+      clear = first[2] === 'C';
+    }
+    else if (command === 'SR') {
+      finishStepRepeat();
+      const values = Object.fromEntries(Array.from(first.matchAll(/([XYIJ])([-\d.]+)/g), ([, key, value]) => [key, parseFloat(value)]));
+      if ((values.X ?? 1) > 1 || (values.Y ?? 1) > 1) {
+        stepRepeat = {start: shapes.length, x: values.X ?? 1, y: values.Y ?? 1, i: (values.I ?? 0) * scale, j: (values.J ?? 0) * scale};
+      }
+    }
+    else if (command === 'TF') {
+      const [name, ...fields] = first.substring(2).split(',');
+      attributes[name] = fields;
+    }
+  };
+
+  const word = (text) => {
+    if (!text || text.startsWith('G04')) {
+      return;
+    }
+    for (const [, code] of text.matchAll(/G0*(\d+)/g)) {
+      const g = `G${code.padStart(2, '0')}`;
+      if (['G01', 'G02', 'G03'].includes(g)) {
+        interpolation = g;
+      }
+      else if (g === 'G74' || g === 'G75') {
+        quadrant = g;
+      }
+      else if (g === 'G36') {
+        region = [];
+      }
+      else if (g === 'G37') {
+        closeRegion();
+      }
+      else if (g === 'G70') {
+        scale = INCH;
+      }
+      else if (g === 'G71') {
+        scale = 1;
+      }
+    }
+    const dCode = /D0*(\d+)$/.exec(text);
+    if (dCode && parseInt(dCode[1], 10) >= 10) {
+      aperture = apertures.get(parseInt(dCode[1], 10)) ?? null;
+      return;
+    }
+    if (text.startsWith('M02') || text.startsWith('M00')) {
+      return;
+    }
+    const values = Object.fromEntries(Array.from(text.matchAll(/([XYIJ])([-+]?[\d.]+)/g), ([, key, value]) => [key, value]));
+    if (dCode) {
+      operation = `D0${parseInt(dCode[1], 10)}`;
+    }
+    else if (!('X' in values) && !('Y' in values)) {
+      return;
+    }
+
+    const target = [
+      'X' in values ? coordinate(values.X) : position[0],
+      'Y' in values ? coordinate(values.Y) : position[1],
+    ];
+    const inRegion = region !== null;
+
+    if (operation === 'D01') {
+      let points = [position, target];
+      if (interpolation !== 'G01') {
+        const offset = [values.I ? coordinate(values.I) : 0, values.J ? coordinate(values.J) : 0];
+        points = arcPoints(position, target, arcCenter(position, target, offset, quadrant, interpolation === 'G02'), interpolation === 'G02');
+      }
+      if (inRegion) {
+        if (!region.length) {
+          region.push(position);
+        }
+        region.push(...points.slice(1));
+      }
+      else if (aperture) {
+        add({type: 'line', points, width: apertureWidth(aperture)});
+      }
+    }
+    else if (operation === 'D02') {
+      if (inRegion) {
+        closeRegion();
+        region = [];
+      }
+    }
+    else if (operation === 'D03' && aperture) {
+      apertureShapes(aperture, target).forEach(add);
+    }
+    position = target;
+  };
+
+  for (const command of commands(source)) {
+    if (command.extended) {
+      extended(command.blocks);
+    }
+    else {
+      word(command.word);
+    }
+  }
+  closeRegion();
+  finishStepRepeat();
+
+  return {attributes, shapes: shapes.map(flipShape)};
+}
+
+// Center of a circular interpolation, single quadrant mode only stores the
+// distances, the signs are the ones giving the shortest arc
+function arcCenter (start, end, [i, j], quadrant, clockwise) {
+  if (quadrant === 'G75') {
+    return [start[0] + i, start[1] + j];
+  }
+  let best = null;
+  for (const [si, sj] of [[1, 1], [1, -1], [-1, 1], [-1, -1]]) {
+    const center = [start[0] + si * Math.abs(i), start[1] + sj * Math.abs(j)];
+    const error = Math.abs(Math.hypot(start[0] - center[0], start[1] - center[1]) - Math.hypot(end[0] - center[0], end[1] - center[1]));
+    const startAngle = Math.atan2(start[1] - center[1], start[0] - center[0]);
+    const endAngle = Math.atan2(end[1] - center[1], end[0] - center[0]);
+    let sweep = clockwise ? startAngle - endAngle : endAngle - startAngle;
+    sweep = (sweep + 2 * Math.PI) % (2 * Math.PI);
+    if (sweep <= Math.PI / 2 + 1e-6 && (!best || error < best.error)) {
+      best = {center, error};
+    }
+  }
+  return best?.center ?? [start[0] + i, start[1] + j];
+}
@@ -0,0 +1,88 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import earcut from 'earcut';
+import polygonClipping from 'polygon-clipping';
+import {lineOutline, regularPolygon, shapesBounds} from 'fabrication/geometry.mjs';
+
+const CIRCLE_VERTICES = 48;
+
+// Area of a shape as a polygon-clipping multipolygon, strokes are a
+// rectangle per segment and a disc on each of their points
+function outline (shape) {
+  if (shape.type === 'circle') {
+    return [[regularPolygon(shape.center, shape.radius * 2, CIRCLE_VERTICES)]];
+  }
+  if (shape.type === 'polygon') {
+    return [[shape.points]];
+  }
+  const parts = shape.points.map((point) => [regularPolygon(point, shape.width, CIRCLE_VERTICES)]);
+  for (let i = 1; i < shape.points.length; i++) {
+    const [start, end] = [shape.points[i - 1], shape.points[i]];
+    if (start[0] !== end[0] || start[1] !== end[1]) {
+      parts.push([lineOutline(start, end, shape.width)]);
+    }
+  }
+  return polygonClipping.union(...parts);
+}
+
+const overlap = (a, b) => a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3];
+
+// Polygons drawing a multipolygon, the renderer fills single rings only, so
+// those left with holes are cut into triangles
+function polygonShapes (multipolygon) {
+  return multipolygon.flatMap(([outer, ...holes]) => {
+    // polygon-clipping closes its rings by repeating the first point
+    const rings = [outer, ...holes].map((ring) => ring.slice(0, -1));
+    if (!holes.length) {
+      return [{type: 'polygon', points: rings[0]}];
+    }
+    const points = rings.flat();
+    const holeIndices = [];
+    rings.slice(0, -1).reduce((start, ring) => {
+      holeIndices.push(start + ring.length);
+      return start + ring.length;
+    }, 0);
+    const triangles = earcut(points.flat(), holeIndices);
+    const shapes = [];
+    for (let i = 0; i < triangles.length; i += 3) {
+      shapes.push({type: 'polygon', points: [points[triangles[i]], points[triangles[i + 1]], points[triangles[i + 2]]]});
+    }
+    return shapes;
+  });
+}
+
+/**
+ * Shapes of a Gerber image with its clear polarity shapes applied: each run
+ * of them is cut out of the dark shapes drawn before it, those drawn later
+ * cover it again. Dark shapes nothing is cut from are kept as they are.
+ */
+export function applyClearPolarity (shapes) {
+  if (!shapes.some((shape) => shape.clear)) {
+    return shapes;
+  }
+  let drawn = [];
+  let i = 0;
+  while (i < shapes.length) {
+    if (!shapes[i].clear) {
+      drawn.push({shape: shapes[i], bounds: shapesBounds([shapes[i]])});
+      i++;
+      continue;
+    }
+    const clears = [];
+    for (; i < shapes.length && shapes[i].clear; i++) {
+      clears.push({area: outline(shapes[i]), bounds: shapesBounds([shapes[i]])});
+    }
+    drawn = drawn.flatMap((item) => {
+      const cuts = clears.filter((clear) => overlap(item.bounds, clear.bounds)).map((clear) => clear.area);
+      if (!cuts.length) {
+        return [item];
+      }
+      const area = polygonClipping.difference(item.area ?? outline(item.shape), ...cuts);
+      return area.length ? [{...item, area}] : [];
+    });
+  }
+  return drawn.flatMap((item) => item.area ? polygonShapes(item.area) : [item.shape]);
+}
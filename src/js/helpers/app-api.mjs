@@ -0,0 +1,34 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {getRequestToken} from '@nextcloud/auth';
+import {generateUrl} from '@nextcloud/router';
+
+// URL of an endpoint of the app's API, parts encoded, e.g. ('review', 12, 3)
+export const appApiUrl = (...parts) =>
+  generateUrl(`/apps/kicad_viewer/api/${parts.map((part) => encodeURIComponent(part)).join('/')}`);
+
+/**
+ * Sends `body` as JSON and resolves to the JSON answer, rejects with the
+ * `error` the server gives. `keepalive` lets a request outlive the page.
+ */
+export async function appApiRequest (url, method = 'GET', body = undefined, {keepalive = false} = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      requesttoken: getRequestToken() ?? '',
+    },
+    body: body && JSON.stringify(body),
+    keepalive,
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.error ?? `${response.status} ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
@@ -0,0 +1,32 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+// Length units lengths are shown in, millimeters per unit and decimals shown
+export const UNITS = {
+  mm: {size: 1, digits: 3},
+  mil: {size: 0.0254, digits: 1},
+  in: {size: 25.4, digits: 4},
+};
+
+// `millimeters` in `unit`, rounded to its decimals
+export function convertLength (millimeters, unit) {
+  const {size, digits} = UNITS[unit] ?? UNITS.mm;
+  return Number((millimeters / size).toFixed(digits));
+}
+
+export const formatLength = (millimeters, unit) => `${convertLength(millimeters, unit)} ${UNITS[unit] ? unit : 'mm'}`;
+
+const BYTE_UNITS = ['bytes', 'KB', 'MB', 'GB'];
+
+// File size as "12.3 MB"
+export function formatBytes (bytes) {
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1000 && unit < BYTE_UNITS.length - 1) {
+    size /= 1000;
+    unit++;
+  }
+  return `${unit ? size.toFixed(1) : size} ${BYTE_UNITS[unit]}`;
+}
@@ -32,19 +32,62 @@ export const objectsHaveSameKeysDeep = (o1, o2) => {
   return true;
 };
 
-export async function fetchFileFromUrl (url, name, defaultType = 'text/plain') {
+// Error of a failed request carrying its HTTP `status`
+export function responseError (message, response) {
+  const error = new Error(`${message} ${response.status} ${response.statusText}`);
+  error.status = response.status;
+  return error;
+}
+
+// Body of `response` as a Blob, read in chunks telling `onProgress` the
+// bytes {loaded, total} so far. `total` is 0 when the server does not say,
+// as for compressed responses.
+export async function readResponseBlob (response, onProgress = null) {
+  if (!onProgress || !response.body) {
+    return response.blob();
+  }
+  const encoded = response.headers.get('Content-Encoding');
+  const total = encoded && encoded !== 'identity' ? 0 : Number(response.headers.get('Content-Length')) || 0;
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  onProgress({loaded, total});
+  for (;;) {
+    const {done, value} = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+    loaded += value.byteLength;
+    onProgress({loaded, total});
+  }
+  return new Blob(chunks, {type: response.headers.get('Content-Type') ?? ''});
+}
+
+export async function fetchFileFromUrl (url, name, defaultType = 'text/plain', {onProgress = null} = {}) {
   const response = await fetch(url);
   if (!response.ok) {
     // return Promise.reject(new Error(response.statusText));
     // for this project just throw
-    throw new Error(`${response?.url} ${response?.status} ${response?.statusText}`);
+    throw responseError(response.url, response);
   }
-  const data = await response.blob();
+  const data = await readResponseBlob(response, onProgress);
   return new File([data], name, {
     type: data.type || defaultType,
   });
 }
 
+export function initiateDownload (file) {
+  const url = URL.createObjectURL(file);
+  const anchor = document.createElement('a');
+  anchor.href = url;
+  anchor.download = file.name;
+  anchor.target = '_blank';
+  anchor.click();
+  // Firefox and Safari cancel a download whose URL is revoked right away
+  window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 export const addInlineStyle = (node, styles) => Object.keys(styles).forEach((key) => node.style[key] = styles[key]); // eslint-disable-line no-return-assign
 export const clampf = (num, min, max) => { return num <= min ? min : num >= max ? max : num; }; // eslint-disable-line brace-style
 export const clampi = (num, min, max) => { return num <= min ? parseInt(min) : num >= max ? parseInt(max) : parseInt(num); }; // eslint-disable-line brace-style
@@ -0,0 +1,106 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {ParsedFileSystem} from 'kicanvas/parsed-filesystem.mjs';
+import logger from 'logger/logger.mjs';
+
+// KiCanvas elements share state through "context-request" events, the embed
+// element answers "project" with its Project instance, the apps answer "viewer"
+export function requestContext (element, contextName) {
+  return new Promise((resolve) => {
+    const event = new Event('context-request', {bubbles: true, cancelable: true, composed: true});
+    event.context_name = contextName;
+    event.callback = (value) => {
+      event.stopPropagation();
+      resolve(value);
+    };
+    element.dispatchEvent(event);
+  });
+}
+
+// Page to open first: the opened file itself, a board or the root sheet
+export function findEntryPage (project, fileName) {
+  if (fileName.endsWith('.kicad_sch') || fileName.endsWith('.kicad_pcb')) {
+    for (const page of project.pages()) {
+      if (page.filename === fileName) {
+        return page;
+      }
+    }
+  }
+  return project.root_schematic_page ?? project.first_page;
+}
+
+// Mirrors what KiCanvasEmbedElement does for its own `src`, but with any
+// virtual file system, e.g. WebDavFileSystem. Its documents are tokenized in
+// a worker, `onProgress` is told how far, see ParsedFileSystem.
+export async function loadProjectIntoEmbed (embedElement, vfs, entryName, {onProgress = null} = {}) {
+  const project = await requestContext(embedElement, 'project');
+  embedElement.loaded = false;
+  embedElement.loading = true;
+  try {
+    await project.load(new ParsedFileSystem(vfs, {onProgress}));
+    embedElement.loaded = true;
+    await embedElement.update();
+    const page = findEntryPage(project, entryName);
+    logger.debug('Activating project page:', page?.project_path);
+    project.set_active_page(page);
+  }
+  finally {
+    embedElement.loading = false;
+  }
+  return project;
+}
+
+// Viewer of the app showing the active page, once it finished loading it.
+// The apps only render after the project loaded, so poll for them. While
+// both apps are shown, as for cross-probing, the one holding the active page
+// is picked.
+export async function getActiveViewer (embedElement, timeout = 10000) {
+  const project = await requestContext(embedElement, 'project');
+  const started = Date.now();
+  for (;;) {
+    const apps = Array.from(embedElement.shadowRoot?.querySelectorAll('kc-schematic-app, kc-board-app') ?? [])
+      .filter((app) => !app.hidden && app.viewer?.document);
+    const app = apps.find((candidate) => candidate.viewer.document === project.active_page?.document) ?? apps[0];
+    if (app) {
+      await app.viewer.loaded;
+      return app.viewer;
+    }
+    if (Date.now() - started > timeout) {
+      throw new Error('KiCanvas viewer did not become ready');
+    }
+    await new Promise((resolve) => window.requestAnimationFrame(resolve));
+  }
+}
+
+// Switches the embed to `page` and hands out its viewer once the page's
+// document is on screen
+export async function showProjectPage (embedElement, page, timeout = 10000) {
+  const project = await requestContext(embedElement, 'project');
+  if (page && project.active_page !== page) {
+    logger.debug('Activating project page:', page.project_path);
+    project.set_active_page(page);
+  }
+  const started = Date.now();
+  for (;;) {
+    const viewer = await getActiveViewer(embedElement, timeout);
+    if (!page || viewer.document.filename === page.filename) {
+      // a viewer given a new document clears its selection right after
+      await new Promise((resolve) => window.setTimeout(resolve, 0));
+      return viewer;
+    }
+    if (Date.now() - started > timeout) {
+      throw new Error(`KiCanvas did not show ${page.filename}`);
+    }
+    await new Promise((resolve) => window.requestAnimationFrame(resolve));
+  }
+}
+
+// Same for the first page showing `filename`
+export async function showProjectFile (embedElement, filename, timeout = 10000) {
+  const project = await requestContext(embedElement, 'project');
+  const page = Array.from(project.pages()).find((candidate) => candidate.filename === filename);
+  return showProjectPage(embedElement, page, timeout);
+}
@@ -0,0 +1,93 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+// ExtraViewLayers of each viewer, in the order they were created
+const attached = new WeakMap();
+
+// Replaces the viewer's drawing with one that draws the extra layers of all
+// its ExtraViewLayers, those created later above the earlier ones
+function drawWithExtraLayers (viewer) {
+  const documentLayers = viewer.layers;
+  const displayOrder = documentLayers.in_display_order.bind(documentLayers);
+  const extras = Array.from(attached.get(viewer));
+  const showDocument = extras.every((extra) => extra.showDocument());
+  documentLayers.in_display_order = function * () {
+    for (const viewLayer of displayOrder()) {
+      if (viewLayer === documentLayers.overlay) {
+        for (const extra of extras) {
+          yield * [...extra.layers].reverse();
+        }
+      }
+      if (showDocument || viewLayer === documentLayers.overlay || viewLayer.name === ':Grid') {
+        yield viewLayer;
+      }
+    }
+  };
+  try {
+    Object.getPrototypeOf(viewer).on_draw.call(viewer);
+  }
+  finally {
+    delete documentLayers.in_display_order;
+  }
+}
+
+/**
+ * ViewLayers of our own drawn over a loaded KiCanvas viewer, e.g. Gerber
+ * layers or diff markers.
+ *
+ * They are kept out of the viewer's ViewLayerSet, so the document painter,
+ * picking and the layers panel never see them. While the viewer draws, the
+ * set's display order is extended with them right below its overlay, the
+ * first added layer ends up on top. `showDocument` decides whether the
+ * document's own layers are drawn as well. Several of them can share a
+ * viewer, e.g. a ruler over the assembly marks.
+ */
+export class ExtraViewLayers {
+  constructor (viewer, {showDocument = () => true} = {}) {
+    this.viewer = viewer;
+    this.showDocument = showDocument;
+    this.layers = [];
+
+    if (!attached.has(viewer)) {
+      attached.set(viewer, new Set());
+      viewer.on_draw = () => drawWithExtraLayers(viewer);
+    }
+    attached.get(viewer).add(this);
+  }
+
+  get Color () {
+    return this.viewer.theme.background.constructor;
+  }
+
+  // `paint` gets the viewer's renderer between start_layer() and end_layer()
+  add (name, color, paint, {opacity = 1, visible = true} = {}) {
+    const ViewLayer = this.viewer.layers.overlay.constructor;
+    const viewLayer = new ViewLayer(this.viewer.layers, name, visible, false, color);
+    viewLayer.opacity = opacity;
+    this.viewer.renderer.start_layer(name);
+    paint(this.viewer.renderer, color);
+    viewLayer.graphics = this.viewer.renderer.end_layer();
+    this.layers.push(viewLayer);
+    return viewLayer;
+  }
+
+  clear () {
+    for (const viewLayer of this.layers) {
+      viewLayer.dispose();
+    }
+    this.layers = [];
+  }
+
+  dispose () {
+    this.clear();
+    const extras = attached.get(this.viewer);
+    extras?.delete(this);
+    if (!extras?.size) {
+      attached.delete(this.viewer);
+      delete this.viewer.on_draw;
+    }
+    this.viewer.draw();
+  }
+}
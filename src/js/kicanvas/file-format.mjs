@@ -0,0 +1,171 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {splitExtension} from 'kicanvas/webdav-filesystem.mjs';
+
+// File format versions KiCad releases write, by the token a document starts
+// with. KiCad only bumps them when the format changes, files of development
+// builds fall in between.
+const RELEASES = [
+  {release: '6', kicad_sch: 20211123, kicad_pcb: 20211014, kicad_symbol_lib: 20211014, footprint: 20211014, kicad_wks: 20210606},
+  {release: '7', kicad_sch: 20230121, kicad_pcb: 20221018, kicad_symbol_lib: 20220914, footprint: 20221018, kicad_wks: 20220228},
+  {release: '8', kicad_sch: 20231120, kicad_pcb: 20240108, kicad_symbol_lib: 20231120, footprint: 20240108, kicad_wks: 20231118},
+  {release: '9', kicad_sch: 20250114, kicad_pcb: 20241229, kicad_symbol_lib: 20241209, footprint: 20241229, kicad_wks: 20231118},
+];
+
+// Newest release KiCanvas reads all of, and the oldest: KiCad 5 wrote
+// S-expressions for boards and footprints only
+export const NEWEST_SUPPORTED = '8';
+export const OLDEST_SUPPORTED = '6';
+
+const LABELS = {
+  kicad_sch: 'schematic',
+  kicad_pcb: 'board',
+  kicad_symbol_lib: 'symbol library',
+  footprint: 'footprint',
+  kicad_wks: 'drawing sheet',
+};
+
+// Files KiCad 5 and older wrote before S-expressions, by their first line
+const LEGACY_HEADERS = [
+  {pattern: /^EESchema Schematic File Version\s+(\d+)/, label: 'schematic'},
+  {pattern: /^EESchema-LIBRARY Version\s+([\d.]+)/, label: 'symbol library'},
+  {pattern: /^PCBNEW-BOARD Version\s+(\d+)/, label: 'board'},
+  {pattern: /^PCBNEW-LibModule-V(\d+)/, label: 'footprint library'},
+];
+
+// Extensions of the legacy files the viewer opens, to tell why they are not
+// shown
+export const LEGACY_EXTENSIONS = ['sch'];
+
+export const isLegacyDocument = (fileName) => LEGACY_EXTENSIONS.includes(splitExtension(fileName)[1]);
+
+// the header is all that is read, it comes before any item of the document
+const HEADER_LENGTH = 4096;
+
+// KiCad release writing `version` of the `token` format, "5" before KiCad 6,
+// null past the releases known here
+function releaseOf (token, version) {
+  if (version < RELEASES[0][token]) {
+    return '5';
+  }
+  return RELEASES.find((release) => version <= release[token])?.release ?? null;
+}
+
+/**
+ * Format of a KiCad document as {token, label, version, release, generator,
+ * generatorVersion, legacy, older, newer}. `release` is the KiCad release
+ * writing it, `older` and `newer` tell it is out of the releases KiCanvas
+ * reads.
+ */
+export function describeFormat ({token, version = null, generator = null, generatorVersion = null}) {
+  const known = version !== null && RELEASES[0][token] !== undefined;
+  const release = known ? releaseOf(token, version) : null;
+  const supported = RELEASES.find((entry) => entry.release === NEWEST_SUPPORTED);
+  return Object.freeze({
+    token,
+    label: LABELS[token] ?? token,
+    version,
+    release,
+    generator,
+    generatorVersion,
+    legacy: false,
+    older: known && version < RELEASES[0][token],
+    newer: known && version > supported[token],
+  });
+}
+
+// Start of `file` as text, enough for readFileFormat() without reading a
+// whole large file
+export const readFileHeader = (file) => file.slice(0, HEADER_LENGTH).text();
+
+/**
+ * Format of a KiCad document from its header, see describeFormat(). Null for
+ * content that is no KiCad document.
+ */
+export function readFileFormat (content) {
+  const header = String(content ?? '').slice(0, HEADER_LENGTH).replace(/^\uFEFF/, '').trimStart();
+  for (const {pattern, label} of LEGACY_HEADERS) {
+    const match = header.match(pattern);
+    if (match) {
+      return Object.freeze({
+        token: null,
+        label,
+        version: match[1],
+        release: '5',
+        generator: null,
+        generatorVersion: null,
+        legacy: true,
+        older: true,
+        newer: false,
+      });
+    }
+  }
+  // KiCad 5 footprints start with `module`, they are read as footprints
+  const token = header.match(/^\(\s*(kicad_sch|kicad_pcb|kicad_symbol_lib|footprint|module|kicad_wks)\b/)?.[1];
+  if (!token) {
+    return null;
+  }
+  return describeFormat({
+    token: token === 'module' ? 'footprint' : token,
+    version: Number(header.match(/\(\s*version\s+(\d+)\s*\)/)?.[1]) || null,
+    // KiCad 5 names the program that wrote the file `host`, with its version
+    generator: header.match(/\(\s*(?:generator|host)\s+"?([^\s")]+)"?/)?.[1] ?? null,
+    generatorVersion: header.match(/\(\s*generator_version\s+"([^"]*)"\s*\)/)?.[1]
+      ?? header.match(/\(\s*host\s+"?[^\s")]+"?\s+"?([^")]+?)"?\s*\)/)?.[1]
+      ?? null,
+  });
+}
+
+/**
+ * Formats of the documents KiCanvas loaded for a project as [{fileName,
+ * ...format}], the version and generator as KiCanvas read them
+ */
+export function projectFormats (project) {
+  return Array.from(project.files(), (document) => Object.freeze({
+    fileName: document.filename,
+    ...describeFormat({
+      token: splitExtension(document.filename)[1],
+      version: Number(document.version) || null,
+      generator: document.generator ?? null,
+    }),
+  })).sort((a, b) => a.fileName.localeCompare(b.fileName));
+}
+
+// "20231120" as "2023-11-20", the date KiCad bumped the format
+export function formatVersionDate (version) {
+  const digits = String(version ?? '');
+  return /^\d{8}$/.test(digits) ? `${digits.slice(0, 4)}-${digits.slice(4, 6)}-${digits.slice(6)}` : digits;
+}
+
+// "KiCad 8.0" as the generator tells, else the release the version belongs to
+export function formatRelease (format) {
+  if (format.generatorVersion && /^\d/.test(format.generatorVersion)) {
+    return `KiCad ${format.generatorVersion}`;
+  }
+  if (format.release) {
+    return format.release === '5' ? 'KiCad 5 or older' : `KiCad ${format.release}`;
+  }
+  return format.newer ? `KiCad newer than ${RELEASES[RELEASES.length - 1].release}` : 'KiCad of unknown version';
+}
+
+/**
+ * What a file out of the supported versions is missing and what to do
+ */
+export function versionHint (format) {
+  const convert = `Open it in KiCad ${OLDEST_SUPPORTED} or newer and save it to convert it.`;
+  if (format.legacy && format.label === 'schematic') {
+    // the symbols of a KiCad 5 schematic are only in the project's libraries
+    return `This is a KiCad 5 schematic. It keeps its symbols in separate libraries, in a format the viewer cannot draw from, while KiCad ${OLDEST_SUPPORTED} and newer store them in the schematic. ${convert}`;
+  }
+  if (format.legacy) {
+    return `This ${format.label} is in the format of KiCad 5 or older, which the viewer cannot read. ${convert}`;
+  }
+  const saved = `This ${format.label} was saved by ${formatRelease(format)} (file format ${formatVersionDate(format.version)}).`;
+  if (format.newer) {
+    return `${saved} The viewer reads files up to KiCad ${NEWEST_SUPPORTED}, newer items are left out.`;
+  }
+  return `${saved} The viewer reads files of KiCad ${OLDEST_SUPPORTED} and newer, parts of it may be missing. ${convert}`;
+}
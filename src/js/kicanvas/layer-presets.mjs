@@ -0,0 +1,52 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {getActiveViewer} from 'kicanvas/embed-project.mjs';
+import logger from 'logger/logger.mjs';
+
+// Names KiCad shows for layers KiCanvas knows by the names of the file
+const LAYER_ALIASES = {
+  'F.Silkscreen': 'F.SilkS',
+  'B.Silkscreen': 'B.SilkS',
+  'F.Courtyard': 'F.CrtYd',
+  'B.Courtyard': 'B.CrtYd',
+  'F.Adhesive': 'F.Adhes',
+  'B.Adhesive': 'B.Adhes',
+  'User.Drawings': 'Dwgs.User',
+  'User.Comments': 'Cmts.User',
+  'User.Eco1': 'Eco1.User',
+  'User.Eco2': 'Eco2.User',
+};
+
+/**
+ * Shows only `layers` of a board viewer, named either way KiCad names them.
+ * Layers named ":…" follow those they belong to, e.g. the front pads F.Cu.
+ */
+export function applyLayerPreset (viewer, layers) {
+  const shown = new Set(layers.map((name) => LAYER_ALIASES[name] ?? name));
+  for (const layer of viewer.layers.in_order()) {
+    if (!layer.name.startsWith(':')) {
+      layer.visible = shown.has(layer.name);
+    }
+  }
+  viewer.draw();
+}
+
+// Applies the preset to every board the embed shows, once per board so the
+// layers toggled afterwards stay as they are
+export function watchLayerPreset (embedElement, project, layers) {
+  const applied = new WeakSet();
+  const apply = async () => {
+    const viewer = await getActiveViewer(embedElement);
+    if (viewer.board && !applied.has(viewer.board)) {
+      applied.add(viewer.board);
+      applyLayerPreset(viewer, layers);
+    }
+  };
+  project.addEventListener('change', () => {
+    apply().catch((error) => logger.warn('Unable to apply the layer preset:', error.message));
+  });
+  return apply();
+}
@@ -0,0 +1,427 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {v4 as uuidv4} from 'uuid';
+import {initiateDownload} from 'helpers/warp-helpers.mjs';
+import {getActiveViewer} from 'kicanvas/embed-project.mjs';
+import * as S from 'kicanvas/sexpr.mjs';
+import {splitExtension} from 'kicanvas/webdav-filesystem.mjs';
+import logger from 'logger/logger.mjs';
+
+// Library files KiCanvas has no document type for, they are shown through a
+// generated schematic or board wrapping them
+export const KICAD_LIBRARY_EXTENSIONS = ['kicad_sym', 'kicad_mod', 'kicad_wks'];
+
+export const isLibraryDocument = (fileName) => KICAD_LIBRARY_EXTENSIONS.includes(splitExtension(fileName)[1]);
+
+const GENERATOR = 'kicad_viewer';
+const SCHEMATIC_VERSION = '20230121';
+const BOARD_VERSION = '20221018';
+
+// Symbol library grid: spacing between symbols and room around them on the
+// page, the bottom margin keeps the title block clear of the last row
+const SYMBOL_SPACING = 7.62;
+const PAGE_MARGIN = 25.4;
+const TITLE_BLOCK_MARGIN = 50.8;
+const GRID = 1.27;
+
+// KiCad's default layer table, a footprint alone does not carry one
+const BOARD_LAYERS = [
+  [0, 'F.Cu', 'signal'],
+  [31, 'B.Cu', 'signal'],
+  [32, 'B.Adhes', 'user', 'B.Adhesive'],
+  [33, 'F.Adhes', 'user', 'F.Adhesive'],
+  [34, 'B.Paste', 'user'],
+  [35, 'F.Paste', 'user'],
+  [36, 'B.SilkS', 'user', 'B.Silkscreen'],
+  [37, 'F.SilkS', 'user', 'F.Silkscreen'],
+  [38, 'B.Mask', 'user'],
+  [39, 'F.Mask', 'user'],
+  [40, 'Dwgs.User', 'user', 'User.Drawings'],
+  [41, 'Cmts.User', 'user', 'User.Comments'],
+  [42, 'Eco1.User', 'user', 'User.Eco1'],
+  [43, 'Eco2.User', 'user', 'User.Eco2'],
+  [44, 'Edge.Cuts', 'user'],
+  [45, 'Margin', 'user'],
+  [46, 'B.CrtYd', 'user', 'B.Courtyard'],
+  [47, 'F.CrtYd', 'user', 'F.Courtyard'],
+  [48, 'B.Fab', 'user'],
+  [49, 'F.Fab', 'user'],
+];
+
+const quoted = (value) => new S.QuotedString(value);
+
+const snap = (value) => Math.round(value / GRID) * GRID;
+
+// Unit and body style encoded in unit symbol names, e.g. "LM358_2_1"
+const unitOf = (unitSymbol) => {
+  const match = /_(\d+)_(\d+)$/.exec(S.text(unitSymbol[1]));
+  return match ? [parseInt(match[1], 10), parseInt(match[2], 10)] : [0, 0];
+};
+
+// Derived symbols only list what differs from the symbol they extend, copy
+// the graphics and pins of the base, KiCanvas does not follow `extends`
+function flattenSymbol (symbol, symbolsByName, seen = new Set()) {
+  const baseName = S.value(symbol, 'extends');
+  const name = S.text(symbol[1]);
+  if (baseName === null || seen.has(name) || !symbolsByName.has(baseName)) {
+    return symbol;
+  }
+  seen.add(name);
+  const base = flattenSymbol(symbolsByName.get(baseName), symbolsByName, seen);
+
+  const overrides = new Map(Array.from(S.children(symbol, 'property'), (property) => [S.text(property[1]), property]));
+  const flat = [symbol[0], quoted(name)];
+  for (const node of base.slice(2)) {
+    if (S.name(node) === 'property' && overrides.has(S.text(node[1]))) {
+      continue;
+    }
+    if (S.name(node) === 'symbol') {
+      const unitName = S.text(node[1]);
+      const renamed = unitName.startsWith(baseName) ? name + unitName.substring(baseName.length) : unitName;
+      flat.push([node[0], quoted(renamed), ...node.slice(2)]);
+    }
+    else {
+      flat.push(node);
+    }
+  }
+  for (const node of symbol.slice(2)) {
+    if (S.name(node) !== 'extends') {
+      flat.push(node);
+    }
+  }
+  return flat;
+}
+
+// Bounding box of a symbol unit in schematic coordinates (Y down)
+function unitBounds (symbol, unit, style) {
+  const xs = [];
+  const ys = [];
+  const add = ([x, y], grow = 0) => {
+    xs.push(x - grow, x + grow);
+    ys.push(-y - grow, -y + grow);
+  };
+  const collect = (node) => {
+    for (const item of S.children(node)) {
+      switch (S.name(item)) {
+        case 'rectangle':
+        case 'arc':
+        case 'bezier':
+          ['start', 'mid', 'end'].map((key) => S.point(item, key)).filter((p) => p).forEach((p) => add(p));
+          S.points(item).forEach((p) => add(p));
+          break;
+        case 'polyline':
+          S.points(item).forEach((p) => add(p));
+          break;
+        case 'circle':
+          if (S.point(item, 'center')) {
+            add(S.point(item, 'center'), S.number(item, 'radius'));
+          }
+          break;
+        case 'text':
+          if (S.point(item, 'at')) {
+            add(S.point(item, 'at'), GRID);
+          }
+          break;
+        case 'pin': {
+          const at = S.child(item, 'at');
+          if (at) {
+            const angle = parseFloat(at[3] ?? 0) * Math.PI / 180;
+            const length = S.number(item, 'length', 2.54);
+            const [x, y] = [parseFloat(at[1]), parseFloat(at[2])];
+            add([x, y], GRID);
+            add([x + length * Math.cos(angle), y + length * Math.sin(angle)], GRID);
+          }
+          break;
+        }
+      }
+    }
+  };
+
+  collect(symbol);
+  for (const unitSymbol of S.children(symbol, 'symbol')) {
+    const [unitNumber, unitStyle] = unitOf(unitSymbol);
+    if ((unitNumber === 0 || unitNumber === unit) && (unitStyle === 0 || unitStyle === style)) {
+      collect(unitSymbol);
+    }
+  }
+  if (!xs.length) {
+    return [-GRID, -GRID, GRID, GRID];
+  }
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+// Schematic instances list their pins, KiCanvas only draws those
+function unitPins (symbol, unit, style) {
+  const numbers = new Set();
+  for (const unitSymbol of S.children(symbol, 'symbol')) {
+    const [unitNumber, unitStyle] = unitOf(unitSymbol);
+    if ((unitNumber === 0 || unitNumber === unit) && (unitStyle === 0 || unitStyle === style)) {
+      for (const pin of S.children(unitSymbol, 'pin')) {
+        numbers.add(S.value(pin, 'number'));
+      }
+    }
+  }
+  numbers.delete(null);
+  return Array.from(numbers, (number) => ['pin', quoted(number), ['uuid', quoted(uuidv4())]]);
+}
+
+const unitLetter = (unit) => {
+  let letters = '';
+  for (let rest = unit; rest > 0; rest = Math.floor((rest - 1) / 26)) {
+    letters = String.fromCharCode(65 + (rest - 1) % 26) + letters;
+  }
+  return letters;
+};
+
+// Library properties placed on a schematic instance at (x, y), library
+// coordinates point Y up
+function instanceProperties (symbol, x, y, unit, unitCount) {
+  const properties = [];
+  for (const property of S.children(symbol, 'property')) {
+    const propertyName = S.text(property[1]);
+    let propertyText = S.text(property[2]);
+    if (propertyName === 'Reference') {
+      propertyText = `${propertyText}?${unitCount > 1 ? unitLetter(unit) : ''}`;
+    }
+    const at = S.child(property, 'at');
+    const placed = at
+      ? ['at', x + parseFloat(at[1]), y - parseFloat(at[2]), at[3] ?? '0']
+      : ['at', x, y, '0'];
+    properties.push([
+      'property', quoted(propertyName), quoted(propertyText), placed,
+      ...property.slice(3).filter((node) => S.name(node) !== 'at'),
+    ]);
+  }
+  return properties;
+}
+
+/**
+ * Schematic showing every symbol of a .kicad_sym library, one instance per
+ * unit and body style laid out in rows, so the symbols panel lists them all
+ */
+export function symbolLibraryToSchematic (fileName, content) {
+  const library = S.parse(content);
+  const [libraryName] = splitExtension(fileName);
+  const symbols = Array.from(S.children(library, 'symbol'));
+  const symbolsByName = new Map(symbols.map((symbol) => [S.text(symbol[1]), symbol]));
+
+  const libSymbols = [];
+  const placements = [];
+  for (const source of symbols) {
+    const symbol = flattenSymbol(source, symbolsByName);
+    const symbolName = S.text(symbol[1]);
+    const libId = `${libraryName}:${symbolName}`;
+    libSymbols.push([symbol[0], quoted(libId), ...symbol.slice(2)]);
+
+    const unitSymbols = Array.from(S.children(symbol, 'symbol'), unitOf);
+    const units = [...new Set(unitSymbols.map(([unit]) => unit).filter((unit) => unit > 0))].sort((a, b) => a - b);
+    for (const unit of units.length ? units : [1]) {
+      // De Morgan body styles only where the unit has an alternate drawing
+      const hasAlternate = unitSymbols.some(([unitNumber, style]) => style === 2 && (unitNumber === 0 || unitNumber === unit));
+      for (const style of hasAlternate ? [1, 2] : [1]) {
+        placements.push({symbol, libId, unit, style, unitCount: units.length, bounds: unitBounds(symbol, unit, style)});
+      }
+    }
+  }
+
+  // Row layout on a page roughly as wide as it is tall
+  const area = placements.reduce((sum, {bounds: [minX, minY, maxX, maxY]}) =>
+    sum + (maxX - minX + SYMBOL_SPACING) * (maxY - minY + SYMBOL_SPACING), 0);
+  const widest = placements.reduce((width, {bounds: [minX, , maxX]}) => Math.max(width, maxX - minX), 0);
+  const rowWidth = Math.max(Math.sqrt(area) * 1.4, widest, 200);
+
+  const instances = [];
+  let x = 0;
+  let y = 0;
+  let rowHeight = 0;
+  let pageWidth = 0;
+  for (const {symbol, libId, unit, style, unitCount, bounds: [minX, minY, maxX, maxY]} of placements) {
+    const width = maxX - minX;
+    if (x > 0 && x + width > rowWidth) {
+      x = 0;
+      y += rowHeight + SYMBOL_SPACING;
+      rowHeight = 0;
+    }
+    const atX = snap(PAGE_MARGIN + x - minX);
+    const atY = snap(PAGE_MARGIN + y - minY);
+    instances.push([
+      'symbol',
+      ['lib_id', quoted(libId)],
+      ['at', atX, atY, 0],
+      ['unit', unit],
+      ['convert', style],
+      ['in_bom', 'yes'],
+      ['on_board', 'yes'],
+      ['uuid', quoted(uuidv4())],
+      ...instanceProperties(symbol, atX, atY, unit, unitCount),
+      ...unitPins(symbol, unit, style),
+    ]);
+    x += width + SYMBOL_SPACING;
+    rowHeight = Math.max(rowHeight, maxY - minY);
+    pageWidth = Math.max(pageWidth, x);
+  }
+
+  const schematic = [
+    'kicad_sch',
+    ['version', SCHEMATIC_VERSION],
+    ['generator', GENERATOR],
+    ['uuid', quoted(uuidv4())],
+    ['paper', quoted('User'), snap(pageWidth + PAGE_MARGIN * 2), snap(y + rowHeight + PAGE_MARGIN + TITLE_BLOCK_MARGIN)],
+    ['title_block',
+      ['title', quoted(libraryName)],
+      ['comment', 1, quoted(`${symbols.length} symbols`)],
+    ],
+    ['lib_symbols', ...libSymbols],
+    ...instances,
+    ['sheet_instances', ['path', quoted('/'), ['page', quoted('1')]]],
+  ];
+  return S.serialize(schematic);
+}
+
+// KiCad 8 stores reference and value as properties, KiCanvas only draws fp_text
+const propertyToText = (property) => {
+  const type = {Reference: 'reference', Value: 'value'}[S.text(property[1])];
+  if (!type || !S.child(property, 'layer')) {
+    return null;
+  }
+  const kept = property.slice(3).filter((node) => ['at', 'layer', 'effects'].includes(S.name(node)));
+  if (S.value(property, 'hide') === 'yes') {
+    kept.push('hide');
+  }
+  return ['fp_text', type, property[2], ...kept];
+};
+
+/**
+ * Board holding the single footprint of a .kicad_mod file, legacy `module`
+ * footprints included
+ */
+export function footprintToBoard (fileName, content) {
+  const source = S.parse(content);
+  const footprint = ['footprint', source[1]];
+  for (const node of source.slice(2)) {
+    if (S.name(node) === 'at') {
+      continue;
+    }
+    footprint.push(node);
+    if (S.name(node) === 'property') {
+      const fpText = propertyToText(node);
+      if (fpText) {
+        footprint.push(fpText);
+      }
+    }
+  }
+  // centered on the default A4 page the board viewer frames
+  footprint.splice(2, 0, ['at', 148.5, 105]);
+
+  return boardDocument(S.text(source[1]) ?? fileName, [footprint], S.value(source, 'version'));
+}
+
+/**
+ * Board with KiCad's default layer table around the given items, an empty
+ * one when there are none
+ */
+export function boardDocument (title, items = [], version = BOARD_VERSION) {
+  return S.serialize([
+    'kicad_pcb',
+    ['version', version ?? BOARD_VERSION],
+    ['generator', GENERATOR],
+    ['general', ['thickness', 1.6]],
+    ['paper', quoted('A4')],
+    ['title_block', ['title', quoted(title)]],
+    ['layers', ...BOARD_LAYERS.map(([ordinal, layerName, type, userName]) =>
+      [ordinal, quoted(layerName), type, ...(userName ? [quoted(userName)] : [])])],
+    ...items,
+  ]);
+}
+
+// Empty page, the drawing sheet itself is swapped in once the viewer is up
+export function worksheetToSchematic (fileName) {
+  return S.serialize([
+    'kicad_sch',
+    ['version', SCHEMATIC_VERSION],
+    ['generator', GENERATOR],
+    ['uuid', quoted(uuidv4())],
+    ['paper', quoted('A4')],
+    ['title_block', ['title', quoted(fileName)]],
+    ['lib_symbols'],
+  ]);
+}
+
+/**
+ * In memory file system serving the generated document for a library file,
+ * downloads hand out the original file
+ */
+export class LibraryFileSystem {
+  constructor (fileName, content) {
+    const [, ext] = splitExtension(fileName);
+    this.original = new File([content], fileName);
+    this.type = ext;
+    if (ext === 'kicad_mod') {
+      this.name = `${fileName}.kicad_pcb`;
+      this.document = footprintToBoard(fileName, content);
+    }
+    else {
+      this.name = `${fileName}.kicad_sch`;
+      this.document = ext === 'kicad_sym'
+        ? symbolLibraryToSchematic(fileName, content)
+        : worksheetToSchematic(fileName);
+    }
+    this.content = content;
+  }
+
+  * list () {
+    yield this.name;
+  }
+
+  * list_matches (pattern) {
+    if (this.name.match(pattern)) {
+      yield this.name;
+    }
+  }
+
+  * list_ext (ext) {
+    if (this.name.endsWith(ext.startsWith('.') ? ext : `.${ext}`)) {
+      yield this.name;
+    }
+  }
+
+  async has (name) {
+    return name === this.name;
+  }
+
+  async get (name) {
+    if (name !== this.name) {
+      throw new Error(`File ${name} not found`);
+    }
+    return new File([this.document], this.name);
+  }
+
+  async download () {
+    initiateDownload(this.original);
+  }
+
+  // Adjusts the loaded viewer to the library file, it frames the page by default
+  async present (embedElement) {
+    if (this.type === 'kicad_sym') {
+      return;
+    }
+    const viewer = await getActiveViewer(embedElement);
+    if (this.type === 'kicad_wks') {
+      const DrawingSheet = viewer.drawing_sheet.constructor;
+      viewer.drawing_sheet = new DrawingSheet(this.content);
+      viewer.paint();
+      viewer.zoom_to_page();
+    }
+    else if (this.type === 'kicad_mod') {
+      const footprint = viewer.board.footprints[0];
+      if (footprint) {
+        viewer.viewport.camera.bbox = footprint.bbox.grow(2);
+        viewer.draw();
+      }
+    }
+    logger.debug('Presented library document:', this.name);
+  }
+}
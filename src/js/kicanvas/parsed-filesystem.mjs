@@ -0,0 +1,119 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {generateFilePath} from '@nextcloud/router';
+import {APP_ID} from 'configuration/config.mjs';
+import {decodeSExpression} from 'kicanvas/sexpr-transfer.mjs';
+import {splitExtension} from 'kicanvas/webdav-filesystem.mjs';
+import logger from 'logger/logger.mjs';
+
+// Documents KiCanvas tokenizes when loading a project
+const PARSED_EXTENSIONS = ['kicad_sch', 'kicad_pcb'];
+
+// The worker, shared by all viewers, null until needed and false once it
+// could not be started
+let worker = null;
+let nextRequestId = 0;
+const requests = new Map();
+
+function startWorker () {
+  try {
+    worker = new Worker(generateFilePath(APP_ID, 'js', `${APP_ID}-parser.js`));
+  }
+  catch (error) {
+    logger.warn('Unable to start the parser worker, parsing on the page:', error);
+    worker = false;
+    return;
+  }
+  worker.addEventListener('message', (event) => {
+    const {id, type, ...data} = event.data;
+    const request = requests.get(id);
+    if (!request) {
+      return;
+    }
+    if (type === 'progress') {
+      request.onProgress?.(data);
+      return;
+    }
+    requests.delete(id);
+    if (type === 'done') {
+      request.resolve(data.encoded);
+    }
+    else {
+      // same message as KiCanvas' own, the error view locates it in the file
+      request.reject(new Error(data.message));
+    }
+  });
+  // the script did not load, e.g. blocked by the server: the pending files
+  // are left to KiCanvas
+  worker.addEventListener('error', (event) => {
+    logger.warn('Parser worker failed, parsing on the page:', event.message);
+    worker.terminate();
+    worker = false;
+    for (const request of requests.values()) {
+      request.resolve(null);
+    }
+    requests.clear();
+  });
+}
+
+/**
+ * Tokens of `file` from the worker, see encodeSExpression(). Null when no
+ * worker runs.
+ */
+export function tokenizeFile (file, onProgress = null) {
+  if (worker === null) {
+    startWorker();
+  }
+  if (!worker) {
+    return Promise.resolve(null);
+  }
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    requests.set(id, {resolve, reject, onProgress});
+    worker.postMessage({id, file});
+  });
+}
+
+/**
+ * Virtual file system handing KiCanvas documents tokenized by the worker.
+ *
+ * Wraps another one, e.g. WebDavFileSystem. KiCanvas' parser only tokenizes
+ * the text it gets, so get() answers with a file whose text() is the already
+ * tokenized tree and the page is left with building the documents from it.
+ * `onProgress` gets {fileName, parsed, total, items} while a file is read,
+ * `parsed` and `total` in characters.
+ */
+export class ParsedFileSystem {
+  constructor (fileSystem, {onProgress = null} = {}) {
+    this.fileSystem = fileSystem;
+    this.onProgress = onProgress;
+  }
+
+  * list () {
+    yield* this.fileSystem.list();
+  }
+
+  async has (name) {
+    return this.fileSystem.has(name);
+  }
+
+  async get (name) {
+    const file = await this.fileSystem.get(name);
+    if (!(file instanceof Blob) || !PARSED_EXTENSIONS.includes(splitExtension(name)[1])) {
+      return file;
+    }
+    const encoded = await tokenizeFile(file, (progress) => this.onProgress?.({fileName: name, ...progress}));
+    if (!encoded) {
+      return file;
+    }
+    const tree = decodeSExpression(encoded);
+    return {name: file.name, size: file.size, text: async () => tree};
+  }
+
+  async download (name) {
+    return this.fileSystem.download(name);
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {getRootUrl} from '@nextcloud/router';
+import {getSharingToken, isPublicShare} from '@nextcloud/sharing/public';
+
+export {isPublicShare};
+
+// Nextcloud 29 added a token addressed public DAV endpoint, older servers
+// only offer the basic auth protected /public.php/webdav
+const hasPublicDavFiles = () => {
+  const major = parseInt(window.OC?.config?.version?.split('.')[0] ?? '0', 10);
+  return major >= 29;
+};
+
+// WebDAV root of the current public link share, plus the headers it needs
+export function getPublicShareDav () {
+  const token = getSharingToken();
+  if (!token) {
+    throw new Error('No public share token found on this page');
+  }
+
+  if (hasPublicDavFiles()) {
+    return {
+      rootUrl: `${getRootUrl()}/public.php/dav/files/${encodeURIComponent(token)}`,
+      headers: {},
+    };
+  }
+  return {
+    rootUrl: `${getRootUrl()}/public.php/webdav`,
+    headers: {
+      Authorization: `Basic ${btoa(`${token}:`)}`,
+      // keeps the browser from showing its own basic auth prompt
+      'X-Requested-With': 'XMLHttpRequest',
+    },
+  };
+}
+
+// `filename` is relative to the share root, e.g. "/project/board.kicad_pcb"
+export function getPublicShareFileUrl (filename) {
+  const {rootUrl, headers} = getPublicShareDav();
+  const encodedPath = filename
+    .split('/')
+    .filter((part) => part)
+    .map((part) => encodeURIComponent(part))
+    .join('/');
+  return {
+    fileUrl: `${rootUrl}/${encodedPath}`,
+    headers,
+  };
+}
@@ -0,0 +1,268 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+// KiCanvas' tokenizer and listify() as typed arrays a worker can transfer.
+// The tree decoded from them is the one KiCanvas builds from the text, the
+// same values and the same errors, so its parser can take the tree instead.
+
+const OPEN = 0;
+const CLOSE = 1;
+const STRING = 2;
+const NUMBER = 3;
+
+// KiCanvas reads past the end as this character, a whitespace
+const END = 4;
+
+const ATOM_PUNCTUATION = new Set(Array.from('_-:!.[]{}@*/&#%+=~$', (char) => char.charCodeAt(0)));
+const ATOM_START_PUNCTUATION = new Set(Array.from('*&$/%', (char) => char.charCodeAt(0)));
+const NUMBER_TO_ATOM = new Set(Array.from('+-abcdef', (char) => char.charCodeAt(0)));
+
+const isDigit = (code) => code >= 48 && code <= 57;
+const isAlpha = (code) => (code >= 65 && code <= 90) || (code >= 97 && code <= 122);
+const isWhitespace = (code) => code === END || code === 32 || code === 10 || code === 13 || code === 9;
+const isAtom = (code) => isAlpha(code) || isDigit(code) || ATOM_PUNCTUATION.has(code);
+const lowerCase = (code) => (code >= 65 && code <= 90 ? code + 32 : code);
+const isHexDigit = (code) => isDigit(code) || (lowerCase(code) >= 97 && lowerCase(code) <= 102);
+
+// how often progress is told, in characters and milliseconds
+const PROGRESS_CHARACTERS = 1 << 18;
+const PROGRESS_INTERVAL = 100;
+
+// The lines around `index`, as KiCanvas' error_context() has them
+function errorContext (text, index) {
+  const start = index > 0 ? Math.max(text.lastIndexOf('\n', index - 1), 0) : 0;
+  const next = text.indexOf('\n', index);
+  return text.slice(start, index + (next < 0 ? 20 : next - index));
+}
+
+// KiCanvas' message for an unexpected character, the same so the error view
+// locates it in the file
+function unexpected (text, index, {atom = false, expected = null} = {}) {
+  const char = index < text.length ? text[index] : String.fromCharCode(END);
+  return new Error(`Unexpected character ${atom ? 'while tokenizing atom ' : ''}at index ${index}: ${char}${expected ? `, expected ${expected}.` : ''}\nContext: ${errorContext(text, index)}`);
+}
+
+// Typed array growing as values are pushed
+class Column {
+  constructor (Type) {
+    this.Type = Type;
+    this.values = new Type(1024);
+    this.length = 0;
+  }
+
+  push (value) {
+    if (this.length === this.values.length) {
+      const values = new this.Type(this.values.length * 2);
+      values.set(this.values);
+      this.values = values;
+    }
+    this.values[this.length++] = value;
+  }
+
+  finish () {
+    return this.values.slice(0, this.length);
+  }
+}
+
+/**
+ * Tokens of `text` as {kinds, strings, numbers, table, tableLengths, items}:
+ * a kind per token, the table index of each string and the value of each
+ * number in order, the distinct strings UTF-8 encoded one after another with
+ * their lengths. `items` counts the expressions in the document's root.
+ * `onProgress` gets {parsed, total, items} now and then.
+ */
+export function encodeSExpression (text, onProgress = null) {
+  const kinds = new Column(Uint8Array);
+  const strings = new Column(Uint32Array);
+  const numbers = new Column(Float64Array);
+  const table = new Map();
+  const addString = (value) => {
+    let index = table.get(value);
+    if (index === undefined) {
+      index = table.size;
+      table.set(value, index);
+    }
+    kinds.push(STRING);
+    strings.push(index);
+  };
+  let depth = 0;
+  let items = 0;
+  let lastProgress = Date.now();
+  const open = () => {
+    kinds.push(OPEN);
+    depth++;
+  };
+  // false once a ")" closes nothing, KiCanvas stops reading there
+  const close = () => {
+    if (depth === 0) {
+      return false;
+    }
+    kinds.push(CLOSE);
+    depth--;
+    if (depth === 1) {
+      items++;
+    }
+    return true;
+  };
+
+  // 0 between tokens, then in a string, a number, an atom or a hex number
+  let state = 0;
+  let start = 0;
+  let escaped = false;
+  scan: for (let index = 0; index <= text.length; index++) {
+    const code = index < text.length ? text.charCodeAt(index) : END;
+    if (onProgress && (index & (PROGRESS_CHARACTERS - 1)) === 0 && Date.now() - lastProgress > PROGRESS_INTERVAL) {
+      lastProgress = Date.now();
+      onProgress({parsed: index, total: text.length, items});
+    }
+    switch (state) {
+      case 0:
+        if (code === 40) {
+          open();
+        }
+        else if (code === 41) {
+          if (!close()) {
+            break scan;
+          }
+        }
+        else if (code === 34) {
+          state = 1;
+          start = index;
+        }
+        else if (code === 45 || code === 43 || isDigit(code)) {
+          state = 2;
+          start = index;
+        }
+        else if (isAlpha(code) || ATOM_START_PUNCTUATION.has(code)) {
+          state = 3;
+          start = index;
+        }
+        else if (!isWhitespace(code)) {
+          throw unexpected(text, index);
+        }
+        break;
+      case 1:
+        if (!escaped && code === 34) {
+          addString(text.substring(start + 1, index).replaceAll('\\n', '\n').replaceAll('\\\\', '\\'));
+          state = 0;
+          escaped = false;
+        }
+        else {
+          escaped = !escaped && code === 92;
+        }
+        break;
+      case 2:
+        if (code === 46 || isDigit(code)) {
+          break;
+        }
+        if (lowerCase(code) === 120) {
+          state = 4;
+        }
+        else if (NUMBER_TO_ATOM.has(lowerCase(code)) || isAtom(code)) {
+          state = 3;
+        }
+        else if (code === 41 || isWhitespace(code)) {
+          kinds.push(NUMBER);
+          numbers.push(parseFloat(text.substring(start, index)));
+          state = 0;
+          if (code === 41 && !close()) {
+            break scan;
+          }
+        }
+        else {
+          throw unexpected(text, index, {expected: 'numeric'});
+        }
+        break;
+      case 3:
+        if (isAtom(code)) {
+          break;
+        }
+        if (code === 41 || isWhitespace(code)) {
+          addString(text.substring(start, index));
+          state = 0;
+          if (code === 41 && !close()) {
+            break scan;
+          }
+        }
+        else {
+          throw unexpected(text, index, {atom: true});
+        }
+        break;
+      case 4:
+        if (isHexDigit(code) || code === 95) {
+          break;
+        }
+        if (code === 41 || isWhitespace(code)) {
+          kinds.push(NUMBER);
+          numbers.push(Number.parseInt(text.substring(start, index).replace('_', ''), 16));
+          state = 0;
+          if (code === 41 && !close()) {
+            break scan;
+          }
+        }
+        else if (isAtom(code)) {
+          state = 3;
+        }
+        else {
+          throw unexpected(text, index, {expected: 'hexadecimal'});
+        }
+        break;
+    }
+  }
+
+  const distinct = Array.from(table.keys());
+  return {
+    kinds: kinds.finish(),
+    strings: strings.finish(),
+    numbers: numbers.finish(),
+    table: new TextEncoder().encode(distinct.join('')),
+    tableLengths: Uint32Array.from(distinct, (value) => value.length),
+    items,
+  };
+}
+
+// Buffers of an encoded expression to transfer instead of copying
+export const transferables = (encoded) => ['kinds', 'strings', 'numbers', 'table', 'tableLengths']
+  .map((key) => encoded[key].buffer);
+
+/**
+ * The tree of encodeSExpression()'s tokens: strings, numbers and arrays of
+ * them, the root unwrapped as KiCanvas' parse_expr() does
+ */
+export function decodeSExpression ({kinds, strings, numbers, table, tableLengths}) {
+  const joined = new TextDecoder().decode(table);
+  const values = new Array(tableLengths.length);
+  for (let index = 0, offset = 0; index < tableLengths.length; index++) {
+    values[index] = joined.substr(offset, tableLengths[index]);
+    offset += tableLengths[index];
+  }
+  const root = [];
+  const stack = [root];
+  let current = root;
+  let string = 0;
+  let number = 0;
+  for (let index = 0; index < kinds.length; index++) {
+    switch (kinds[index]) {
+      case OPEN: {
+        const list = [];
+        current.push(list);
+        stack.push(list);
+        current = list;
+        break;
+      }
+      case CLOSE:
+        stack.pop();
+        current = stack[stack.length - 1];
+        break;
+      case STRING:
+        current.push(values[strings[string++]]);
+        break;
+      case NUMBER:
+        current.push(numbers[number++]);
+        break;
+    }
+  }
+  return root.length === 1 && Array.isArray(root[0]) ? root[0] : root;
+}
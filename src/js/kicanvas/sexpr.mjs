@@ -0,0 +1,141 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+// Quoted strings are kept apart from bare atoms, so a parsed document can be
+// written back in a form KiCanvas' own parser reads the same way
+export class QuotedString {
+  constructor (value) {
+    this.value = value;
+  }
+
+  toString () {
+    return this.value;
+  }
+}
+
+const WHITESPACE = new Set([' ', '\t', '\r', '\n']);
+const DELIMITERS = new Set([...WHITESPACE, '(', ')', '"']);
+
+/**
+ * Minimal KiCad S-expression reader, the JS sibling of lib/KiCad/SExpression.php
+ *
+ * Lists become arrays, atoms strings and quoted strings QuotedString,
+ * e.g. `(layer "F.Cu")` is read as ['layer', QuotedString('F.Cu')].
+ */
+export function parse (source) {
+  const stack = [];
+  let current = [];
+  let pos = 0;
+
+  while (pos < source.length) {
+    const char = source[pos];
+    if (WHITESPACE.has(char)) {
+      pos++;
+    }
+    else if (char === '(') {
+      stack.push(current);
+      current = [];
+      pos++;
+    }
+    else if (char === ')') {
+      if (!stack.length) {
+        throw new Error(`Unexpected ")" at offset ${pos}`);
+      }
+      const parent = stack.pop();
+      parent.push(current);
+      current = parent;
+      pos++;
+    }
+    else if (char === '"') {
+      let value = '';
+      pos++;
+      while (pos < source.length && source[pos] !== '"') {
+        if (source[pos] === '\\') {
+          const escaped = source[pos + 1] ?? '';
+          value += escaped === 'n' ? '\n' : escaped;
+          pos += 2;
+        }
+        else {
+          value += source[pos++];
+        }
+      }
+      current.push(new QuotedString(value));
+      pos++;
+    }
+    else {
+      const start = pos;
+      while (pos < source.length && !DELIMITERS.has(source[pos])) {
+        pos++;
+      }
+      current.push(source.substring(start, pos));
+    }
+  }
+
+  if (stack.length) {
+    throw new Error('Unbalanced S-expression, missing ")"');
+  }
+  if (!Array.isArray(current[0])) {
+    throw new Error('No S-expression found');
+  }
+  return current[0];
+}
+
+const quote = (value) => `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+
+export function serialize (node) {
+  if (Array.isArray(node)) {
+    return `(${node.map(serialize).join(' ')})`;
+  }
+  if (node instanceof QuotedString) {
+    return quote(node.value);
+  }
+  if (typeof node === 'number') {
+    return String(Math.round(node * 1e6) / 1e6);
+  }
+  return String(node);
+}
+
+export const name = (node) => (Array.isArray(node) && typeof node[0] === 'string') ? node[0] : null;
+
+// Plain text of an atom or quoted string
+export const text = (node) => (node === undefined || node === null) ? null : String(node);
+
+export function * children (node, childName = null) {
+  for (const child of node) {
+    if (Array.isArray(child) && (childName === null || name(child) === childName)) {
+      yield child;
+    }
+  }
+}
+
+export function child (node, childName) {
+  for (const found of children(node, childName)) {
+    return found;
+  }
+  return null;
+}
+
+// Value of `(name value)` children such as (layer "F.Cu") or (width 0.2)
+export const value = (node, childName, defaultValue = null) => text(child(node, childName)?.[1]) ?? defaultValue;
+
+export function number (node, childName, defaultValue = 0) {
+  const found = value(node, childName);
+  return found !== null ? parseFloat(found) : defaultValue;
+}
+
+// [x, y] of a `(start x y)` like child
+export function point (node, childName) {
+  const found = child(node, childName);
+  if (!found || found.length < 3) {
+    return null;
+  }
+  return [parseFloat(found[1]), parseFloat(found[2])];
+}
+
+// Points of a `(pts (xy x y) ...)` child
+export function points (node) {
+  const pts = child(node, 'pts');
+  return pts ? Array.from(children(pts, 'xy'), (xy) => [parseFloat(xy[1]), parseFloat(xy[2])]) : [];
+}
@@ -0,0 +1,74 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+// KiCanvas' parser goes on past tokens it has no definition for, it only
+// warns through its "kicanvas:parser" logger: the logger's name among the
+// arguments, styled, and the message as one of them
+const PARSER_LOGGER = 'kicanvas:parser:';
+const SKIPPED = /^(?:No def found for element|no def for bare element) /;
+
+// "footprint,F.Cu,…" as KiCanvas writes an expression, the token leads it
+const tokenOf = (message) => message.replace(SKIPPED, '').match(/^[^,\s]*/)[0] || '(empty)';
+
+// Token counts of the loads running, a Map each. A token skipped while loads
+// overlap is counted for all of them.
+const collectors = new Set();
+
+// console.warn as found, wrapped only while loads run
+let warn = null;
+let installed = false;
+
+// One wrapper for all overlapping loads, put in place by the first and
+// taken out by the last so the page's console is left as it was
+function wrapped (...args) {
+  if (collectors.size && args.some((arg) => typeof arg === 'string' && arg.includes(PARSER_LOGGER))) {
+    const message = args.find((arg) => typeof arg === 'string' && SKIPPED.test(arg));
+    if (message !== undefined) {
+      const token = tokenOf(message);
+      for (const counts of collectors) {
+        counts.set(token, (counts.get(token) ?? 0) + 1);
+      }
+    }
+  }
+  return warn.apply(this, args);
+}
+
+function addCollector (counts) {
+  if (!installed) {
+    warn = console.warn;
+    console.warn = wrapped;
+    installed = true;
+  }
+  collectors.add(counts);
+}
+
+// Wrapped again meanwhile, ours stays in the chain passing everything on
+function removeCollector (counts) {
+  collectors.delete(counts);
+  if (!collectors.size && console.warn === wrapped) {
+    console.warn = warn;
+    installed = false;
+  }
+}
+
+/**
+ * Runs `load`, KiCanvas parsing the project, and collects the tokens its
+ * parser skipped as [{token, count}], most frequent first. The warnings still
+ * reach the console.
+ */
+export async function collectSkippedTokens (load) {
+  const counts = new Map();
+  addCollector(counts);
+  let result;
+  try {
+    result = await load();
+  }
+  finally {
+    removeCollector(counts);
+  }
+  const skipped = Array.from(counts, ([token, count]) => ({token, count}))
+    .sort((a, b) => b.count - a.count || a.token.localeCompare(b.token));
+  return {result, skipped};
+}
@@ -0,0 +1,81 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {FabricationFileSystem} from 'fabrication/gerber-view.mjs';
+import {getActiveViewer, requestContext} from 'kicanvas/embed-project.mjs';
+import {LibraryFileSystem} from 'kicanvas/library-documents.mjs';
+import {applyViewState, captureViewState, readViewState, viewStateUrl, watchEmbed} from 'kicanvas/view-state.mjs';
+import logger from 'logger/logger.mjs';
+
+/**
+ * The viewer's part of view links, mixed into the App: the link button's
+ * state, the view followed for it and the one a link opens, loadViewLink()
+ * once a project is shown and closeViewLink() before it goes. The other
+ * features are told whether it applies as `linkable`.
+ */
+export const viewLinkFeature = {
+  data () {
+    return {
+      // Link reopening the file in the shown view
+      viewLink: {
+        available: false,
+        link: '',
+        copied: false,
+      },
+    };
+  },
+  methods: {
+    async loadViewLink ({embedElement, project, projectFileSystem}) {
+      // Generated documents and Gerber packages have no view worth linking
+      this.viewLink.available = !(projectFileSystem instanceof LibraryFileSystem || projectFileSystem instanceof FabricationFileSystem);
+      if (this.viewLink.available) {
+        await watchEmbed(embedElement, project);
+      }
+    },
+    // Files of a user are told apart by id, shares by name
+    viewLinkKey () {
+      return this.fileid || this.basename;
+    },
+    async openLinkedView (embedElement) {
+      const state = this.viewLink.available && readViewState(this.viewLinkKey());
+      if (!state) {
+        return;
+      }
+      logger.debug('Opening linked view:', state);
+      try {
+        await applyViewState(embedElement, state);
+      }
+      catch (error) {
+        logger.warn('Unable to open the linked view:', error.message);
+      }
+    },
+    async copyViewLink () {
+      const embedElement = this.$refs.embed;
+      const viewer = await getActiveViewer(embedElement);
+      const project = await requestContext(embedElement, 'project');
+      const link = viewStateUrl(this.viewLinkKey(), captureViewState(viewer, project));
+      // the address bar follows, reloading keeps the view
+      window.history.replaceState(window.history.state, '', link);
+      let copied = false;
+      try {
+        await navigator.clipboard.writeText(link);
+        copied = true;
+      }
+      catch (error) {
+        logger.warn('Unable to copy the view link:', error.message);
+      }
+      this.viewLink = {...this.viewLink, link, copied};
+      if (copied) {
+        window.setTimeout(() => {
+          this.viewLink.copied = false;
+          this.viewLink.link = '';
+        }, 2000);
+      }
+    },
+    closeViewLink () {
+      this.viewLink = {available: false, link: '', copied: false};
+    },
+  },
+};
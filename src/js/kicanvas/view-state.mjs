@@ -0,0 +1,189 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {footprintReference} from 'bom/bom.mjs';
+import {getActiveViewer, requestContext, showProjectPage} from 'kicanvas/embed-project.mjs';
+import logger from 'logger/logger.mjs';
+
+// URL parameters of a view, prefixed like `kicad_debug` so they do not
+// collide with the ones of the Files app
+export const VIEW_PARAMETERS = {
+  // file the view belongs to, a link opened for another file is ignored
+  file: 'kicad_file',
+  // ProjectPage.project_path, "file.kicad_sch:/root-uuid/sheet-uuid/"
+  page: 'kicad_page',
+  // reference or uuid of a footprint or symbol
+  select: 'kicad_select',
+  // net name, board only
+  net: 'kicad_net',
+  // comma separated names of hidden board layers
+  hidden: 'kicad_hidden',
+  // "x,y,zoom" of the camera
+  camera: 'kicad_camera',
+};
+
+// Layers hidden or shown by KiCanvas itself rather than by the user
+const INTERNAL_LAYERS = [':Grid', ':Overlay', ':Interactive', ':DrawingSheet'];
+
+const CAMERA_PRECISION = 1e3;
+
+const highlightedNets = new WeakMap();
+
+// Dispatched on a watched board viewer highlighting a net, `detail.net` is
+// its number
+export const NET_HIGHLIGHT_EVENT = 'kicad-viewer:highlight-net';
+
+export const highlightedNet = (viewer) => highlightedNets.get(viewer) ?? null;
+
+/**
+ * Remembers the net a board viewer highlights, KiCanvas paints it without
+ * keeping track of it. Selecting an item clears the highlight.
+ */
+export function watchViewer (viewer) {
+  if (!viewer.board || Object.prototype.hasOwnProperty.call(viewer, 'highlight_net')) {
+    return;
+  }
+  viewer.highlight_net = (net) => {
+    highlightedNets.set(viewer, net);
+    Object.getPrototypeOf(viewer).highlight_net.call(viewer, net);
+    viewer.dispatchEvent(new CustomEvent(NET_HIGHLIGHT_EVENT, {detail: {net}}));
+  };
+  viewer.addEventListener('kicanvas:select', (event) => {
+    if (event.detail?.item) {
+      highlightedNets.delete(viewer);
+    }
+  });
+}
+
+// Watches the viewer of every page the embed switches to
+export function watchEmbed (embedElement, project) {
+  const watch = async () => watchViewer(await getActiveViewer(embedElement));
+  project.addEventListener('change', () => {
+    watch().catch((error) => logger.warn('Unable to watch the viewer:', error.message));
+  });
+  return watch();
+}
+
+// View state of the URL, null when it holds none for `fileKey`
+export function readViewState (fileKey, search = window.location.search) {
+  const parameters = new URLSearchParams(search);
+  if (parameters.get(VIEW_PARAMETERS.file) !== String(fileKey)) {
+    return null;
+  }
+  const [x, y, zoom] = (parameters.get(VIEW_PARAMETERS.camera) ?? '').split(',').map(Number);
+  return {
+    page: parameters.get(VIEW_PARAMETERS.page),
+    select: parameters.get(VIEW_PARAMETERS.select),
+    net: parameters.get(VIEW_PARAMETERS.net),
+    hidden: parameters.get(VIEW_PARAMETERS.hidden)?.split(',').filter((name) => name) ?? null,
+    camera: [x, y, zoom].every(Number.isFinite) && zoom > 0 ? {x, y, zoom} : null,
+  };
+}
+
+function selectedKey (viewer) {
+  const item = viewer.selected?.context;
+  if (!item) {
+    return null;
+  }
+  if (viewer.board) {
+    return footprintReference(item);
+  }
+  // symbols shared by sheet instances are told apart by their uuid
+  return item.uuid ?? item.reference ?? null;
+}
+
+// What the viewer shows right now, as readViewState() gives it back
+export function captureViewState (viewer, project) {
+  const {camera} = viewer.viewport;
+  const net = highlightedNets.get(viewer);
+  const round = (value) => Math.round(value * CAMERA_PRECISION) / CAMERA_PRECISION;
+  return {
+    page: project.active_page?.project_path ?? null,
+    select: selectedKey(viewer),
+    net: net ? viewer.board.nets.find((candidate) => candidate.number === net)?.name ?? null : null,
+    hidden: viewer.board
+      ? Array.from(viewer.layers.in_order())
+        .filter((layer) => !layer.visible && !INTERNAL_LAYERS.includes(layer.name))
+        .map((layer) => layer.name)
+      : null,
+    camera: {x: round(camera.center.x), y: round(camera.center.y), zoom: round(camera.zoom)},
+  };
+}
+
+// `url` with the parameters of `state` for `fileKey`, former ones replaced
+export function viewStateUrl (fileKey, state, url = window.location.href) {
+  const link = new URL(url);
+  for (const name of Object.values(VIEW_PARAMETERS)) {
+    link.searchParams.delete(name);
+  }
+  link.searchParams.set(VIEW_PARAMETERS.file, String(fileKey));
+  if (state.page) {
+    link.searchParams.set(VIEW_PARAMETERS.page, state.page);
+  }
+  if (state.select) {
+    link.searchParams.set(VIEW_PARAMETERS.select, state.select);
+  }
+  if (state.net) {
+    link.searchParams.set(VIEW_PARAMETERS.net, state.net);
+  }
+  if (state.hidden?.length) {
+    link.searchParams.set(VIEW_PARAMETERS.hidden, state.hidden.join(','));
+  }
+  if (state.camera) {
+    link.searchParams.set(VIEW_PARAMETERS.camera, [state.camera.x, state.camera.y, state.camera.zoom].join(','));
+  }
+  return link.href;
+}
+
+/**
+ * Brings the embed into a state of readViewState(): switches to its page,
+ * then selects, highlights, hides layers and moves the camera. Parts naming
+ * things the document no longer has are skipped.
+ */
+export async function applyViewState (embedElement, state) {
+  const project = await requestContext(embedElement, 'project');
+  const page = state.page ? project.page_by_path(state.page) : null;
+  if (state.page && !page) {
+    logger.warn('Linked page not found:', state.page);
+  }
+  const viewer = await showProjectPage(embedElement, page ?? project.active_page);
+  watchViewer(viewer);
+
+  if (state.select) {
+    const item = viewer.board
+      ? viewer.board.footprints.find((footprint) => footprintReference(footprint) === state.select || footprint.uuid === state.select)
+      : viewer.document.find_symbol(state.select);
+    if (item) {
+      viewer.select(item);
+    }
+    else {
+      logger.warn('Linked item not found:', state.select);
+    }
+  }
+  if (state.net && viewer.board) {
+    const net = viewer.board.nets.find((candidate) => candidate.name === state.net);
+    if (net) {
+      // the selection repaints the overlay a moment later, the net goes on top of it
+      await new Promise((resolve) => window.setTimeout(resolve, 0));
+      viewer.highlight_net(net.number);
+    }
+  }
+  if (state.hidden && viewer.board) {
+    for (const layer of viewer.layers.in_order()) {
+      if (!INTERNAL_LAYERS.includes(layer.name)) {
+        layer.visible = !state.hidden.includes(layer.name);
+      }
+    }
+  }
+  if (state.camera) {
+    viewer.viewport.camera.center.set(state.camera.x, state.camera.y);
+    viewer.viewport.camera.zoom = state.camera.zoom;
+  }
+  else if (viewer.selected) {
+    viewer.zoom_to_selection();
+  }
+  viewer.draw();
+  return viewer;
+}
@@ -0,0 +1,199 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {getRequestToken} from '@nextcloud/auth';
+import {initiateDownload, responseError} from 'helpers/warp-helpers.mjs';
+import logger from 'logger/logger.mjs';
+
+// Extensions KiCanvas Project.load() knows how to handle as project members
+export const KICAD_PROJECT_EXTENSIONS = ['kicad_pro', 'kicad_sch', 'kicad_pcb'];
+
+const PROPFIND_BODY = `<?xml version="1.0"?>
+<d:propfind xmlns:d="DAV:">
+  <d:prop>
+    <d:resourcetype/>
+    <d:getcontentlength/>
+  </d:prop>
+</d:propfind>`;
+
+// Names tried when saving before giving up, others may be saving alike files
+const PUT_ATTEMPTS = 5;
+
+export const splitExtension = (name) => {
+  const dot = name.lastIndexOf('.');
+  return (dot > 0)
+    ? [name.substring(0, dot), name.substring(dot + 1).toLowerCase()]
+    : [name, ''];
+};
+
+/**
+ * Virtual file system backed by a Nextcloud WebDAV folder.
+ *
+ * Sibling of KiCanvas' FetchFileSystem: it is duck typed to the same
+ * list/has/get/download interface, so it can be handed to Project.load().
+ * list() only yields the files belonging to the opened project, while get()
+ * resolves any path relative to the folder, which lets KiCanvas follow
+ * `sheetfile` references of hierarchical schematics.
+ */
+export class WebDavFileSystem {
+  constructor (folderUrl, {headers = {}, entries = [], files = []} = {}) {
+    this.folderUrl = new URL(folderUrl.endsWith('/') ? folderUrl : `${folderUrl}/`, window.location.href);
+    this.headers = headers;
+    this.entries = [...entries];
+    this.files = new Map(files.map((file) => [file.name, file]));
+    this.folderNames = [];
+  }
+
+  static async fromFileUrl (fileUrl, fileName, {headers = {}, files = []} = {}) {
+    const folderUrl = fileUrl.substring(0, fileUrl.lastIndexOf('/') + 1);
+    const fs = new WebDavFileSystem(folderUrl, {headers, files});
+    await fs.refresh();
+    fs.entries = fs.resolveProjectEntries(fileName);
+    logger.debug('WebDAV project entries:', fs.entries);
+    return fs;
+  }
+
+  // Files of the project the given file belongs to, the opened file first
+  resolveProjectEntries (fileName) {
+    const [fileStem] = splitExtension(fileName);
+    const projects = this.folderNames.filter((name) => splitExtension(name)[1] === 'kicad_pro');
+
+    let stem = fileStem;
+    if (!projects.includes(`${fileStem}.kicad_pro`) && projects.length === 1) {
+      [stem] = splitExtension(projects[0]);
+    }
+
+    const entries = [fileName];
+    for (const ext of KICAD_PROJECT_EXTENSIONS) {
+      const name = `${stem}.${ext}`;
+      if (!entries.includes(name) && this.folderNames.includes(name)) {
+        entries.push(name);
+      }
+    }
+    return entries;
+  }
+
+  async refresh () {
+    const response = await fetch(this.folderUrl, {
+      method: 'PROPFIND',
+      headers: {
+        Depth: '1',
+        'Content-Type': 'application/xml; charset=utf-8',
+        requesttoken: getRequestToken() ?? '',
+        ...this.headers,
+      },
+      body: PROPFIND_BODY,
+    });
+    if (!response.ok) {
+      throw responseError(response.url, response);
+    }
+
+    const xml = new DOMParser().parseFromString(await response.text(), 'application/xml');
+    this.folderNames = [];
+    for (const node of xml.getElementsByTagNameNS('DAV:', 'response')) {
+      const isCollection = node.getElementsByTagNameNS('DAV:', 'collection').length > 0;
+      const href = node.getElementsByTagNameNS('DAV:', 'href')[0]?.textContent;
+      if (isCollection || !href) {
+        continue;
+      }
+      this.folderNames.push(decodeURIComponent(href.split('/').filter((part) => part).pop()));
+    }
+  }
+
+  resolve (name) {
+    const encoded = name
+      .replace(/\\/g, '/')
+      .split('/')
+      .map((part) => (part === '.' || part === '..') ? part : encodeURIComponent(part))
+      .join('/');
+    return new URL(encoded, this.folderUrl);
+  }
+
+  * list () {
+    yield* this.entries;
+  }
+
+  * list_matches (pattern) {
+    for (const name of this.list()) {
+      if (name.match(pattern)) {
+        yield name;
+      }
+    }
+  }
+
+  * list_ext (ext) {
+    const suffix = ext.startsWith('.') ? ext : `.${ext}`;
+    for (const name of this.list()) {
+      if (name.endsWith(suffix)) {
+        yield name;
+      }
+    }
+  }
+
+  async has (name) {
+    return this.files.has(name) || this.folderNames.includes(name);
+  }
+
+  async get (name) {
+    if (this.files.has(name)) {
+      return this.files.get(name);
+    }
+
+    const url = this.resolve(name);
+    logger.debug('Fetching project file via WebDAV:', url.href);
+    const response = await fetch(url, {headers: this.headers});
+    if (!response.ok) {
+      throw responseError(`Unable to load ${name}:`, response);
+    }
+    const file = new File([await response.blob()], name);
+    this.files.set(name, file);
+    return file;
+  }
+
+  async download (name) {
+    initiateDownload(await this.get(name));
+  }
+
+  // `name` or, when the folder has it already, "name (2)" and so on
+  availableName (name) {
+    const [stem, ext] = splitExtension(name);
+    let candidate = name;
+    for (let count = 2; this.folderNames.includes(candidate); count++) {
+      candidate = ext ? `${stem} (${count}).${ext}` : `${stem} (${count})`;
+    }
+    return candidate;
+  }
+
+  // Stores `blob` in the folder without overwriting anything, returns the
+  // name it got. The server refuses the PUT when the name was taken since the
+  // folder was listed, the listing is refreshed and the next name tried.
+  async put (name, blob) {
+    for (let attempt = 0; ; attempt++) {
+      const stored = this.availableName(name);
+      const response = await fetch(this.resolve(stored), {
+        method: 'PUT',
+        headers: {
+          'If-None-Match': '*',
+          requesttoken: getRequestToken() ?? '',
+          ...this.headers,
+        },
+        body: blob,
+      });
+      if (response.status === 412 && attempt < PUT_ATTEMPTS) {
+        logger.debug('File appeared in the folder meanwhile:', stored);
+        await this.refresh();
+        if (!this.folderNames.includes(stored)) {
+          this.folderNames.push(stored);
+        }
+        continue;
+      }
+      if (!response.ok) {
+        throw responseError(`Unable to save ${stored}:`, response);
+      }
+      this.folderNames.push(stored);
+      return stored;
+    }
+  }
+}
@@ -19,6 +19,13 @@ if (OCA.Viewer) {
             "application/x-kicad-project",
             "application/x-kicad-schematic",
             "application/x-kicad-pcb",
+            "application/x-kicad-symbol",
+            "application/x-kicad-footprint",
+            "application/x-kicad-worksheet",
+            "application/x-kicad-legacy-schematic",
+            "application/vnd.gerber",
+            "application/x-gerber-job",
+            "application/x-excellon",
         ],
     component: App,
   });
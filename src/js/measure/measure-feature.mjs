@@ -0,0 +1,62 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import logger from 'logger/logger.mjs';
+import {MeasureTool} from 'measure/measure-tool.mjs';
+
+/**
+ * The viewer's part of measuring, mixed into the App: the menu's state and
+ * its MeasureTool, loadMeasure() once a project is shown and closeMeasure()
+ * before it goes
+ */
+export const measureFeature = {
+  data () {
+    return {
+      // Ruler and copper clearance on the shown page
+      measure: {
+        available: false,
+        active: false,
+        mode: 'distance',
+        side: 'board',
+        readout: null,
+      },
+    };
+  },
+  methods: {
+    loadMeasure ({linkable}) {
+      this.measure.available = linkable;
+    },
+    async toggleMeasure (active) {
+      if (!active) {
+        this.closeMeasure();
+        return;
+      }
+      this.measure.active = true;
+      try {
+        this.measureTool = await MeasureTool.attach(this.$refs.embed, ({mode, side, readout}) => {
+          this.measure = {...this.measure, mode, side, readout: readout && Object.freeze(readout)};
+        });
+        // closed while it attached
+        if (!this.measure.active) {
+          this.closeMeasure();
+        }
+      }
+      catch (error) {
+        logger.warn('Unable to measure:', error.message);
+        this.measure.active = false;
+      }
+    },
+    setMeasureMode (mode) {
+      this.measureTool?.setMode(mode);
+    },
+    closeMeasure () {
+      if (this.measureTool) {
+        this.measureTool.dispose();
+        this.measureTool = null;
+      }
+      this.measure = {...this.measure, active: false, readout: null};
+    },
+  },
+};
@@ -0,0 +1,249 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {requestContext, showProjectPage} from 'kicanvas/embed-project.mjs';
+import {ExtraViewLayers} from 'kicanvas/extra-layers.mjs';
+import logger from 'logger/logger.mjs';
+import {clearance, copperAt, copperItems, MEASURE_MODES, rulerReadout, snapPoint, snapTargets} from 'measure/measure.mjs';
+
+const RULER_COLOR = 'rgb(255, 200, 0)';
+const PICKED_COLOR = 'rgb(0, 200, 255)';
+const PICKED_OPACITY = 0.35;
+// on screen, in pixels
+const SNAP_RADIUS = 10;
+const LINE_WIDTH = 2;
+const MARK_RADIUS = 4;
+
+// Spacing and origin of the dots the viewer's grid shows at its zoom, null
+// while zoomed out too far for any
+function shownGrid (viewer) {
+  const grid = viewer.grid;
+  const zoom = viewer.viewport.camera.zoom;
+  const lod = grid?.lods.filter((candidate) => zoom >= candidate.min_zoom).pop();
+  return lod ? {origin: grid.origin, spacing: lod.spacing} : null;
+}
+
+const describe = (item) => ({label: item.label, net: item.net, layers: Array.from(item.layers)});
+
+/**
+ * Measure mode of the shown page. In 'distance' mode two clicks place a
+ * ruler, its ends snapping to pads, tracks, vias, pins, wires and labels
+ * near the pointer, else to a dot of the shown grid. In 'clearance' mode two
+ * clicks pick copper items of a board and their edge to edge distance is
+ * measured. Clicks go to the tool only, the viewer does not select, Escape
+ * starts over.
+ *
+ * `onChange` gets {mode, side, readout}, readout null until there is
+ * something to show.
+ */
+export class MeasureTool {
+  constructor (embedElement, project, onChange) {
+    this.embedElement = embedElement;
+    this.project = project;
+    this.onChange = onChange;
+    this.mode = 'distance';
+    this.viewer = null;
+    this.page = null;
+    this.targets = [];
+    this.copper = null;
+    this.extraLayers = null;
+    this.start = null;
+    this.end = null;
+    this.pointer = null;
+    this.picked = [];
+    this.disposers = [];
+    this.viewerDisposers = [];
+  }
+
+  static async attach (embedElement, onChange) {
+    const project = await requestContext(embedElement, 'project');
+    const tool = new MeasureTool(embedElement, project, onChange);
+    const follow = () => {
+      tool.follow().catch((error) => logger.warn('Unable to measure on the page:', error.message));
+    };
+    project.addEventListener('change', follow);
+    tool.disposers.push(() => project.removeEventListener('change', follow));
+    await tool.follow();
+    return tool;
+  }
+
+  listen (target, type, listener, capture = false) {
+    target.addEventListener(type, listener, capture);
+    this.viewerDisposers.push(() => target.removeEventListener(type, listener, capture));
+  }
+
+  get side () {
+    return this.page?.type === 'pcb' ? 'board' : 'schematic';
+  }
+
+  async follow () {
+    this.viewerDisposers.splice(0).forEach((dispose) => dispose());
+    const page = this.project.active_page;
+    const viewer = await showProjectPage(this.embedElement, page);
+    this.viewer = viewer;
+    this.page = page;
+    this.targets = snapTargets(page);
+    this.copper = null;
+    this.pointer = null;
+    const extraLayers = new ExtraViewLayers(viewer);
+    this.extraLayers = extraLayers;
+    this.viewerDisposers.push(() => extraLayers.dispose());
+    // capturing, ahead of the viewer's own click listener which would select
+    this.listen(viewer.canvas, 'click', (event) => {
+      event.stopImmediatePropagation();
+      this.click(event);
+    }, true);
+    // after the viewer's listener, it keeps mouse_position up to date
+    this.listen(viewer.canvas, 'mousemove', () => this.move());
+    this.listen(window, 'keydown', (event) => {
+      if (event.key === 'Escape') {
+        this.reset();
+      }
+    });
+    if (this.side !== 'board') {
+      this.mode = 'distance';
+    }
+    this.reset();
+  }
+
+  setMode (mode) {
+    if (MEASURE_MODES.includes(mode) && (mode === 'distance' || this.side === 'board')) {
+      this.mode = mode;
+      this.reset();
+    }
+  }
+
+  reset () {
+    this.start = null;
+    this.end = null;
+    this.picked = [];
+    this.paint();
+    this.emit();
+  }
+
+  snapped (point) {
+    const zoom = this.viewer.viewport.camera.zoom;
+    return snapPoint(point, this.targets, SNAP_RADIUS / zoom, shownGrid(this.viewer));
+  }
+
+  worldPoint (event) {
+    const rect = this.viewer.canvas.getBoundingClientRect();
+    return this.viewer.viewport.camera.screen_to_world({x: event.clientX - rect.left, y: event.clientY - rect.top});
+  }
+
+  move () {
+    if (this.mode !== 'distance') {
+      return;
+    }
+    this.pointer = this.snapped(this.viewer.mouse_position);
+    this.paint();
+    if (this.start && !this.end) {
+      this.emit();
+    }
+  }
+
+  click (event) {
+    const point = this.worldPoint(event);
+    if (this.mode === 'distance') {
+      const snapped = this.snapped(point);
+      if (!this.start || this.end) {
+        this.start = snapped;
+        this.end = null;
+      }
+      else {
+        this.end = snapped;
+      }
+    }
+    else {
+      this.copper ??= copperItems(this.page.document);
+      const visible = (layer) => this.viewer.layers.by_name(layer)?.visible ?? false;
+      const item = copperAt(this.copper, point, visible, SNAP_RADIUS / this.viewer.viewport.camera.zoom);
+      if (!item || this.picked.length > 1) {
+        this.picked = item ? [item] : [];
+      }
+      else if (item !== this.picked[0]) {
+        this.picked.push(item);
+      }
+    }
+    this.paint();
+    this.emit();
+  }
+
+  readout () {
+    if (this.mode === 'clearance') {
+      if (!this.picked.length) {
+        return null;
+      }
+      const [a, b] = this.picked;
+      const result = b ? clearance(a, b) : null;
+      return {
+        items: this.picked.map(describe),
+        clearance: result && {distance: result.distance, sameLayer: result.sameLayer, sameNet: result.sameNet},
+      };
+    }
+    const end = this.end ?? this.pointer;
+    if (!this.start || !end) {
+      return null;
+    }
+    return {...rulerReadout(this.start, end), fixed: !!this.end, snaps: [this.start.snap, end.snap]};
+  }
+
+  emit () {
+    this.onChange({mode: this.mode, side: this.side, readout: this.readout()});
+  }
+
+  paint () {
+    if (!this.extraLayers) {
+      return;
+    }
+    const {Color} = this.extraLayers;
+    const scale = 1 / this.viewer.viewport.camera.zoom;
+    this.extraLayers.clear();
+    const ruler = Color.from_css(RULER_COLOR);
+    this.extraLayers.add(':Measure:Ruler', ruler, (renderer) => {
+      const line = (from, to) => {
+        renderer.line([from, to], LINE_WIDTH * scale, ruler);
+        renderer.circle(from, MARK_RADIUS * scale, ruler);
+        renderer.circle(to, MARK_RADIUS * scale, ruler);
+      };
+      if (this.mode === 'distance') {
+        const end = this.end ?? this.pointer;
+        if (this.start && end) {
+          line(this.start, end);
+        }
+        else if (this.pointer?.snap) {
+          renderer.circle(this.pointer, MARK_RADIUS * scale, ruler);
+        }
+      }
+      else if (this.picked.length > 1) {
+        const {from, to} = clearance(...this.picked);
+        line(from, to);
+      }
+    });
+    if (this.picked.length) {
+      const color = Color.from_css(PICKED_COLOR);
+      const fill = new Color(color.r, color.g, color.b, PICKED_OPACITY);
+      this.extraLayers.add(':Measure:Picked', color, (renderer) => {
+        for (const {shape} of this.picked) {
+          if (shape.polygon) {
+            renderer.polygon(shape.polygon, fill);
+            continue;
+          }
+          for (const [a, b] of shape.segments) {
+            renderer.line([a, b], shape.radius * 2, fill);
+            renderer.circle(a, shape.radius, fill);
+            renderer.circle(b, shape.radius, fill);
+          }
+        }
+      });
+    }
+    this.viewer.draw();
+  }
+
+  dispose () {
+    [...this.viewerDisposers.splice(0), ...this.disposers.splice(0)].forEach((dispose) => dispose());
+    this.extraLayers = null;
+  }
+}
@@ -0,0 +1,239 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {footprintReference} from 'bom/bom.mjs';
+import {copperLayers, padCenter, padLayers, viaLayers} from 'nets/board-net.mjs';
+import {arcPoints, closestPoints, pointInPolygon, rotatePoint, segmentDistance} from 'nets/geometry.mjs';
+import {pinPosition} from 'nets/schematic-nets.mjs';
+
+export const MEASURE_MODES = ['distance', 'clearance'];
+
+// Copper picked first where several lie under the pointer, the smallest first
+const PICK_ORDER = ['pad', 'via', 'track', 'zone'];
+
+// Chords per full turn arc tracks are measured along, they stay within a
+// thousandth of the radius of the arc
+const ARC_SEGMENTS = 128;
+
+/**
+ * Points a ruler end snaps to: pad centers, track ends and vias of a board,
+ * pin ends, wire ends, junctions and labels of a schematic
+ */
+export function snapTargets (page) {
+  const document = page.document;
+  const targets = [];
+  if (page.type === 'pcb') {
+    for (const footprint of document.footprints) {
+      for (const pad of footprint.pads) {
+        targets.push({...padCenter(footprint, pad), kind: 'pad'});
+      }
+    }
+    for (const track of document.segments) {
+      targets.push({x: track.start.x, y: track.start.y, kind: 'track'}, {x: track.end.x, y: track.end.y, kind: 'track'});
+    }
+    for (const via of document.vias) {
+      targets.push({x: via.at.position.x, y: via.at.position.y, kind: 'via'});
+    }
+    return targets;
+  }
+  for (const symbol of document.symbols.values()) {
+    for (const pin of symbol.unit_pins) {
+      if (pin.definition) {
+        targets.push({...pinPosition(symbol, pin), kind: 'pin'});
+      }
+    }
+  }
+  for (const wire of document.wires) {
+    for (const point of [wire.pts[0], wire.pts[wire.pts.length - 1]]) {
+      targets.push({x: point.x, y: point.y, kind: 'wire'});
+    }
+  }
+  for (const item of [...document.junctions, ...document.net_labels, ...document.global_labels, ...document.hierarchical_labels]) {
+    targets.push({x: item.at.position.x, y: item.at.position.y, kind: item.constructor.name === 'Junction' ? 'junction' : 'label'});
+  }
+  return targets;
+}
+
+/**
+ * `point` snapped to the nearest target within `radius`, else to a point of
+ * the shown grid {origin, spacing} within it. Returns {x, y, snap}, `snap`
+ * the kind of target, 'grid' or null.
+ */
+export function snapPoint (point, targets, radius, grid = null) {
+  let nearest = null;
+  let nearestDistance = radius;
+  for (const target of targets) {
+    const distance = Math.hypot(target.x - point.x, target.y - point.y);
+    if (distance <= nearestDistance) {
+      nearest = target;
+      nearestDistance = distance;
+    }
+  }
+  if (nearest) {
+    return {x: nearest.x, y: nearest.y, snap: nearest.kind};
+  }
+  if (grid) {
+    const onGrid = {
+      x: grid.origin.x + Math.round((point.x - grid.origin.x) / grid.spacing) * grid.spacing,
+      y: grid.origin.y + Math.round((point.y - grid.origin.y) / grid.spacing) * grid.spacing,
+    };
+    if (Math.hypot(onGrid.x - point.x, onGrid.y - point.y) <= radius) {
+      return {...onGrid, snap: 'grid'};
+    }
+  }
+  return {x: point.x, y: point.y, snap: null};
+}
+
+// dX, dY, length and angle of a ruler, the angle counterclockwise on screen
+// from the X axis like KiCad's
+export function rulerReadout (start, end) {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  return {
+    dx,
+    dy,
+    distance: Math.hypot(dx, dy),
+    angle: dx || dy ? Math.atan2(-dy, dx) * 180 / Math.PI : 0,
+  };
+}
+
+const polygonShape = (points, radius = 0) => ({
+  polygon: points,
+  segments: points.map((point, index) => [points[index ? index - 1 : points.length - 1], point]),
+  radius,
+});
+
+// Segments grown by `radius` or a polygon, the way clearance() compares them
+function padShape (pad, center) {
+  const rotation = pad.at.rotation ?? 0;
+  const {x: width, y: height} = pad.size ?? {x: 0, y: 0};
+  const place = (offset) => {
+    const turned = rotatePoint(offset, rotation);
+    return {x: center.x + turned.x, y: center.y + turned.y};
+  };
+  if (pad.shape === 'circle' || pad.shape === 'oval') {
+    const half = Math.abs(width - height) / 2;
+    const axis = width >= height ? {x: half, y: 0} : {x: 0, y: half};
+    return {segments: [[place({x: -axis.x, y: -axis.y}), place(axis)]], radius: Math.min(width, height) / 2};
+  }
+  // a rounded rectangle is a smaller one grown by its corner radius, as KiCad
+  // draws it. Trapezoids and custom shapes are taken as their rectangle.
+  const corner = pad.shape === 'roundrect' ? Math.min(width, height) * Math.min(pad.roundrect_rratio ?? 0, 0.5) : 0;
+  return polygonShape([[-1, -1], [1, -1], [1, 1], [-1, 1]]
+    .map(([x, y]) => place({x: x * (width / 2 - corner), y: y * (height / 2 - corner)})), corner);
+}
+
+// Segments along a track, arcs split into short chords
+function trackSegments (track) {
+  if (!track.mid) {
+    return [[track.start, track.end]];
+  }
+  const points = arcPoints(track.start, track.mid, track.end, ARC_SEGMENTS);
+  return points.slice(1).map((point, index) => [points[index], point]);
+}
+
+/**
+ * Copper items of a board as {kind, label, net, layers, shape}: pads, track
+ * segments, vias and filled zone polygons
+ */
+export function copperItems (board) {
+  const allCopper = copperLayers(board);
+  const netNames = new Map(board.nets.map((net) => [net.number, net.name]));
+  const items = [];
+  for (const footprint of board.footprints) {
+    const reference = footprintReference(footprint);
+    for (const pad of footprint.pads) {
+      const layers = padLayers(pad, allCopper);
+      if (layers.size) {
+        items.push({
+          kind: 'pad',
+          label: `${reference} pad ${pad.number}`,
+          net: pad.net?.name ?? '',
+          layers,
+          shape: padShape(pad, padCenter(footprint, pad)),
+        });
+      }
+    }
+  }
+  for (const track of board.segments) {
+    items.push({
+      kind: 'track',
+      label: `Track on ${track.layer}`,
+      net: netNames.get(track.net) ?? '',
+      layers: new Set([track.layer]),
+      shape: {segments: trackSegments(track), radius: (track.width ?? 0) / 2},
+    });
+  }
+  for (const via of board.vias) {
+    items.push({
+      kind: 'via',
+      label: 'Via',
+      net: netNames.get(via.net) ?? '',
+      layers: viaLayers(via, allCopper),
+      shape: {segments: [[via.at.position, via.at.position]], radius: (via.size ?? 0) / 2},
+    });
+  }
+  for (const zone of board.zones) {
+    if (zone.keepout) {
+      continue;
+    }
+    for (const polygon of zone.filled_polygons ?? []) {
+      if (polygon.pts?.length > 2) {
+        items.push({
+          kind: 'zone',
+          label: `${zone.name || 'Zone'} on ${polygon.layer}`,
+          net: netNames.get(zone.net) ?? '',
+          layers: new Set([polygon.layer]),
+          shape: polygonShape(polygon.pts),
+        });
+      }
+    }
+  }
+  return items;
+}
+
+const shapeContains = (shape, point, tolerance = 0) =>
+  (shape.polygon && pointInPolygon(point, shape.polygon)) ||
+  shape.segments.some(([a, b]) => segmentDistance(point, a, b) <= shape.radius + tolerance);
+
+// Copper item at `point` on a layer `visible()` accepts, pads before vias,
+// tracks and zones
+export function copperAt (items, point, visible, tolerance = 0) {
+  return items
+    .filter((item) => Array.from(item.layers).some(visible) && shapeContains(item.shape, point, tolerance))
+    .sort((a, b) => PICK_ORDER.indexOf(a.kind) - PICK_ORDER.indexOf(b.kind))[0] ?? null;
+}
+
+/**
+ * Edge to edge distance of two copper items as {distance, from, to,
+ * sameLayer, sameNet}, `from` and `to` on their edges. Touching or
+ * overlapping items are 0 apart.
+ */
+export function clearance (a, b) {
+  let nearest = null;
+  for (const [a1, a2] of a.shape.segments) {
+    for (const [b1, b2] of b.shape.segments) {
+      const candidate = closestPoints(a1, a2, b1, b2);
+      if (!nearest || candidate.distance < nearest.distance) {
+        nearest = candidate;
+      }
+    }
+  }
+  const sameLayer = Array.from(a.layers).some((layer) => b.layers.has(layer));
+  const sameNet = !!a.net && a.net === b.net;
+  const gap = nearest.distance - a.shape.radius - b.shape.radius;
+  const inside = (outer, inner) => outer.polygon && pointInPolygon(inner.segments[0][0], outer.polygon);
+  if (gap <= 0 || inside(a.shape, b.shape) || inside(b.shape, a.shape)) {
+    return {distance: 0, from: nearest.from, to: nearest.from, sameLayer, sameNet};
+  }
+  const along = {x: (nearest.to.x - nearest.from.x) / nearest.distance, y: (nearest.to.y - nearest.from.y) / nearest.distance};
+  return {
+    distance: gap,
+    from: {x: nearest.from.x + along.x * a.shape.radius, y: nearest.from.y + along.y * a.shape.radius},
+    to: {x: nearest.to.x - along.x * b.shape.radius, y: nearest.to.y - along.y * b.shape.radius},
+    sameLayer,
+    sameNet,
+  };
+}
@@ -0,0 +1,322 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {footprintReference} from 'bom/bom.mjs';
+import {circleThrough, EPSILON, rotatePoint, segmentDistance} from 'nets/geometry.mjs';
+
+const isCopper = (layer) => layer.endsWith('.Cu');
+
+export const copperLayers = (board) => board.layers
+  .map((layer) => layer.canonical_name)
+  .filter(isCopper);
+
+// Copper layers a pad is on, "*.Cu" and "F&B.Cu" stand for all of them
+export function padLayers (pad, allCopper) {
+  const layers = new Set();
+  for (const layer of pad.layers ?? []) {
+    if (layer === '*.Cu' || layer === 'F&B.Cu') {
+      allCopper.forEach((name) => layers.add(name));
+    }
+    else if (isCopper(layer)) {
+      layers.add(layer);
+    }
+  }
+  return layers;
+}
+
+// Copper layers a via spans, its two end layers and all between them
+export function viaLayers (via, allCopper) {
+  if (via.type === 'through-hole' || !via.layers?.length) {
+    return new Set(allCopper);
+  }
+  const ends = via.layers.map((layer) => allCopper.indexOf(layer)).filter((index) => index >= 0);
+  if (ends.length < 2) {
+    return new Set(via.layers);
+  }
+  return new Set(allCopper.slice(Math.min(...ends), Math.max(...ends) + 1));
+}
+
+function arcLength ({start, mid, end}) {
+  const circle = circleThrough(start, mid, end);
+  if (!circle) {
+    return Math.hypot(end.x - start.x, end.y - start.y);
+  }
+  const {center, radius} = circle;
+  const angle = (p) => Math.atan2(p.y - center.y, p.x - center.x);
+  const normalize = (a) => (a + 2 * Math.PI) % (2 * Math.PI);
+  // the sweep from start to end that passes the mid point
+  const sweep = normalize(angle(end) - angle(start));
+  const toMid = normalize(angle(mid) - angle(start));
+  return radius * (toMid <= sweep ? sweep : 2 * Math.PI - sweep);
+}
+
+// Pad outline approximated by its rotated bounding rectangle
+function padContains (pad, point, tolerance) {
+  const local = rotatePoint({x: point.x - pad.center.x, y: point.y - pad.center.y}, -pad.rotation);
+  return Math.abs(local.x) <= pad.size.x / 2 + tolerance && Math.abs(local.y) <= pad.size.y / 2 + tolerance;
+}
+
+export function padCenter (footprint, pad) {
+  const offset = rotatePoint(pad.at.position, footprint.at.rotation ?? 0);
+  return {x: footprint.at.position.x + offset.x, y: footprint.at.position.y + offset.y};
+}
+
+class DisjointSet {
+  constructor (size) {
+    this.parents = Array.from({length: size}, (_, index) => index);
+  }
+
+  find (index) {
+    while (this.parents[index] !== index) {
+      this.parents[index] = this.parents[this.parents[index]];
+      index = this.parents[index];
+    }
+    return index;
+  }
+
+  union (a, b) {
+    this.parents[this.find(a)] = this.find(b);
+  }
+}
+
+const shareLayer = (a, b) => Array.from(a).some((layer) => b.has(layer));
+
+// Side of the cells copper is bucketed in, in mm
+const CELL_SIZE = 2;
+
+const cellOf = (value) => Math.floor(value / CELL_SIZE);
+
+function * cellsOf (box) {
+  for (let x = cellOf(box.x); x <= cellOf(box.x2); x++) {
+    for (let y = cellOf(box.y); y <= cellOf(box.y2); y++) {
+      yield `${x}:${y}`;
+    }
+  }
+}
+
+function pushTo (map, key, value) {
+  if (!map.has(key)) {
+    map.set(key, []);
+  }
+  map.get(key).push(value);
+}
+
+const boxesOverlap = (a, b) => a.x <= b.x2 && b.x <= a.x2 && a.y <= b.y2 && b.y <= a.y2;
+
+// Box around `points` grown by `reach`
+function around (points, reach) {
+  const xs = points.map((point) => point.x);
+  const ys = points.map((point) => point.y);
+  const grow = reach + EPSILON;
+  return {x: Math.min(...xs) - grow, y: Math.min(...ys) - grow, x2: Math.max(...xs) + grow, y2: Math.max(...ys) + grow};
+}
+
+// What a node's copper may cover, a pad's as if turned any way
+function nodeBox (node) {
+  switch (node.kind) {
+    case 'pad':
+      return around([node.center], Math.hypot(node.size.x, node.size.y) / 2);
+    case 'via':
+      return around([node.center], node.width / 2);
+    case 'track':
+      return around([node.start, node.end], node.width / 2);
+    default:
+      return node.bbox;
+  }
+}
+
+// Indices of the nodes in each cell of each layer
+class NodeGrid {
+  constructor () {
+    this.cells = new Map();
+  }
+
+  add (index, layers, box) {
+    for (const layer of layers) {
+      for (const cell of cellsOf(box)) {
+        pushTo(this.cells, `${layer}:${cell}`, index);
+      }
+    }
+  }
+
+  near (layers, box) {
+    const found = new Set();
+    for (const layer of layers) {
+      for (const cell of cellsOf(box)) {
+        this.cells.get(`${layer}:${cell}`)?.forEach((index) => found.add(index));
+      }
+    }
+    return found;
+  }
+}
+
+// A fill's outline points by cell and its edges by the rows of cells they
+// cross, worked out once for all the nodes it is compared with
+function indexFill (fill) {
+  if (fill.cells) {
+    return fill;
+  }
+  fill.cells = new Map();
+  fill.rows = new Map();
+  fill.points.forEach((point, index) => {
+    pushTo(fill.cells, `${cellOf(point.x)}:${cellOf(point.y)}`, point);
+    const previous = fill.points[(index || fill.points.length) - 1];
+    for (let row = cellOf(Math.min(point.y, previous.y)); row <= cellOf(Math.max(point.y, previous.y)); row++) {
+      pushTo(fill.rows, row, [point, previous]);
+    }
+  });
+  return fill;
+}
+
+const fillPointsIn = (fill, box) => Array.from(cellsOf(box), (cell) => indexFill(fill).cells.get(cell) ?? []).flat();
+
+// pointInPolygon() against the edges of the point's row only
+function fillContains (fill, {x, y}) {
+  if (!fill.bbox.contains({x, y})) {
+    return false;
+  }
+  let inside = false;
+  for (const [a, b] of indexFill(fill).rows.get(cellOf(y)) ?? []) {
+    if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Copper islands of a net: its pads, tracks, vias and zone fills joined where
+ * they touch on a common layer. Returns the number of islands holding pads,
+ * more than one means the net is not completely routed. Only nodes sharing a
+ * cell of a layer are compared, a net's fills cover thousands of pads.
+ */
+function padIslands (pads, tracks, vias, fills) {
+  const nodes = [...pads, ...tracks, ...vias, ...fills];
+  const boxes = nodes.map(nodeBox);
+  const set = new DisjointSet(nodes.length);
+  const hits = (node, point, tolerance) => {
+    switch (node.kind) {
+      case 'pad':
+        return padContains(node, point, tolerance);
+      case 'via':
+        return Math.hypot(point.x - node.center.x, point.y - node.center.y) <= node.width / 2 + tolerance;
+      case 'track':
+        return segmentDistance(point, node.start, node.end) <= node.width / 2 + tolerance;
+      default:
+        return fillContains(node, point);
+    }
+  };
+  const fillTouches = (fill, node, box) => {
+    if (node.kind === 'track') {
+      return hits(fill, node.start) || hits(fill, node.end);
+    }
+    // thermal spokes end inside a pad, the fill is cut open around it
+    return hits(fill, node.center) || fillPointsIn(fill, box).some((point) => hits(node, point, EPSILON));
+  };
+  const touches = (i, j) => {
+    const [a, b] = [nodes[i], nodes[j]];
+    if (!shareLayer(a.layers, b.layers)) {
+      return false;
+    }
+    if (a.kind === 'fill' || b.kind === 'fill') {
+      return a.kind === 'fill' ? fillTouches(a, b, boxes[j]) : fillTouches(b, a, boxes[i]);
+    }
+    const points = (node) => (node.kind === 'track' ? [node.start, node.end] : [node.center]);
+    const reach = (node) => (node.kind === 'pad' ? 0 : node.width / 2);
+    return points(a).some((point) => hits(b, point, reach(a) + EPSILON)) ||
+      points(b).some((point) => hits(a, point, reach(b) + EPSILON));
+  };
+  const grid = new NodeGrid();
+  nodes.forEach((node, index) => grid.add(index, node.layers, boxes[index]));
+  for (let i = 0; i < nodes.length; i++) {
+    for (const j of grid.near(nodes[i].layers, boxes[i])) {
+      // fills of one net only join through what they touch
+      if (j <= i || (nodes[i].kind === 'fill' && nodes[j].kind === 'fill')) {
+        continue;
+      }
+      if (boxesOverlap(boxes[i], boxes[j]) && set.find(i) !== set.find(j) && touches(i, j)) {
+        set.union(i, j);
+      }
+    }
+  }
+  return new Set(pads.map((_, index) => set.find(index))).size;
+}
+
+const boundingBox = (points) => {
+  const xs = points.map((point) => point.x);
+  const ys = points.map((point) => point.y);
+  const box = {x: Math.min(...xs), y: Math.min(...ys), x2: Math.max(...xs), y2: Math.max(...ys)};
+  box.contains = ({x, y}) => x >= box.x - EPSILON && x <= box.x2 + EPSILON && y >= box.y - EPSILON && y <= box.y2 + EPSILON;
+  return box;
+};
+
+/**
+ * Everything of the board on net `number`: its pads, routed length per
+ * copper layer, vias, zones and whether copper joins all of its pads.
+ * `page` is the board's ProjectPage, the pads carry hits for showHit().
+ */
+export function boardNetDetails (board, number, page) {
+  const net = board.nets.find((candidate) => candidate.number === number);
+  const allCopper = copperLayers(board);
+  const pads = [];
+  const padNodes = [];
+  for (const footprint of board.footprints) {
+    const reference = footprintReference(footprint);
+    for (const pad of footprint.pads) {
+      if (pad.net?.number !== number) {
+        continue;
+      }
+      pads.push({
+        reference,
+        number: pad.number,
+        pinfunction: pad.pinfunction ?? '',
+        hit: {page: page.project_path, target: {kind: 'item', item: footprint}},
+      });
+      padNodes.push({
+        kind: 'pad',
+        center: padCenter(footprint, pad),
+        rotation: pad.at.rotation ?? 0,
+        size: pad.size ?? {x: 0, y: 0},
+        layers: padLayers(pad, allCopper),
+      });
+    }
+  }
+  pads.sort((a, b) => a.reference.localeCompare(b.reference, undefined, {numeric: true}) ||
+    String(a.number).localeCompare(String(b.number), undefined, {numeric: true}));
+
+  const lengths = new Map();
+  const trackNodes = [];
+  for (const track of board.segments) {
+    if (track.net !== number) {
+      continue;
+    }
+    const length = track.mid ? arcLength(track) : Math.hypot(track.end.x - track.start.x, track.end.y - track.start.y);
+    lengths.set(track.layer, (lengths.get(track.layer) ?? 0) + length);
+    trackNodes.push({kind: 'track', start: track.start, end: track.end, width: track.width ?? 0, layers: new Set([track.layer])});
+  }
+  const viaNodes = board.vias
+    .filter((via) => via.net === number)
+    .map((via) => ({kind: 'via', center: via.at.position, width: via.size ?? 0, layers: viaLayers(via, allCopper)}));
+  const zones = board.zones.filter((zone) => zone.net === number && !zone.keepout);
+  const fillNodes = zones.flatMap((zone) => (zone.filled_polygons ?? [])
+    .filter((polygon) => polygon.pts?.length > 2)
+    .map((polygon) => ({kind: 'fill', points: polygon.pts, bbox: boundingBox(polygon.pts), layers: new Set([polygon.layer])})));
+
+  const islands = pads.length > 1 ? padIslands(padNodes, trackNodes, viaNodes, fillNodes) : Math.min(pads.length, 1);
+  return {
+    kind: 'board',
+    number,
+    name: net?.name ?? '',
+    pads,
+    layers: allCopper
+      .filter((layer) => lengths.has(layer))
+      .map((layer) => ({layer, length: lengths.get(layer)})),
+    length: Array.from(lengths.values()).reduce((total, length) => total + length, 0),
+    vias: viaNodes.length,
+    zones: zones.map((zone) => ({name: zone.name ?? '', layers: zone.layers ?? [zone.layer]})),
+    islands,
+    unrouted: islands > 1,
+  };
+}
@@ -0,0 +1,146 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+// Coordinates of KiCad documents sit on a fine grid, points closer than this
+// are one
+export const EPSILON = 0.01;
+// How far from a wire a click still picks it
+export const PICK_DISTANCE = 0.5;
+
+// Point of the segment a–b nearest to `point`
+export function closestPoint (point, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const length = dx * dx + dy * dy;
+  const t = length ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / length)) : 0;
+  return {x: a.x + t * dx, y: a.y + t * dy};
+}
+
+export function segmentDistance (point, a, b) {
+  const closest = closestPoint(point, a, b);
+  return Math.hypot(point.x - closest.x, point.y - closest.y);
+}
+
+const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+/**
+ * Nearest points of the segments a1–a2 and b1–b2 as {distance, from, to},
+ * `from` on the first one. Crossing segments meet where they cross.
+ */
+export function closestPoints (a1, a2, b1, b2) {
+  const d1 = cross(b1, b2, a1);
+  const d2 = cross(b1, b2, a2);
+  const d3 = cross(a1, a2, b1);
+  const d4 = cross(a1, a2, b2);
+  if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+    const t = d1 / (d1 - d2);
+    const point = {x: a1.x + t * (a2.x - a1.x), y: a1.y + t * (a2.y - a1.y)};
+    return {distance: 0, from: point, to: point};
+  }
+  // apart, one of the four ends is nearest to the other segment
+  const candidates = [
+    {from: a1, to: closestPoint(a1, b1, b2)},
+    {from: a2, to: closestPoint(a2, b1, b2)},
+    {from: closestPoint(b1, a1, a2), to: b1},
+    {from: closestPoint(b2, a1, a2), to: b2},
+  ];
+  return candidates
+    .map(({from, to}) => ({distance: Math.hypot(to.x - from.x, to.y - from.y), from, to}))
+    .reduce((nearest, candidate) => (candidate.distance < nearest.distance ? candidate : nearest));
+}
+
+export const onWire = (point, wire, tolerance = EPSILON) =>
+  wire.pts.some((end, index) => index > 0 && segmentDistance(point, wire.pts[index - 1], end) <= tolerance);
+
+export const wireEnds = (wire) => [wire.pts[0], wire.pts[wire.pts.length - 1]];
+
+// Whether two wires of a sheet are joined: through shared ends, an end on
+// the other wire or a junction on both
+export const wiresJoined = (wire, other, junctions) =>
+  wireEnds(wire).some((point) => onWire(point, other)) ||
+  wireEnds(other).some((point) => onWire(point, wire)) ||
+  junctions.some((point) => onWire(point, wire) && onWire(point, other));
+
+// Wires of a sheet connected to the `start` ones
+export function connectedWires (schematic, start) {
+  const junctions = schematic.junctions.map((junction) => junction.at.position);
+  const group = new Set(start);
+  const queue = [...start];
+  while (queue.length) {
+    const wire = queue.pop();
+    for (const other of schematic.wires) {
+      if (!group.has(other) && wiresJoined(wire, other, junctions)) {
+        group.add(other);
+        queue.push(other);
+      }
+    }
+  }
+  return group;
+}
+
+// Circle through three points as {center, radius}, null for points in line
+export function circleThrough (start, mid, end) {
+  const d = 2 * (start.x * (mid.y - end.y) + mid.x * (end.y - start.y) + end.x * (start.y - mid.y));
+  if (Math.abs(d) < 1e-9) {
+    return null;
+  }
+  const square = (p) => p.x * p.x + p.y * p.y;
+  const center = {
+    x: (square(start) * (mid.y - end.y) + square(mid) * (end.y - start.y) + square(end) * (start.y - mid.y)) / d,
+    y: (square(start) * (end.x - mid.x) + square(mid) * (start.x - end.x) + square(end) * (mid.x - start.x)) / d,
+  };
+  return {center, radius: Math.hypot(start.x - center.x, start.y - center.y)};
+}
+
+// Points along the arc from `start` through `mid` to `end`, `segments` per
+// full turn
+export function arcPoints (start, mid, end, segments) {
+  const circle = circleThrough(start, mid, end);
+  if (!circle) {
+    return [start, end];
+  }
+  const {center, radius} = circle;
+  const angle = (p) => Math.atan2(p.y - center.y, p.x - center.x);
+  const normalize = (a) => (a + 2 * Math.PI) % (2 * Math.PI);
+  const from = angle(start);
+  let sweep = normalize(angle(end) - from);
+  // the sweep from start to end that passes the mid point
+  if (normalize(angle(mid) - from) > sweep) {
+    sweep -= 2 * Math.PI;
+  }
+  const steps = Math.max(2, Math.ceil(segments * Math.abs(sweep) / (2 * Math.PI)));
+  return Array.from({length: steps + 1}, (_, index) => {
+    const at = from + sweep * index / steps;
+    return {x: center.x + radius * Math.cos(at), y: center.y + radius * Math.sin(at)};
+  });
+}
+
+// KiCad's rotation of a point, counterclockwise on screen for positive angles
+export function rotatePoint ({x, y}, degrees) {
+  const radians = degrees * Math.PI / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  return {x: x * cos + y * sin, y: y * cos - x * sin};
+}
+
+export function pointInPolygon ({x, y}, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Corners of a KiCanvas BBox, clockwise from the top left
+export const boxCorners = (bbox) => [
+  {x: bbox.x, y: bbox.y},
+  {x: bbox.x2, y: bbox.y},
+  {x: bbox.x2, y: bbox.y2},
+  {x: bbox.x, y: bbox.y2},
+];
@@ -0,0 +1,68 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import logger from 'logger/logger.mjs';
+import {NetInspector} from 'nets/net-inspector.mjs';
+
+/**
+ * The viewer's part of net inspection, mixed into the App: the panel's state
+ * and its NetInspector, loadNetInspector() once a project is shown and
+ * closeNetInspector() before it goes
+ */
+export const netInspectorFeature = {
+  data () {
+    return {
+      // Net of the shown page
+      netInspector: {
+        available: false,
+        active: false,
+        side: 'board',
+        names: [],
+        details: null,
+      },
+    };
+  },
+  methods: {
+    loadNetInspector ({linkable}) {
+      this.netInspector.available = linkable;
+    },
+    async toggleNetInspector (active) {
+      if (!active) {
+        this.closeNetInspector();
+        return;
+      }
+      this.netInspector.active = true;
+      try {
+        this.netInspectorView = await NetInspector.attach(this.$refs.embed, ({side, names, details}) => {
+          // frozen, the details hold KiCanvas items to jump to
+          this.netInspector = {
+            ...this.netInspector,
+            side,
+            names: Object.freeze(names),
+            details: details && Object.freeze(details),
+          };
+        });
+        // closed while it attached
+        if (!this.netInspector.active) {
+          this.closeNetInspector();
+        }
+      }
+      catch (error) {
+        logger.warn('Unable to inspect nets:', error.message);
+        this.netInspector.active = false;
+      }
+    },
+    showInspectedNet (name) {
+      this.netInspectorView?.showNet(name);
+    },
+    closeNetInspector () {
+      if (this.netInspectorView) {
+        this.netInspectorView.dispose();
+        this.netInspectorView = null;
+      }
+      this.netInspector = {...this.netInspector, active: false, details: null};
+    },
+  },
+};
@@ -0,0 +1,120 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {requestContext, showProjectPage} from 'kicanvas/embed-project.mjs';
+import {highlightedNet, NET_HIGHLIGHT_EVENT, watchViewer} from 'kicanvas/view-state.mjs';
+import logger from 'logger/logger.mjs';
+import {boardNetDetails} from 'nets/board-net.mjs';
+import {onWire, PICK_DISTANCE} from 'nets/geometry.mjs';
+import {buildSchematicNets} from 'nets/schematic-nets.mjs';
+
+const nextTask = () => new Promise((resolve) => window.setTimeout(resolve, 0));
+
+/**
+ * Follows the net of the shown page and hands its details to `onChange` as
+ * {side, names, details}: on a board the net the viewer highlights, on a
+ * schematic the one of a clicked pin, wire or label. The schematic netlist
+ * is built on first use.
+ */
+export class NetInspector {
+  constructor (embedElement, project, onChange) {
+    this.embedElement = embedElement;
+    this.project = project;
+    this.onChange = onChange;
+    this.schematicNets = null;
+    this.viewer = null;
+    this.side = null;
+    this.names = [];
+    this.details = null;
+    this.disposers = [];
+    this.viewerDisposers = [];
+  }
+
+  static async attach (embedElement, onChange) {
+    const project = await requestContext(embedElement, 'project');
+    const inspector = new NetInspector(embedElement, project, onChange);
+    const follow = () => {
+      inspector.follow().catch((error) => logger.warn('Unable to inspect the nets of the page:', error.message));
+    };
+    project.addEventListener('change', follow);
+    inspector.disposers.push(() => project.removeEventListener('change', follow));
+    await inspector.follow();
+    return inspector;
+  }
+
+  listen (target, type, listener) {
+    target.addEventListener(type, listener);
+    this.viewerDisposers.push(() => target.removeEventListener(type, listener));
+  }
+
+  async follow () {
+    this.viewerDisposers.splice(0).forEach((dispose) => dispose());
+    const page = this.project.active_page;
+    const viewer = await showProjectPage(this.embedElement, page);
+    this.viewer = viewer;
+    if (page.type === 'pcb') {
+      watchViewer(viewer);
+      this.listen(viewer, NET_HIGHLIGHT_EVENT, (event) => this.showBoardNet(event.detail.net));
+      this.side = 'board';
+      this.names = page.document.nets.map((net) => net.name).filter((name) => name);
+      this.showBoardNet(highlightedNet(viewer));
+      return;
+    }
+    this.schematicNets ??= buildSchematicNets(this.project);
+    // the viewer picks on click first, pins are selectable, wires and labels not
+    this.listen(viewer.canvas, 'click', () => this.pickSchematicNet(viewer, page));
+    this.side = 'schematic';
+    this.names = this.schematicNets.nets.map((net) => net.name).filter((name) => name);
+    this.details = null;
+    this.emit();
+  }
+
+  emit () {
+    this.onChange({side: this.side, names: this.names, details: this.details});
+  }
+
+  showBoardNet (number) {
+    const page = this.project.active_page;
+    this.details = number === null || number === undefined || page.type !== 'pcb'
+      ? null
+      : boardNetDetails(page.document, number, page);
+    this.emit();
+  }
+
+  pickSchematicNet (viewer, page) {
+    const item = viewer.selected?.context;
+    let picked = item?.constructor.name === 'PinInstance' ? item : null;
+    if (!item) {
+      const point = viewer.mouse_position;
+      picked = viewer.layers.by_name(':Label')?.query_point(point).next().value?.context ??
+        page.document.wires.find((wire) => onWire(point, wire, PICK_DISTANCE)) ??
+        null;
+    }
+    if (picked) {
+      this.details = this.schematicNets.netOf(page, picked);
+      this.emit();
+    }
+  }
+
+  // Picks a net by name, on a board by highlighting it
+  async showNet (name) {
+    if (this.side === 'board') {
+      const net = this.project.active_page.document.nets.find((candidate) => candidate.name === name);
+      if (net) {
+        this.viewer.select(null);
+        // the selection repaints the overlay a moment later, the net goes on top of it
+        await nextTask();
+        this.viewer.highlight_net(net.number);
+      }
+      return;
+    }
+    this.details = this.schematicNets?.nets.find((net) => net.name === name) ?? null;
+    this.emit();
+  }
+
+  dispose () {
+    [...this.viewerDisposers.splice(0), ...this.disposers.splice(0)].forEach((dispose) => dispose());
+  }
+}
@@ -0,0 +1,273 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {symbolInstance} from 'bom/bom.mjs';
+import logger from 'logger/logger.mjs';
+import {EPSILON, onWire, wiresJoined} from 'nets/geometry.mjs';
+
+const LABEL_KINDS = {
+  NetLabel: 'Label',
+  GlobalLabel: 'Global label',
+  HierarchicalLabel: 'Hierarchical label',
+};
+
+const pointKey = ({x, y}) => `${Math.round(x / EPSILON)},${Math.round(y / EPSILON)}`;
+
+/**
+ * Where a pin of a placed symbol connects, the library pin turned, mirrored
+ * and moved the way KiCanvas paints it
+ */
+export function pinPosition (symbol, pin) {
+  let {x, y} = pin.definition.at.position;
+  for (let turn = 0; turn < Math.round((symbol.at.rotation ?? 0) / 90) % 4; turn++) {
+    [x, y] = [-y, x];
+  }
+  if (symbol.mirror === 'x') {
+    y = -y;
+  }
+  else if (symbol.mirror === 'y') {
+    x = -x;
+  }
+  return {x: symbol.at.position.x + x, y: symbol.at.position.y - y};
+}
+
+class Nodes {
+  constructor () {
+    this.parents = [];
+    this.items = [];
+  }
+
+  add (item) {
+    this.parents.push(this.parents.length);
+    this.items.push(item);
+    return this.parents.length - 1;
+  }
+
+  find (index) {
+    while (this.parents[index] !== index) {
+      this.parents[index] = this.parents[this.parents[index]];
+      index = this.parents[index];
+    }
+    return index;
+  }
+
+  union (a, b) {
+    this.parents[this.find(a)] = this.find(b);
+  }
+}
+
+// Names of the sheets down to `sheetPath`, "/Power/Regulator" and "" for the
+// root sheet, the way KiCad prefixes local net names
+function sheetNamePath (sheetPath, pageNames) {
+  const uuids = sheetPath.split('/').filter((part) => part);
+  const names = [];
+  for (let depth = 2; depth <= uuids.length; depth++) {
+    names.push(pageNames.get(`/${uuids.slice(0, depth).join('/')}`) ?? uuids[depth - 1]);
+  }
+  return names.length ? `/${names.join('/')}` : '';
+}
+
+/**
+ * KiCad's name of a net: global labels and power symbols name it as they
+ * are, then local labels and hierarchical ones nearest to the root, with the
+ * path of their sheet. Unnamed nets go after a pin of theirs.
+ */
+function netName (members, pageNames) {
+  const globalName = members.globals[0];
+  if (globalName) {
+    return globalName;
+  }
+  for (const labels of [members.locals, members.hierarchicals]) {
+    const shallowest = labels
+      .slice()
+      .sort((a, b) => a.page.sheet_path.split('/').length - b.page.sheet_path.split('/').length || a.text.localeCompare(b.text))[0];
+    if (shallowest) {
+      return `${sheetNamePath(shallowest.page.sheet_path, pageNames)}/${shallowest.text}`;
+    }
+  }
+  const pin = members.pins[0];
+  return pin ? `Net-(${pin.reference}-Pad${pin.number})` : '';
+}
+
+/**
+ * Netlist of all sheets of a project: wires, pins and labels joined where
+ * they meet, across sheets through global labels, power symbols and
+ * hierarchical labels meeting the pins of their sheet symbol.
+ *
+ * Returns {nets, netOf(page, item)}, nets as {name, pins, labels} with hits
+ * for showHit(). netOf() finds the net of a wire, pin or label of a page.
+ */
+export function buildSchematicNets (project) {
+  const root = project.root_schematic_page?.document ?? null;
+  const pages = Array.from(project.pages()).filter((page) => page.type === 'schematic' && page.document);
+  const pageNames = new Map(pages.map((page) => [page.sheet_path, page.name]));
+  const nodes = new Nodes();
+  const named = new Map();
+  const itemNodes = new Map();
+  const join = (key, node) => {
+    if (named.has(key)) {
+      nodes.union(node, named.get(key));
+    }
+    else {
+      named.set(key, node);
+    }
+  };
+
+  for (const page of pages) {
+    const schematic = page.document;
+    const sheetPath = page.sheet_path;
+    const pageNodes = new Map();
+    itemNodes.set(page, pageNodes);
+
+    const wires = schematic.wires.map((wire) => {
+      const node = nodes.add({kind: 'wire', page, wire});
+      pageNodes.set(wire, node);
+      return {wire, node};
+    });
+    const junctions = schematic.junctions.map((junction) => junction.at.position);
+    for (let i = 0; i < wires.length; i++) {
+      for (let j = i + 1; j < wires.length; j++) {
+        if (wiresJoined(wires[i].wire, wires[j].wire, junctions)) {
+          nodes.union(wires[i].node, wires[j].node);
+        }
+      }
+    }
+
+    // points of pins, labels and sheet pins, joined to each other and to wires
+    const points = new Map();
+    const attach = (point, node) => {
+      const key = pointKey(point);
+      if (points.has(key)) {
+        nodes.union(node, points.get(key));
+      }
+      else {
+        points.set(key, node);
+      }
+      for (const {wire, node: wireNode} of wires) {
+        if (onWire(point, wire)) {
+          nodes.union(node, wireNode);
+        }
+      }
+    };
+
+    for (const symbol of schematic.symbols.values()) {
+      const instance = symbolInstance(symbol, schematic, sheetPath, root);
+      const reference = instance?.reference ?? symbol.reference;
+      const power = symbol.lib_symbol?.power;
+      for (const pin of symbol.unit_pins) {
+        const definition = pin.definition;
+        if (!definition) {
+          continue;
+        }
+        const node = nodes.add({
+          kind: 'pin',
+          page,
+          symbol,
+          power,
+          value: instance?.value ?? symbol.value,
+          reference,
+          number: pin.number,
+          name: definition.name?.text ?? '',
+        });
+        pageNodes.set(pin, node);
+        attach(pinPosition(symbol, pin), node);
+        if (power) {
+          join(`global:${nodes.items[node].value}`, node);
+        }
+        // invisible power pins of older libraries join the net of their name
+        else if (definition.hide && definition.type === 'power_in') {
+          join(`global:${definition.name.text}`, node);
+        }
+      }
+    }
+
+    for (const label of [...schematic.net_labels, ...schematic.global_labels, ...schematic.hierarchical_labels]) {
+      const kind = label.constructor.name;
+      const node = nodes.add({kind: 'label', page, label, labelKind: kind, text: label.text});
+      pageNodes.set(label, node);
+      attach(label.at.position, node);
+      if (kind === 'GlobalLabel') {
+        join(`global:${label.text}`, node);
+      }
+      else if (kind === 'HierarchicalLabel') {
+        join(`sheet:${sheetPath}:${label.text}`, node);
+      }
+      else {
+        join(`local:${sheetPath}:${label.text}`, node);
+      }
+    }
+
+    for (const sheet of schematic.sheets) {
+      for (const sheetPin of sheet.pins ?? []) {
+        const node = nodes.add({kind: 'sheet-pin', page});
+        attach(sheetPin.at.position, node);
+        join(`sheet:${sheetPath}/${sheet.uuid}:${sheetPin.name}`, node);
+      }
+    }
+  }
+
+  const groups = new Map();
+  nodes.items.forEach((item, index) => {
+    const group = nodes.find(index);
+    if (!groups.has(group)) {
+      groups.set(group, {pins: [], globals: [], locals: [], hierarchicals: [], labels: []});
+    }
+    const members = groups.get(group);
+    const hitOf = (target) => ({page: item.page.project_path, target});
+    if (item.kind === 'pin') {
+      if (item.power) {
+        members.globals.push(item.value);
+        return;
+      }
+      members.pins.push({
+        reference: item.reference,
+        number: item.number,
+        name: item.name,
+        pageName: item.page.name,
+        hit: hitOf({kind: 'symbol', key: item.symbol.uuid}),
+      });
+    }
+    else if (item.kind === 'label') {
+      if (item.labelKind === 'GlobalLabel') {
+        members.globals.push(item.text);
+      }
+      else {
+        (item.labelKind === 'HierarchicalLabel' ? members.hierarchicals : members.locals).push(item);
+      }
+      members.labels.push({
+        text: item.text,
+        kind: LABEL_KINDS[item.labelKind],
+        pageName: item.page.name,
+        hit: hitOf({kind: 'item', item: item.label}),
+      });
+    }
+  });
+
+  const netsByGroup = new Map();
+  for (const [group, members] of groups) {
+    if (!members.pins.length && !members.labels.length && !members.globals.length) {
+      continue;
+    }
+    members.pins.sort((a, b) => a.reference.localeCompare(b.reference, undefined, {numeric: true}) ||
+      a.number.localeCompare(b.number, undefined, {numeric: true}));
+    netsByGroup.set(group, {
+      kind: 'schematic',
+      name: netName(members, pageNames),
+      pins: members.pins,
+      labels: members.labels,
+    });
+  }
+  const nets = Array.from(netsByGroup.values())
+    .sort((a, b) => a.name.localeCompare(b.name, undefined, {numeric: true}));
+  logger.debug('Schematic nets:', nets.length);
+
+  return {
+    nets,
+    netOf (page, item) {
+      const node = itemNodes.get(page)?.get(item);
+      return node === undefined ? null : netsByGroup.get(nodes.find(node)) ?? null;
+    },
+  };
+}
@@ -0,0 +1,22 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {encodeSExpression, transferables} from 'kicanvas/sexpr-transfer.mjs';
+
+// Worker tokenizing KiCad files off the page, see ParsedFileSystem. Gets
+// {id, file} and answers with progress, the tokens or the error.
+self.addEventListener('message', async (event) => {
+  const {id, file} = event.data;
+  try {
+    const text = await file.text();
+    const report = (progress) => self.postMessage({id, type: 'progress', ...progress});
+    const encoded = encodeSExpression(text, report);
+    report({parsed: text.length, total: text.length, items: encoded.items});
+    self.postMessage({id, type: 'done', encoded}, transferables(encoded));
+  }
+  catch (error) {
+    self.postMessage({id, type: 'error', message: error.message});
+  }
+});
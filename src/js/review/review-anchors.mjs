@@ -0,0 +1,97 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {footprintReference, symbolInstance} from 'bom/bom.mjs';
+import {copperAt} from 'measure/measure.mjs';
+
+const kindOf = (item) => item?.constructor.name;
+
+function symbolReference (project, page, symbol) {
+  const root = project.root_schematic_page?.document ?? null;
+  return symbolInstance(symbol, page.document, page.sheet_path, root)?.reference ?? symbol.reference;
+}
+
+// Innermost item of `kind` the viewer would pick at `point`
+function itemAt (viewer, point, kind) {
+  for (const {bbox} of viewer.layers.query_point(point)) {
+    const item = bbox.context;
+    if (kindOf(item) === kind) {
+      return item;
+    }
+    if (kindOf(item?.parent) === kind) {
+      return item.parent;
+    }
+  }
+  return null;
+}
+
+/**
+ * Anchor of a review pin dropped at `point` of `page`: the footprint or
+ * symbol there, on a board the net of a track, via or zone there, else the
+ * point itself. Every anchor keeps the point, items are found again by uuid
+ * first and by reference when a revision replaced them.
+ *
+ * `copper` are the copperItems() of a board page.
+ */
+export function anchorAt (project, viewer, page, point, copper = []) {
+  const anchor = {kind: 'point', page: page.project_path, x: point.x, y: point.y};
+  if (page.type === 'pcb') {
+    const visible = (layer) => viewer.layers.by_name(layer)?.visible ?? false;
+    const item = copperAt(copper, point, visible);
+    if (item && item.kind !== 'pad' && item.net) {
+      return {...anchor, kind: 'net', net: item.net};
+    }
+    const footprint = itemAt(viewer, point, 'Footprint');
+    return footprint
+      ? {...anchor, kind: 'footprint', uuid: footprint.uuid, reference: footprintReference(footprint)}
+      : anchor;
+  }
+  const symbol = itemAt(viewer, point, 'SchematicSymbol');
+  return symbol
+    ? {...anchor, kind: 'symbol', uuid: symbol.uuid, reference: symbolReference(project, page, symbol)}
+    : anchor;
+}
+
+/**
+ * Where an anchor lies in the loaded revision as {page, point, item, net,
+ * missing}, `missing` when its page or item is gone and the stored point is
+ * all that is left. Null without the page.
+ */
+export function resolveAnchor (project, anchor) {
+  const page = project.page_by_path(anchor.page);
+  if (!page?.document) {
+    return null;
+  }
+  const document = page.document;
+  const stored = {page, point: {x: anchor.x, y: anchor.y}, item: null, net: null, missing: false};
+  if (anchor.kind === 'footprint') {
+    const footprint = document.footprints.find((candidate) => candidate.uuid === anchor.uuid) ??
+      document.footprints.find((candidate) => footprintReference(candidate) === anchor.reference);
+    return footprint ? {...stored, point: footprint.at.position, item: footprint} : {...stored, missing: true};
+  }
+  if (anchor.kind === 'symbol') {
+    const symbols = Array.from(document.symbols.values());
+    const symbol = document.symbols.get(anchor.uuid) ??
+      symbols.find((candidate) => symbolReference(project, page, candidate) === anchor.reference);
+    return symbol ? {...stored, point: symbol.at.position, item: symbol} : {...stored, missing: true};
+  }
+  if (anchor.kind === 'net') {
+    const net = document.nets?.find((candidate) => candidate.name === anchor.net);
+    return net ? {...stored, net} : {...stored, missing: true};
+  }
+  return stored;
+}
+
+// What a thread is pinned to, e.g. "R12", "Net /SDA" or "(12.70, 5.08) mm",
+// with the name of its page
+export function describeAnchor (project, anchor) {
+  const pageName = project.page_by_path(anchor.page)?.name ?? anchor.page;
+  const label = {
+    footprint: anchor.reference,
+    symbol: anchor.reference,
+    net: `Net ${anchor.net}`,
+  }[anchor.kind] ?? `(${anchor.x.toFixed(2)}, ${anchor.y.toFixed(2)}) mm`;
+  return {label, pageName, missing: resolveAnchor(project, anchor)?.missing ?? true};
+}
@@ -0,0 +1,20 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {appApiRequest as request, appApiUrl} from 'helpers/app-api.mjs';
+
+export const REVIEW_STATES = ['open', 'resolved'];
+
+const reviewUrl = (fileId, ...parts) => appApiUrl('review', fileId, ...parts);
+
+// Review threads of a file as {id, anchor, state, resolvedBy, comments}, the
+// comments {id, author, authorName, message, createdAt} oldest first
+export const listReviews = (fileId) => request(reviewUrl(fileId));
+
+export const createReview = (fileId, anchor, message) => request(reviewUrl(fileId), 'POST', {anchor, message});
+
+export const replyToReview = (fileId, id, message) => request(reviewUrl(fileId, id, 'comments'), 'POST', {message});
+
+export const setReviewState = (fileId, id, state) => request(reviewUrl(fileId, id), 'PUT', {state});
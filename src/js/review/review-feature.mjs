@@ -0,0 +1,131 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {isPublicShare} from 'kicanvas/public-share.mjs';
+import logger from 'logger/logger.mjs';
+import {createReview, listReviews, replyToReview, setReviewState} from 'review/review-api.mjs';
+import {ReviewPins} from 'review/review-pins.mjs';
+
+/**
+ * The viewer's part of review comments, mixed into the App: the panel's state
+ * and its ReviewPins, loadReview() once a project is shown and closeReview()
+ * before it goes
+ */
+export const reviewFeature = {
+  data () {
+    return {
+      // Review threads pinned to the file
+      review: {
+        available: false,
+        active: false,
+        threads: [],
+        placing: false,
+        draft: null,
+        selectedId: null,
+        busy: false,
+        error: '',
+      },
+    };
+  },
+  methods: {
+    // threads are stored with the file's comments, public shares have none
+    loadReview ({linkable}) {
+      this.review.available = linkable && !isPublicShare() && !!this.fileid && this.settings.features.review;
+    },
+    async toggleReview (active) {
+      if (!active) {
+        this.closeReview();
+        return;
+      }
+      this.review.active = true;
+      try {
+        this.reviewPins = await ReviewPins.attach(this.$refs.embed, {
+          onPlace: (anchor) => {
+            const draft = {anchor, place: this.reviewPins.describe(anchor)};
+            this.review = {...this.review, placing: false, draft: Object.freeze(draft)};
+          },
+          onPick: (id) => this.selectReview(id),
+        });
+        // closed while it attached
+        if (!this.review.active) {
+          this.closeReview();
+          return;
+        }
+        this.setReviewThreads(await listReviews(this.fileid));
+      }
+      catch (error) {
+        logger.warn('Unable to load review comments:', error.message);
+        this.review.error = error.message;
+      }
+    },
+    // Frozen, with where each thread is pinned in the loaded revision
+    setReviewThreads (threads) {
+      this.review.threads = Object.freeze(threads.map((thread) => Object.freeze({
+        ...thread,
+        place: this.reviewPins.describe(thread.anchor),
+      })));
+      this.reviewPins.setThreads(this.review.threads);
+    },
+    startReviewPin () {
+      this.review = {...this.review, placing: true, draft: null};
+      this.reviewPins?.setPlacing(true);
+    },
+    cancelReviewPin () {
+      this.review = {...this.review, placing: false, draft: null};
+      this.reviewPins?.setPlacing(false);
+    },
+    // Stores a thread change and puts the thread the server answers with in
+    // place of the old one
+    async saveReview (request) {
+      this.review.busy = true;
+      this.review.error = '';
+      try {
+        const thread = await request();
+        const others = this.review.threads.filter((candidate) => candidate.id !== thread.id);
+        this.setReviewThreads([...others, thread].sort((a, b) => a.createdAt - b.createdAt || a.id - b.id));
+        return thread;
+      }
+      catch (error) {
+        logger.warn('Unable to save the review comment:', error.message);
+        this.review.error = error.message;
+        return null;
+      }
+      finally {
+        this.review.busy = false;
+      }
+    },
+    async postReview (message) {
+      const thread = await this.saveReview(() => createReview(this.fileid, this.review.draft.anchor, message));
+      if (thread) {
+        this.review.draft = null;
+        this.selectReview(thread.id);
+      }
+    },
+    replyToReviewThread (id, message) {
+      return this.saveReview(() => replyToReview(this.fileid, id, message));
+    },
+    setReviewThreadState (id, state) {
+      return this.saveReview(() => setReviewState(this.fileid, id, state));
+    },
+    selectReview (id) {
+      this.review.selectedId = id;
+      this.reviewPins?.select(id);
+    },
+    showReview (id) {
+      const thread = this.review.threads.find((candidate) => candidate.id === id);
+      if (thread) {
+        this.selectReview(id);
+        this.reviewPins?.show(thread).catch((error) => logger.warn('Unable to show the review comment:', error.message));
+      }
+    },
+    closeReview () {
+      if (this.reviewPins) {
+        this.reviewPins.dispose();
+        this.reviewPins = null;
+      }
+      this.review = {...this.review, active: false, placing: false, draft: null, selectedId: null, error: ''};
+    },
+  },
+};
@@ -0,0 +1,189 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {requestContext, showProjectPage} from 'kicanvas/embed-project.mjs';
+import {ExtraViewLayers} from 'kicanvas/extra-layers.mjs';
+import logger from 'logger/logger.mjs';
+import {copperItems} from 'measure/measure.mjs';
+import {anchorAt, describeAnchor, resolveAnchor} from 'review/review-anchors.mjs';
+
+const PIN_COLORS = {
+  open: 'rgb(255, 120, 0)',
+  resolved: 'rgb(140, 140, 140)',
+  selected: 'rgb(255, 0, 160)',
+};
+// on screen, in pixels
+const PIN_RADIUS = 7;
+const RING_WIDTH = 2;
+const RING_SEGMENTS = 24;
+const FILL_OPACITY = 0.6;
+
+const ring = (center, radius) => Array.from({length: RING_SEGMENTS + 1}, (_, index) => {
+  const angle = index * 2 * Math.PI / RING_SEGMENTS;
+  return {x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle)};
+});
+
+const nextTask = () => new Promise((resolve) => window.setTimeout(resolve, 0));
+
+/**
+ * Review pins of the shown page. Threads are painted where their anchors
+ * lie in the loaded revision, resolved ones greyed out. Clicking a pin hands
+ * its thread to `onPick`. While placing, the next click drops a pin instead
+ * of selecting and its anchor goes to `onPlace`.
+ */
+export class ReviewPins {
+  constructor (embedElement, project, {onPlace, onPick}) {
+    this.embedElement = embedElement;
+    this.project = project;
+    this.onPlace = onPlace;
+    this.onPick = onPick;
+    this.threads = [];
+    this.selectedId = null;
+    this.placing = false;
+    this.viewer = null;
+    this.page = null;
+    this.copper = null;
+    this.extraLayers = null;
+    this.disposers = [];
+    this.viewerDisposers = [];
+  }
+
+  static async attach (embedElement, callbacks) {
+    const project = await requestContext(embedElement, 'project');
+    const pins = new ReviewPins(embedElement, project, callbacks);
+    const follow = () => {
+      pins.follow().catch((error) => logger.warn('Unable to show review pins:', error.message));
+    };
+    project.addEventListener('change', follow);
+    pins.disposers.push(() => project.removeEventListener('change', follow));
+    await pins.follow();
+    return pins;
+  }
+
+  listen (target, type, listener, capture = false) {
+    target.addEventListener(type, listener, capture);
+    this.viewerDisposers.push(() => target.removeEventListener(type, listener, capture));
+  }
+
+  async follow () {
+    this.viewerDisposers.splice(0).forEach((dispose) => dispose());
+    const page = this.project.active_page;
+    const viewer = await showProjectPage(this.embedElement, page);
+    this.viewer = viewer;
+    this.page = page;
+    this.copper = null;
+    const extraLayers = new ExtraViewLayers(viewer);
+    this.extraLayers = extraLayers;
+    this.viewerDisposers.push(() => extraLayers.dispose());
+    // capturing, ahead of the viewer's own click listener which would select
+    this.listen(viewer.canvas, 'click', (event) => this.click(event), true);
+    // pins keep their size on screen
+    this.listen(viewer.canvas, 'panzoom', () => this.paint());
+    this.paint();
+  }
+
+  describe (anchor) {
+    return describeAnchor(this.project, anchor);
+  }
+
+  setThreads (threads) {
+    this.threads = threads;
+    this.paint();
+  }
+
+  select (id) {
+    this.selectedId = id;
+    this.paint();
+  }
+
+  setPlacing (placing) {
+    this.placing = placing;
+    this.viewer.canvas.style.cursor = placing ? 'crosshair' : '';
+  }
+
+  // Threads pinned to the shown page with the point they are painted at
+  shownPins () {
+    return this.threads
+      .map((thread) => ({thread, place: resolveAnchor(this.project, thread.anchor)}))
+      .filter(({place}) => place?.page === this.page);
+  }
+
+  click (event) {
+    const rect = this.viewer.canvas.getBoundingClientRect();
+    const point = this.viewer.viewport.camera.screen_to_world({x: event.clientX - rect.left, y: event.clientY - rect.top});
+    if (this.placing) {
+      event.stopImmediatePropagation();
+      if (this.page.type === 'pcb') {
+        this.copper ??= copperItems(this.page.document);
+      }
+      this.setPlacing(false);
+      this.onPlace(anchorAt(this.project, this.viewer, this.page, point, this.copper ?? []));
+      return;
+    }
+    const reach = PIN_RADIUS / this.viewer.viewport.camera.zoom;
+    const picked = this.shownPins()
+      .find(({place}) => Math.hypot(place.point.x - point.x, place.point.y - point.y) <= reach);
+    if (picked) {
+      event.stopImmediatePropagation();
+      this.onPick(picked.thread.id);
+    }
+  }
+
+  paint () {
+    if (!this.extraLayers) {
+      return;
+    }
+    const {Color} = this.extraLayers;
+    const scale = 1 / this.viewer.viewport.camera.zoom;
+    const pins = this.shownPins();
+    this.extraLayers.clear();
+    // the selected pin on top of the open ones, resolved ones below
+    for (const kind of ['selected', 'open', 'resolved']) {
+      const color = Color.from_css(PIN_COLORS[kind]);
+      const fill = new Color(color.r, color.g, color.b, FILL_OPACITY);
+      this.extraLayers.add(`:Review:${kind}`, color, (renderer) => {
+        for (const {thread, place} of pins) {
+          const pinKind = thread.id === this.selectedId ? 'selected' : thread.state;
+          if (pinKind === kind) {
+            renderer.circle(place.point, PIN_RADIUS * scale, fill);
+            renderer.line(ring(place.point, PIN_RADIUS * scale), RING_WIDTH * scale, color);
+          }
+        }
+      });
+    }
+    this.viewer.draw();
+  }
+
+  // Shows the page of a thread and its item, net or point
+  async show (thread) {
+    const place = resolveAnchor(this.project, thread.anchor);
+    if (!place) {
+      return;
+    }
+    const viewer = await showProjectPage(this.embedElement, place.page);
+    this.select(thread.id);
+    if (place.item) {
+      viewer.select(place.item.constructor.name === 'SchematicSymbol' ? place.item.uuid : place.item);
+      viewer.zoom_to_selection();
+      return;
+    }
+    if (place.net) {
+      viewer.select(null);
+      // the selection repaints the overlay a moment later, the net goes on top of it
+      await nextTask();
+      viewer.highlight_net(place.net.number);
+    }
+    viewer.viewport.camera.center.set(place.point.x, place.point.y);
+    viewer.draw();
+  }
+
+  dispose () {
+    if (this.viewer) {
+      this.setPlacing(false);
+    }
+    [...this.viewerDisposers.splice(0), ...this.disposers.splice(0)].forEach((dispose) => dispose());
+    this.extraLayers = null;
+  }
+}
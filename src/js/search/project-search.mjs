@@ -0,0 +1,183 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {footprintReference, footprintValue, symbolInstance} from 'bom/bom.mjs';
+import {showProjectPage} from 'kicanvas/embed-project.mjs';
+import logger from 'logger/logger.mjs';
+
+export const HIT_TYPES = [
+  {type: 'symbol', label: 'Symbols'},
+  {type: 'footprint', label: 'Footprints'},
+  {type: 'pad', label: 'Pads'},
+  {type: 'net', label: 'Nets'},
+  {type: 'label', label: 'Labels'},
+  {type: 'text', label: 'Text'},
+];
+
+const MAX_HITS_PER_TYPE = 50;
+
+const pageName = (page) => page.name || page.filename;
+
+const textOf = (item) => item.shown_text ?? item.text ?? '';
+
+/**
+ * Entry of the index: `title` and `detail` are shown, `terms` searched.
+ * `target` tells showHit() what to show: {kind: 'symbol' | 'item' | 'net',
+ * item, key}.
+ */
+const entry = (type, page, title, detail, terms, target) => ({
+  id: `${type}:${page.project_path}:${target.key ?? title}:${detail}`,
+  type,
+  title,
+  detail,
+  page: page.project_path,
+  pageName: pageName(page),
+  terms: [title, detail, ...terms].filter((term) => term).join('\n').toLowerCase(),
+  target,
+});
+
+function indexSchematic (page, root, entries) {
+  const schematic = page.document;
+  for (const symbol of schematic.symbols.values()) {
+    const instance = symbolInstance(symbol, schematic, page.sheet_path, root);
+    const reference = instance?.reference ?? symbol.reference;
+    const value = instance?.value ?? symbol.value;
+    const properties = Array.from(symbol.properties.values(), (property) => property.text);
+    entries.push(entry('symbol', page, reference, [value, symbol.lib_id].filter((text) => text).join(' · '),
+      properties, {kind: 'symbol', key: symbol.uuid}));
+  }
+  const labels = [
+    ...schematic.net_labels.map((label) => [label, 'Net label']),
+    ...schematic.global_labels.map((label) => [label, 'Global label']),
+    ...schematic.hierarchical_labels.map((label) => [label, 'Hierarchical label']),
+  ];
+  for (const [label, kind] of labels) {
+    entries.push(entry('label', page, label.text, kind, [], {kind: 'item', item: label}));
+  }
+  for (const drawing of schematic.drawings) {
+    if (typeof drawing.text === 'string' && drawing.text.trim()) {
+      entries.push(entry('text', page, textOf(drawing), 'Text', [], {kind: 'item', item: drawing}));
+    }
+  }
+}
+
+function indexBoard (page, entries) {
+  const board = page.document;
+  for (const footprint of board.footprints) {
+    const reference = footprintReference(footprint);
+    entries.push(entry('footprint', page, reference, [footprintValue(footprint), footprint.library_link].filter((text) => text).join(' · '),
+      Object.values(footprint.properties ?? {}), {kind: 'item', item: footprint, key: footprint.uuid ?? reference}));
+    for (const pad of footprint.pads) {
+      if (!pad.number) {
+        continue;
+      }
+      entries.push(entry('pad', page, `${reference} pad ${pad.number}`, pad.net?.name ?? '', [pad.pinfunction],
+        {kind: 'item', item: pad, key: `${reference}:${pad.number}`}));
+    }
+    for (const drawing of footprint.drawings) {
+      // reference and value are found through the footprint
+      if (drawing.type === 'user' && drawing.text?.trim()) {
+        entries.push(entry('text', page, textOf(drawing), `Text of ${reference}`, [], {kind: 'item', item: drawing}));
+      }
+    }
+  }
+  for (const net of board.nets) {
+    if (net.name) {
+      entries.push(entry('net', page, net.name, `Net ${net.number}`, [], {kind: 'net', key: net.number}));
+    }
+  }
+  for (const drawing of board.drawings) {
+    if (typeof drawing.text === 'string' && drawing.text.trim()) {
+      entries.push(entry('text', page, textOf(drawing), `Text on ${drawing.layer?.name ?? drawing.layer ?? 'board'}`, [], {kind: 'item', item: drawing}));
+    }
+  }
+}
+
+// Every searchable object of the loaded project, over all sheets and the board
+export function buildSearchIndex (project) {
+  const entries = [];
+  const root = project.root_schematic_page?.document ?? null;
+  for (const page of project.pages()) {
+    if (!page.document) {
+      continue;
+    }
+    if (page.type === 'schematic') {
+      indexSchematic(page, root, entries);
+    }
+    else if (page.type === 'pcb') {
+      indexBoard(page, entries);
+    }
+  }
+  logger.debug('Search index built:', entries.length, 'entries');
+  return entries;
+}
+
+/**
+ * Entries holding every word of `query`, grouped as HIT_TYPES:
+ * [{type, label, count, hits}]. Titles matching the query come first.
+ */
+export function searchProject (index, query) {
+  const words = query.trim().toLowerCase().split(/\s+/).filter((word) => word);
+  if (!words.length) {
+    return [];
+  }
+  const phrase = words.join(' ');
+  const rank = (hit) => {
+    const title = hit.title.toLowerCase();
+    if (title === phrase) {
+      return 0;
+    }
+    return title.startsWith(phrase) ? 1 : 2;
+  };
+  const hits = index.filter((candidate) => words.every((word) => candidate.terms.includes(word)));
+  return HIT_TYPES
+    .map(({type, label}) => {
+      const ofType = hits
+        .filter((hit) => hit.type === type)
+        .sort((a, b) => rank(a) - rank(b) || a.title.localeCompare(b.title, undefined, {numeric: true}));
+      return {type, label, count: ofType.length, hits: ofType.slice(0, MAX_HITS_PER_TYPE)};
+    })
+    .filter((group) => group.count);
+}
+
+// Bounds of an item over every layer it was painted on
+function paintedBBox (viewer, item) {
+  const bboxes = [];
+  for (const layer of viewer.layers.in_order()) {
+    const bbox = layer.bboxes.get(item);
+    if (bbox) {
+      bboxes.push(bbox);
+    }
+  }
+  return bboxes.length ? bboxes[0].constructor.combine(bboxes) : null;
+}
+
+/**
+ * Switches the embed to the page of `hit`, selects or highlights its object
+ * and moves the camera onto it
+ */
+export async function showHit (embedElement, project, hit) {
+  const page = project.page_by_path(hit.page);
+  const viewer = await showProjectPage(embedElement, page);
+  const {target} = hit;
+  if (target.kind === 'net') {
+    viewer.select(null);
+    // the selection repaints the overlay a moment later, the net goes on top of it
+    await new Promise((resolve) => window.setTimeout(resolve, 0));
+    viewer.highlight_net(target.key);
+    return viewer;
+  }
+  if (target.kind === 'symbol') {
+    viewer.select(target.key);
+  }
+  else if (target.item.constructor.name === 'Footprint') {
+    viewer.select(target.item);
+  }
+  else {
+    viewer.select(paintedBBox(viewer, target.item));
+  }
+  viewer.zoom_to_selection();
+  return viewer;
+}
@@ -0,0 +1,81 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {requestContext} from 'kicanvas/embed-project.mjs';
+import logger from 'logger/logger.mjs';
+import {buildSearchIndex, showHit} from 'search/project-search.mjs';
+
+/**
+ * The viewer's part of the project search, mixed into the App: the search
+ * panel's state, its index and the Ctrl+F shortcut, loadSearch() once a
+ * project is shown and closeSearch() before it goes
+ */
+export const searchFeature = {
+  data () {
+    return {
+      // Ctrl+F search over every sheet and the board, the index is built on
+      // first use and frozen
+      search: {
+        available: false,
+        open: false,
+        index: [],
+      },
+    };
+  },
+  mounted () {
+    window.addEventListener('keydown', this.onSearchShortcut);
+  },
+  beforeDestroy () {
+    window.removeEventListener('keydown', this.onSearchShortcut);
+  },
+  methods: {
+    loadSearch ({linkable}) {
+      this.search.available = linkable;
+    },
+    // Ctrl+F opens the project search instead of the browser's, which cannot
+    // see into the canvas
+    onSearchShortcut (event) {
+      if ((event.ctrlKey || event.metaKey) && !event.altKey && event.key.toLowerCase() === 'f' &&
+          this.search.available && !this.isLoading && !this.compare.active) {
+        event.preventDefault();
+        this.openSearch();
+      }
+    },
+    async openSearch () {
+      if (this.search.open) {
+        this.$refs.search?.focus();
+        return;
+      }
+      if (!this.search.index.length) {
+        try {
+          const project = await requestContext(this.$refs.embed, 'project');
+          this.search.index = Object.freeze(buildSearchIndex(project));
+        }
+        catch (error) {
+          logger.warn('Unable to index the project for search:', error.message);
+          return;
+        }
+      }
+      this.search.open = true;
+    },
+    hideSearch () {
+      this.search.open = false;
+    },
+    async showSearchHit (hit) {
+      try {
+        const embedElement = this.$refs.embed;
+        const project = await requestContext(embedElement, 'project');
+        await showHit(embedElement, project, hit);
+        this.viewExport.schematic = project.active_page?.type === 'schematic';
+      }
+      catch (error) {
+        logger.warn('Unable to show search result:', error.message);
+      }
+    },
+    closeSearch () {
+      this.search = {available: false, open: false, index: []};
+    },
+  },
+};
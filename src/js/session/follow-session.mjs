@@ -0,0 +1,166 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {getActiveViewer, requestContext} from 'kicanvas/embed-project.mjs';
+import {applyViewState, captureViewState} from 'kicanvas/view-state.mjs';
+import logger from 'logger/logger.mjs';
+import {leaveSession, publishSessionState, syncSession, takeSessionControl} from 'session/session-api.mjs';
+
+// between polls, in milliseconds
+const POLL_INTERVAL = 1000;
+const RETRY_INTERVAL = 5000;
+
+// What followers are shown: layers stay as each of them likes
+const sharedState = (viewer, project) => ({...captureViewState(viewer, project), hidden: null});
+
+/**
+ * Follow-me session of a file. Every viewer in it polls the server, the
+ * presenter publishes its page, camera, selection and highlighted net when
+ * they change and the others are brought to each new version of them. The
+ * first to join an empty session presents, anyone can take control.
+ *
+ * `onChange` gets {participants, presenter, presenting, error}.
+ */
+export class FollowSession {
+  constructor (embedElement, project, fileId, onChange) {
+    this.embedElement = embedElement;
+    this.project = project;
+    this.fileId = fileId;
+    this.onChange = onChange;
+    this.participants = [];
+    this.presenter = null;
+    this.presenting = false;
+    // presenter and version last shown or published, as "user:version"
+    this.shown = null;
+    this.published = null;
+    this.error = null;
+    this.timer = null;
+    this.disposed = false;
+    this.disposers = [];
+  }
+
+  static async attach (embedElement, fileId, onChange) {
+    // the embed's viewers are watched, their highlighted nets are known
+    const project = await requestContext(embedElement, 'project');
+    const session = new FollowSession(embedElement, project, fileId, onChange);
+    try {
+      const snapshot = await syncSession(fileId);
+      await session.update(snapshot.presenter ? snapshot : await takeSessionControl(fileId));
+    }
+    catch (error) {
+      // leaves, the first sync may have joined before failing
+      session.dispose();
+      throw error;
+    }
+    const leave = () => session.leave(true);
+    window.addEventListener('pagehide', leave);
+    session.disposers.push(() => window.removeEventListener('pagehide', leave));
+    session.schedule(POLL_INTERVAL);
+    return session;
+  }
+
+  schedule (delay) {
+    window.clearTimeout(this.timer);
+    if (!this.disposed) {
+      this.timer = window.setTimeout(() => this.tick(), delay);
+    }
+  }
+
+  async tick () {
+    try {
+      await this.update(await this.poll());
+      this.setError(null);
+      this.schedule(POLL_INTERVAL);
+    } catch (error) {
+      logger.warn('Unable to sync the session:', error.message);
+      this.setError(error.message);
+      this.schedule(RETRY_INTERVAL);
+    }
+  }
+
+  // The presenter publishes a changed view, everyone else just syncs
+  async poll () {
+    if (this.presenting) {
+      const state = sharedState(await getActiveViewer(this.embedElement), this.project);
+      const serialized = JSON.stringify(state);
+      if (serialized !== this.published) {
+        try {
+          const snapshot = await publishSessionState(this.fileId, state);
+          this.published = serialized;
+          return snapshot;
+        } catch (error) {
+          if (error.status !== 409) {
+            throw error;
+          }
+          // someone took control meanwhile
+        }
+      }
+    }
+    return syncSession(this.fileId);
+  }
+
+  async update (snapshot) {
+    if (this.disposed) {
+      return;
+    }
+    const self = snapshot.participants.find((participant) => participant.self);
+    this.participants = snapshot.participants;
+    this.presenter = snapshot.participants.find((participant) => participant.presenter) ?? null;
+    if (this.presenting !== !!self?.presenter) {
+      this.presenting = !!self?.presenter;
+      this.published = null;
+    }
+    const version = `${snapshot.presenter}:${snapshot.version}`;
+    if (!this.presenting && snapshot.state && version !== this.shown) {
+      this.shown = version;
+      await applyViewState(this.embedElement, snapshot.state);
+    }
+    this.emit();
+  }
+
+  async takeControl () {
+    try {
+      await this.update(await takeSessionControl(this.fileId));
+      this.setError(null);
+      // followers catch up right away
+      this.schedule(0);
+    } catch (error) {
+      logger.warn('Unable to take control of the session:', error.message);
+      this.setError(error.message);
+    }
+  }
+
+  setError (error) {
+    if (error !== this.error) {
+      this.error = error;
+      this.emit();
+    }
+  }
+
+  emit () {
+    this.onChange({
+      participants: this.participants,
+      presenter: this.presenter,
+      presenting: this.presenting,
+      error: this.error,
+    });
+  }
+
+  // On the way out of the page the request has to outlive it
+  leave (keepalive = false) {
+    leaveSession(this.fileId, {keepalive})
+      .catch((error) => logger.warn('Unable to leave the session:', error.message));
+  }
+
+  dispose () {
+    if (this.disposed) {
+      return;
+    }
+    this.disposed = true;
+    window.clearTimeout(this.timer);
+    this.disposers.splice(0).forEach((dispose) => dispose());
+    this.leave();
+  }
+}
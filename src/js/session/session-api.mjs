@@ -0,0 +1,20 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {appApiRequest as request, appApiUrl} from 'helpers/app-api.mjs';
+
+// Answered with a snapshot of the session: {participants, presenter, state,
+// version, timeout}, participants {userId, displayName, presenter, self}.
+// `state` is the presenter's view as captureViewState() gives it, `version`
+// counts its changes.
+
+export const syncSession = (fileId) => request(appApiUrl('session', fileId), 'POST');
+
+// Rejects with status 409 once another participant took control
+export const publishSessionState = (fileId, state) => request(appApiUrl('session', fileId, 'state'), 'PUT', {state});
+
+export const takeSessionControl = (fileId) => request(appApiUrl('session', fileId, 'control'), 'POST');
+
+export const leaveSession = (fileId, options = {}) => request(appApiUrl('session', fileId), 'DELETE', undefined, options);
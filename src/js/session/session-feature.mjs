@@ -0,0 +1,65 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {isPublicShare} from 'kicanvas/public-share.mjs';
+import logger from 'logger/logger.mjs';
+import {FollowSession} from 'session/follow-session.mjs';
+
+/**
+ * The viewer's part of follow-me sessions, mixed into the App: the menu's
+ * state and its FollowSession, loadSession() once a project is shown and
+ * closeSession() before it goes
+ */
+export const sessionFeature = {
+  data () {
+    return {
+      // Follow-me session of the file
+      session: {
+        available: false,
+        active: false,
+        participants: [],
+        presenter: null,
+        presenting: false,
+        error: null,
+      },
+    };
+  },
+  methods: {
+    // sessions are kept per file id, public shares have none
+    loadSession ({linkable}) {
+      this.session.available = linkable && !isPublicShare() && !!this.fileid && this.settings.features.session;
+    },
+    async toggleSession (active) {
+      if (!active) {
+        this.closeSession();
+        return;
+      }
+      this.session.active = true;
+      try {
+        this.followSession = await FollowSession.attach(this.$refs.embed, this.fileid, ({participants, presenter, presenting, error}) => {
+          this.session = {...this.session, participants: Object.freeze(participants), presenter: presenter && Object.freeze(presenter), presenting, error};
+        });
+        // closed while it joined
+        if (!this.session.active) {
+          this.closeSession();
+        }
+      }
+      catch (error) {
+        logger.warn('Unable to join the session:', error.message);
+        this.session = {...this.session, active: false, error: error.message};
+      }
+    },
+    takeSessionControl () {
+      this.followSession?.takeControl();
+    },
+    closeSession () {
+      if (this.followSession) {
+        this.followSession.dispose();
+        this.followSession = null;
+      }
+      this.session = {...this.session, active: false, participants: [], presenter: null, presenting: false, error: null};
+    },
+  },
+};
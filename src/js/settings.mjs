@@ -0,0 +1,20 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {loadState} from '@nextcloud/initial-state';
+import Vue from 'vue';
+import {APP_ID} from 'configuration/config.mjs';
+import Settings from 'Settings/Settings.vue';
+
+// Admin or personal settings section, the page's template says which
+const mountElement = document.getElementById(`${APP_ID}-settings`);
+
+if (mountElement) {
+  const mode = mountElement.dataset.mode;
+  new Vue({
+    el: mountElement,
+    render: (h) => h(Settings, {props: {mode, ...loadState(APP_ID, `${mode}-settings`)}}),
+  });
+}
@@ -0,0 +1,49 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {requestContext} from 'kicanvas/embed-project.mjs';
+import logger from 'logger/logger.mjs';
+import {boardStatistics} from 'stats/board-stats.mjs';
+
+/**
+ * The viewer's part of board statistics, mixed into the App: the panel's
+ * state and the figures of the board, loadBoardStats() once a project is
+ * shown and closeBoardStats() before it goes
+ */
+export const boardStatsFeature = {
+  data () {
+    return {
+      // Figures and design rule check of the project's board, worked out on
+      // first use and frozen
+      boardStats: {
+        available: false,
+        active: false,
+        stats: null,
+      },
+    };
+  },
+  methods: {
+    loadBoardStats ({project, linkable}) {
+      this.boardStats.available = linkable && project.has_boards;
+    },
+    async toggleBoardStats (active) {
+      if (active && !this.boardStats.stats) {
+        try {
+          const project = await requestContext(this.$refs.embed, 'project');
+          const page = Array.from(project.pages()).find((candidate) => candidate.type === 'pcb');
+          this.boardStats.stats = Object.freeze(boardStatistics(page, project.settings));
+        }
+        catch (error) {
+          logger.warn('Unable to work out the board statistics:', error.message);
+          return;
+        }
+      }
+      this.boardStats.active = active;
+    },
+    closeBoardStats () {
+      this.boardStats = {available: false, active: false, stats: null};
+    },
+  },
+};
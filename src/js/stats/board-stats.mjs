@@ -0,0 +1,271 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {footprintReference, footprintSide} from 'bom/bom.mjs';
+import {copperLayers} from 'nets/board-net.mjs';
+import {arcPoints, EPSILON, pointInPolygon} from 'nets/geometry.mjs';
+
+// Points an arc or circle of the outline is taken as
+const ARC_SEGMENTS = 32;
+// Violations listed per rule, the rest are only counted
+const MAX_LISTED = 50;
+
+// Design rules of a .kicad_pro in the order Board Setup lists them, in mm
+export const DESIGN_RULES = [
+  {key: 'min_clearance', label: 'Minimum clearance'},
+  {key: 'min_track_width', label: 'Minimum track width'},
+  {key: 'min_connection', label: 'Minimum connection width'},
+  {key: 'min_via_annular_width', label: 'Minimum annular width'},
+  {key: 'min_via_diameter', label: 'Minimum via diameter'},
+  {key: 'min_copper_edge_clearance', label: 'Copper to edge clearance'},
+  {key: 'min_through_hole_diameter', label: 'Minimum through hole'},
+  {key: 'min_hole_to_hole', label: 'Hole to hole clearance'},
+  {key: 'min_hole_clearance', label: 'Hole clearance'},
+  {key: 'min_microvia_diameter', label: 'Minimum micro via diameter'},
+  {key: 'min_microvia_drill', label: 'Minimum micro via hole'},
+  {key: 'min_silk_clearance', label: 'Silkscreen clearance'},
+  {key: 'min_text_height', label: 'Minimum text height'},
+  {key: 'min_text_thickness', label: 'Minimum text thickness'},
+  {key: 'solder_mask_to_copper_clearance', label: 'Solder mask to copper clearance'},
+];
+
+const round = (value) => Math.round(value * 1e4) / 1e4;
+const samePoint = (a, b) => Math.hypot(a.x - b.x, a.y - b.y) < EPSILON;
+
+// Closed loops of the board outline, open pieces joined where their ends
+// meet. Outlines drawn inside footprints are left out.
+function outlineLoops (board) {
+  const loops = [];
+  const pieces = [];
+  for (const drawing of board.drawings) {
+    if (drawing.layer !== 'Edge.Cuts') {
+      continue;
+    }
+    switch (drawing.constructor.name) {
+      case 'GrLine':
+        pieces.push([drawing.start, drawing.end]);
+        break;
+      case 'GrArc':
+        pieces.push(arcPoints(drawing.start, drawing.mid, drawing.end, ARC_SEGMENTS));
+        break;
+      case 'GrRect': {
+        const {start, end} = drawing;
+        loops.push([start, {x: end.x, y: start.y}, end, {x: start.x, y: end.y}]);
+        break;
+      }
+      case 'GrCircle': {
+        const radius = Math.hypot(drawing.end.x - drawing.center.x, drawing.end.y - drawing.center.y);
+        loops.push(Array.from({length: ARC_SEGMENTS}, (_, index) => {
+          const at = index * 2 * Math.PI / ARC_SEGMENTS;
+          return {x: drawing.center.x + radius * Math.cos(at), y: drawing.center.y + radius * Math.sin(at)};
+        }));
+        break;
+      }
+      case 'GrPoly':
+        if (drawing.pts?.length > 2) {
+          loops.push(drawing.pts);
+        }
+        break;
+    }
+  }
+  while (pieces.length) {
+    const chain = [...pieces.pop()];
+    let joined = true;
+    while (joined && !samePoint(chain[0], chain[chain.length - 1])) {
+      joined = false;
+      const last = chain[chain.length - 1];
+      const index = pieces.findIndex((piece) => samePoint(piece[0], last) || samePoint(piece[piece.length - 1], last));
+      if (index >= 0) {
+        const [piece] = pieces.splice(index, 1);
+        chain.push(...(samePoint(piece[0], last) ? piece : [...piece].reverse()).slice(1));
+        joined = true;
+      }
+    }
+    // an outline left open has no area, its points still bound the board
+    loops.push(chain);
+  }
+  return loops;
+}
+
+const polygonArea = (points) => Math.abs(points.reduce((sum, point, index) => {
+  const next = points[(index + 1) % points.length];
+  return sum + point.x * next.y - next.x * point.y;
+}, 0)) / 2;
+
+/**
+ * Size of the board from its Edge.Cuts outline: {width, height, area}, the
+ * area of the outer loop less the cutouts inside it. Null without outline.
+ */
+export function boardDimensions (board) {
+  const loops = outlineLoops(board);
+  const points = loops.flat();
+  if (!points.length) {
+    return null;
+  }
+  const xs = points.map((point) => point.x);
+  const ys = points.map((point) => point.y);
+  const closed = loops
+    .filter((loop) => loop.length > 2)
+    .map((loop) => ({loop, area: polygonArea(loop)}))
+    .sort((a, b) => b.area - a.area);
+  const outer = closed[0];
+  const cutouts = closed.slice(1).filter(({loop}) => outer && pointInPolygon(loop[0], outer.loop));
+  return {
+    width: Math.max(...xs) - Math.min(...xs),
+    height: Math.max(...ys) - Math.min(...ys),
+    area: outer ? outer.area - cutouts.reduce((sum, {area}) => sum + area, 0) : null,
+  };
+}
+
+// Counted by key, as [{...fields, count}] sorted by `order`
+function tally (items, key, fields, order) {
+  const counts = new Map();
+  for (const item of items) {
+    const entry = counts.get(key(item)) ?? {...fields(item), count: 0};
+    entry.count++;
+    counts.set(key(item), entry);
+  }
+  return Array.from(counts.values()).sort(order);
+}
+
+const padDrill = (pad) => {
+  const {diameter = 0, width = 0, oval = false} = pad.drill ?? {};
+  return oval && width ? {size: Math.min(diameter, width), label: `${round(diameter)} × ${round(width)}`} : {size: diameter, label: `${round(diameter)}`};
+};
+
+function footprintKind (footprint) {
+  if (footprint.attr?.smd) {
+    return 'smd';
+  }
+  if (footprint.attr?.through_hole) {
+    return 'tht';
+  }
+  return 'other';
+}
+
+const itemHit = (page, item) => ({page: page.project_path, target: {kind: 'item', item}});
+
+/**
+ * Tracks, vias and plated holes of the board below the project's own design
+ * rules, as [{key, label, minimum, count, items}] with `items` {label, value,
+ * hit} for showHit(). Rules the project leaves at 0 are not checked.
+ */
+export function checkDesignRules (page, rules) {
+  const board = page.document;
+  const minimum = (key) => (rules[key] > 0 ? rules[key] : null);
+  const checks = [];
+  const check = (key, label, candidates) => {
+    const limit = minimum(key);
+    if (limit === null) {
+      return;
+    }
+    const failing = candidates.filter(({value}) => value < limit - 1e-6);
+    if (failing.length) {
+      checks.push({key, label, minimum: limit, count: failing.length, items: failing.slice(0, MAX_LISTED)});
+    }
+  };
+  const tracks = board.segments.map((track) => ({label: `Track on ${track.layer}`, value: track.width ?? 0, hit: itemHit(page, track)}));
+  const vias = board.vias.filter((via) => via.type !== 'micro');
+  const microVias = board.vias.filter((via) => via.type === 'micro');
+  const viaItem = (via, value) => ({label: `Via ${round(via.size)}/${round(via.drill)}`, value, hit: itemHit(page, via)});
+  const plated = [];
+  for (const footprint of board.footprints) {
+    for (const pad of footprint.pads) {
+      if (pad.type === 'thru_hole') {
+        plated.push({label: `${footprintReference(footprint)} pad ${pad.number}`, value: padDrill(pad).size, hit: itemHit(page, footprint)});
+      }
+    }
+  }
+  check('min_track_width', 'Tracks narrower than the minimum track width', tracks);
+  check('min_via_diameter', 'Vias smaller than the minimum via diameter', vias.map((via) => viaItem(via, via.size ?? 0)));
+  check('min_through_hole_diameter', 'Via holes smaller than the minimum through hole', vias.map((via) => viaItem(via, via.drill ?? 0)));
+  check('min_via_annular_width', 'Vias with a ring below the minimum annular width', vias.map((via) => viaItem(via, ((via.size ?? 0) - (via.drill ?? 0)) / 2)));
+  check('min_microvia_diameter', 'Micro vias smaller than the minimum diameter', microVias.map((via) => viaItem(via, via.size ?? 0)));
+  check('min_microvia_drill', 'Micro via holes smaller than the minimum', microVias.map((via) => viaItem(via, via.drill ?? 0)));
+  check('min_through_hole_diameter', 'Pad holes smaller than the minimum through hole', plated);
+  return checks;
+}
+
+/**
+ * Figures of a board page for quoting its fabrication: size, layers,
+ * components, pads and vias by drill, track widths used, the design rules
+ * and net classes of the project's .kicad_pro `settings` and what breaks
+ * them. Rules are null without a .kicad_pro.
+ */
+export function boardStatistics (page, settings) {
+  const board = page.document;
+  const stackup = board.setup?.stackup;
+  const footprints = board.footprints.filter((footprint) => !footprint.attr?.board_only);
+  const pads = board.footprints.flatMap((footprint) => footprint.pads);
+  const drilled = pads.filter((pad) => pad.type === 'thru_hole' || pad.type === 'np_thru_hole');
+  const widths = board.segments.map((track) => track.width ?? 0).filter((width) => width > 0);
+  const designSettings = settings?.board?.design_settings;
+  const rules = designSettings?.rules ?? null;
+
+  return {
+    dimensions: boardDimensions(board),
+    thickness: board.general?.thickness ?? null,
+    copperLayers: copperLayers(board).length,
+    stackup: stackup
+      ? {
+        finish: stackup.copper_finish ?? null,
+        castellated: !!stackup.castellated_pads,
+        edgePlating: !!stackup.edge_plating,
+        edgeConnector: stackup.edge_connector ?? null,
+        layers: (stackup.layers ?? []).map((layer) => ({
+          name: layer.name,
+          type: layer.type ?? '',
+          thickness: layer.thickness ?? null,
+          material: layer.material ?? '',
+        })),
+      }
+      : null,
+    components: {
+      total: footprints.length,
+      front: footprints.filter((footprint) => footprintSide(footprint) === 'front').length,
+      back: footprints.filter((footprint) => footprintSide(footprint) === 'back').length,
+      smd: footprints.filter((footprint) => footprintKind(footprint) === 'smd').length,
+      tht: footprints.filter((footprint) => footprintKind(footprint) === 'tht').length,
+      other: footprints.filter((footprint) => footprintKind(footprint) === 'other').length,
+    },
+    pads: {
+      total: pads.length,
+      smd: pads.filter((pad) => pad.type === 'smd').length,
+      plated: pads.filter((pad) => pad.type === 'thru_hole').length,
+      unplated: pads.filter((pad) => pad.type === 'np_thru_hole').length,
+      drills: tally(
+        drilled,
+        (pad) => `${pad.type}:${padDrill(pad).label}`,
+        (pad) => ({drill: padDrill(pad).label, size: padDrill(pad).size, plated: pad.type === 'thru_hole'}),
+        (a, b) => a.size - b.size || b.plated - a.plated,
+      ),
+    },
+    vias: {
+      total: board.vias.length,
+      sizes: tally(
+        board.vias,
+        (via) => `${via.type}:${via.size}:${via.drill}`,
+        (via) => ({type: via.type, size: via.size ?? 0, drill: via.drill ?? 0}),
+        (a, b) => a.drill - b.drill || a.size - b.size,
+      ),
+    },
+    tracks: {
+      total: board.segments.length,
+      minWidth: widths.length ? Math.min(...widths) : null,
+      widths: tally(widths, (width) => width, (width) => ({width}), (a, b) => a.width - b.width),
+    },
+    rules: rules && DESIGN_RULES
+      .filter(({key}) => typeof rules[key] === 'number')
+      .map(({key, label}) => ({key, label, value: rules[key]})),
+    netClasses: (settings?.net_settings?.classes ?? []).map((netClass) => ({
+      name: netClass.name,
+      clearance: netClass.clearance ?? null,
+      trackWidth: netClass.track_width ?? null,
+      viaDiameter: netClass.via_diameter ?? null,
+      viaDrill: netClass.via_drill ?? null,
+    })),
+    violations: rules ? checkDesignRules(page, rules) : [],
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import assert from 'node:assert/strict';
+import {test} from 'node:test';
+import {boardNetDetails} from 'nets/board-net.mjs';
+import {loadProject} from 'test/kicanvas.mjs';
+
+const boardPage = async (files) => Array.from((await loadProject(files)).pages())
+  .find((page) => page.type === 'pcb');
+
+const details = (page, name) => {
+  const net = page.document.nets.find((candidate) => candidate.name === name);
+  return boardNetDetails(page.document, net.number, page);
+};
+
+const footprint = (reference, x, y) => `(footprint "R" (layer "F.Cu") (at ${x} ${y})
+  (property "Reference" "${reference}" (at 0 0 0) (layer "F.SilkS"))
+  (pad "1" smd rect (at 0 0) (size 1 1) (layers "F.Cu") (net 1 "GND")))`;
+
+// Two pads, 10 mm apart, and what may join them
+const board = (...items) => ({'board.kicad_pcb': `(kicad_pcb (version 20240108) (generator "pcbnew")
+  (layers (0 "F.Cu" signal) (31 "B.Cu" signal))
+  (net 0 "") (net 1 "GND")
+  ${footprint('R1', 10, 10)}
+  ${footprint('R2', 20, 10)}
+  ${items.join('\n')})`});
+
+const rectangle = (x1, y1, x2, y2) => `(pts (xy ${x1} ${y1}) (xy ${x2} ${y1}) (xy ${x2} ${y2}) (xy ${x1} ${y2}))`;
+
+const zone = (layer, outline) => `(zone (net 1) (net_name "GND") (layer "${layer}")
+  (polygon ${outline}) (filled_polygon (layer "${layer}") ${outline}))`;
+
+test('routes the nets of the sample panel', async () => {
+  const page = await boardPage(['panel.kicad_pcb']);
+  const net = details(page, '/NET1');
+  assert.equal(net.pads.length, 30);
+  assert.equal(net.vias, 10);
+  // ten modules, none joined to another
+  assert.equal(net.islands, 10);
+  assert.ok(Math.abs(net.length - 64.983) < 0.001);
+});
+
+test('tells apart pads no copper joins', async () => {
+  const net = details(await boardPage(board()), 'GND');
+  assert.equal(net.islands, 2);
+  assert.equal(net.unrouted, true);
+});
+
+test('joins pads through a track', async () => {
+  const net = details(await boardPage(board('(segment (start 10 10) (end 20 10) (width 0.25) (layer "F.Cu") (net 1))')), 'GND');
+  assert.equal(net.islands, 1);
+  assert.ok(Math.abs(net.length - 10) < 1e-9);
+});
+
+test('joins pads through a fill on their layer only', async () => {
+  const outline = rectangle(5, 5, 25, 15);
+  assert.equal(details(await boardPage(board(zone('F.Cu', outline))), 'GND').islands, 1);
+  assert.equal(details(await boardPage(board(zone('B.Cu', outline))), 'GND').islands, 2);
+});
+
+test('joins a pad the fill is cut open around through its spokes', async () => {
+  // the outline leaves R2 out, a spoke reaching into it or not
+  const cutOut = (spoke) => `(pts (xy 5 5) (xy 25 5) (xy 25 15) (xy 20.6 15) (xy 20.6 9.4) ${spoke} (xy 19.4 9.4) (xy 19.4 15) (xy 5 15))`;
+  const spoke = '(xy 20.05 9.4) (xy 20.05 9.6) (xy 19.95 9.6) (xy 19.95 9.4)';
+  assert.equal(details(await boardPage(board(zone('F.Cu', cutOut(spoke)))), 'GND').islands, 1);
+  assert.equal(details(await boardPage(board(zone('F.Cu', cutOut('')))), 'GND').islands, 2);
+});
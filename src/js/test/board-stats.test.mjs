@@ -0,0 +1,51 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import assert from 'node:assert/strict';
+import {before, test} from 'node:test';
+import {boardStatistics} from 'stats/board-stats.mjs';
+import {loadProject} from 'test/kicanvas.mjs';
+
+let page;
+
+before(async () => {
+  page = Array.from((await loadProject(['panel.kicad_pcb'])).pages())[0];
+});
+
+// design settings of a .kicad_pro
+const settings = (rules) => ({board: {design_settings: {rules}}});
+
+test('sizes the sample panel', () => {
+  const stats = boardStatistics(page, null);
+  assert.equal(stats.dimensions.width, 50);
+  assert.equal(stats.dimensions.height, 50);
+  assert.equal(stats.thickness, 1.6);
+  assert.equal(stats.copperLayers, 2);
+  assert.deepEqual(stats.components, {total: 22, front: 22, back: 0, smd: 0, tht: 12, other: 10});
+  assert.deepEqual(stats.pads.drills, [{drill: '0.5', size: 0.5, plated: false, count: 72}]);
+  assert.deepEqual(stats.vias.sizes, [{type: 'through-hole', size: 0.4, drill: 0.3, count: 40}]);
+  assert.deepEqual(stats.tracks.widths, [{width: 0.127, count: 400}]);
+  // no .kicad_pro, nothing to check against
+  assert.equal(stats.rules, null);
+  assert.deepEqual(stats.violations, []);
+});
+
+test('counts what breaks the design rules', () => {
+  const stats = boardStatistics(page, settings({
+    min_track_width: 0.2,
+    min_via_diameter: 0.6,
+    min_through_hole_diameter: 0.3,
+    min_via_annular_width: 0,
+  }));
+  const counts = Object.fromEntries(stats.violations.map(({key, count}) => [key, count]));
+  // the vias' 0.3 mm holes meet the rule, a rule at 0 is not checked
+  assert.deepEqual(counts, {min_track_width: 400, min_via_diameter: 40});
+  const tracks = stats.violations.find(({key}) => key === 'min_track_width');
+  assert.equal(tracks.minimum, 0.2);
+  // listed up to 50, each to jump to
+  assert.equal(tracks.items.length, 50);
+  assert.equal(tracks.items[0].value, 0.127);
+  assert.equal(tracks.items[0].hit.target.kind, 'item');
+});
@@ -0,0 +1,117 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import assert from 'node:assert/strict';
+import {test} from 'node:test';
+import {crc32} from 'node:zlib';
+import {collectFootprints, collectParts, groupParts} from 'bom/bom.mjs';
+import {bomToCSV, bomToXLSX} from 'bom/bom-export.mjs';
+import {loadProject} from 'test/kicanvas.mjs';
+
+const part = (reference, value, extra = {}) => ({
+  reference, value, footprint: 'Resistor_SMD:R_0603', mpn: '', manufacturer: '', description: '', dnp: false, ...extra,
+});
+
+const symbol = (reference, value, extra = '') => `(symbol (lib_id "Device:R") (at 0 0 0) (unit 1) (uuid "${reference}") ${extra}
+  (property "Reference" "${reference}" (at 0 0 0))
+  (property "Value" "${value}" (at 0 0 0))
+  (property "Footprint" "Resistor_SMD:R_0603" (at 0 0 0)))`;
+
+// Name and bytes of each file of a zip, checked against its headers
+function unzip (bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054B50);
+  const files = new Map();
+  let entry = view.getUint32(end + 16, true);
+  for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+    assert.equal(view.getUint32(entry, true), 0x02014B50);
+    const nameLength = view.getUint16(entry + 28, true);
+    const local = view.getUint32(entry + 42, true);
+    assert.equal(view.getUint32(local, true), 0x04034B50);
+    // stored, not compressed
+    assert.equal(view.getUint16(local + 8, true), 0);
+    const size = view.getUint32(local + 18, true);
+    const start = local + 30 + view.getUint16(local + 26, true);
+    const data = bytes.subarray(start, start + size);
+    assert.equal(view.getUint32(local + 14, true), crc32(data));
+    assert.equal(view.getUint32(entry + 16, true), crc32(data));
+    files.set(new TextDecoder().decode(bytes.subarray(entry + 46, entry + 46 + nameLength)), new TextDecoder().decode(data));
+    entry += 46 + nameLength + view.getUint16(entry + 30, true) + view.getUint16(entry + 32, true);
+  }
+  return files;
+}
+
+function parseXML (text) {
+  const xml = new DOMParser().parseFromString(text, 'application/xml');
+  assert.equal(xml.getElementsByTagName('parsererror').length, 0, text);
+  return xml;
+}
+
+test('groups parts into BOM lines', () => {
+  const lines = groupParts([
+    part('R10', '10k'),
+    part('R2', '10k', {manufacturer: 'Yageo'}),
+    part('C1', '100n', {footprint: 'Capacitor_SMD:C_0603'}),
+    part('R3', '10k', {dnp: true}),
+    part('R1', '10k', {mpn: 'RC0603FR-0710KL'}),
+  ]);
+  assert.deepEqual(lines.map(({item, quantity, references, value, dnp}) => ({item, quantity, references, value, dnp})), [
+    {item: 1, quantity: 1, references: ['C1'], value: '100n', dnp: false},
+    {item: 2, quantity: 1, references: ['R1'], value: '10k', dnp: false},
+    // R2 before R10, the manufacturer of any of them
+    {item: 3, quantity: 2, references: ['R2', 'R10'], value: '10k', dnp: false},
+    {item: 4, quantity: 1, references: ['R3'], value: '10k', dnp: true},
+  ]);
+  assert.equal(lines[2].manufacturer, 'Yageo');
+});
+
+test('collects the parts of a schematic', async () => {
+  const project = await loadProject({'board.kicad_sch': `(kicad_sch (version 20231120) (generator "eeschema") (uuid "root")
+    (paper "A4") (lib_symbols)
+    ${symbol('R1', '10k', '(in_bom yes)')}
+    ${symbol('R2', '10k', '(in_bom no)')}
+    ${symbol('#PWR01', 'GND')})`});
+  assert.deepEqual(collectParts(project).map(({reference}) => reference), ['R1']);
+});
+
+test('collects the footprints of the sample panel', async () => {
+  const page = Array.from((await loadProject(['panel.kicad_pcb'])).pages())[0];
+  const lines = groupParts(collectFootprints(page.document));
+  assert.deepEqual(lines.map(({quantity, footprint}) => [quantity, footprint]), [
+    [10, 'Pytonballoon810:MODULE_I2C_SYM'],
+    [12, 'Panelization:mouse-bite-2mm-slot'],
+  ]);
+  assert.deepEqual(lines[0].references.slice(-2), ['I2C_LANDING9', 'I2C_LANDING10']);
+  // lines may span both sides, the side stays with the parts
+  assert.equal(lines[0].side, undefined);
+});
+
+test('writes the BOM as CSV', () => {
+  const [line] = groupParts([part('R1', '10k, 1%', {description: 'Says "hi"\nthen leaves'})]);
+  const csv = bomToCSV([line]);
+  assert.ok(csv.startsWith('\uFEFFItem,Qty,References,Value,Footprint,Manufacturer,MPN,Description,DNP\r\n'));
+  assert.equal(csv.split('\r\n')[1], '1,1,R1,"10k, 1%",Resistor_SMD:R_0603,,,"Says ""hi""\nthen leaves",');
+  assert.ok(csv.endsWith('\r\n'));
+});
+
+test('writes the BOM as an XLSX workbook', async () => {
+  const lines = groupParts([part('R1', '<10k> & more'), part('R2', '<10k> & more'), part('C1', '100n', {dnp: true})]);
+  const files = unzip(new Uint8Array(await bomToXLSX(lines, 'Board BOM').arrayBuffer()));
+  assert.deepEqual(Array.from(files.keys()), [
+    '[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/styles.xml', 'xl/worksheets/sheet1.xml',
+  ]);
+  for (const text of files.values()) {
+    parseXML(text);
+  }
+  assert.equal(parseXML(files.get('xl/workbook.xml')).getElementsByTagName('sheet')[0].getAttribute('name'), 'Board BOM');
+
+  const rows = Array.from(parseXML(files.get('xl/worksheets/sheet1.xml')).getElementsByTagName('row'), (row) =>
+    Array.from(row.getElementsByTagName('c'), (cell) => cell.textContent));
+  assert.equal(rows.length, 3);
+  assert.deepEqual(rows[0].slice(0, 4), ['Item', 'Qty', 'References', 'Value']);
+  assert.deepEqual(rows[1].slice(0, 4), ['1', '2', 'R1, R2', '<10k> & more']);
+  assert.equal(rows[2][8], 'DNP');
+});
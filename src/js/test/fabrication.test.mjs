@@ -0,0 +1,147 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import assert from 'node:assert/strict';
+import {test} from 'node:test';
+import {isExcellon, parseExcellon} from 'fabrication/excellon.mjs';
+import {parseGerber} from 'fabrication/gerber.mjs';
+import {applyClearPolarity} from 'fabrication/polarity.mjs';
+
+const gerber = (...lines) => ['%FSLAX46Y46*%', '%MOMM*%', ...lines, 'M02*'].join('\n');
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} is not ${expected}`);
+
+function area (shapes) {
+  return shapes.reduce((sum, shape) => {
+    if (shape.type === 'circle') {
+      return sum + Math.PI * shape.radius ** 2;
+    }
+    const twice = shape.points.reduce((total, [x, y], i) => {
+      const [nextX, nextY] = shape.points[(i + 1) % shape.points.length];
+      return total + x * nextY - nextX * y;
+    }, 0);
+    return sum + Math.abs(twice) / 2;
+  }, 0);
+}
+
+function covers (shapes, [x, y]) {
+  return shapes.some((shape) => {
+    if (shape.type === 'circle') {
+      return Math.hypot(x - shape.center[0], y - shape.center[1]) < shape.radius;
+    }
+    let inside = false;
+    shape.points.forEach(([ax, ay], i) => {
+      const [bx, by] = shape.points[(i + 1) % shape.points.length];
+      if ((ay > y) !== (by > y) && x < ax + (y - ay) * (bx - ax) / (by - ay)) {
+        inside = !inside;
+      }
+    });
+    return inside;
+  });
+}
+
+test('reads Gerber units and attributes', () => {
+  const metric = parseGerber(gerber('%TF.FileFunction,Copper,L1,Top*%', '%ADD10C,0.5*%', 'D10*', 'X1000000Y2000000D03*'));
+  assert.deepEqual(metric.attributes['.FileFunction'], ['Copper', 'L1', 'Top']);
+  assert.deepEqual(metric.shapes, [{type: 'circle', center: [1, -2], radius: 0.25}]);
+
+  const inch = parseGerber(['%FSLAX24Y24*%', '%MOIN*%', '%ADD10C,0.1*%', 'D10*', 'X10000Y5000D03*', 'M02*'].join('\n'));
+  near(inch.shapes[0].center[0], 25.4);
+  near(inch.shapes[0].center[1], -12.7);
+  near(inch.shapes[0].radius, 1.27);
+});
+
+test('follows Gerber arcs', () => {
+  const {shapes} = parseGerber(gerber('%ADD10C,0.2*%', 'D10*', 'G75*', 'X1000000Y0D02*', 'G03*', 'X-1000000Y0I-1000000J0D01*'));
+  const [{type, points, width}] = shapes;
+  assert.equal(type, 'line');
+  assert.equal(width, 0.2);
+  // a half turn counter clockwise, over the top before Y is flipped
+  assert.equal(points.length, 25);
+  points.forEach(([x, y]) => near(Math.hypot(x, y), 1));
+  near(points[12][0], 0);
+  near(points[12][1], -1);
+  near(points[24][0], -1);
+});
+
+test('repeats Gerber step and repeat blocks', () => {
+  const {shapes} = parseGerber(gerber('%ADD10C,1*%', 'D10*', '%SRX3Y2I5J4*%', 'X1000000Y1000000D03*', '%SR*%', 'X0Y-1000000D03*'));
+  assert.deepEqual(shapes.map(({center}) => center), [
+    [1, -1], [1, -5], [6, -1], [6, -5], [11, -1], [11, -5],
+    [0, 1],
+  ]);
+});
+
+test('marks clear polarity Gerber shapes', () => {
+  const {shapes} = parseGerber(gerber('%ADD10C,1*%', 'D10*', 'X0Y1000000D03*', '%LPC*%', 'X0Y2000000D03*', '%LPD*%', 'X0Y3000000D03*'));
+  assert.deepEqual(shapes.map((shape) => shape.clear ?? false), [false, true, false]);
+});
+
+test('cuts clear polarity out of what is below', () => {
+  const square = (from, to) => ['G36*', `X${from}Y${from}D02*`, `X${to}Y${from}D01*`, `X${to}Y${to}D01*`, `X${from}Y${to}D01*`, `X${from}Y${from}D01*`, 'G37*'];
+  const {shapes} = parseGerber(gerber(
+    '%ADD10C,1*%',
+    ...square(0, 10000000),
+    '%LPC*%',
+    ...square(3000000, 7000000),
+    '%LPD*%',
+    'D10*',
+    'X5000000Y5000000D03*',
+  ));
+  const painted = applyClearPolarity(shapes);
+  assert.ok(painted.every((shape) => !shape.clear));
+  // the pad flashed later stays whole on top of the hole
+  assert.deepEqual(painted.at(-1), {type: 'circle', center: [5, -5], radius: 0.5});
+  near(area(painted), 100 - 16 + Math.PI * 0.25);
+  assert.ok(covers(painted, [1, -5]));
+  assert.ok(!covers(painted, [3.5, -5]));
+  assert.ok(covers(painted, [5, -5]));
+});
+
+test('keeps shapes no clear polarity reaches', () => {
+  const {shapes} = parseGerber(gerber(
+    '%ADD10C,1*%', '%ADD11C,3*%', 'D10*',
+    'X0Y1000000D03*',
+    'X10000000Y1000000D02*', 'X20000000Y1000000D01*',
+    '%LPC*%', 'D11*', 'X20000000Y1000000D03*', 'X0Y1000000D03*',
+  ));
+  // the pad is cleared whole, the track loses its end
+  const painted = applyClearPolarity(shapes);
+  assert.ok(!covers(painted, [0, -1]));
+  assert.ok(covers(painted, [12, -1]));
+  assert.ok(!covers(painted, [19, -1]));
+  assert.deepEqual(applyClearPolarity(shapes.slice(0, 2)), shapes.slice(0, 2));
+});
+
+test('reads Excellon holes and slots', () => {
+  const metric = [
+    'M48',
+    '; #@! TF.FileFunction,Plated,1,2,PTH',
+    'FMAT,2',
+    'METRIC',
+    'T1C0.800',
+    'T2C1.000',
+    '%',
+    'G90',
+    'T1',
+    'X10.0Y-5.0',
+    'T2',
+    'X0Y1.0G85X5.0Y1.0',
+    'M30',
+  ].join('\n');
+  assert.ok(isExcellon(metric));
+  const {attributes, shapes} = parseExcellon(metric);
+  assert.deepEqual(attributes['.FileFunction'], ['Plated', '1', '2', 'PTH']);
+  assert.deepEqual(shapes, [
+    {type: 'circle', center: [10, 5], radius: 0.4},
+    {type: 'line', points: [[0, -1], [5, -1]], width: 1},
+  ]);
+
+  const inch = parseExcellon(['M48', 'INCH,LZ', 'T1C0.0315', '%', 'T1', 'X010000Y005000', 'M30'].join('\n'));
+  near(inch.shapes[0].center[0], 25.4);
+  near(inch.shapes[0].center[1], -12.7);
+  near(inch.shapes[0].radius, 0.0315 * 25.4 / 2);
+  assert.ok(!isExcellon(gerber('%ADD10C,1*%')));
+});
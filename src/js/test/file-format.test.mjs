@@ -0,0 +1,73 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import assert from 'node:assert/strict';
+import {test} from 'node:test';
+import {formatRelease, formatVersionDate, isLegacyDocument, projectFormats, readFileFormat, versionHint} from 'kicanvas/file-format.mjs';
+import {loadProject} from 'test/kicanvas.mjs';
+
+// release, older and newer of a header
+const placed = (header) => {
+  const {release, older, newer} = readFileFormat(header);
+  return {release, older, newer};
+};
+
+test('tells KiCad 5 schematics by their first line', () => {
+  const format = readFileFormat('EESchema Schematic File Version 4\nEELAYER 30 0\n');
+  assert.equal(format.legacy, true);
+  assert.equal(format.label, 'schematic');
+  assert.equal(format.release, '5');
+  assert.equal(format.older, true);
+  assert.equal(formatRelease(format), 'KiCad 5 or older');
+  assert.match(versionHint(format), /^This is a KiCad 5 schematic\. .* Open it in KiCad 6 or newer and save it to convert it\.$/);
+  assert.ok(isLegacyDocument('power.sch'));
+  assert.ok(!isLegacyDocument('power.kicad_sch'));
+  assert.equal(readFileFormat('PCBNEW-LibModule-V1  09/04/2019\n').label, 'footprint library');
+});
+
+test('places KiCad 5 S-expression boards', () => {
+  const format = readFileFormat('(kicad_pcb (version 20171130) (host pcbnew 5.1.9-73d0e3b20d~88~ubuntu20.04.1)\n');
+  assert.equal(format.legacy, false);
+  assert.equal(format.generator, 'pcbnew');
+  assert.equal(format.generatorVersion, '5.1.9-73d0e3b20d~88~ubuntu20.04.1');
+  assert.deepEqual(placed('(kicad_pcb (version 20171130) (host pcbnew 5.1.9))'), {release: '5', older: true, newer: false});
+  // footprints of KiCad 5 start with `module`
+  assert.equal(readFileFormat('(module R_0603 (layer F.Cu) (tedit 5B307E4C))').token, 'footprint');
+});
+
+test('places KiCad 6 to 9 documents', () => {
+  assert.deepEqual(placed('(kicad_sch (version 20211123) (generator eeschema)'), {release: '6', older: false, newer: false});
+  assert.deepEqual(placed('(kicad_pcb (version 20221018) (generator pcbnew)'), {release: '7', older: false, newer: false});
+  assert.deepEqual(placed('(kicad_sch (version 20231120) (generator "eeschema") (generator_version "8.0")'), {release: '8', older: false, newer: false});
+  // a KiCad 8 development build
+  assert.deepEqual(placed('(kicad_pcb (version 20230620) (generator pcbnew)'), {release: '8', older: false, newer: false});
+  // read, though its newer items are left out
+  assert.deepEqual(placed('(kicad_pcb (version 20241229) (generator "pcbnew") (generator_version "9.0")'), {release: '9', older: false, newer: true});
+  assert.equal(readFileFormat('\uFEFF\n  (kicad_symbol_lib (version 20231120) (generator kicad_symbol_editor)').label, 'symbol library');
+});
+
+test('tells files newer than any known release', () => {
+  const format = readFileFormat('(kicad_sch (version 20260301) (generator "eeschema") (generator_version "10.99")');
+  assert.deepEqual({release: format.release, newer: format.newer}, {release: null, newer: true});
+  assert.equal(formatRelease(format), 'KiCad 10.99');
+  assert.equal(formatRelease({...format, generatorVersion: null}), 'KiCad newer than 9');
+  assert.equal(versionHint(format),
+    'This schematic was saved by KiCad 10.99 (file format 2026-03-01). The viewer reads files up to KiCad 8, newer items are left out.');
+  assert.equal(formatVersionDate(20260301), '2026-03-01');
+});
+
+test('reads no format from other files', () => {
+  assert.equal(readFileFormat('{"board": {}}'), null);
+  assert.equal(readFileFormat(''), null);
+  assert.equal(readFileFormat(null), null);
+});
+
+test('lists the formats of a loaded project', async () => {
+  const [format] = projectFormats(await loadProject(['panel.kicad_pcb']));
+  assert.equal(format.fileName, 'panel.kicad_pcb');
+  assert.equal(format.version, 20240108);
+  assert.equal(format.release, '8');
+  assert.equal(format.newer, false);
+});
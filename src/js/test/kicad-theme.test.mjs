@@ -0,0 +1,83 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import assert from 'node:assert/strict';
+import {before, test} from 'node:test';
+import {loadKiCanvas} from 'test/kicanvas.mjs';
+import {joinCss, readThemeFile, splitCss, themeEntries, themeFromKiCad, themeToKiCad, withColor} from 'theme/kicad-theme.mjs';
+
+let kicad;
+let witchHazel;
+
+before(async () => {
+  await loadKiCanvas();
+  // read the way ThemeView.builtInTheme() does
+  const viewer = window.customElements.get('kc-board-viewer').prototype;
+  kicad = Reflect.get(viewer, 'themeObject', {theme: 'kicad'});
+  witchHazel = Reflect.get(viewer, 'themeObject', {theme: 'witchhazel'});
+});
+
+test('writes a KiCanvas theme as KiCad colors', () => {
+  const colors = themeToKiCad(witchHazel);
+  assert.deepEqual(colors.meta, {name: 'Witch Hazel', filename: 'witchhazel', version: 5});
+  assert.equal(colors.board.background, 'rgb(19, 18, 24)');
+  assert.equal(colors.board.copper.f, 'rgb(226, 114, 153)');
+  assert.equal(colors.board.b_mask, 'rgba(78, 129, 137, 0.800)');
+  assert.equal(colors.schematic.wire, 'rgb(174, 129, 255)');
+});
+
+test('reads back the theme it wrote', () => {
+  const file = JSON.stringify(themeToKiCad(witchHazel), null, 2);
+  const theme = themeFromKiCad(readThemeFile(file), kicad);
+  assert.equal(theme.name, 'witchhazel');
+  assert.equal(theme.friendly_name, 'Witch Hazel');
+  assert.deepEqual(themeToKiCad(theme), JSON.parse(file));
+});
+
+test('takes the colors a KiCad theme lacks from the base', () => {
+  const theme = themeFromKiCad({
+    meta: {name: 'Partial'},
+    board: {background: 'rgba(1, 2, 3, 0.5)', copper: {f: 'rgb(10, 20, 30)'}, grid: 'no color', future_layer: 'rgb(1, 1, 1)'},
+    '3d_viewer': {background_top: 'rgb(0, 0, 0)'},
+  }, kicad);
+  const colors = themeToKiCad(theme);
+  const base = themeToKiCad(kicad);
+  assert.equal(colors.meta.name, 'Partial');
+  assert.equal(colors.board.background, 'rgba(1, 2, 3, 0.500)');
+  assert.equal(colors.board.copper.f, 'rgb(10, 20, 30)');
+  assert.equal(colors.board.copper.b, base.board.copper.b);
+  // unreadable and unknown colors
+  assert.equal(colors.board.grid, base.board.grid);
+  assert.equal(colors.board.future_layer, undefined);
+  assert.equal(colors['3d_viewer'], undefined);
+  assert.deepEqual(colors.schematic, base.schematic);
+});
+
+test('refuses files that are no KiCad theme', () => {
+  assert.throws(() => readThemeFile('{board'), /^Error: Not a JSON file/);
+  assert.throws(() => readThemeFile('{"meta": {"name": "Empty"}}'), /neither board nor schematic colors/);
+  assert.deepEqual(readThemeFile('{"schematic": {}}'), {schematic: {}});
+});
+
+test('lists and edits the colors of a theme', () => {
+  const base = themeToKiCad(kicad);
+  const colors = withColor({meta: {name: 'Mine'}}, 'board', 'copper.in1', 'rgb(1, 2, 3)');
+  assert.deepEqual(colors, {meta: {name: 'Mine'}, board: {copper: {in1: 'rgb(1, 2, 3)'}}});
+  const entries = themeEntries(colors, base);
+  assert.deepEqual(entries.find(({key}) => key === 'copper.in1'), {section: 'board', key: 'copper.in1', label: 'In1.Cu', css: 'rgb(1, 2, 3)'});
+  assert.equal(entries.find(({key}) => key === 'f_silks').label, 'F.Silkscreen');
+  assert.equal(entries.find(({key}) => key === 'copper.b').css, base.board.copper.b);
+  // In2.Cu before In10.Cu
+  const inner = entries.filter(({key}) => key.startsWith('copper.in')).map(({label}) => label);
+  assert.ok(inner.indexOf('In2.Cu') < inner.indexOf('In10.Cu'));
+});
+
+test('splits CSS colors for the color inputs', () => {
+  assert.deepEqual(splitCss('rgba(255, 0, 16, 0.5)'), {hex: '#ff0010', alpha: 0.5});
+  assert.deepEqual(splitCss('#AbC'), {hex: '#aabbcc', alpha: 1});
+  assert.deepEqual(splitCss('#11223380'), {hex: '#112233', alpha: 128 / 255});
+  assert.equal(joinCss('#ff0010', 1), 'rgb(255, 0, 16)');
+  assert.equal(joinCss('#ff0010', 0.25), 'rgba(255, 0, 16, 0.250)');
+});
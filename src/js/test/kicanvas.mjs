@@ -0,0 +1,62 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {readFile} from 'node:fs/promises';
+
+// KiCanvas' bundle run once in the page register.mjs set up, its warnings
+// passed on to Node's console where collectors wrap it, the rest dropped
+let loaded = null;
+
+export function loadKiCanvas () {
+  loaded ??= readFile(new URL('../App/kicanvas.js', import.meta.url), 'utf8').then((source) => {
+    window.console.warn = (...args) => console.warn(...args);
+    for (const method of ['debug', 'info', 'log']) {
+      window.console[method] = () => {};
+    }
+    window.eval(source);
+  });
+  return loaded;
+}
+
+// A new KiCanvas project, as a kicanvas-embed element holds one
+export async function createProject () {
+  await loadKiCanvas();
+  return new Promise((resolve) => {
+    const event = new window.Event('context-request');
+    event.context_name = 'project';
+    event.callback = resolve;
+    document.createElement('kicanvas-embed').dispatchEvent(event);
+  });
+}
+
+// A virtual file system of {name: text}
+export const textFileSystem = (files) => ({
+  * list () {
+    yield* Object.keys(files);
+  },
+  has: async (name) => name in files,
+  get: async (name) => ({name, text: async () => files[name]}),
+  download: async () => {},
+});
+
+export const readSample = (name) => readFile(new URL(name, import.meta.url), 'utf8');
+
+// Project of the files, {name: text}, or of samples of this folder by name
+export async function loadProject (files) {
+  if (Array.isArray(files)) {
+    files = Object.fromEntries(await Promise.all(files.map(async (name) => [name, await readSample(name)])));
+  }
+  const project = await createProject();
+  // the tokens KiCanvas skips are skipped-tokens.test.mjs' business
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    await project.load(textFileSystem(files));
+  }
+  finally {
+    console.warn = warn;
+  }
+  return project;
+}
@@ -0,0 +1,20 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {register} from 'node:module';
+import {JSDOM} from 'jsdom';
+
+// What webpack defines for the build
+globalThis.__TIER_DEVELOPMENT__ = false;
+
+// The page the modules expect, KiCanvas' bundle is run in it by kicanvas.mjs
+const {window} = new JSDOM('<!DOCTYPE html><body></body>', {url: 'http://localhost/', runScripts: 'outside-only'});
+window.URL.createObjectURL = () => 'blob:kicanvas';
+window.URL.revokeObjectURL = () => {};
+for (const name of ['window', 'document', 'localStorage', 'HTMLElement', 'customElements', 'DOMParser', 'XMLSerializer']) {
+  globalThis[name] = name === 'window' ? window : window[name];
+}
+
+register('./resolve-hooks.mjs', import.meta.url);
@@ -0,0 +1,19 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {existsSync} from 'node:fs';
+
+// The modules import each other from src/js as webpack resolves them
+const SOURCE = new URL('../', import.meta.url);
+
+export async function resolve (specifier, context, nextResolve) {
+  if (/^[\w-]+\//.test(specifier)) {
+    const url = new URL(specifier, SOURCE);
+    if (existsSync(url)) {
+      return {url: url.href, shortCircuit: true};
+    }
+  }
+  return nextResolve(specifier, context);
+}
@@ -0,0 +1,95 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import assert from 'node:assert/strict';
+import {before, test} from 'node:test';
+import {diffBoards, diffSchematics, reportToJSON, reportToMarkdown} from 'compare/semantic-diff.mjs';
+import {loadProject} from 'test/kicanvas.mjs';
+
+const footprint = (reference, x, value, net) => `(footprint "Resistor_SMD:R_0603" (layer "F.Cu") (at ${x} 10)
+  (property "Reference" "${reference}" (at 0 0 0) (layer "F.SilkS"))
+  (property "Value" "${value}" (at 0 0 0) (layer "F.Fab"))
+  (pad "1" smd rect (at 0 0) (size 1 1) (layers "F.Cu") (net 1 "${net}")))`;
+
+const board = (net, ...items) => ({'board.kicad_pcb': `(kicad_pcb (version 20240108) (generator "pcbnew")
+  (layers (0 "F.Cu" signal) (31 "B.Cu" signal))
+  (net 0 "") (net 1 "${net}")
+  ${items.join('\n')})`});
+
+const symbol = (reference, value) => `(symbol (lib_id "Device:R") (at 0 0 0) (unit 1) (uuid "${reference}")
+  (property "Reference" "${reference}" (at 0 0 0))
+  (property "Value" "${value}" (at 0 0 0))
+  (property "Footprint" "" (at 0 0 0)))`;
+
+const schematic = (...items) => ({'board.kicad_sch': `(kicad_sch (version 20231120) (generator "eeschema") (uuid "root")
+  (paper "A4") (lib_symbols)
+  ${items.join('\n')})`});
+
+const boardDocument = async (files) => Array.from((await loadProject(files)).pages())[0].document;
+const schematics = async (files) => Array.from((await loadProject(files)).schematics());
+
+// subject and description of each entry, by category and change
+const summary = (entries) => entries.map(({category, change, subject, description}) => `${category} ${change} ${subject}: ${description}`);
+
+let boardChanges;
+
+before(async () => {
+  // R1 moved, R2's value changed, R3 swapped for R4, GND renamed and routed
+  const base = await boardDocument(board('GND',
+    footprint('R1', 10, '10k', 'GND'), footprint('R2', 20, '1k', 'GND'), footprint('R3', 30, '1k', 'GND')));
+  const head = await boardDocument(board('VSS',
+    footprint('R1', 12, '10k', 'VSS'), footprint('R2', 20, '2k2', 'VSS'), footprint('R4', 40, '100n', 'VSS'),
+    '(segment (start 12 10) (end 20 10) (width 0.25) (layer "F.Cu") (net 1))'));
+  boardChanges = diffBoards(base, head);
+});
+
+test('lists what changed between two boards', () => {
+  assert.deepEqual(summary(boardChanges), [
+    'footprint moved R1: R1 moved from (10, 10) to (12, 10)',
+    'footprint value R2: R2 value changed from 1k to 2k2',
+    'footprint added R4: R4 (100n, Resistor_SMD:R_0603) added',
+    'footprint removed R3: R3 (1k, Resistor_SMD:R_0603) removed',
+    'net renamed GND: Net GND renamed to VSS',
+    'track changed F.Cu: F.Cu: 0 → 1 tracks, 0 → 8 mm',
+  ]);
+  // added parts are found in the new revision, removed ones in the old
+  assert.deepEqual(boardChanges[2].target, {side: 'head', kind: 'footprint', key: 'R4', filename: 'board.kicad_pcb'});
+  assert.equal(boardChanges[3].target.side, 'base');
+});
+
+test('lists nothing for the same board', async () => {
+  const files = board('GND', footprint('R1', 10, '10k', 'GND'));
+  assert.deepEqual(diffBoards(await boardDocument(files), await boardDocument(files)), []);
+});
+
+test('lists what changed between two schematics', async () => {
+  const entries = diffSchematics(
+    await schematics(schematic(symbol('R1', '10k'), symbol('R2', '1k'), '(label "CLK" (at 0 0 0))')),
+    await schematics(schematic(symbol('R1', '22k'), symbol('R3', '1k'))),
+  );
+  assert.deepEqual(summary(entries), [
+    'symbol value R1: R1 value changed from 10k to 22k',
+    'symbol added R3: R3 (1k, Device:R) added',
+    'symbol removed R2: R2 (1k, Device:R) removed',
+    'label removed CLK: Net label CLK removed',
+  ]);
+});
+
+test('writes the report as Markdown', () => {
+  const markdown = reportToMarkdown(boardChanges, {base: 'v1', head: 'v2'});
+  assert.ok(markdown.startsWith('## Change report\n\nComparing `v1` → `v2`\n\n### Footprints (4)\n\n- **moved** R1 moved from (10, 10) to (12, 10)\n'));
+  assert.ok(markdown.includes('\n### Nets (1)\n\n- **renamed** Net GND renamed to VSS\n'));
+  assert.ok(markdown.includes('\n### Tracks (1)\n'));
+  assert.equal(reportToMarkdown([], {title: 'Nothing'}), '## Nothing\n\nNo changes.\n');
+});
+
+test('writes the report as JSON', () => {
+  const report = JSON.parse(reportToJSON(boardChanges, {base: 'v1', head: 'v2'}));
+  assert.equal(report.base, 'v1');
+  assert.equal(report.head, 'v2');
+  assert.equal(report.changes.length, boardChanges.length);
+  // what the viewer selects stays out of the file
+  assert.deepEqual(report.changes[0], {category: 'footprint', change: 'moved', subject: 'R1', description: 'R1 moved from (10, 10) to (12, 10)'});
+});
@@ -17,9 +17,97 @@ const MIME_TYPES = {
   '.kicad_sch': 'application/octet-stream'
 };
 
+// In-memory stand-in for the app's follow-me session API (lib/Service/
+// FollowSessionService.php), enough to try sessions without Nextcloud.
+// Callers are told apart by an X-Stand-In-User header or else by their
+// browser, open the viewer in two different browsers to follow each other.
+const SESSION_URL = /^(?:\/index\.php)?\/apps\/kicad_viewer\/api\/session\/(\d+)(\/state|\/control)?$/;
+const SESSION_TIMEOUT = 30 * 1000;
+const sessions = new Map();
+
+function readJson(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        resolve({});
+      }
+    });
+  });
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+function sessionSnapshot(participants, userId) {
+  const presenter = Array.from(participants.values()).find((participant) => participant.presenter);
+  return {
+    participants: Array.from(participants.values()).map((participant) => ({
+      userId: participant.userId,
+      displayName: participant.userId,
+      presenter: participant.presenter,
+      self: participant.userId === userId
+    })),
+    presenter: presenter ? presenter.userId : null,
+    state: presenter ? presenter.state : null,
+    version: presenter ? presenter.version : 0,
+    timeout: SESSION_TIMEOUT / 1000
+  };
+}
+
+async function handleSession(req, res, fileId, action) {
+  const userId = req.headers['x-stand-in-user'] || req.headers['user-agent'] || 'guest';
+  if (!sessions.has(fileId)) {
+    sessions.set(fileId, new Map());
+  }
+  const participants = sessions.get(fileId);
+  const now = Date.now();
+  for (const [id, participant] of participants) {
+    if (now - participant.seenAt > SESSION_TIMEOUT) {
+      participants.delete(id);
+    }
+  }
+  if (req.method === 'DELETE' && !action) {
+    participants.delete(userId);
+    sendJson(res, 200, []);
+    return;
+  }
+  if (!participants.has(userId)) {
+    participants.set(userId, { userId, presenter: false, state: null, version: 0, seenAt: now });
+  }
+  const self = participants.get(userId);
+  self.seenAt = now;
+  if (req.method === 'POST' && action === '/control') {
+    participants.forEach((participant) => { participant.presenter = false; });
+    self.presenter = true;
+  } else if (req.method === 'PUT' && action === '/state') {
+    if (!self.presenter) {
+      sendJson(res, 409, { error: 'Another participant presents' });
+      return;
+    }
+    self.state = (await readJson(req)).state || null;
+    self.version++;
+  } else if (req.method !== 'POST' || action) {
+    sendJson(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+  sendJson(res, 200, sessionSnapshot(participants, userId));
+}
+
 const server = http.createServer((req, res) => {
   console.log(`${req.method} ${req.url}`);
 
+  const session = req.url.split('?')[0].match(SESSION_URL);
+  if (session) {
+    handleSession(req, res, session[1], session[2]);
+    return;
+  }
+
   // Normalize URL to prevent directory traversal
   let filePath = path.join(BASE_DIR, req.url === './' ? './index.html' : req.url);
 
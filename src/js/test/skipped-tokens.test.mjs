@@ -0,0 +1,45 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import assert from 'node:assert/strict';
+import {before, test} from 'node:test';
+import {collectSkippedTokens} from 'kicanvas/skipped-tokens.mjs';
+import {createProject, textFileSystem} from 'test/kicanvas.mjs';
+
+const BOARD = '(kicad_pcb (version 20240108) (generator "pcbnew") (frobnicate 1 2) (frobnicate 3))';
+
+// the warnings are what is tested, not what is shown
+const silent = () => {};
+
+let project;
+
+before(async () => {
+  console.warn = silent;
+  project = await createProject();
+});
+
+const loadBoard = () => project.load(textFileSystem({'board.kicad_pcb': BOARD}));
+
+test('counts the tokens the bundled parser skips', async () => {
+  const {skipped} = await collectSkippedTokens(loadBoard);
+  assert.deepEqual(skipped, [{token: 'frobnicate', count: 2}]);
+});
+
+test('counts for each of overlapping loads', async () => {
+  let inner;
+  const {skipped} = await collectSkippedTokens(async () => {
+    inner = await collectSkippedTokens(loadBoard);
+  });
+  assert.deepEqual(inner.skipped, skipped);
+  assert.deepEqual(skipped, [{token: 'frobnicate', count: 2}]);
+  assert.deepEqual((await collectSkippedTokens(async () => {})).skipped, []);
+});
+
+test('leaves the console as it was once no load runs', async () => {
+  await collectSkippedTokens(async () => {
+    assert.notEqual(console.warn, silent);
+  });
+  assert.equal(console.warn, silent);
+});
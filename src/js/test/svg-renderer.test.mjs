@@ -0,0 +1,38 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import assert from 'node:assert/strict';
+import {readFile, writeFile} from 'node:fs/promises';
+import {test} from 'node:test';
+import {paintDocument, sceneToSvg} from 'export/svg-renderer.mjs';
+import {loadProject} from 'test/kicanvas.mjs';
+
+// written anew with UPDATE_SNAPSHOTS=1 set, to be reviewed in the diff
+const SNAPSHOT = new URL('panel.kicad_pcb.svg', import.meta.url);
+
+const documentOf = async (files) => Array.from((await loadProject(files)).pages())[0].document;
+
+test('paints the sample panel as on its snapshot', async () => {
+  const svg = sceneToSvg(paintDocument(await documentOf(['panel.kicad_pcb'])));
+  if (process.env.UPDATE_SNAPSHOTS) {
+    await writeFile(SNAPSHOT, svg);
+  }
+  assert.equal(svg, await readFile(SNAPSHOT, 'utf8'));
+});
+
+test('paints a schematic on its drawing sheet', async () => {
+  const scene = paintDocument(await documentOf({'notes.kicad_sch': `(kicad_sch (version 20231120) (generator "eeschema")
+    (uuid "root") (paper "A5") (title_block (title "Notes"))
+    (text "Hello" (at 20 20 0) (effects (font (size 1.27 1.27)))))`}));
+  assert.deepEqual(scene.bbox, {x: 0, y: 0, w: 210, h: 148});
+  assert.equal(scene.title, 'Notes');
+  const painted = scene.layers.filter(({primitives}) => primitives.length).map(({name}) => name);
+  assert.ok(painted.includes(':DrawingSheet'));
+  assert.ok(painted.includes(':Notes'), painted.join(', '));
+});
+
+test('needs KiCanvas to know the document', () => {
+  assert.throws(() => paintDocument({filename: 'board.json'}), /KiCanvas has no viewer for board\.json/);
+});
@@ -0,0 +1,156 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+// Sections of a KiCad colors/*.json theme the viewers paint with, the others
+// (3d_viewer, gerbview, palette) are kept as they are
+export const THEME_SECTIONS = ['board', 'schematic'];
+
+// Format version desktop KiCad 7 to 9 writes
+const THEME_VERSION = 5;
+
+// Board layer keys of KiCad themes, named the way KiCad names the layers
+const SIDE_LAYERS = {
+  adhes: 'Adhesive',
+  crtyd: 'Courtyard',
+  fab: 'Fab',
+  mask: 'Mask',
+  paste: 'Paste',
+  silks: 'Silkscreen',
+};
+
+const isColor = (value) => typeof value?.to_css === 'function';
+
+// "rgb(r, g, b)" like KiCad writes, "rgba(r, g, b, a)" when translucent
+function cssColor (color) {
+  const rgb = `${color.r_255}, ${color.g_255}, ${color.b_255}`;
+  return color.a >= 1 ? `rgb(${rgb})` : `rgba(${rgb}, ${color.a.toFixed(3)})`;
+}
+
+function colorsToCss (colors) {
+  return Object.fromEntries(Object.entries(colors)
+    .filter(([, value]) => value && typeof value === 'object')
+    .map(([key, value]) => [key, isColor(value) ? cssColor(value) : colorsToCss(value)]));
+}
+
+// A KiCanvas theme as the colors/*.json KiCad reads
+export function themeToKiCad (theme) {
+  return {
+    meta: {name: theme.friendly_name ?? theme.name, filename: theme.name, version: THEME_VERSION},
+    board: colorsToCss(theme.board),
+    schematic: colorsToCss(theme.schematic),
+  };
+}
+
+function colorsFromCss (base, colors) {
+  return Object.fromEntries(Object.entries(base).map(([key, value]) => {
+    if (!isColor(value)) {
+      return [key, value && typeof value === 'object' ? colorsFromCss(value, colors?.[key] ?? {}) : value];
+    }
+    try {
+      const color = typeof colors?.[key] === 'string' ? value.constructor.from_css(colors[key].trim()) : value;
+      // KiCanvas reads unparsable numbers as NaN instead of failing
+      return [key, [color.r, color.g, color.b, color.a].some(Number.isNaN) ? value : color];
+    }
+    catch (error) {
+      return [key, value];
+    }
+  }));
+}
+
+/**
+ * KiCanvas theme of KiCad's `colors`. Colors it leaves out or KiCanvas
+ * cannot read are taken from the KiCanvas theme `base`, colors KiCanvas does
+ * not paint with are left out.
+ */
+export function themeFromKiCad (colors, base) {
+  return {
+    name: colors.meta?.filename ?? colors.meta?.name ?? 'custom',
+    friendly_name: colors.meta?.name ?? 'Custom',
+    board: colorsFromCss(base.board, colors.board),
+    schematic: colorsFromCss(base.schematic, colors.schematic),
+  };
+}
+
+/**
+ * KiCad colors of a theme file, throws telling why it is none
+ */
+export function readThemeFile (text) {
+  let colors;
+  try {
+    colors = JSON.parse(text);
+  }
+  catch (error) {
+    throw new Error(`Not a JSON file: ${error.message}`);
+  }
+  if (!colors || typeof colors !== 'object' || !THEME_SECTIONS.some((section) => colors[section] && typeof colors[section] === 'object')) {
+    throw new Error('Not a KiCad color theme, it has neither board nor schematic colors');
+  }
+  return colors;
+}
+
+function entryLabel (section, key) {
+  if (section === 'board') {
+    const [, side, layer] = key.match(/^([fb])_(\w+)$/) ?? [];
+    if (SIDE_LAYERS[layer]) {
+      return `${side.toUpperCase()}.${SIDE_LAYERS[layer]}`;
+    }
+    const copper = key.match(/^copper\.(f|b|in(\d+))$/);
+    if (copper) {
+      return copper[2] ? `In${copper[2]}.Cu` : `${copper[1].toUpperCase()}.Cu`;
+    }
+  }
+  const words = key.replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function flatten (colors, prefix = '') {
+  return Object.entries(colors).flatMap(([key, value]) => (typeof value === 'string'
+    ? [[`${prefix}${key}`, value]]
+    : flatten(value, `${prefix}${key}.`)));
+}
+
+/**
+ * Colors the editor lists, those of KiCad theme `base` as {section, key,
+ * label, css} with the ones of `colors` in place, inner copper layers in
+ * their order
+ */
+export function themeEntries (colors, base) {
+  return THEME_SECTIONS.flatMap((section) => flatten(base[section] ?? {})
+    .map(([key, css]) => {
+      const value = key.split('.').reduce((object, part) => object?.[part], colors[section]);
+      return {section, key, label: entryLabel(section, key), css: typeof value === 'string' ? value : css};
+    })
+    .sort((a, b) => a.label.localeCompare(b.label, undefined, {numeric: true})));
+}
+
+// `colors` with the color at `key` ("copper.in1" for nested ones) replaced
+export function withColor (colors, section, key, css) {
+  const replace = (object, [part, ...rest]) => ({
+    ...object,
+    [part]: rest.length ? replace(object?.[part] ?? {}, rest) : css,
+  });
+  return {...colors, [section]: replace(colors[section] ?? {}, key.split('.'))};
+}
+
+// {hex, alpha} of a CSS color for a color input and an opacity slider
+export function splitCss (css) {
+  const hex = (values) => `#${values.map((value) => Math.round(Number(value)).toString(16).padStart(2, '0')).join('')}`;
+  const rgb = css.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/);
+  if (rgb) {
+    return {hex: hex(rgb.slice(1, 4)), alpha: rgb[4] === undefined ? 1 : Number(rgb[4])};
+  }
+  const short = css.match(/^#([\da-f]{3})$/i);
+  const long = short ? `#${Array.from(short[1], (digit) => digit + digit).join('')}` : css;
+  const parts = long.match(/^#([\da-f]{2})([\da-f]{2})([\da-f]{2})([\da-f]{2})?$/i);
+  if (parts) {
+    return {hex: `#${parts.slice(1, 4).join('')}`.toLowerCase(), alpha: parts[4] ? parseInt(parts[4], 16) / 255 : 1};
+  }
+  return {hex: '#000000', alpha: 1};
+}
+
+export function joinCss (hex, alpha) {
+  const [r, g, b] = [1, 3, 5].map((index) => parseInt(hex.slice(index, index + 2), 16));
+  return alpha >= 1 ? `rgb(${r}, ${g}, ${b})` : `rgba(${r}, ${g}, ${b}, ${Number(alpha).toFixed(3)})`;
+}
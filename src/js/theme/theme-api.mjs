@@ -0,0 +1,19 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {appApiRequest as request, appApiUrl} from 'helpers/app-api.mjs';
+
+// Own and shared themes as {themes, selected}, each theme {id, name, colors,
+// shared, owner, ownerName, mine, updatedAt}, `selected` the theme id as a
+// string or the name of a KiCanvas theme, null for the KiCanvas preference
+export const listThemes = () => request(appApiUrl('themes'));
+
+export const createTheme = (name, colors, shared) => request(appApiUrl('themes'), 'POST', {name, colors, shared});
+
+export const updateTheme = (id, name, colors, shared) => request(appApiUrl('themes', id), 'PUT', {name, colors, shared});
+
+export const deleteTheme = (id) => request(appApiUrl('themes', id), 'DELETE');
+
+export const selectTheme = (selected) => request(appApiUrl('selected-theme'), 'PUT', {selected});
@@ -0,0 +1,172 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {FabricationFileSystem} from 'fabrication/gerber-view.mjs';
+import {initiateDownload} from 'helpers/warp-helpers.mjs';
+import {isPublicShare} from 'kicanvas/public-share.mjs';
+import {splitExtension} from 'kicanvas/webdav-filesystem.mjs';
+import logger from 'logger/logger.mjs';
+import {readThemeFile, themeEntries, withColor} from 'theme/kicad-theme.mjs';
+import {createTheme, deleteTheme, listThemes, selectTheme, updateTheme} from 'theme/theme-api.mjs';
+import {BUILT_IN_THEMES, ThemeView} from 'theme/theme-view.mjs';
+
+/**
+ * The viewer's part of color themes, mixed into the App: the editor's state
+ * and its ThemeView, loadTheme() once a project is shown and closeTheme()
+ * before it goes
+ */
+export const themeFeature = {
+  data () {
+    return {
+      // Colors of the viewers, a KiCanvas theme or one stored for the team.
+      // `draft` is the theme being edited with its KiCad colors frozen.
+      theme: {
+        available: false,
+        active: false,
+        themes: [],
+        selected: '',
+        draft: null,
+        busy: false,
+        error: '',
+        canStore: false,
+      },
+    };
+  },
+  computed: {
+    builtInThemes () {
+      return BUILT_IN_THEMES;
+    },
+    themeEntries () {
+      const base = this.theme.draft && this.themeView?.builtInColors('kicad');
+      return base ? Object.freeze(themeEntries(this.theme.draft.colors, base)) : [];
+    },
+  },
+  methods: {
+    // Paints with the theme picked last, themes are stored per user, public
+    // shares only get KiCanvas' own with the admin's default among them.
+    // Gerber layers keep their own colors.
+    async loadTheme ({embedElement, projectFileSystem}) {
+      if (projectFileSystem instanceof FabricationFileSystem) {
+        return;
+      }
+      try {
+        this.themeView = await ThemeView.attach(embedElement, (name) => this.selectViewerTheme(name));
+        this.theme.canStore = !isPublicShare();
+        this.theme.available = true;
+        if (this.theme.canStore) {
+          const {themes, selected} = await listThemes();
+          this.theme.themes = Object.freeze(themes);
+          this.selectViewerTheme(selected ?? '', false);
+        }
+        else if (this.settings.theme) {
+          // the admin's default, stored themes are for signed in users
+          this.selectViewerTheme(this.settings.theme, false);
+        }
+      }
+      catch (error) {
+        logger.warn('Unable to load the themes:', error.message);
+        this.theme.error = error.message;
+      }
+    },
+    toggleTheme (active) {
+      this.theme.active = active;
+      if (active && !this.theme.draft) {
+        this.selectViewerTheme(this.theme.selected, false);
+      }
+    },
+    // Shows a stored theme by id, a KiCanvas theme by name or KiCanvas'
+    // preference for '', unsaved changes are dropped
+    selectViewerTheme (selected, persist = true) {
+      const stored = this.theme.themes.find((theme) => String(theme.id) === selected);
+      const builtIn = BUILT_IN_THEMES.find((theme) => theme.name === selected);
+      let draft;
+      if (stored) {
+        draft = {id: stored.id, name: stored.name, colors: stored.colors, shared: stored.shared, mine: stored.mine};
+      }
+      else {
+        // editing a KiCanvas theme starts a new one
+        const name = builtIn?.name ?? this.themeView.preferenceName();
+        const label = BUILT_IN_THEMES.find((theme) => theme.name === name)?.label ?? name;
+        draft = {id: null, name: label, colors: this.themeView.builtInColors(name), shared: false, mine: false};
+      }
+      this.theme = {...this.theme, selected: stored || builtIn ? selected : '', draft: Object.freeze({...draft, modified: false}), error: ''};
+      this.themeView.show(stored ? stored.colors : builtIn?.name ?? null);
+      if (persist && this.theme.canStore) {
+        selectTheme(this.theme.selected || null).catch((error) => {
+          logger.warn('Unable to store the theme choice:', error.message);
+          this.theme.error = error.message;
+        });
+      }
+    },
+    editThemeColor (section, key, css) {
+      const colors = withColor(this.theme.draft.colors, section, key, css);
+      this.theme.draft = Object.freeze({...this.theme.draft, colors, modified: true});
+      this.themeView.show(colors);
+    },
+    async saveViewerTheme ({name, shared}) {
+      const {id, mine, colors} = this.theme.draft;
+      const meta = {...colors.meta, name: name.trim()};
+      this.theme.busy = true;
+      this.theme.error = '';
+      try {
+        const theme = id && mine
+          ? await updateTheme(id, name, {...colors, meta}, shared)
+          : await createTheme(name, {...colors, meta}, shared);
+        const others = this.theme.themes.filter((candidate) => candidate.id !== theme.id);
+        this.theme.themes = Object.freeze([...others, theme].sort((a, b) => a.name.localeCompare(b.name) || a.id - b.id));
+        this.selectViewerTheme(String(theme.id));
+      }
+      catch (error) {
+        logger.warn('Unable to save the theme:', error.message);
+        this.theme.error = error.message;
+      }
+      finally {
+        this.theme.busy = false;
+      }
+    },
+    async importViewerTheme (file) {
+      try {
+        const colors = readThemeFile(await file.text());
+        const name = colors.meta?.name || splitExtension(file.name)[0];
+        this.theme = {...this.theme, error: '', draft: Object.freeze({id: null, name, colors, shared: false, mine: false, modified: true})};
+        this.themeView.show(colors);
+      }
+      catch (error) {
+        logger.warn('Unable to import the theme:', error.message);
+        this.theme.error = `${file.name}: ${error.message}`;
+      }
+    },
+    // KiCad reads the file from the colors folder of its configuration
+    exportViewerTheme (name) {
+      const {colors} = this.theme.draft;
+      const fileName = (name.trim() || 'theme').replace(/[\\/:*?"<>|]/g, '_');
+      const json = JSON.stringify({...colors, meta: {...colors.meta, name: name.trim() || fileName, filename: fileName}}, null, 2);
+      initiateDownload(new File([json], `${fileName}.json`, {type: 'application/json'}));
+    },
+    async deleteViewerTheme () {
+      const {id} = this.theme.draft;
+      this.theme.busy = true;
+      this.theme.error = '';
+      try {
+        await deleteTheme(id);
+        this.theme.themes = Object.freeze(this.theme.themes.filter((theme) => theme.id !== id));
+        this.selectViewerTheme('');
+      }
+      catch (error) {
+        logger.warn('Unable to delete the theme:', error.message);
+        this.theme.error = error.message;
+      }
+      finally {
+        this.theme.busy = false;
+      }
+    },
+    closeTheme () {
+      if (this.themeView) {
+        this.themeView.dispose();
+        this.themeView = null;
+      }
+    },
+  },
+};
@@ -0,0 +1,136 @@
+/**
+ * SPDX-FileCopyrightText: WARP <development@warp.lv>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import {getActiveViewer, requestContext} from 'kicanvas/embed-project.mjs';
+import logger from 'logger/logger.mjs';
+import {themeFromKiCad, themeToKiCad} from 'theme/kicad-theme.mjs';
+
+// Themes KiCanvas ships, its theme menu lists them the same way
+export const BUILT_IN_THEMES = [
+  {name: 'kicad', label: 'KiCad'},
+  {name: 'witchhazel', label: 'Witch Hazel'},
+];
+
+const PREFERENCES_CHANGE = 'kicanvas:preferences:change';
+
+const nextTask = () => new Promise((resolve) => window.setTimeout(resolve, 0));
+
+/**
+ * Paints the viewers of an embed with a theme of our own instead of the one
+ * picked in KiCanvas' preferences. Only the viewers' theme is replaced,
+ * KiCanvas keeps painting every page it loads with it. A theme picked in
+ * KiCanvas' preferences later goes to `onPreferenceChange` by name.
+ */
+export class ThemeView {
+  constructor (embedElement, project, onPreferenceChange) {
+    this.embedElement = embedElement;
+    this.project = project;
+    this.onPreferenceChange = onPreferenceChange;
+    this.theme = null;
+    this.repaint = null;
+    this.disposers = [];
+  }
+
+  static async attach (embedElement, onPreferenceChange) {
+    const project = await requestContext(embedElement, 'project');
+    // the viewer elements only exist once the project is shown
+    await getActiveViewer(embedElement);
+    const view = new ThemeView(embedElement, project, onPreferenceChange);
+    // apps created for another page start with the preference theme
+    const follow = () => {
+      nextTask().then(() => view.paint()).catch((error) => logger.warn('Unable to apply theme:', error.message));
+    };
+    project.addEventListener('change', follow);
+    view.disposers.push(() => project.removeEventListener('change', follow));
+    const preferences = view.viewerElements()[0]?.preferences;
+    if (preferences) {
+      const changed = () => view.onPreferenceChange(preferences.theme.name);
+      preferences.addEventListener(PREFERENCES_CHANGE, changed);
+      view.disposers.push(() => preferences.removeEventListener(PREFERENCES_CHANGE, changed));
+    }
+    return view;
+  }
+
+  viewerElements () {
+    return Array.from(this.embedElement.shadowRoot?.querySelectorAll('kc-schematic-app, kc-board-app') ?? [])
+      .map((app) => app.shadowRoot?.querySelector('kc-board-viewer, kc-schematic-viewer'))
+      .filter(Boolean);
+  }
+
+  // KiCanvas theme by name, read through a viewer element as KiCanvas keeps
+  // its themes to itself
+  builtInTheme (name) {
+    const element = this.viewerElements()[0];
+    return element ? Reflect.get(element, 'themeObject', {theme: name}) : null;
+  }
+
+  // Name of the KiCanvas theme picked in its preferences
+  preferenceName () {
+    return this.viewerElements()[0]?.preferences.theme.name ?? BUILT_IN_THEMES[0].name;
+  }
+
+  // KiCad colors of the KiCanvas theme `name`
+  builtInColors (name) {
+    const theme = this.builtInTheme(name);
+    return theme ? themeToKiCad(theme) : null;
+  }
+
+  /**
+   * Paints with the KiCanvas theme of that name or with KiCad colors, those
+   * missing taken from KiCanvas' KiCad theme, with the preference theme again
+   * for null. Calls in a row, as while dragging a color picker, repaint once
+   * a frame.
+   */
+  show (theme) {
+    const base = theme && typeof theme === 'object' && this.builtInTheme('kicad');
+    this.theme = base ? themeFromKiCad(theme, base) : (theme && this.builtInTheme(theme));
+    if (!this.repaint) {
+      this.repaint = window.requestAnimationFrame(() => {
+        this.repaint = null;
+        this.paint();
+      });
+    }
+  }
+
+  paint () {
+    for (const element of this.viewerElements()) {
+      const viewer = element.viewer;
+      if (!viewer) {
+        continue;
+      }
+      const section = element.localName === 'kc-board-viewer' ? 'board' : 'schematic';
+      const theme = this.theme?.[section] ?? element.themeObject[section];
+      if (viewer.theme === theme) {
+        continue;
+      }
+      viewer.theme = theme;
+      if (!viewer.document) {
+        // painted with it once loaded
+        continue;
+      }
+      // painting creates the layers anew, shown again unless kept hidden here;
+      // layers named ":…" follow the visibility of those they belong to
+      const hidden = Array.from(viewer.layers.in_order())
+        .filter((layer) => !layer.name.startsWith(':') && !layer.visible)
+        .map((layer) => layer.name);
+      viewer.paint();
+      for (const name of hidden) {
+        const layer = viewer.layers.by_name(name);
+        if (layer) {
+          layer.visible = false;
+        }
+      }
+      viewer.draw();
+    }
+  }
+
+  dispose () {
+    this.disposers.splice(0).forEach((dispose) => dispose());
+    if (this.repaint) {
+      window.cancelAnimationFrame(this.repaint);
+      this.repaint = null;
+    }
+  }
+}
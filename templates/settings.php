@@ -0,0 +1,7 @@
+<?php
+// SPDX-FileCopyrightText: WARP <development@warp.lv>
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+/** @var array $_ */
+?>
+<div id="kicad_viewer-settings" data-mode="<?php p($_['mode']); ?>"></div>